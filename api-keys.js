@@ -0,0 +1,227 @@
+// API key authentication for the REST API and the WebSocket upgrade.
+//
+// api_keys: id bigserial PK, name text, role text ('viewer' | 'agent' | 'admin'), key_prefix text,
+//           key_hash text UNIQUE (sha256 hex of the key), created_at timestamptz, last_used_at timestamptz,
+//           revoked_at timestamptz
+//
+// Roles are cumulative: viewer reads, agent also sends single messages and handles conversations,
+// admin also runs bulk sends, changes settings/auto-reply rules and controls sessions and keys.
+// Only the hash is stored; the key itself is shown once, when it's created.
+//
+// API_ADMIN_KEY (env) is an admin key that isn't stored in the table, used to create the first keys.
+// Clients send the key in the X-API-Key header or as Authorization: Bearer <key>
+// (WebSocket clients that can't set headers may use ?api_key=<key> on the upgrade URL).
+
+const crypto = require('crypto');
+
+const ROLES = ['viewer', 'agent', 'admin'];
+const KEY_PREFIX = 'wpp_';
+const CACHE_TTL_MS = 60 * 1000;
+const LAST_USED_UPDATE_INTERVAL_MS = 5 * 60 * 1000;
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(String(key)).digest('hex');
+}
+
+function generateApiKey() {
+    return `${KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+}
+
+// True if `role` grants at least `requiredRole`
+function hasRole(role, requiredRole) {
+    const index = ROLES.indexOf(role);
+    return index !== -1 && index >= ROLES.indexOf(requiredRole);
+}
+
+// Reads the key from X-API-Key or Authorization: Bearer
+function readApiKey(req) {
+    const headerKey = req.headers['x-api-key'];
+    if (headerKey) return String(headerKey).trim();
+    const authorization = req.headers.authorization || '';
+    const match = /^Bearer\s+(.+)$/i.exec(authorization);
+    return match ? match[1].trim() : null;
+}
+
+// What is returned about a key (never the hash)
+function describeApiKey(row) {
+    return {
+        id: row.id,
+        name: row.name,
+        role: row.role,
+        key_prefix: row.key_prefix,
+        created_at: row.created_at,
+        last_used_at: row.last_used_at,
+        revoked_at: row.revoked_at
+    };
+}
+
+// Creates the key store. Lookups are cached for a minute so authenticated requests don't hit the DB
+// every time; revoking through revokeKey() takes effect at once.
+//
+// Key changes resolve with { apiKey } or { error, code } where code is
+// 'VALIDATION_ERROR', 'NOT_FOUND' or 'DB_ERROR'.
+function createApiKeyAuth({ supabase, adminKey = process.env.API_ADMIN_KEY }) {
+    const adminKeyHash = adminKey ? hashApiKey(adminKey) : null;
+    const cache = new Map(); // key_hash -> { apiKey, expiresAt }
+    const lastUsedUpdates = new Map(); // id -> timestamp of the last last_used_at write
+
+    if (!adminKey) {
+        console.warn('[Auth] API_ADMIN_KEY não definida. Apenas chaves cadastradas em api_keys serão aceitas.');
+    }
+
+    function touchLastUsed(apiKey) {
+        const now = Date.now();
+        if (now - (lastUsedUpdates.get(apiKey.id) || 0) < LAST_USED_UPDATE_INTERVAL_MS) return;
+        lastUsedUpdates.set(apiKey.id, now);
+        supabase
+            .from('api_keys')
+            .update({ last_used_at: new Date(now) })
+            .eq('id', apiKey.id)
+            .then(({ error }) => {
+                if (error) console.error(`[Auth] Erro Supabase ao registrar uso da chave ${apiKey.id}:`, error);
+            });
+    }
+
+    // Resolves with { id, name, role } for a valid key, or null (unknown, revoked or DB error)
+    async function authenticate(key) {
+        if (!key) return null;
+        const keyHash = hashApiKey(key);
+
+        if (adminKeyHash && crypto.timingSafeEqual(Buffer.from(keyHash), Buffer.from(adminKeyHash))) {
+            return { id: null, name: 'API_ADMIN_KEY', role: 'admin' };
+        }
+
+        const cached = cache.get(keyHash);
+        if (cached && cached.expiresAt > Date.now()) {
+            if (cached.apiKey) touchLastUsed(cached.apiKey);
+            return cached.apiKey;
+        }
+
+        try {
+            const { data, error } = await supabase
+                .from('api_keys')
+                .select('id, name, role, revoked_at')
+                .eq('key_hash', keyHash)
+                .maybeSingle();
+
+            if (error) {
+                console.error('[Auth] Erro Supabase ao validar chave de API:', error);
+                return null; // Not cached, so the next request tries again
+            }
+
+            const apiKey = data && !data.revoked_at && ROLES.includes(data.role)
+                ? { id: data.id, name: data.name, role: data.role }
+                : null;
+            cache.set(keyHash, { apiKey, expiresAt: Date.now() + CACHE_TTL_MS });
+            if (apiKey) touchLastUsed(apiKey);
+            return apiKey;
+        } catch (dbError) {
+            console.error('[Auth] Erro ao validar chave de API:', dbError);
+            return null;
+        }
+    }
+
+    // Express middleware: authenticates every request (401 without a valid key), stores the key in
+    // req.apiKey and logs the request with the key that made it once the response is sent.
+    function authenticateRequest(req, res, next) {
+        const startedAt = Date.now();
+        authenticate(readApiKey(req)).then(apiKey => {
+            const keyLabel = apiKey ? `'${apiKey.name}' (${apiKey.role})` : 'sem chave válida';
+            res.on('finish', () => {
+                console.log(`[API] ${req.method} ${req.originalUrl.split('?')[0]} -> ${res.statusCode} (${Date.now() - startedAt}ms) chave ${keyLabel}`);
+            });
+
+            if (!apiKey) {
+                return res.status(401).json({ status: 'error', message: 'Chave de API ausente ou inválida.' });
+            }
+            req.apiKey = apiKey;
+            next();
+        }).catch(next);
+    }
+
+    async function createKey(input) {
+        const name = typeof input?.name === 'string' ? input.name.trim().slice(0, 100) : '';
+        const role = input?.role;
+        const errors = {};
+        if (!name) errors.name = 'Informe um nome para a chave.';
+        if (!ROLES.includes(role)) errors.role = `Deve ser um de: ${ROLES.join(', ')}.`;
+        if (Object.keys(errors).length > 0) {
+            return { error: 'Chave de API inválida.', code: 'VALIDATION_ERROR', errors };
+        }
+
+        const key = generateApiKey();
+        const { data, error } = await supabase
+            .from('api_keys')
+            .insert({
+                name,
+                role,
+                key_prefix: key.slice(0, KEY_PREFIX.length + 6),
+                key_hash: hashApiKey(key),
+                created_at: new Date()
+            })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('[Auth] Erro Supabase ao criar chave de API:', error);
+            return { error: 'Falha ao salvar a chave de API no banco de dados.', code: 'DB_ERROR' };
+        }
+        console.log(`[Auth] Chave de API ${data.id} ('${name}', ${role}) criada.`);
+        // The only time the key itself is returned
+        return { apiKey: { ...describeApiKey(data), key } };
+    }
+
+    // Returns every key (revoked ones included), or null on error
+    async function listKeys() {
+        const { data, error } = await supabase
+            .from('api_keys')
+            .select('id, name, role, key_prefix, created_at, last_used_at, revoked_at')
+            .order('created_at', { ascending: false });
+
+        if (error) {
+            console.error('[Auth] Erro Supabase ao listar chaves de API:', error);
+            return null;
+        }
+        return (data || []).map(describeApiKey);
+    }
+
+    async function revokeKey(keyId) {
+        const { data, error } = await supabase
+            .from('api_keys')
+            .update({ revoked_at: new Date() })
+            .eq('id', keyId)
+            .is('revoked_at', null)
+            .select();
+
+        if (error) {
+            console.error(`[Auth] Erro Supabase ao revogar chave de API ${keyId}:`, error);
+            return { error: 'Falha ao revogar a chave de API.', code: 'DB_ERROR' };
+        }
+        if (!data || data.length === 0) {
+            return { error: 'Chave de API não encontrada ou já revogada.', code: 'NOT_FOUND' };
+        }
+        cache.clear();
+        console.log(`[Auth] Chave de API ${keyId} ('${data[0].name}') revogada.`);
+        return { apiKey: describeApiKey(data[0]) };
+    }
+
+    return { authenticate, authenticateRequest, createKey, listKeys, revokeKey };
+}
+
+// Express middleware for a route that needs at least `role` (use after authenticateRequest)
+function requireRole(role) {
+    return (req, res, next) => {
+        if (!req.apiKey || !hasRole(req.apiKey.role, role)) {
+            return res.status(403).json({ status: 'error', message: `Permissão insuficiente. Esta operação requer o papel '${role}'.` });
+        }
+        next();
+    };
+}
+
+module.exports = {
+    ROLES,
+    hasRole,
+    readApiKey,
+    requireRole,
+    createApiKeyAuth
+};
@@ -0,0 +1,389 @@
+// Rule-based auto-responder for inbound messages.
+//
+// auto_reply_rules: id bigserial PK, name text, match_type text ('keyword' | 'regex' | 'any'),
+//                   pattern text, schedule text ('always' | 'business_hours' | 'after_hours'),
+//                   scope text ('private' | 'group' | 'all'), response text, priority integer, enabled boolean,
+//                   created_at timestamptz, updated_at timestamptz
+//
+// match_type 'keyword': pattern is a comma separated list of words/phrases; matches when the message
+//                       contains one of them (ignoring case, accents and punctuation)
+// match_type 'regex':   pattern is a case-insensitive regular expression tested against the message.
+//                       Patterns that repeat a group which itself repeats, like (a+)+, are refused:
+//                       they can backtrack for minutes on one message and block every session.
+// match_type 'any':     matches every message (greetings, after-hours notices)
+//
+// Rules are tried by priority (lowest first). The first enabled rule that matches the message and
+// the current schedule wins; when none does, the auto_reply_message setting is used. The same reply
+// isn't sent to the same contact again within auto_reply_cooldown_minutes.
+//
+// scope says which chats a rule answers: private chats (the default), groups or both. Groups only get
+// replies when the group_messages setting is 'auto_reply', and never the auto_reply_message fallback.
+
+const { normalizeText } = require('./utils');
+const { isWithinWindow } = require('./time-windows');
+
+const MATCH_TYPES = ['keyword', 'regex', 'any'];
+const RULE_SCHEDULES = ['always', 'business_hours', 'after_hours'];
+const RULE_SCOPES = ['private', 'group', 'all'];
+const MAX_PATTERN_LENGTH = 500;
+const MAX_COOLDOWN_ENTRIES = 10000;
+
+function splitKeywords(pattern) {
+    return String(pattern || '').split(',').map(keyword => normalizeText(keyword)).filter(Boolean);
+}
+
+// Validates a rule body from POST/PUT /auto-reply/rules. With `partial`, missing fields are left alone.
+// Returns { values, errors } where errors maps field -> reason.
+function validateRuleInput(input, { partial = false } = {}) {
+    const values = {};
+    const errors = {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { values, errors: { _body: 'O corpo da requisição deve ser um objeto JSON.' } };
+    }
+    const has = (field) => input[field] !== undefined;
+
+    if (has('name') || !partial) {
+        if (typeof input.name !== 'string' || !input.name.trim()) errors.name = 'Informe um nome para a regra.';
+        else values.name = input.name.trim().slice(0, 100);
+    }
+    if (has('match_type') || !partial) {
+        if (!MATCH_TYPES.includes(input.match_type)) errors.match_type = `Deve ser um de: ${MATCH_TYPES.join(', ')}.`;
+        else values.match_type = input.match_type;
+    }
+    if (has('schedule')) {
+        if (!RULE_SCHEDULES.includes(input.schedule)) errors.schedule = `Deve ser um de: ${RULE_SCHEDULES.join(', ')}.`;
+        else values.schedule = input.schedule;
+    } else if (!partial) {
+        values.schedule = 'always';
+    }
+    if (has('scope')) {
+        if (!RULE_SCOPES.includes(input.scope)) errors.scope = `Deve ser um de: ${RULE_SCOPES.join(', ')}.`;
+        else values.scope = input.scope;
+    } else if (!partial) {
+        values.scope = 'private';
+    }
+    if (has('response') || !partial) {
+        if (typeof input.response !== 'string' || !input.response.trim()) errors.response = 'Informe o texto da resposta.';
+        else if (input.response.length > 4096) errors.response = 'Deve ter no máximo 4096 caracteres.';
+        else values.response = input.response.trim();
+    }
+    if (has('pattern')) {
+        if (input.pattern !== null && typeof input.pattern !== 'string') errors.pattern = 'Deve ser um texto.';
+        else if (input.pattern && input.pattern.length > MAX_PATTERN_LENGTH) errors.pattern = `Deve ter no máximo ${MAX_PATTERN_LENGTH} caracteres.`;
+        else values.pattern = input.pattern ? input.pattern.trim() : null;
+    }
+    if (has('priority')) {
+        const priority = Number(input.priority);
+        if (!Number.isInteger(priority)) errors.priority = 'Deve ser um número inteiro.';
+        else values.priority = priority;
+    } else if (!partial) {
+        values.priority = 100;
+    }
+    if (has('enabled')) {
+        if (typeof input.enabled !== 'boolean') errors.enabled = 'Deve ser true ou false.';
+        else values.enabled = input.enabled;
+    } else if (!partial) {
+        values.enabled = true;
+    }
+
+    return { values, errors };
+}
+
+// True when a quantified group (+, * or {n,}) contains another quantifier, e.g. (a+)+ or (\w*\s?)*
+function hasNestedQuantifier(pattern) {
+    const enclosing = []; // For each open group: whether the text before it (at its level) repeats
+    let repeats = false;
+    for (let i = 0; i < pattern.length; i++) {
+        const char = pattern[i];
+        if (char === '\\') {
+            i++;
+        } else if (char === '[') {
+            // Character class: quantifier characters inside it are literals
+            i++;
+            if (pattern[i] === ']') i++;
+            while (i < pattern.length && pattern[i] !== ']') {
+                if (pattern[i] === '\\') i++;
+                i++;
+            }
+        } else if (char === '(') {
+            enclosing.push(repeats);
+            repeats = false;
+        } else if (char === ')') {
+            const groupRepeats = repeats;
+            repeats = enclosing.pop() || groupRepeats;
+            if (groupRepeats && '+*{'.includes(pattern[i + 1])) return true;
+        } else if ('+*{'.includes(char)) {
+            repeats = true;
+        }
+    }
+    return false;
+}
+
+// RegExp of a 'regex' rule, or null when the pattern is invalid or refused (see hasNestedQuantifier)
+function compileRulePattern(pattern) {
+    if (!pattern || hasNestedQuantifier(pattern)) return null;
+    try {
+        return new RegExp(pattern, 'i');
+    } catch (e) {
+        return null;
+    }
+}
+
+// Checks the pattern against the match type, for the rule as it'll be after the update
+function validateRulePattern(rule) {
+    if (rule.match_type === 'keyword' && splitKeywords(rule.pattern).length === 0) {
+        return 'Informe ao menos uma palavra-chave (separadas por vírgula).';
+    }
+    if (rule.match_type === 'regex') {
+        if (!rule.pattern) return 'Informe a expressão regular.';
+        try {
+            new RegExp(rule.pattern, 'i');
+        } catch (e) {
+            return `Expressão regular inválida: ${e.message}`;
+        }
+        if (hasNestedQuantifier(rule.pattern)) {
+            return 'Expressão regular recusada: repetição aninhada, como (a+)+, pode travar o servidor.';
+        }
+    }
+    return null;
+}
+
+// regex: the compiled pattern of a 'regex' rule (null never matches)
+function ruleMatchesMessage(rule, messageBody, regex = null) {
+    if (rule.match_type === 'any') return true;
+    if (!messageBody) return false;
+
+    if (rule.match_type === 'keyword') {
+        const normalizedBody = ` ${normalizeText(messageBody)} `;
+        return splitKeywords(rule.pattern).some(keyword => normalizedBody.includes(` ${keyword} `));
+    }
+    if (rule.match_type === 'regex') {
+        return regex ? regex.test(messageBody) : false;
+    }
+    return false;
+}
+
+function isBusinessHours(settings, now) {
+    return isWithinWindow(now, {
+        days: settings.business_hours_days,
+        start: settings.business_hours_start,
+        end: settings.business_hours_end,
+        timezone: settings.business_hours_timezone
+    });
+}
+
+function ruleMatchesScope(rule, isGroup) {
+    const scope = rule.scope || 'private';
+    return scope === 'all' || scope === (isGroup ? 'group' : 'private');
+}
+
+function ruleMatchesSchedule(rule, settings, now) {
+    if (rule.schedule === 'business_hours') return isBusinessHours(settings, now);
+    if (rule.schedule === 'after_hours') return !isBusinessHours(settings, now);
+    return true;
+}
+
+// Returns every rule ordered by priority, or null on error
+async function listRules(supabase) {
+    try {
+        const { data, error } = await supabase
+            .from('auto_reply_rules')
+            .select('*')
+            .order('priority', { ascending: true })
+            .order('id', { ascending: true });
+
+        if (error) {
+            console.error('[Auto-Reply] Erro Supabase ao listar regras:', error);
+            return null;
+        }
+        return data || [];
+    } catch (dbError) {
+        console.error('[Auto-Reply] Erro ao listar regras:', dbError);
+        return null;
+    }
+}
+
+async function getRule(supabase, ruleId) {
+    try {
+        const { data, error } = await supabase
+            .from('auto_reply_rules')
+            .select('*')
+            .eq('id', ruleId)
+            .maybeSingle();
+
+        if (error) {
+            console.error(`[Auto-Reply] Erro Supabase ao buscar regra ${ruleId}:`, error);
+            return null;
+        }
+        return data;
+    } catch (dbError) {
+        console.error(`[Auto-Reply] Erro ao buscar regra ${ruleId}:`, dbError);
+        return null;
+    }
+}
+
+// Creates the auto-responder. Rules are cached in memory and reloaded after every change made
+// through it; per-contact cooldowns are kept in memory too, so a restart forgets them.
+//
+// Rule changes resolve with { rule } or { error, code, errors } where code is
+// 'VALIDATION_ERROR', 'NOT_FOUND' or 'DB_ERROR'.
+function createAutoResponder({ supabase, wss, getSettings }) {
+    let rules = [];
+    let compiledPatterns = new Map(); // rule id -> RegExp, for 'regex' rules
+    const lastReplies = new Map(); // `${contact}:${ruleKey}` -> timestamp of the last reply
+
+    async function reload() {
+        const loaded = await listRules(supabase);
+        if (loaded) {
+            rules = loaded;
+            compiledPatterns = new Map();
+            for (const rule of rules.filter(candidate => candidate.match_type === 'regex')) {
+                const regex = compileRulePattern(rule.pattern);
+                if (regex) {
+                    compiledPatterns.set(rule.id, regex);
+                } else {
+                    // Validated on save; rules edited directly in the DB are skipped
+                    console.warn(`[Auto-Reply] Regra ${rule.id} ('${rule.name}') ignorada: expressão regular inválida ou recusada.`);
+                }
+            }
+            if (wss && typeof wss.broadcast === 'function') {
+                wss.broadcast({ type: 'auto_reply_rules', payload: rules });
+            }
+        }
+        return rules;
+    }
+
+    function getRules() {
+        return rules.slice();
+    }
+
+    function isCoolingDown(cooldownKey, cooldownMs, now) {
+        const last = lastReplies.get(cooldownKey);
+        return last !== undefined && now - last < cooldownMs;
+    }
+
+    function pruneCooldowns(cooldownMs, now) {
+        if (lastReplies.size < MAX_COOLDOWN_ENTRIES) return;
+        for (const [key, timestamp] of lastReplies) {
+            if (now - timestamp >= cooldownMs) lastReplies.delete(key);
+        }
+    }
+
+    // Picks the reply for an inbound message. Returns { ruleId, ruleName, text } or null when no reply
+    // should be sent (disabled, nothing matches, or the contact already got this reply recently).
+    // isGroup: the message came from a group chat (contact is then the group). Call markReplied() once
+    // the reply was actually sent.
+    function findReply(messageBody, contact, senderName, { isGroup = false, now = new Date() } = {}) {
+        const settings = getSettings();
+        if (!settings.auto_reply_enabled) return null;
+        if (isGroup && settings.group_messages !== 'auto_reply') return null;
+
+        const rule = rules.find(candidate => candidate.enabled &&
+            ruleMatchesScope(candidate, isGroup) &&
+            ruleMatchesSchedule(candidate, settings, now) &&
+            ruleMatchesMessage(candidate, messageBody, compiledPatterns.get(candidate.id)));
+
+        const reply = rule
+            ? { ruleId: rule.id, ruleName: rule.name, text: rule.response }
+            : { ruleId: null, ruleName: 'padrão', text: isGroup ? null : settings.auto_reply_message };
+        if (!reply.text) return null;
+
+        const cooldownMs = settings.auto_reply_cooldown_minutes * 60 * 1000;
+        const cooldownKey = `${contact}:${reply.ruleId === null ? 'default' : reply.ruleId}`;
+        if (cooldownMs > 0 && isCoolingDown(cooldownKey, cooldownMs, now.getTime())) {
+            console.log(`[Auto-Reply] ${contact} já recebeu a resposta '${reply.ruleName}' recentemente. Ignorando.`);
+            return null;
+        }
+
+        return { ...reply, cooldownKey, text: reply.text.replace(/\{nome\}/gi, () => senderName) };
+    }
+
+    function markReplied(reply, now = new Date()) {
+        const cooldownMs = getSettings().auto_reply_cooldown_minutes * 60 * 1000;
+        pruneCooldowns(cooldownMs, now.getTime());
+        lastReplies.set(reply.cooldownKey, now.getTime());
+    }
+
+    async function createRule(input) {
+        const { values, errors } = validateRuleInput(input);
+        const patternError = Object.keys(errors).length === 0 ? validateRulePattern(values) : null;
+        if (patternError) errors.pattern = patternError;
+        if (Object.keys(errors).length > 0) {
+            return { error: 'Regra inválida.', code: 'VALIDATION_ERROR', errors };
+        }
+
+        const { data, error } = await supabase
+            .from('auto_reply_rules')
+            .insert({ ...values, pattern: values.pattern || null, created_at: new Date(), updated_at: new Date() })
+            .select()
+            .single();
+
+        if (error) {
+            console.error('[Auto-Reply] Erro Supabase ao criar regra:', error);
+            return { error: 'Falha ao salvar a regra no banco de dados.', code: 'DB_ERROR' };
+        }
+        console.log(`[Auto-Reply] Regra ${data.id} ('${data.name}') criada.`);
+        await reload();
+        return { rule: data };
+    }
+
+    async function updateRule(ruleId, input) {
+        const existing = await getRule(supabase, ruleId);
+        if (!existing) {
+            return { error: 'Regra não encontrada.', code: 'NOT_FOUND' };
+        }
+
+        const { values, errors } = validateRuleInput(input, { partial: true });
+        const patternError = Object.keys(errors).length === 0 ? validateRulePattern({ ...existing, ...values }) : null;
+        if (patternError) errors.pattern = patternError;
+        if (Object.keys(errors).length > 0) {
+            return { error: 'Regra inválida.', code: 'VALIDATION_ERROR', errors };
+        }
+
+        const { data, error } = await supabase
+            .from('auto_reply_rules')
+            .update({ ...values, updated_at: new Date() })
+            .eq('id', ruleId)
+            .select()
+            .single();
+
+        if (error) {
+            console.error(`[Auto-Reply] Erro Supabase ao atualizar regra ${ruleId}:`, error);
+            return { error: 'Falha ao atualizar a regra no banco de dados.', code: 'DB_ERROR' };
+        }
+        await reload();
+        return { rule: data };
+    }
+
+    async function deleteRule(ruleId) {
+        const { data, error } = await supabase
+            .from('auto_reply_rules')
+            .delete()
+            .eq('id', ruleId)
+            .select();
+
+        if (error) {
+            console.error(`[Auto-Reply] Erro Supabase ao remover regra ${ruleId}:`, error);
+            return { error: 'Falha ao remover a regra do banco de dados.', code: 'DB_ERROR' };
+        }
+        if (!data || data.length === 0) {
+            return { error: 'Regra não encontrada.', code: 'NOT_FOUND' };
+        }
+        console.log(`[Auto-Reply] Regra ${ruleId} removida.`);
+        await reload();
+        return { rule: data[0] };
+    }
+
+    return { reload, getRules, findReply, markReplied, createRule, updateRule, deleteRule };
+}
+
+module.exports = {
+    MATCH_TYPES,
+    RULE_SCHEDULES,
+    RULE_SCOPES,
+    validateRuleInput,
+    validateRulePattern,
+    ruleMatchesMessage,
+    createAutoResponder
+};
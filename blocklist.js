@@ -0,0 +1,144 @@
+// Opt-out handling (LGPD): numbers in contacts_blocklist never receive bulk or manual messages.
+//
+// contacts_blocklist: id bigserial PK, number text UNIQUE (E.164 digits, see phone-numbers.js),
+//                     reason text, source text ('keyword' | 'manual'), created_at timestamptz
+//
+// Lookups also match the number without the Brazilian ninth digit, as older entries were stored
+// the way WhatsApp reported the sender.
+
+const { normalizeText } = require('./utils');
+const { getSettingValue } = require('./settings');
+const { normalizePhoneNumber, getNumberVariants } = require('./phone-numbers');
+
+// '+55 (11) 99999-9999', '(11) 9999-9999', '551199999999@c.us' -> '5511999999999'
+function normalizeBlocklistNumber(number) {
+    const normalized = normalizePhoneNumber(number, { defaultCountryCode: getSettingValue('default_country_code') });
+    return normalized ? normalized.digits : null;
+}
+
+// True when the whole message is one of the opt-out keywords. Only exact matches count, so
+// "não quero parar de receber" doesn't unsubscribe anyone.
+function isOptOutMessage(body, keywords) {
+    if (!body || !Array.isArray(keywords) || keywords.length === 0) return false;
+    const normalizedBody = normalizeText(body);
+    return normalizedBody !== '' && keywords.some(keyword => normalizeText(keyword) === normalizedBody);
+}
+
+async function isNumberBlocked(supabase, number) {
+    const normalized = normalizeBlocklistNumber(number);
+    if (!normalized) return false;
+
+    try {
+        const { data, error } = await supabase
+            .from('contacts_blocklist')
+            .select('id')
+            .in('number', getNumberVariants(normalized))
+            .limit(1);
+
+        if (error) {
+            console.error(`[Blocklist] Erro Supabase ao verificar ${normalized}:`, error);
+            // Fail closed: when in doubt, don't message someone who may have opted out
+            return true;
+        }
+        return !!data && data.length > 0;
+    } catch (dbError) {
+        console.error(`[Blocklist] Erro ao verificar ${normalized}:`, dbError);
+        return true;
+    }
+}
+
+async function getBlocklistEntry(supabase, number) {
+    const normalized = normalizeBlocklistNumber(number);
+    if (!normalized) return null;
+
+    const { data, error } = await supabase
+        .from('contacts_blocklist')
+        .select('*')
+        .in('number', getNumberVariants(normalized))
+        .limit(1)
+        .maybeSingle();
+
+    if (error) {
+        console.error(`[Blocklist] Erro Supabase ao buscar ${normalized}:`, error);
+        throw new Error('Falha ao consultar a lista de bloqueio.');
+    }
+    return data;
+}
+
+// Adds (or updates the reason of) a number. Returns the entry, or null on error/invalid number.
+async function addToBlocklist(supabase, number, { reason = null, source = 'manual' } = {}) {
+    const normalized = normalizeBlocklistNumber(number);
+    if (!normalized) return null;
+
+    try {
+        const { data, error } = await supabase
+            .from('contacts_blocklist')
+            .upsert({ number: normalized, reason: reason, source: source, created_at: new Date() }, { onConflict: 'number' })
+            .select()
+            .single();
+
+        if (error) {
+            console.error(`[Blocklist] Erro Supabase ao adicionar ${normalized}:`, error);
+            return null;
+        }
+        console.log(`[Blocklist] ${normalized} adicionado à lista de bloqueio (${source}).`);
+        return data;
+    } catch (dbError) {
+        console.error(`[Blocklist] Erro ao adicionar ${normalized}:`, dbError);
+        return null;
+    }
+}
+
+// Returns the removed entry, null if the number wasn't listed. Throws on DB errors.
+async function removeFromBlocklist(supabase, number) {
+    const normalized = normalizeBlocklistNumber(number);
+    if (!normalized) return null;
+
+    const { data, error } = await supabase
+        .from('contacts_blocklist')
+        .delete()
+        .in('number', getNumberVariants(normalized))
+        .select();
+
+    if (error) {
+        console.error(`[Blocklist] Erro Supabase ao remover ${normalized}:`, error);
+        throw new Error('Falha ao remover número da lista de bloqueio.');
+    }
+    return data && data.length > 0 ? data[0] : null;
+}
+
+// Returns { entries, total } newest first, or null on error. `search` matches part of the number.
+async function listBlocklist(supabase, { search = null, limit = 50, offset = 0 } = {}) {
+    try {
+        let query = supabase
+            .from('contacts_blocklist')
+            .select('*', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        const searchDigits = search ? String(search).replace(/\D/g, '') : '';
+        if (searchDigits) {
+            query = query.ilike('number', `%${searchDigits}%`);
+        }
+
+        const { data, error, count } = await query;
+        if (error) {
+            console.error('[Blocklist] Erro Supabase ao listar:', error);
+            return null;
+        }
+        return { entries: data || [], total: count || 0 };
+    } catch (dbError) {
+        console.error('[Blocklist] Erro ao listar:', dbError);
+        return null;
+    }
+}
+
+module.exports = {
+    normalizeBlocklistNumber,
+    isOptOutMessage,
+    isNumberBlocked,
+    getBlocklistEntry,
+    addToBlocklist,
+    removeFromBlocklist,
+    listBlocklist
+};
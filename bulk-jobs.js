@@ -0,0 +1,449 @@
+// DB helpers for persisted bulk jobs.
+//
+// bulk_jobs:  id uuid PK, session_id text FK whatsapp_sessions.id, state text, message_template text, media_data text (base64), media_mime_type text,
+//             media_filename text, content_options jsonb (see outbound-content.js), total int, sent_count int, failed_count int, error_message text, scheduled_at timestamptz,
+//             created_at timestamptz, started_at timestamptz, finished_at timestamptz,
+//             validation_report jsonb (CSV validation report minus the valid rows, or the segment summary; see csv-processor.js),
+//             segment_id bigint FK contact_segments.id ON DELETE SET NULL (jobs sent to a segment, see contacts.js)
+// bulk_queue: id bigserial PK, bulk_job_id uuid FK, position int, recipient_number text, recipient_name text,
+//             cpf text, variables jsonb (every CSV column, for the template), status text, message_db_id FK messages.id, message_id text, error_message text,
+//             attempted_at timestamptz, updated_at timestamptz
+//
+// Job states:       [scheduled ->] queued -> running -> completed | failed
+//                   queued | running <-> paused, and scheduled | queued | running | paused -> cancelled
+// Recipient states: queued -> sending -> sent | failed | skipped_duplicate | skipped_optout, queued -> cancelled
+const crypto = require('crypto');
+
+const QUEUE_INSERT_CHUNK_SIZE = 500;
+const ACTIVE_JOB_STATES = ['queued', 'running'];
+const JOB_STATES = ['scheduled', 'queued', 'running', 'paused', 'completed', 'failed', 'cancelled'];
+// Every bulk_jobs column except media_data and validation_report, for listings and reports
+const JOB_SUMMARY_COLUMNS = 'id, session_id, state, message_template, media_mime_type, media_filename, content_options, total, sent_count, failed_count, error_message, scheduled_at, created_at, started_at, finished_at, segment_id';
+const RECIPIENT_STATUSES = ['queued', 'sending', 'sent', 'failed', 'skipped_duplicate', 'skipped_optout', 'cancelled'];
+
+// Allowed operator actions on a job: which states they apply to and the state they lead to
+const JOB_CONTROL_TRANSITIONS = {
+    pause: { from: ['queued', 'running'], to: () => 'paused' },
+    // A paused job goes back to 'running' if it had started, else to 'queued'
+    resume: { from: ['paused'], to: (job) => job.started_at ? 'running' : 'queued' },
+    cancel: { from: ['scheduled', 'queued', 'running', 'paused'], to: () => 'cancelled' }
+};
+
+// Creates the bulk_jobs record plus one bulk_queue row per recipient. With scheduledAt the job
+// starts as 'scheduled' and the worker ignores it until the scheduler releases it.
+// Returns the created job row, or null if anything failed (partial inserts are rolled back).
+async function createBulkJob(supabase, { messageTemplate, mediaBuffer = null, mediaMimeType = null, mediaFilename = null, contentOptions = null, records, validationReport = null, scheduledAt = null, sessionId = null, segmentId = null }) {
+    const jobId = crypto.randomUUID();
+    const jobData = {
+        id: jobId,
+        session_id: sessionId,
+        state: scheduledAt ? 'scheduled' : 'queued',
+        scheduled_at: scheduledAt,
+        message_template: messageTemplate || '',
+        media_data: mediaBuffer ? mediaBuffer.toString('base64') : null,
+        media_mime_type: mediaBuffer ? mediaMimeType : null,
+        media_filename: mediaBuffer ? mediaFilename : null,
+        content_options: contentOptions,
+        validation_report: validationReport,
+        segment_id: segmentId,
+        total: records.length,
+        sent_count: 0,
+        failed_count: 0,
+        created_at: new Date()
+    };
+
+    try {
+        const { data: job, error: jobError } = await supabase
+            .from('bulk_jobs')
+            .insert(jobData)
+            .select()
+            .single();
+
+        if (jobError) {
+            console.error('[Bulk Jobs] Supabase error creating job:', jobError);
+            return null;
+        }
+
+        const queueRows = records.map((record, index) => ({
+            bulk_job_id: jobId,
+            position: index,
+            recipient_number: record.number,
+            recipient_name: record.name,
+            cpf: record.cpf || null,
+            variables: record.fields || null,
+            status: 'queued'
+        }));
+
+        for (let i = 0; i < queueRows.length; i += QUEUE_INSERT_CHUNK_SIZE) {
+            const { error: queueError } = await supabase
+                .from('bulk_queue')
+                .insert(queueRows.slice(i, i + QUEUE_INSERT_CHUNK_SIZE));
+
+            if (queueError) {
+                console.error(`[Bulk Jobs] Supabase error inserting queue rows for job ${jobId}:`, queueError);
+                await supabase.from('bulk_queue').delete().eq('bulk_job_id', jobId);
+                await supabase.from('bulk_jobs').delete().eq('id', jobId);
+                return null;
+            }
+        }
+
+        return job;
+    } catch (dbError) {
+        console.error('[Bulk Jobs] Error creating bulk job:', dbError);
+        return null;
+    }
+}
+
+async function getBulkJob(supabase, jobId) {
+    try {
+        const { data, error } = await supabase
+            .from('bulk_jobs')
+            .select('*')
+            .eq('id', jobId)
+            .maybeSingle();
+
+        if (error) {
+            console.error(`[Bulk Jobs] Supabase error fetching job ${jobId}:`, error);
+            return null;
+        }
+        return data;
+    } catch (dbError) {
+        console.error(`[Bulk Jobs] Error fetching job ${jobId}:`, dbError);
+        return null;
+    }
+}
+
+// Lists jobs newest first, without the (potentially large) media payload.
+// Returns { jobs, total } or null on error.
+async function listBulkJobs(supabase, { state = null, sessionId = null, limit = 20, offset = 0 } = {}) {
+    try {
+        let query = supabase
+            .from('bulk_jobs')
+            .select(JOB_SUMMARY_COLUMNS, { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (state) {
+            query = query.eq('state', state);
+        }
+        if (sessionId) {
+            query = query.eq('session_id', sessionId);
+        }
+
+        const { data, error, count } = await query;
+        if (error) {
+            console.error('[Bulk Jobs] Supabase error listing jobs:', error);
+            return null;
+        }
+        return { jobs: data || [], total: count || 0 };
+    } catch (dbError) {
+        console.error('[Bulk Jobs] Error listing jobs:', dbError);
+        return null;
+    }
+}
+
+// Returns a page of a job's recipients ordered by CSV position, or null on error
+async function listRecipients(supabase, jobId, { status = null, limit = 100, offset = 0 } = {}) {
+    try {
+        let query = supabase
+            .from('bulk_queue')
+            .select('*')
+            .eq('bulk_job_id', jobId)
+            .order('position', { ascending: true })
+            .range(offset, offset + limit - 1);
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+
+        const { data, error } = await query;
+        if (error) {
+            console.error(`[Bulk Jobs] Supabase error listing recipients for job ${jobId}:`, error);
+            return null;
+        }
+        return data || [];
+    } catch (dbError) {
+        console.error(`[Bulk Jobs] Error listing recipients for job ${jobId}:`, dbError);
+        return null;
+    }
+}
+
+// Returns the session's oldest job that still has work to do (queued, or running when the process stopped)
+async function getNextActiveJob(supabase, sessionId) {
+    try {
+        const { data, error } = await supabase
+            .from('bulk_jobs')
+            .select('*')
+            .eq('session_id', sessionId)
+            .in('state', ACTIVE_JOB_STATES)
+            .order('created_at', { ascending: true })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) {
+            console.error('[Bulk Jobs] Supabase error fetching next active job:', error);
+            return null;
+        }
+        return data;
+    } catch (dbError) {
+        console.error('[Bulk Jobs] Error fetching next active job:', dbError);
+        return null;
+    }
+}
+
+async function updateBulkJob(supabase, jobId, updateData) {
+    try {
+        const { data, error } = await supabase
+            .from('bulk_jobs')
+            .update(updateData)
+            .eq('id', jobId)
+            .select()
+            .single();
+
+        if (error) {
+            console.error(`[Bulk Jobs] Supabase error updating job ${jobId}:`, error);
+            return null;
+        }
+        return data;
+    } catch (dbError) {
+        console.error(`[Bulk Jobs] Error updating job ${jobId}:`, dbError);
+        return null;
+    }
+}
+
+// Updates a job only if it's still in one of the expected states (guards against racing controls).
+// Returns the updated row, or null if the state changed meanwhile or the update failed.
+async function transitionBulkJobState(supabase, jobId, fromStates, updateData) {
+    try {
+        const { data, error } = await supabase
+            .from('bulk_jobs')
+            .update(updateData)
+            .eq('id', jobId)
+            .in('state', fromStates)
+            .select();
+
+        if (error) {
+            console.error(`[Bulk Jobs] Supabase error changing state of job ${jobId}:`, error);
+            return null;
+        }
+        return Array.isArray(data) && data.length === 1 ? data[0] : null;
+    } catch (dbError) {
+        console.error(`[Bulk Jobs] Error changing state of job ${jobId}:`, dbError);
+        return null;
+    }
+}
+
+// Marks every recipient that hasn't been attempted yet as 'cancelled'
+async function cancelQueuedRecipients(supabase, jobId) {
+    try {
+        const { error } = await supabase
+            .from('bulk_queue')
+            .update({ status: 'cancelled', updated_at: new Date() })
+            .eq('bulk_job_id', jobId)
+            .eq('status', 'queued');
+
+        if (error) {
+            console.error(`[Bulk Jobs] Supabase error cancelling queued recipients for job ${jobId}:`, error);
+            return false;
+        }
+        return true;
+    } catch (dbError) {
+        console.error(`[Bulk Jobs] Error cancelling queued recipients for job ${jobId}:`, dbError);
+        return false;
+    }
+}
+
+// Returns the lowest-position recipient still waiting to be sent, or null when none is left.
+// Throws on DB errors, so a failed lookup is never mistaken for an empty queue.
+async function getNextQueuedRecipient(supabase, jobId) {
+    const { data, error } = await supabase
+        .from('bulk_queue')
+        .select('*')
+        .eq('bulk_job_id', jobId)
+        .eq('status', 'queued')
+        .order('position', { ascending: true })
+        .limit(1)
+        .maybeSingle();
+
+    if (error) {
+        console.error(`[Bulk Jobs] Supabase error fetching next recipient for job ${jobId}:`, error);
+        throw new Error(`Failed to fetch next recipient for job ${jobId}: ${error.message}`);
+    }
+    return data;
+}
+
+// Atomically moves a recipient from 'queued' to 'sending'. Returns false if another
+// worker (or a previous run) already took it. Throws on DB errors, like getNextQueuedRecipient.
+async function claimRecipient(supabase, queueRowId) {
+    const { data, error } = await supabase
+        .from('bulk_queue')
+        .update({ status: 'sending', attempted_at: new Date(), updated_at: new Date() })
+        .eq('id', queueRowId)
+        .eq('status', 'queued')
+        .select('id');
+
+    if (error) {
+        console.error(`[Bulk Jobs] Supabase error claiming queue row ${queueRowId}:`, error);
+        throw new Error(`Failed to claim queue row ${queueRowId}: ${error.message}`);
+    }
+    return Array.isArray(data) && data.length === 1;
+}
+
+async function updateRecipient(supabase, queueRowId, updateData) {
+    try {
+        const { error } = await supabase
+            .from('bulk_queue')
+            .update({ ...updateData, updated_at: new Date() })
+            .eq('id', queueRowId);
+
+        if (error) {
+            console.error(`[Bulk Jobs] Supabase error updating queue row ${queueRowId}:`, error);
+            return false;
+        }
+        return true;
+    } catch (dbError) {
+        console.error(`[Bulk Jobs] Error updating queue row ${queueRowId}:`, dbError);
+        return false;
+    }
+}
+
+// True if this job already delivered to the given number (guards against CSV duplicates and retries)
+async function wasRecipientSent(supabase, jobId, recipientNumber) {
+    try {
+        const { count, error } = await supabase
+            .from('bulk_queue')
+            .select('id', { count: 'exact', head: true })
+            .eq('bulk_job_id', jobId)
+            .eq('recipient_number', recipientNumber)
+            .eq('status', 'sent');
+
+        if (error) {
+            console.error(`[Bulk Jobs] Supabase error checking sent state for ${recipientNumber} in job ${jobId}:`, error);
+            // Fail closed: treat as sent so we never double-send because of a DB hiccup
+            return true;
+        }
+        return count > 0;
+    } catch (dbError) {
+        console.error(`[Bulk Jobs] Error checking sent state for ${recipientNumber} in job ${jobId}:`, dbError);
+        return true;
+    }
+}
+
+// Resolves recipients left in 'sending' by a crash or restart.
+// Rows that never reached WhatsApp go back to 'queued'. Rows whose message record got a WA ID
+// were delivered and are marked 'sent'. Anything in between can't be verified and is marked
+// 'failed' rather than risking a duplicate message.
+async function recoverInterruptedRecipients(supabase, jobId) {
+    try {
+        const { data: rows, error } = await supabase
+            .from('bulk_queue')
+            .select('id, message_db_id')
+            .eq('bulk_job_id', jobId)
+            .eq('status', 'sending');
+
+        if (error) {
+            console.error(`[Bulk Jobs] Supabase error fetching interrupted rows for job ${jobId}:`, error);
+            return;
+        }
+
+        for (const row of rows || []) {
+            if (!row.message_db_id) {
+                await updateRecipient(supabase, row.id, { status: 'queued' });
+                continue;
+            }
+
+            const { data: message } = await supabase
+                .from('messages')
+                .select('message_id')
+                .eq('id', row.message_db_id)
+                .maybeSingle();
+
+            if (message && message.message_id) {
+                await updateRecipient(supabase, row.id, { status: 'sent', message_id: message.message_id });
+            } else {
+                await updateRecipient(supabase, row.id, {
+                    status: 'failed',
+                    error_message: 'Envio interrompido por reinício; não reenviado para evitar duplicidade.'
+                });
+            }
+        }
+
+        if (rows && rows.length > 0) {
+            console.log(`[Bulk Jobs] Recovered ${rows.length} interrupted recipient(s) for job ${jobId}.`);
+        }
+    } catch (dbError) {
+        console.error(`[Bulk Jobs] Error recovering interrupted rows for job ${jobId}:`, dbError);
+    }
+}
+
+// Counts queue rows per status for a job, e.g. { queued: 10, sending: 0, sent: 5, failed: 1, ... }
+// Uses head-only count queries so large jobs aren't capped by the API row limit.
+// Returns null if any of the counts failed: partial counts would understate the job's progress.
+async function countRecipientsByStatus(supabase, jobId) {
+    const counts = {};
+    try {
+        const results = await Promise.all(RECIPIENT_STATUSES.map(status => supabase
+            .from('bulk_queue')
+            .select('id', { count: 'exact', head: true })
+            .eq('bulk_job_id', jobId)
+            .eq('status', status)));
+
+        for (let i = 0; i < RECIPIENT_STATUSES.length; i++) {
+            if (results[i].error) {
+                console.error(`[Bulk Jobs] Supabase error counting '${RECIPIENT_STATUSES[i]}' recipients for job ${jobId}:`, results[i].error);
+                return null;
+            }
+            counts[RECIPIENT_STATUSES[i]] = results[i].count || 0;
+        }
+        return counts;
+    } catch (dbError) {
+        console.error(`[Bulk Jobs] Error counting recipients for job ${jobId}:`, dbError);
+        return null;
+    }
+}
+
+// Counts jobs per state, e.g. { scheduled: 0, queued: 1, running: 1, ... }, or null on error
+async function countBulkJobsByState(supabase) {
+    const counts = {};
+    try {
+        const results = await Promise.all(JOB_STATES.map(state => supabase
+            .from('bulk_jobs')
+            .select('id', { count: 'exact', head: true })
+            .eq('state', state)));
+
+        for (let i = 0; i < JOB_STATES.length; i++) {
+            if (results[i].error) {
+                console.error(`[Bulk Jobs] Supabase error counting '${JOB_STATES[i]}' jobs:`, results[i].error);
+                return null;
+            }
+            counts[JOB_STATES[i]] = results[i].count || 0;
+        }
+        return counts;
+    } catch (dbError) {
+        console.error('[Bulk Jobs] Error counting jobs by state:', dbError);
+        return null;
+    }
+}
+
+module.exports = {
+    ACTIVE_JOB_STATES,
+    JOB_STATES,
+    JOB_SUMMARY_COLUMNS,
+    RECIPIENT_STATUSES,
+    JOB_CONTROL_TRANSITIONS,
+    createBulkJob,
+    getBulkJob,
+    listBulkJobs,
+    listRecipients,
+    getNextActiveJob,
+    updateBulkJob,
+    transitionBulkJobState,
+    cancelQueuedRecipients,
+    getNextQueuedRecipient,
+    claimRecipient,
+    updateRecipient,
+    wasRecipientSent,
+    recoverInterruptedRecipients,
+    countRecipientsByStatus,
+    countBulkJobsByState
+};
@@ -0,0 +1,161 @@
+// Reporting on bulk jobs: delivery/read counts come from the messages table, which message_ack
+// keeps up to date, while attempt outcomes (skipped, cancelled, ...) come from bulk_queue.
+const { JOB_SUMMARY_COLUMNS, listBulkJobs, listRecipients, countRecipientsByStatus } = require('./bulk-jobs');
+
+// Message statuses as maintained by the message_ack handler, plus 'skipped_optout' for blocked recipients
+const MESSAGE_STATUSES = ['pending', 'sent', 'delivered', 'read', 'error', 'skipped_optout'];
+const EXPORT_PAGE_SIZE = 1000;
+
+// Counts a job's messages per delivery status, e.g. { pending: 0, sent: 10, delivered: 30, read: 55, error: 5 }
+async function countMessagesByStatus(supabase, jobId) {
+    const counts = {};
+    await Promise.all(MESSAGE_STATUSES.map(async (status) => {
+        try {
+            const { count, error } = await supabase
+                .from('messages')
+                .select('id', { count: 'exact', head: true })
+                .eq('bulk_job_id', jobId)
+                .eq('status', status);
+
+            if (error) {
+                console.error(`[Bulk Reports] Supabase error counting '${status}' messages for job ${jobId}:`, error);
+            }
+            counts[status] = count || 0;
+        } catch (dbError) {
+            console.error(`[Bulk Reports] Error counting '${status}' messages for job ${jobId}:`, dbError);
+            counts[status] = 0;
+        }
+    }));
+    return counts;
+}
+
+// Delivery and read rates over the messages that actually reached WhatsApp.
+// A 'read' message was also delivered, so it counts towards both.
+function computeRates(messageCounts) {
+    const accepted = messageCounts.sent + messageCounts.delivered + messageCounts.read;
+    if (accepted === 0) {
+        return { delivery_rate: null, read_rate: null };
+    }
+    const round = (value) => Math.round(value * 10000) / 10000;
+    return {
+        delivery_rate: round((messageCounts.delivered + messageCounts.read) / accepted),
+        read_rate: round(messageCounts.read / accepted)
+    };
+}
+
+async function buildJobSummary(supabase, job) {
+    const messageCounts = await countMessagesByStatus(supabase, job.id);
+    return {
+        ...job,
+        status_counts: messageCounts,
+        ...computeRates(messageCounts)
+    };
+}
+
+// GET /bulk-jobs payload: a page of jobs with per-status counts. Returns null on DB error.
+async function getBulkJobSummaries(supabase, { state = null, sessionId = null, limit = 20, offset = 0 } = {}) {
+    const result = await listBulkJobs(supabase, { state, sessionId, limit, offset });
+    if (!result) return null;
+
+    const jobs = await Promise.all(result.jobs.map(job => buildJobSummary(supabase, job)));
+    return { jobs, total: result.total, limit, offset };
+}
+
+// GET /bulk-jobs/:id payload: summary plus queue breakdown and the CSV validation report. Returns null if the job doesn't exist.
+async function getBulkJobReport(supabase, jobId) {
+    const { data: job, error } = await supabase
+        .from('bulk_jobs')
+        .select(`${JOB_SUMMARY_COLUMNS}, validation_report`)
+        .eq('id', jobId)
+        .maybeSingle();
+
+    if (error) {
+        console.error(`[Bulk Reports] Supabase error fetching job ${jobId}:`, error);
+        throw new Error('Falha ao buscar envio em massa.');
+    }
+    if (!job) return null;
+
+    const summary = await buildJobSummary(supabase, job);
+    const queueCounts = await countRecipientsByStatus(supabase, jobId);
+    if (!queueCounts) throw new Error('Falha ao contar destinatários do envio em massa.');
+    summary.queue_counts = queueCounts;
+    return summary;
+}
+
+// Attaches the latest message status (from ACKs) to each queue row.
+async function attachMessageDetails(supabase, recipients) {
+    const messageDbIds = recipients.map(r => r.message_db_id).filter(Boolean);
+    const messagesById = {};
+
+    if (messageDbIds.length > 0) {
+        const { data, error } = await supabase
+            .from('messages')
+            .select('id, message_id, status, body, error_message, timestamp')
+            .in('id', messageDbIds);
+
+        if (error) {
+            console.error('[Bulk Reports] Supabase error fetching recipient messages:', error);
+            throw new Error('Falha ao buscar mensagens do envio em massa.');
+        }
+        for (const message of data || []) {
+            messagesById[message.id] = message;
+        }
+    }
+
+    return recipients.map(recipient => {
+        const message = recipient.message_db_id ? messagesById[recipient.message_db_id] : null;
+        return {
+            position: recipient.position,
+            recipient_number: recipient.recipient_number,
+            recipient_name: recipient.recipient_name,
+            cpf: recipient.cpf,
+            queue_status: recipient.status,
+            // Once sent, the message status (delivered/read/error) is the interesting one
+            status: recipient.status === 'sent' && message ? message.status : recipient.status,
+            message_id: recipient.message_id || message?.message_id || null,
+            body: message?.body || null,
+            error_message: recipient.error_message || message?.error_message || null,
+            attempted_at: recipient.attempted_at || null,
+            sent_at: message?.timestamp || null
+        };
+    });
+}
+
+// GET /bulk-jobs/:id/recipients payload (one page)
+async function getBulkJobRecipients(supabase, jobId, { status = null, limit = 100, offset = 0 } = {}) {
+    const recipients = await listRecipients(supabase, jobId, { status, limit, offset });
+    if (!recipients) {
+        throw new Error('Falha ao buscar destinatários do envio em massa.');
+    }
+    return attachMessageDetails(supabase, recipients);
+}
+
+function toCsvValue(value) {
+    if (value === null || value === undefined) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n;]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const EXPORT_COLUMNS = ['position', 'recipient_name', 'recipient_number', 'cpf', 'status', 'queue_status', 'message_id', 'sent_at', 'attempted_at', 'error_message', 'body'];
+
+// Builds the full per-recipient CSV for a job, paging through the queue so large jobs aren't truncated.
+async function buildBulkJobCsv(supabase, jobId) {
+    const lines = [EXPORT_COLUMNS.join(',')];
+    for (let offset = 0; ; offset += EXPORT_PAGE_SIZE) {
+        const rows = await getBulkJobRecipients(supabase, jobId, { limit: EXPORT_PAGE_SIZE, offset });
+        for (const row of rows) {
+            lines.push(EXPORT_COLUMNS.map(column => toCsvValue(row[column])).join(','));
+        }
+        if (rows.length < EXPORT_PAGE_SIZE) break;
+    }
+    return lines.join('\r\n') + '\r\n';
+}
+
+module.exports = {
+    MESSAGE_STATUSES,
+    countMessagesByStatus,
+    getBulkJobSummaries,
+    getBulkJobReport,
+    getBulkJobRecipients,
+    buildBulkJobCsv
+};
@@ -0,0 +1,445 @@
+const { MessageMedia } = require('whatsapp-web.js');
+
+const { saveMessageToDb, updateMessageStatusAndId, getClientInfo } = require('./utils');
+const {
+    ACTIVE_JOB_STATES,
+    JOB_CONTROL_TRANSITIONS,
+    getBulkJob,
+    getNextActiveJob,
+    updateBulkJob,
+    transitionBulkJobState,
+    cancelQueuedRecipients,
+    getNextQueuedRecipient,
+    claimRecipient,
+    updateRecipient,
+    wasRecipientSent,
+    recoverInterruptedRecipients,
+    countRecipientsByStatus
+} = require('./bulk-jobs');
+
+const { renderTemplate, buildRecipientVariables } = require('./template-engine');
+const { getSettingValue } = require('./settings');
+const { normalizePhoneNumber, resolveWhatsappId } = require('./phone-numbers');
+const { isNumberBlocked } = require('./blocklist');
+const { getOutboundMediaType, buildOutboundMessage, describeContent } = require('./outbound-content');
+
+const IDLE_POLL_INTERVAL_MS = 30000; // How often to look for jobs when nobody calls wake()
+const NOT_READY_POLL_INTERVAL_MS = 5000; // How often to re-check the client while it isn't READY
+const WINDOW_RECHECK_INTERVAL_MS = 60000; // How often to re-check the send window while it's closed
+const DB_RETRY_DELAY_MS = 10000; // Back-off after a failed queue lookup or count, before trying again
+
+// Renders the job template with the recipient's CSV columns (spintax is re-rolled per recipient)
+function renderRecipientMessage(job, recipient) {
+    const variables = buildRecipientVariables({
+        name: recipient.recipient_name,
+        number: recipient.recipient_number,
+        cpf: recipient.cpf,
+        fields: recipient.variables
+    });
+    const { text, missing } = renderTemplate(job.message_template, variables);
+    if (missing.length > 0) {
+        console.warn(`[Bulk Send] Job ${job.id}: no value for ${missing.map(name => `{${name}}`).join(', ')} for ${recipient.recipient_number}.`);
+    }
+    return text;
+}
+
+// Recipients that were attempted but didn't get the message (failed or skipped)
+function countUnsuccessful(counts) {
+    return (counts.failed || 0) + (counts.skipped_duplicate || 0) + (counts.skipped_optout || 0);
+}
+
+// Creates the background worker that drains persisted bulk jobs one recipient at a time.
+// The worker survives restarts because all progress lives in bulk_jobs/bulk_queue: on start it
+// picks up any queued or running job and resumes from the first recipient still 'queued'.
+//
+// getClientStatus: () => current client status string; sending only happens while it's 'READY'.
+// rateLimiter: shared outbound limiter (rate-limiter.js); provides the delay between messages,
+// the caps and the send window.
+// mediaStorage: optional media store (media-storage.js) that keeps a copy of the job's image per message.
+// sessionId: the WhatsApp session (session-manager.js) whose jobs this worker sends.
+function createBulkWorker({ client, supabase, wss, getClientStatus, rateLimiter, mediaStorage = null, sessionId }) {
+    let running = false;
+    let wakeUp = null;
+    let currentJob = null; // Job being processed right now; its state is updated in place by controlJob()
+    let interruptDelay = null;
+
+    // Sleeps until the timeout elapses or wake() is called, whichever comes first
+    function waitForWork(ms) {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                wakeUp = null;
+                resolve();
+            }, ms);
+            wakeUp = () => {
+                clearTimeout(timer);
+                wakeUp = null;
+                resolve();
+            };
+        });
+    }
+
+    function wake() {
+        if (wakeUp) wakeUp();
+    }
+
+    // Wait (e.g. for the send window) that pause/cancel can cut short
+    function interruptibleDelay(ms) {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                interruptDelay = null;
+                resolve();
+            }, ms);
+            interruptDelay = () => {
+                clearTimeout(timer);
+                interruptDelay = null;
+                resolve();
+            };
+        });
+    }
+
+    function broadcastProgress(job, counts) {
+        const failed = countUnsuccessful(counts);
+        wss.broadcast({
+            type: 'bulk_progress',
+            payload: {
+                jobId: job.id,
+                state: job.state,
+                current: (counts.sent || 0) + failed + (counts.cancelled || 0),
+                total: job.total,
+                success: counts.sent || 0,
+                failed: failed,
+                skipped_optout: counts.skipped_optout || 0,
+                cancelled: counts.cancelled || 0
+            }
+        });
+    }
+
+    function buildJobMedia(job) {
+        if (!job.media_data || !job.media_mime_type) return null;
+        return new MessageMedia(job.media_mime_type, job.media_data, job.media_filename || 'image_bulk');
+    }
+
+    // Sends to a single claimed recipient. Returns the final recipient status.
+    async function sendToRecipient(job, recipient, media) {
+        const normalized = normalizePhoneNumber(recipient.recipient_number, { defaultCountryCode: getSettingValue('default_country_code') });
+        const label = `[Bulk Send] (${recipient.position + 1}/${job.total})`;
+
+        if (!normalized) {
+            console.error(`${label} Invalid recipient number: ${recipient.recipient_number}. Skipping.`);
+            await updateRecipient(supabase, recipient.id, { status: 'failed', error_message: 'Número inválido.' });
+            return 'failed';
+        }
+        const recipientNumber = normalized.digits;
+
+        // Never send twice to the same number within a job (duplicated CSV lines, retries after restart)
+        if (await wasRecipientSent(supabase, job.id, recipientNumber)) {
+            console.warn(`${label} ${recipientNumber} already received this job's message. Skipping duplicate.`);
+            await updateRecipient(supabase, recipient.id, { status: 'skipped_duplicate' });
+            return 'skipped_duplicate';
+        }
+
+        const personalizedMessage = renderRecipientMessage(job, recipient);
+        const contentOptions = job.content_options || {};
+        const messageBody = personalizedMessage || describeContent(contentOptions);
+        const mediaType = getOutboundMediaType(media ? job.media_mime_type : null, contentOptions);
+        const senderInfo = getClientInfo(client);
+
+        // Opted-out contacts are skipped but still recorded, so reports show why they got nothing
+        if (await isNumberBlocked(supabase, recipientNumber)) {
+            console.warn(`${label} ${recipientNumber} opted out. Skipping.`);
+            const skippedMessage = await saveMessageToDb(supabase, senderInfo, wss, {
+                recipient_number: recipientNumber,
+                recipient_name: recipient.recipient_name,
+                body: messageBody,
+                status: 'skipped_optout',
+                is_outgoing: true,
+                session_id: sessionId,
+                bulk_job_id: job.id,
+                has_media: !!media,
+                media_mime_type: media ? job.media_mime_type : null,
+                media_type: mediaType,
+                message_type: 'bulk',
+                error_message: 'Contato descadastrado (opt-out).'
+            });
+            await updateRecipient(supabase, recipient.id, { status: 'skipped_optout', message_db_id: skippedMessage?.id || null });
+            return 'skipped_optout';
+        }
+
+        const resolved = await resolveWhatsappId(client, recipientNumber, { verify: getSettingValue('verify_numbers_before_send') });
+        if (resolved.error) {
+            console.warn(`${label} ${recipientNumber} is not on WhatsApp. Skipping.`);
+            await updateRecipient(supabase, recipient.id, { status: 'failed', error_message: resolved.error });
+            return 'failed';
+        }
+        const recipientId = resolved.id;
+
+        // Delay between messages, caps and cool-downs are all handled by the shared limiter
+        await rateLimiter.acquire({ kind: 'bulk' });
+
+        // Paused or cancelled while waiting: give the recipient back untouched
+        if (!ACTIVE_JOB_STATES.includes(job.state)) {
+            const releasedStatus = job.state === 'cancelled' ? 'cancelled' : 'queued';
+            await updateRecipient(supabase, recipient.id, { status: releasedStatus, attempted_at: null });
+            return releasedStatus;
+        }
+
+        // 1. Save initial 'pending' record to DB and link it to the queue row before sending,
+        //    so a crash mid-send can be detected on recovery instead of silently re-sending.
+        const dbMessage = await saveMessageToDb(supabase, senderInfo, wss, {
+            recipient_number: recipientNumber,
+            recipient_name: recipient.recipient_name,
+            body: messageBody,
+            status: 'pending',
+            is_outgoing: true,
+            session_id: sessionId,
+            bulk_job_id: job.id,
+            has_media: !!media,
+            media_mime_type: media ? job.media_mime_type : null,
+            media_type: mediaType,
+            message_type: 'bulk'
+        });
+
+        if (!dbMessage) {
+            console.error(`${label} Failed to save initial DB record for ${recipientNumber}. Skipping message.`);
+            await updateRecipient(supabase, recipient.id, { status: 'failed', error_message: 'Falha ao salvar mensagem no banco de dados.' });
+            return 'failed';
+        }
+        await updateRecipient(supabase, recipient.id, { message_db_id: dbMessage.id });
+        if (media && mediaStorage) {
+            await mediaStorage.saveMessageMedia(dbMessage.id, media);
+        }
+
+        try {
+            // The limiter slot was acquired above, before the pause/cancel check
+            const { content, sendOptions } = buildOutboundMessage(personalizedMessage, media, contentOptions);
+            const sentMessage = await rateLimiter.sendAcquired(client, recipientId, content, sendOptions, { kind: 'bulk' });
+            console.log(`${label} Message sent to ${recipient.recipient_name} (${recipientNumber}). WA ID: ${sentMessage.id.id}`);
+            await updateRecipient(supabase, recipient.id, { status: 'sent', message_id: sentMessage.id.id });
+            // 2. Update DB record with message ID and 'sent' status (ACK will update later)
+            await updateMessageStatusAndId(supabase, wss, dbMessage.id, sentMessage.id.id, 'sent');
+            return 'sent';
+        } catch (error) {
+            console.error(`${label} Failed to send message to ${recipient.recipient_name} (${recipientNumber}):`, error.message);
+            await updateRecipient(supabase, recipient.id, { status: 'failed', error_message: error.message || 'Unknown sending error' });
+            // 3. Update DB record with 'error' status and error message
+            await updateMessageStatusAndId(supabase, wss, dbMessage.id, null, 'error', error.message || 'Unknown sending error');
+            return 'failed';
+        }
+    }
+
+    // Works through a job until it runs out of queued recipients or the client stops being READY.
+    async function processJob(job) {
+        currentJob = job;
+        try {
+            await runJob(job);
+        } finally {
+            currentJob = null;
+        }
+    }
+
+    async function runJob(job) {
+        if (job.state === 'queued') {
+            const startedJob = await transitionBulkJobState(supabase, job.id, ['queued'], { state: 'running', started_at: new Date() });
+            if (!startedJob) return; // Paused or cancelled before it started
+            Object.assign(job, startedJob);
+            console.log(`[Bulk Send] Starting job ${job.id} for ${job.total} messages...`);
+        } else {
+            console.log(`[Bulk Send] Resuming job ${job.id}...`);
+        }
+        await recoverInterruptedRecipients(supabase, job.id);
+
+        let media = null;
+        try {
+            media = buildJobMedia(job);
+        } catch (mediaError) {
+            console.error(`[Bulk Send] Error creating MessageMedia for job ${job.id}:`, mediaError);
+            wss.broadcast({ type: 'error', payload: `Failed to process image for bulk send: ${mediaError.message}` });
+            await updateBulkJob(supabase, job.id, { state: 'failed', finished_at: new Date(), error_message: 'Image processing failed' });
+            wss.broadcast({ type: 'bulk_complete', payload: { total: job.total, sent: 0, failed: job.total, error: 'Image processing failed', jobId: job.id } });
+            return;
+        }
+
+        let counts = await countRecipientsByStatus(supabase, job.id);
+        if (counts) broadcastProgress(job, counts);
+        let waitingForWindow = false;
+
+        while (running) {
+            if (!ACTIVE_JOB_STATES.includes(job.state)) {
+                console.log(`[Bulk Send] Job ${job.id} is now '${job.state}', stopping.`);
+                return;
+            }
+            if (getClientStatus() !== 'READY') {
+                console.warn(`[Bulk Send] Client not READY, pausing job ${job.id} until it reconnects.`);
+                return; // The main loop resumes the job once the client is back
+            }
+
+            // Outside the allowed send window: wait for it without claiming anyone
+            const windowWaitMs = rateLimiter.msUntilSendWindow();
+            if (windowWaitMs > 0) {
+                if (!waitingForWindow) {
+                    console.log(`[Bulk Send] Job ${job.id} waiting for the send window (opens in ${Math.round(windowWaitMs / 60000)} min).`);
+                    waitingForWindow = true;
+                }
+                await interruptibleDelay(Math.min(windowWaitMs, WINDOW_RECHECK_INTERVAL_MS));
+                continue;
+            }
+            waitingForWindow = false;
+
+            let recipient;
+            let claimed = false;
+            try {
+                recipient = await getNextQueuedRecipient(supabase, job.id);
+                if (recipient) claimed = await claimRecipient(supabase, recipient.id);
+            } catch (dbError) {
+                // Not the same as an empty queue or a recipient already taken: keep the job running and try again
+                console.error(`[Bulk Send] Job ${job.id}: could not fetch or claim the next recipient, retrying in ${DB_RETRY_DELAY_MS / 1000}s.`);
+                await interruptibleDelay(DB_RETRY_DELAY_MS);
+                continue;
+            }
+            if (!recipient) break;
+            if (!claimed) continue; // Already taken; look at the next one
+
+            await sendToRecipient(job, recipient, media);
+
+            counts = await countRecipientsByStatus(supabase, job.id);
+            if (counts) {
+                await updateBulkJob(supabase, job.id, {
+                    sent_count: counts.sent || 0,
+                    failed_count: countUnsuccessful(counts)
+                });
+                broadcastProgress(job, counts);
+            }
+        }
+
+        if (!running || !ACTIVE_JOB_STATES.includes(job.state)) return;
+
+        counts = await countRecipientsByStatus(supabase, job.id);
+        if (!counts) {
+            // Left running; the main loop picks it up again and retries the completion
+            console.error(`[Bulk Send] Job ${job.id}: could not count recipients to complete it, retrying in ${DB_RETRY_DELAY_MS / 1000}s.`);
+            await interruptibleDelay(DB_RETRY_DELAY_MS);
+            return;
+        }
+        const sentCount = counts.sent || 0;
+        const failCount = countUnsuccessful(counts);
+        const completedJob = await transitionBulkJobState(supabase, job.id, ACTIVE_JOB_STATES, {
+            state: 'completed',
+            sent_count: sentCount,
+            failed_count: failCount,
+            finished_at: new Date()
+        });
+        if (!completedJob) return; // Cancelled while the last message was going out
+
+        job.state = 'completed';
+        console.log(`[Bulk Send] Finished job ${job.id}. Total: ${job.total}, Sent: ${sentCount}, Failed: ${failCount}`);
+        broadcastProgress(job, counts);
+        wss.broadcast({
+            type: 'bulk_complete',
+            payload: { total: job.total, sent: sentCount, failed: failCount, jobId: job.id, state: 'completed' }
+        });
+    }
+
+    // Applies an operator action ('pause' | 'resume' | 'cancel') to a job.
+    // Returns { job } on success or { error, code } with code 'NOT_FOUND', 'INVALID_STATE' or 'DB_ERROR'.
+    async function controlJob(jobId, action) {
+        const transition = JOB_CONTROL_TRANSITIONS[action];
+        if (!transition) {
+            return { error: `Ação desconhecida: ${action}`, code: 'INVALID_ACTION' };
+        }
+
+        const job = await getBulkJob(supabase, jobId);
+        if (!job || job.session_id !== sessionId) {
+            return { error: 'Envio em massa não encontrado.', code: 'NOT_FOUND' };
+        }
+        if (!transition.from.includes(job.state)) {
+            return { error: `Não é possível executar '${action}' em um envio com estado '${job.state}'.`, code: 'INVALID_STATE' };
+        }
+
+        const newState = transition.to(job);
+        const updateData = { state: newState };
+        if (newState === 'cancelled') updateData.finished_at = new Date();
+
+        const updatedJob = await transitionBulkJobState(supabase, jobId, transition.from, updateData);
+        if (!updatedJob) {
+            return { error: 'Falha ao atualizar o estado do envio em massa.', code: 'DB_ERROR' };
+        }
+
+        // Stop the in-flight loop right away if this is the job being sent
+        if (currentJob && currentJob.id === jobId) {
+            currentJob.state = newState;
+            if (interruptDelay) interruptDelay();
+        }
+
+        if (newState === 'cancelled') {
+            await cancelQueuedRecipients(supabase, jobId);
+        }
+
+        const counts = await countRecipientsByStatus(supabase, jobId);
+        console.log(`[Bulk Send] Job ${jobId}: ${action} (${job.state} -> ${newState}).`);
+        if (counts) broadcastProgress(updatedJob, counts);
+
+        if (newState === 'cancelled') {
+            // Without fresh counts, fall back to the ones last stored on the job
+            wss.broadcast({
+                type: 'bulk_complete',
+                payload: {
+                    total: updatedJob.total,
+                    sent: counts ? counts.sent || 0 : updatedJob.sent_count,
+                    failed: counts ? countUnsuccessful(counts) : updatedJob.failed_count,
+                    cancelled: counts ? counts.cancelled || 0 : null,
+                    jobId: jobId,
+                    state: 'cancelled'
+                }
+            });
+        } else if (ACTIVE_JOB_STATES.includes(newState)) {
+            wake();
+        }
+
+        return { job: updatedJob };
+    }
+
+    async function loop() {
+        while (running) {
+            try {
+                if (getClientStatus() !== 'READY') {
+                    await waitForWork(NOT_READY_POLL_INTERVAL_MS);
+                    continue;
+                }
+
+                const job = await getNextActiveJob(supabase, sessionId);
+                if (!job) {
+                    await waitForWork(IDLE_POLL_INTERVAL_MS);
+                    continue;
+                }
+
+                await processJob(job);
+            } catch (error) {
+                console.error('[Bulk Send] Unexpected worker error:', error);
+                await waitForWork(NOT_READY_POLL_INTERVAL_MS);
+            }
+        }
+    }
+
+    function start() {
+        if (running) return;
+        running = true;
+        console.log(`[Bulk Send] Worker started for session '${sessionId}'.`);
+        loop();
+    }
+
+    function stop() {
+        running = false;
+        wake();
+    }
+
+    return {
+        start,
+        stop,
+        wake,
+        pauseJob: (jobId) => controlJob(jobId, 'pause'),
+        resumeJob: (jobId) => controlJob(jobId, 'resume'),
+        cancelJob: (jobId) => controlJob(jobId, 'cancel')
+    };
+}
+
+module.exports = { createBulkWorker };
@@ -0,0 +1,266 @@
+// Keeps a session's whatsapp-web.js client alive: initialization retries, reconnection with
+// exponential backoff, logout handling and a periodic getState() health probe.
+//
+// Client states (session.status):
+//   STOPPED        not running (session stopped, or before the first start)
+//   INITIALIZING   client.initialize() in progress
+//   WAITING_QR     a QR code is waiting to be scanned                 (set by the 'qr' handler)
+//   AUTHENTICATED  logged in, loading chats                            (set by the 'authenticated' handler)
+//   READY          sending and receiving                              (set by the 'ready' handler)
+//   DISCONNECTED   the connection dropped                             (set by the 'disconnected' handler)
+//   RECONNECTING   waiting for the next attempt (backoff)
+//   LOGGED_OUT     logged out from the phone; a new QR code is on its way
+//   FATAL_ERROR    gave up after MAX_RECONNECT_ATTEMPTS; only a manual restart brings it back
+//
+// STOPPED -> INITIALIZING -> WAITING_QR/AUTHENTICATED -> READY
+// READY -> DISCONNECTED -> RECONNECTING -> INITIALIZING -> ... (attempts reset once READY again)
+// RECONNECTING -> FATAL_ERROR after MAX_RECONNECT_ATTEMPTS failed attempts in a row
+// READY -> LOGGED_OUT -> WAITING_QR (or a clean restart without saved credentials if no QR shows up)
+
+const { reconnectAttempts } = require('./metrics');
+
+const CLIENT_STATES = ['STOPPED', 'INITIALIZING', 'WAITING_QR', 'AUTHENTICATED', 'READY', 'DISCONNECTED', 'RECONNECTING', 'LOGGED_OUT', 'FATAL_ERROR'];
+
+const RECONNECT_BASE_DELAY_MS = 5 * 1000;
+const RECONNECT_MAX_DELAY_MS = 5 * 60 * 1000;
+const MAX_RECONNECT_ATTEMPTS = 10;
+const HEALTH_PROBE_INTERVAL_MS = 60 * 1000;
+const HEALTH_PROBE_TIMEOUT_MS = 15 * 1000;
+const MAX_FAILED_PROBES = 2; // Consecutive failed probes before the client is considered dead
+const LOGOUT_QR_GRACE_MS = 30 * 1000;
+
+// Disconnect reasons/states meaning the saved credentials are no longer valid
+const UNPAIRED_STATES = ['UNPAIRED', 'UNPAIRED_IDLE'];
+
+function withTimeout(promise, ms, message) {
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+        timer = setTimeout(() => reject(new Error(message)), ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// Delay before reconnection attempt number `attempt`: 5s, 10s, 20s... capped at five minutes
+function getReconnectDelay(attempt) {
+    return Math.min(RECONNECT_BASE_DELAY_MS * 2 ** (attempt - 1), RECONNECT_MAX_DELAY_MS);
+}
+
+// session: the session-manager session ({ id, client, status, setStatus, wss })
+function createClientLifecycle(session) {
+    const { client } = session;
+    const tag = `[Lifecycle ${session.id}]`;
+
+    let running = false;
+    let attempts = 0;
+    let retryTimer = null;
+    let probeTimer = null;
+    let logoutTimer = null;
+    let failedProbes = 0;
+    let lastProbe = null; // { at, state, error }
+    let lastError = null;
+    let queue = Promise.resolve(); // destroy/initialize never overlap
+
+    function enqueue(task) {
+        queue = queue.then(task).catch(error => console.error(`${tag} Erro inesperado:`, error));
+        return queue;
+    }
+
+    function clearTimers() {
+        clearTimeout(retryTimer);
+        clearTimeout(logoutTimer);
+        clearInterval(probeTimer);
+        retryTimer = null;
+        logoutTimer = null;
+        probeTimer = null;
+    }
+
+    async function destroyClient() {
+        try {
+            await client.destroy();
+        } catch (error) {
+            // Already closed, or never got as far as launching the browser
+            console.log(`${tag} Cliente já estava encerrado (${error.message}).`);
+        }
+    }
+
+    async function clearAuthData() {
+        try {
+            await client.authStrategy.logout();
+            console.log(`${tag} Credenciais salvas removidas. Um novo QR Code será gerado.`);
+        } catch (error) {
+            console.error(`${tag} Falha ao remover credenciais salvas:`, error);
+        }
+    }
+
+    async function initializeClient() {
+        if (!running) return;
+        session.setStatus('INITIALIZING');
+        try {
+            await client.initialize();
+        } catch (error) {
+            console.error(`${tag} Falha ao inicializar cliente WhatsApp:`, error);
+            scheduleReconnect(`Falha ao inicializar: ${error.message}`);
+        }
+    }
+
+    // Closes the client and starts it again (optionally without the saved credentials)
+    function reconnect({ clearAuth = false } = {}) {
+        return enqueue(async () => {
+            if (!running) return;
+            await destroyClient();
+            if (clearAuth) await clearAuthData();
+            await initializeClient();
+        });
+    }
+
+    function scheduleReconnect(reason, { clearAuth = false } = {}) {
+        if (!running) return;
+        clearTimers();
+        lastError = reason;
+
+        if (attempts >= MAX_RECONNECT_ATTEMPTS) {
+            console.error(`${tag} Desistindo após ${attempts} tentativa(s) de reconexão. Use POST /session/restart para tentar novamente.`);
+            session.setStatus('FATAL_ERROR');
+            return;
+        }
+
+        attempts++;
+        reconnectAttempts.inc({ session: session.id });
+        const delay = getReconnectDelay(attempts);
+        console.log(`${tag} ${reason}. Tentativa ${attempts}/${MAX_RECONNECT_ATTEMPTS} em ${Math.round(delay / 1000)}s.`);
+        session.setStatus('RECONNECTING');
+        session.wss.broadcast({ type: 'reconnecting', payload: { attempt: attempts, maxAttempts: MAX_RECONNECT_ATTEMPTS, delayMs: delay, reason } });
+        retryTimer = setTimeout(() => reconnect({ clearAuth }), delay);
+    }
+
+    async function probe() {
+        if (!running || session.status !== 'READY') return;
+
+        let state = null;
+        let probeError = null;
+        try {
+            state = await withTimeout(client.getState(), HEALTH_PROBE_TIMEOUT_MS, `getState() sem resposta em ${HEALTH_PROBE_TIMEOUT_MS / 1000}s`);
+        } catch (error) {
+            probeError = error.message;
+        }
+        lastProbe = { at: new Date().toISOString(), state, error: probeError };
+
+        if (state === 'CONNECTED' || session.status !== 'READY') {
+            failedProbes = 0;
+            return;
+        }
+        if (UNPAIRED_STATES.includes(state)) {
+            scheduleReconnect(`Sessão desvinculada do aparelho (${state})`, { clearAuth: true });
+            return;
+        }
+
+        failedProbes++;
+        console.warn(`${tag} Sonda de saúde falhou (${failedProbes}/${MAX_FAILED_PROBES}): ${probeError || `estado ${state}`}`);
+        if (failedProbes >= MAX_FAILED_PROBES) {
+            failedProbes = 0;
+            session.setStatus('DISCONNECTED');
+            session.wss.broadcast({ type: 'disconnected', payload: probeError || state });
+            scheduleReconnect(`Sonda de saúde sem resposta (${probeError || state})`);
+        }
+    }
+
+    client.on('ready', () => {
+        attempts = 0;
+        failedProbes = 0;
+        lastError = null;
+        clearTimers();
+        probeTimer = setInterval(probe, HEALTH_PROBE_INTERVAL_MS);
+    });
+
+    client.on('qr', () => {
+        clearTimeout(logoutTimer); // The QR code after a logout showed up
+        logoutTimer = null;
+    });
+
+    client.on('auth_failure', (message) => {
+        scheduleReconnect(`Falha na autenticação (${message})`, { clearAuth: true });
+    });
+
+    client.on('disconnected', (reason) => {
+        if (!running) return;
+        clearInterval(probeTimer);
+        probeTimer = null;
+
+        if (reason === 'LOGOUT') {
+            // whatsapp-web.js clears the credentials itself and reloads the page for a new QR code;
+            // if none shows up, start over from a clean browser.
+            console.log(`${tag} Sessão encerrada pelo aparelho. Aguardando novo QR Code...`);
+            session.setStatus('LOGGED_OUT');
+            clearTimeout(logoutTimer);
+            logoutTimer = setTimeout(() => {
+                if (session.status !== 'LOGGED_OUT') return;
+                console.warn(`${tag} Nenhum QR Code após o logout. Reiniciando o cliente sem credenciais.`);
+                reconnect({ clearAuth: true });
+            }, LOGOUT_QR_GRACE_MS);
+            return;
+        }
+        scheduleReconnect(`Desconectado (${reason})`, { clearAuth: UNPAIRED_STATES.includes(reason) });
+    });
+
+    function start() {
+        running = true;
+        attempts = 0;
+        clearTimers();
+        return enqueue(initializeClient);
+    }
+
+    // Stops for good (until start()); the 'disconnected' event this causes is ignored
+    function stop() {
+        running = false;
+        clearTimers();
+        session.setStatus('STOPPED');
+        return enqueue(destroyClient);
+    }
+
+    // Manual restart (POST /session/restart): also brings a FATAL_ERROR session back
+    function restart() {
+        running = true;
+        attempts = 0;
+        clearTimers();
+        console.log(`${tag} Reinício solicitado.`);
+        return reconnect();
+    }
+
+    // Logs out from WhatsApp (the phone shows the device as removed) and starts again waiting for a QR code
+    function logout() {
+        running = true;
+        attempts = 0;
+        clearTimers();
+        console.log(`${tag} Logout solicitado.`);
+        return enqueue(async () => {
+            if (['READY', 'AUTHENTICATED'].includes(session.status)) {
+                try {
+                    await client.logout();
+                } catch (error) {
+                    console.error(`${tag} Erro ao encerrar sessão no WhatsApp:`, error);
+                }
+            }
+            session.setStatus('LOGGED_OUT');
+            await destroyClient();
+            await clearAuthData();
+            await initializeClient();
+        });
+    }
+
+    // Reconnection and health probe details for status endpoints
+    function getInfo() {
+        return {
+            reconnectAttempts: attempts,
+            maxReconnectAttempts: MAX_RECONNECT_ATTEMPTS,
+            lastError,
+            lastProbe
+        };
+    }
+
+    return { start, stop, restart, logout, getInfo };
+}
+
+module.exports = {
+    CLIENT_STATES,
+    createClientLifecycle
+};
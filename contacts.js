@@ -0,0 +1,568 @@
+// Contacts and saved segments (audiences) for bulk sends.
+//
+// contacts:         id bigserial PK, number text UNIQUE (E.164 digits, see phone-numbers.js), name text, cpf text,
+//                   tags text[], fields jsonb (custom fields by normalized name, usable as template placeholders),
+//                   source text ('manual' | 'import' | 'inbound'), created_at timestamptz, updated_at timestamptz
+// contact_segments: id bigserial PK, name text UNIQUE, description text, filters jsonb, created_at timestamptz,
+//                   updated_at timestamptz
+//
+// Contacts come from the API, from mailing CSVs (same parsing as /upload-mailing: re-importing a number
+// updates it, merging tags and fields) and from inbound senders (contacts_auto_create setting).
+//
+// Segment filters: { tags: [...], tag_match: 'all' | 'any', fields: { cidade: 'BH' }, source }
+// A contact matches when it has the tags (every one, or at least one with tag_match 'any'), every field
+// equals the given value and it came from `source`; tags and values are compared ignoring case and accents.
+// Empty filters match every contact. Segments are evaluated when used, so they follow contact changes.
+//
+// Changes resolve with { contact } / { segment } or { error, code, errors } where code is
+// 'VALIDATION_ERROR', 'NOT_FOUND', 'CONFLICT' or 'DB_ERROR'.
+
+const { normalizeText } = require('./utils');
+const { normalizeFieldName } = require('./template-engine');
+const { getSettingValue } = require('./settings');
+const { normalizePhoneNumber } = require('./phone-numbers');
+
+const CONTACT_SOURCES = ['manual', 'import', 'inbound'];
+const TAG_MATCH_MODES = ['all', 'any'];
+const MAX_TAGS = 50;
+const MAX_TAG_LENGTH = 50;
+const MAX_FIELDS = 50;
+const MAX_FIELD_VALUE_LENGTH = 500;
+const IMPORT_CHUNK_SIZE = 500;
+const SCAN_PAGE_SIZE = 1000;
+const MAX_SEGMENT_CONTACTS = 100000; // Bounds segment evaluation; bigger audiences should be split with filters
+// Columns of the mailing CSV that map to contact columns rather than custom fields
+const RESERVED_FIELDS = ['nome', 'numero', 'cpf'];
+
+function readTags(value) {
+    if (!Array.isArray(value) || value.some(tag => typeof tag !== 'string')) {
+        return { error: 'Deve ser uma lista de textos.' };
+    }
+    const tags = [...new Set(value.map(tag => tag.trim()).filter(Boolean))];
+    if (tags.length > MAX_TAGS) return { error: `Deve ter no máximo ${MAX_TAGS} itens.` };
+    if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) return { error: `Cada item deve ter no máximo ${MAX_TAG_LENGTH} caracteres.` };
+    return { tags };
+}
+
+// { 'Cidade': 'BH' } -> { cidade: 'BH' }. Values are text (numbers and booleans are converted), null removes the field.
+function readFields(value) {
+    if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        return { error: 'Deve ser um objeto { campo: valor }.' };
+    }
+    const fields = {};
+    for (const [key, fieldValue] of Object.entries(value)) {
+        const name = normalizeFieldName(key);
+        if (!name) return { error: `Nome de campo inválido: '${key}'.` };
+        if (RESERVED_FIELDS.includes(name)) return { error: `'${name}' não é um campo personalizado (use name, number ou cpf).` };
+        if (fieldValue !== null && !['string', 'number', 'boolean'].includes(typeof fieldValue)) {
+            return { error: `O campo '${key}' deve ser um texto.` };
+        }
+        const text = fieldValue === null ? null : String(fieldValue).trim();
+        if (text && text.length > MAX_FIELD_VALUE_LENGTH) {
+            return { error: `O campo '${key}' deve ter no máximo ${MAX_FIELD_VALUE_LENGTH} caracteres.` };
+        }
+        fields[name] = text;
+    }
+    if (Object.keys(fields).length > MAX_FIELDS) return { error: `Deve ter no máximo ${MAX_FIELDS} campos.` };
+    return { fields };
+}
+
+function mergeFields(current, changes) {
+    const merged = { ...(current || {}) };
+    for (const [name, value] of Object.entries(changes || {})) {
+        if (value === null || value === '') delete merged[name];
+        else merged[name] = value;
+    }
+    return merged;
+}
+
+// Validates a contact body from POST/PUT /contacts. With `partial`, missing fields are left alone.
+// Returns { values, errors } where errors maps field -> reason.
+function validateContactInput(input, { partial = false } = {}) {
+    const values = {};
+    const errors = {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { values, errors: { _body: 'O corpo da requisição deve ser um objeto JSON.' } };
+    }
+    const has = (field) => input[field] !== undefined;
+
+    if (has('number') || !partial) {
+        const normalized = typeof input.number === 'string' || typeof input.number === 'number'
+            ? normalizePhoneNumber(input.number, { defaultCountryCode: getSettingValue('default_country_code') })
+            : null;
+        if (!normalized) errors.number = 'Número de telefone inválido.';
+        else values.number = normalized.digits;
+    }
+    if (has('name')) {
+        if (input.name !== null && typeof input.name !== 'string') errors.name = 'Deve ser um texto.';
+        else values.name = input.name && input.name.trim() ? input.name.trim().slice(0, 100) : null;
+    }
+    if (has('cpf')) {
+        const cpf = input.cpf === null ? '' : String(input.cpf).replace(/\D/g, '');
+        if (cpf && cpf.length !== 11) errors.cpf = 'CPF deve ter 11 dígitos.';
+        else values.cpf = cpf || null;
+    }
+    if (has('tags')) {
+        const parsed = readTags(input.tags);
+        if (parsed.error) errors.tags = parsed.error;
+        else values.tags = parsed.tags;
+    } else if (!partial) {
+        values.tags = [];
+    }
+    if (has('fields')) {
+        const parsed = readFields(input.fields);
+        if (parsed.error) errors.fields = parsed.error;
+        else values.fields = parsed.fields;
+    }
+
+    return { values, errors };
+}
+
+// Validates a segment body from POST/PUT /segments, same rules as validateContactInput
+function validateSegmentInput(input, { partial = false } = {}) {
+    const values = {};
+    const errors = {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { values, errors: { _body: 'O corpo da requisição deve ser um objeto JSON.' } };
+    }
+    const has = (field) => input[field] !== undefined;
+
+    if (has('name') || !partial) {
+        if (typeof input.name !== 'string' || !input.name.trim()) errors.name = 'Informe um nome para o segmento.';
+        else values.name = input.name.trim().slice(0, 100);
+    }
+    if (has('description')) {
+        if (input.description !== null && typeof input.description !== 'string') errors.description = 'Deve ser um texto.';
+        else values.description = input.description ? input.description.trim().slice(0, 500) : null;
+    }
+    if (has('filters') || !partial) {
+        const filters = input.filters === undefined ? {} : input.filters;
+        if (!filters || typeof filters !== 'object' || Array.isArray(filters)) {
+            errors.filters = 'Deve ser um objeto { tags, tag_match, fields, source }.';
+        } else {
+            const parsed = {};
+            const unknown = Object.keys(filters).filter(key => !['tags', 'tag_match', 'fields', 'source'].includes(key));
+            const tags = filters.tags === undefined ? { tags: [] } : readTags(filters.tags);
+            const fields = filters.fields === undefined ? { fields: {} } : readFields(filters.fields);
+            if (unknown.length > 0) errors.filters = `Filtros desconhecidos: ${unknown.join(', ')}.`;
+            else if (tags.error) errors.filters = `tags: ${tags.error}`;
+            else if (fields.error) errors.filters = `fields: ${fields.error}`;
+            else if (filters.tag_match !== undefined && !TAG_MATCH_MODES.includes(filters.tag_match)) {
+                errors.filters = `tag_match deve ser um de: ${TAG_MATCH_MODES.join(', ')}.`;
+            } else if (filters.source !== undefined && filters.source !== null && !CONTACT_SOURCES.includes(filters.source)) {
+                errors.filters = `source deve ser um de: ${CONTACT_SOURCES.join(', ')}.`;
+            } else {
+                parsed.tags = tags.tags;
+                parsed.tag_match = filters.tag_match || 'all';
+                parsed.fields = fields.fields;
+                parsed.source = filters.source || null;
+                values.filters = parsed;
+            }
+        }
+    }
+
+    return { values, errors };
+}
+
+function matchesSegment(contact, filters = {}) {
+    const contactTags = (contact.tags || []).map(tag => normalizeText(tag));
+    const tags = (filters.tags || []).map(tag => normalizeText(tag));
+    if (tags.length > 0) {
+        const hasTag = (tag) => contactTags.includes(tag);
+        if (filters.tag_match === 'any' ? !tags.some(hasTag) : !tags.every(hasTag)) return false;
+    }
+    for (const [name, value] of Object.entries(filters.fields || {})) {
+        const contactValue = (contact.fields || {})[name];
+        if (value === null || value === '') {
+            if (contactValue !== undefined && contactValue !== null && contactValue !== '') return false;
+        } else if (contactValue === undefined || contactValue === null || normalizeText(contactValue) !== normalizeText(value)) {
+            return false;
+        }
+    }
+    return !filters.source || contact.source === filters.source;
+}
+
+// Contact as a bulk_queue recipient (the shape parseMailingCsv gives CSV rows, see csv-processor.js)
+function toMailingRecord(contact) {
+    return {
+        line: null,
+        name: contact.name || '',
+        number: contact.number,
+        cpf: contact.cpf || null,
+        fields: { ...(contact.fields || {}), nome: contact.name || '', numero: contact.number, cpf: contact.cpf || '' }
+    };
+}
+
+async function getContact(supabase, contactId) {
+    try {
+        const { data, error } = await supabase
+            .from('contacts')
+            .select('*')
+            .eq('id', contactId)
+            .maybeSingle();
+
+        if (error) {
+            console.error(`[Contacts] Erro Supabase ao buscar contato ${contactId}:`, error);
+            return null;
+        }
+        return data;
+    } catch (dbError) {
+        console.error(`[Contacts] Erro ao buscar contato ${contactId}:`, dbError);
+        return null;
+    }
+}
+
+// Returns { contacts, total } ordered by name, or null on error. `search` matches part of the name or number.
+async function listContacts(supabase, { search = null, limit = 50, offset = 0 } = {}) {
+    try {
+        let query = supabase
+            .from('contacts')
+            .select('*', { count: 'exact' })
+            .order('name', { ascending: true, nullsFirst: false })
+            .order('id', { ascending: true })
+            .range(offset, offset + limit - 1);
+
+        // Characters with a meaning in PostgREST filters are dropped
+        const searchText = search ? String(search).replace(/[,()%*\\]/g, ' ').trim() : '';
+        if (searchText) {
+            const searchDigits = searchText.replace(/\D/g, '');
+            query = query.or(searchDigits
+                ? `name.ilike.%${searchText}%,number.ilike.%${searchDigits}%`
+                : `name.ilike.%${searchText}%`);
+        }
+
+        const { data, error, count } = await query;
+        if (error) {
+            console.error('[Contacts] Erro Supabase ao listar contatos:', error);
+            return null;
+        }
+        return { contacts: data || [], total: count || 0 };
+    } catch (dbError) {
+        console.error('[Contacts] Erro ao listar contatos:', dbError);
+        return null;
+    }
+}
+
+async function createContact(supabase, input, { source = 'manual' } = {}) {
+    const { values, errors } = validateContactInput(input);
+    if (Object.keys(errors).length > 0) {
+        return { error: 'Contato inválido.', code: 'VALIDATION_ERROR', errors };
+    }
+
+    const { data, error } = await supabase
+        .from('contacts')
+        .insert({ ...values, fields: mergeFields({}, values.fields), source, created_at: new Date(), updated_at: new Date() })
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === '23505') {
+            return { error: 'Já existe um contato com este número.', code: 'CONFLICT' };
+        }
+        console.error('[Contacts] Erro Supabase ao criar contato:', error);
+        return { error: 'Falha ao salvar o contato no banco de dados.', code: 'DB_ERROR' };
+    }
+    return { contact: data };
+}
+
+// `fields` are merged into the current ones (null removes a field); tags are replaced
+async function updateContact(supabase, contactId, input) {
+    const existing = await getContact(supabase, contactId);
+    if (!existing) {
+        return { error: 'Contato não encontrado.', code: 'NOT_FOUND' };
+    }
+
+    const { values, errors } = validateContactInput(input, { partial: true });
+    if (Object.keys(errors).length > 0) {
+        return { error: 'Contato inválido.', code: 'VALIDATION_ERROR', errors };
+    }
+    if (values.fields) values.fields = mergeFields(existing.fields, values.fields);
+
+    const { data, error } = await supabase
+        .from('contacts')
+        .update({ ...values, updated_at: new Date() })
+        .eq('id', contactId)
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === '23505') {
+            return { error: 'Já existe um contato com este número.', code: 'CONFLICT' };
+        }
+        console.error(`[Contacts] Erro Supabase ao atualizar contato ${contactId}:`, error);
+        return { error: 'Falha ao atualizar o contato no banco de dados.', code: 'DB_ERROR' };
+    }
+    return { contact: data };
+}
+
+async function deleteContact(supabase, contactId) {
+    const { data, error } = await supabase
+        .from('contacts')
+        .delete()
+        .eq('id', contactId)
+        .select();
+
+    if (error) {
+        console.error(`[Contacts] Erro Supabase ao remover contato ${contactId}:`, error);
+        return { error: 'Falha ao remover o contato do banco de dados.', code: 'DB_ERROR' };
+    }
+    if (!data || data.length === 0) {
+        return { error: 'Contato não encontrado.', code: 'NOT_FOUND' };
+    }
+    return { contact: data[0] };
+}
+
+// Creates or updates contacts from parsed mailing rows (parseMailingCsv records). Existing contacts get the
+// row's name and CPF, its other columns merged into their fields and `tags` added to theirs.
+// Returns { created, updated }, or null on DB errors (chunks already saved are kept).
+async function importContacts(supabase, records, { tags = [] } = {}) {
+    let created = 0;
+    let updated = 0;
+    try {
+        for (let i = 0; i < records.length; i += IMPORT_CHUNK_SIZE) {
+            const chunk = records.slice(i, i + IMPORT_CHUNK_SIZE);
+            const { data: existing, error: fetchError } = await supabase
+                .from('contacts')
+                .select('*')
+                .in('number', chunk.map(record => record.number));
+
+            if (fetchError) {
+                console.error('[Contacts] Erro Supabase ao buscar contatos para importação:', fetchError);
+                return null;
+            }
+            const existingByNumber = new Map((existing || []).map(contact => [contact.number, contact]));
+
+            const rows = chunk.map(record => {
+                const current = existingByNumber.get(record.number);
+                const customFields = {};
+                for (const [name, value] of Object.entries(record.fields || {})) {
+                    if (!RESERVED_FIELDS.includes(name) && value !== '') customFields[name] = value;
+                }
+                return {
+                    number: record.number,
+                    name: record.name,
+                    cpf: record.cpf ? String(record.cpf).replace(/\D/g, '') || null : (current ? current.cpf : null),
+                    tags: [...new Set([...(current ? current.tags || [] : []), ...tags])],
+                    fields: mergeFields(current ? current.fields : {}, customFields),
+                    source: current ? current.source : 'import',
+                    created_at: current ? current.created_at : new Date(),
+                    updated_at: new Date()
+                };
+            });
+
+            const { error } = await supabase
+                .from('contacts')
+                .upsert(rows, { onConflict: 'number' });
+
+            if (error) {
+                console.error('[Contacts] Erro Supabase ao importar contatos:', error);
+                return null;
+            }
+            updated += existingByNumber.size;
+            created += chunk.length - existingByNumber.size;
+        }
+        console.log(`[Contacts] Importação concluída: ${created} criado(s), ${updated} atualizado(s).`);
+        return { created, updated };
+    } catch (dbError) {
+        console.error('[Contacts] Erro ao importar contatos:', dbError);
+        return null;
+    }
+}
+
+// Creates the contact of an inbound sender (E.164 digits) if it doesn't exist yet, or fills in its missing name.
+// Returns the contact, or null on error.
+async function saveInboundContact(supabase, number, name = null) {
+    try {
+        const { data: existing, error: fetchError } = await supabase
+            .from('contacts')
+            .select('*')
+            .eq('number', number)
+            .maybeSingle();
+
+        if (fetchError) {
+            console.error(`[Contacts] Erro Supabase ao buscar contato ${number}:`, fetchError);
+            return null;
+        }
+        if (existing) {
+            if (existing.name || !name) return existing;
+            const { data, error } = await supabase
+                .from('contacts')
+                .update({ name, updated_at: new Date() })
+                .eq('id', existing.id)
+                .select()
+                .single();
+            return error ? existing : data;
+        }
+
+        const { data, error } = await supabase
+            .from('contacts')
+            .insert({ number, name, tags: [], fields: {}, source: 'inbound', created_at: new Date(), updated_at: new Date() })
+            .select()
+            .single();
+
+        if (error) {
+            // Another message from the same sender created it first
+            if (error.code !== '23505') console.error(`[Contacts] Erro Supabase ao criar contato ${number}:`, error);
+            return null;
+        }
+        console.log(`[Contacts] Contato +${number} criado a partir de mensagem recebida.`);
+        return data;
+    } catch (dbError) {
+        console.error(`[Contacts] Erro ao salvar contato ${number}:`, dbError);
+        return null;
+    }
+}
+
+// Contacts matching `filters`, ordered by id. Returns { contacts, truncated } or null on error;
+// truncated means the scan stopped at MAX_SEGMENT_CONTACTS.
+async function findSegmentContacts(supabase, filters) {
+    const contacts = [];
+    try {
+        for (let offset = 0; offset < MAX_SEGMENT_CONTACTS; offset += SCAN_PAGE_SIZE) {
+            const { data, error } = await supabase
+                .from('contacts')
+                .select('*')
+                .order('id', { ascending: true })
+                .range(offset, offset + SCAN_PAGE_SIZE - 1);
+
+            if (error) {
+                console.error('[Contacts] Erro Supabase ao avaliar segmento:', error);
+                return null;
+            }
+            contacts.push(...(data || []).filter(contact => matchesSegment(contact, filters)));
+            if (!data || data.length < SCAN_PAGE_SIZE) return { contacts, truncated: false };
+        }
+        console.warn(`[Contacts] Segmento avaliado só sobre os primeiros ${MAX_SEGMENT_CONTACTS} contatos.`);
+        return { contacts, truncated: true };
+    } catch (dbError) {
+        console.error('[Contacts] Erro ao avaliar segmento:', dbError);
+        return null;
+    }
+}
+
+// Returns every segment ordered by name, or null on error
+async function listSegments(supabase) {
+    try {
+        const { data, error } = await supabase
+            .from('contact_segments')
+            .select('*')
+            .order('name', { ascending: true });
+
+        if (error) {
+            console.error('[Contacts] Erro Supabase ao listar segmentos:', error);
+            return null;
+        }
+        return data || [];
+    } catch (dbError) {
+        console.error('[Contacts] Erro ao listar segmentos:', dbError);
+        return null;
+    }
+}
+
+async function getSegment(supabase, segmentId) {
+    try {
+        const { data, error } = await supabase
+            .from('contact_segments')
+            .select('*')
+            .eq('id', segmentId)
+            .maybeSingle();
+
+        if (error) {
+            console.error(`[Contacts] Erro Supabase ao buscar segmento ${segmentId}:`, error);
+            return null;
+        }
+        return data;
+    } catch (dbError) {
+        console.error(`[Contacts] Erro ao buscar segmento ${segmentId}:`, dbError);
+        return null;
+    }
+}
+
+async function createSegment(supabase, input) {
+    const { values, errors } = validateSegmentInput(input);
+    if (Object.keys(errors).length > 0) {
+        return { error: 'Segmento inválido.', code: 'VALIDATION_ERROR', errors };
+    }
+
+    const { data, error } = await supabase
+        .from('contact_segments')
+        .insert({ ...values, created_at: new Date(), updated_at: new Date() })
+        .select()
+        .single();
+
+    if (error) {
+        if (error.code === '23505') {
+            return { error: 'Já existe um segmento com este nome.', code: 'CONFLICT' };
+        }
+        console.error('[Contacts] Erro Supabase ao criar segmento:', error);
+        return { error: 'Falha ao salvar o segmento no banco de dados.', code: 'DB_ERROR' };
+    }
+    console.log(`[Contacts] Segmento ${data.id} ('${data.name}') criado.`);
+    return { segment: data };
+}
+
+async function updateSegment(supabase, segmentId, input) {
+    const { values, errors } = validateSegmentInput(input, { partial: true });
+    if (Object.keys(errors).length > 0) {
+        return { error: 'Segmento inválido.', code: 'VALIDATION_ERROR', errors };
+    }
+
+    const { data, error } = await supabase
+        .from('contact_segments')
+        .update({ ...values, updated_at: new Date() })
+        .eq('id', segmentId)
+        .select();
+
+    if (error) {
+        if (error.code === '23505') {
+            return { error: 'Já existe um segmento com este nome.', code: 'CONFLICT' };
+        }
+        console.error(`[Contacts] Erro Supabase ao atualizar segmento ${segmentId}:`, error);
+        return { error: 'Falha ao atualizar o segmento no banco de dados.', code: 'DB_ERROR' };
+    }
+    if (!data || data.length === 0) {
+        return { error: 'Segmento não encontrado.', code: 'NOT_FOUND' };
+    }
+    return { segment: data[0] };
+}
+
+async function deleteSegment(supabase, segmentId) {
+    const { data, error } = await supabase
+        .from('contact_segments')
+        .delete()
+        .eq('id', segmentId)
+        .select();
+
+    if (error) {
+        console.error(`[Contacts] Erro Supabase ao remover segmento ${segmentId}:`, error);
+        return { error: 'Falha ao remover o segmento do banco de dados.', code: 'DB_ERROR' };
+    }
+    if (!data || data.length === 0) {
+        return { error: 'Segmento não encontrado.', code: 'NOT_FOUND' };
+    }
+    console.log(`[Contacts] Segmento ${segmentId} removido.`);
+    return { segment: data[0] };
+}
+
+module.exports = {
+    CONTACT_SOURCES,
+    validateContactInput,
+    validateSegmentInput,
+    matchesSegment,
+    toMailingRecord,
+    getContact,
+    listContacts,
+    createContact,
+    updateContact,
+    deleteContact,
+    importContacts,
+    saveInboundContact,
+    findSegmentContacts,
+    listSegments,
+    getSegment,
+    createSegment,
+    updateSegment,
+    deleteSegment
+};
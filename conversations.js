@@ -0,0 +1,224 @@
+// Conversation threads built from the messages table. The contact of a message is its
+// sender_number when incoming and its recipient_number when outgoing (as saveMessageToDb writes them);
+// numbers are compared normalized, so '5511999999999', '551199999999@c.us' and '+55 11 99999-9999'
+// are the same contact.
+// Conversations are per WhatsApp session (messages.session_id): the same contact talking to two
+// numbers has two threads.
+//
+// conversation_reads: session_id text, contact_number text (digits only), last_read_at timestamptz,
+//                     PK (session_id, contact_number)
+// Unread = incoming messages newer than last_read_at (all incoming messages if never read).
+
+const { getSettingValue } = require('./settings');
+const { normalizePhoneNumber, getNumberVariants: getPhoneNumberVariants } = require('./phone-numbers');
+
+const SCAN_PAGE_SIZE = 1000;
+const MAX_SCAN_ROWS = 20000; // Bounds GET /conversations on huge histories; older contacts fall off the list
+const CONVERSATION_COLUMNS = 'id, sender_number, recipient_number, recipient_name, body, is_outgoing, status, message_type, related_message_id, reply_to_id, participant, has_media, edited_at, revoked_at, created_at';
+
+// '551199999999@c.us', '+55 11 99999-9999' -> '5511999999999' (E.164 digits, see phone-numbers.js).
+// Anything that isn't a phone number keeps its digits.
+function normalizeContactNumber(number) {
+    if (!number) return null;
+    const normalized = normalizePhoneNumber(number, { defaultCountryCode: getSettingValue('default_country_code') });
+    if (normalized) return normalized.digits;
+    const digits = String(number).replace(/@c\.us$/, '').replace(/\D/g, '');
+    return digits.length >= 8 ? digits : null;
+}
+
+// The ways a contact's number may have been stored in sender_number/recipient_number
+// (WhatsApp IDs of Brazilian mobiles often lack the ninth digit)
+function getNumberVariants(digits) {
+    return getPhoneNumberVariants(digits).flatMap(variant => [variant, `${variant}@c.us`, `+${variant}`]);
+}
+
+function contactFilter(digits) {
+    const variants = getNumberVariants(digits).map(variant => `"${variant}"`).join(',');
+    return `sender_number.in.(${variants}),recipient_number.in.(${variants})`;
+}
+
+function getMessageContact(message) {
+    return normalizeContactNumber(message.is_outgoing ? message.recipient_number : message.sender_number);
+}
+
+// Opaque cursor for GET /conversations/:number/messages: the last message returned (created_at + id)
+function encodeCursor(message) {
+    return Buffer.from(JSON.stringify([message.created_at, message.id])).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const [createdAt, id] = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (typeof createdAt !== 'string' || isNaN(new Date(createdAt).getTime()) || id === undefined || id === null) return null;
+        return { createdAt, id };
+    } catch (e) {
+        return null;
+    }
+}
+
+// Returns { contact_number -> last_read_at } for the given contacts (empty on error)
+async function getLastReadTimes(supabase, sessionId, contactNumbers) {
+    if (contactNumbers.length === 0) return {};
+    const { data, error } = await supabase
+        .from('conversation_reads')
+        .select('contact_number, last_read_at')
+        .eq('session_id', sessionId)
+        .in('contact_number', contactNumbers);
+
+    if (error) {
+        console.error('[Conversations] Erro Supabase ao buscar leituras:', error);
+        return {};
+    }
+    const lastReadTimes = {};
+    for (const row of data || []) {
+        lastReadTimes[row.contact_number] = row.last_read_at;
+    }
+    return lastReadTimes;
+}
+
+async function countUnread(supabase, sessionId, contactNumber, lastReadAt) {
+    let query = supabase
+        .from('messages')
+        .select('id', { count: 'exact', head: true })
+        .eq('session_id', sessionId)
+        .eq('is_outgoing', false)
+        .in('sender_number', getNumberVariants(contactNumber));
+
+    if (lastReadAt) {
+        query = query.gt('created_at', lastReadAt);
+    }
+
+    const { count, error } = await query;
+    if (error) {
+        console.error(`[Conversations] Erro Supabase ao contar não lidas de ${contactNumber}:`, error);
+        return 0;
+    }
+    return count || 0;
+}
+
+// Lists a session's contacts by last activity (newest first): { conversations, has_more }, or null on error.
+// Each conversation: { number, name, last_message, last_activity, unread_count }
+async function listConversations(supabase, sessionId, { limit = 50, offset = 0 } = {}) {
+    const wanted = offset + limit;
+    const conversationsByNumber = new Map(); // Insertion order = last activity order
+    let scanned = 0;
+    let exhausted = false;
+
+    try {
+        // Walk the history newest first until enough distinct contacts were seen
+        while (conversationsByNumber.size <= wanted && scanned < MAX_SCAN_ROWS) {
+            const { data, error } = await supabase
+                .from('messages')
+                .select(CONVERSATION_COLUMNS)
+                .eq('session_id', sessionId)
+                .order('created_at', { ascending: false })
+                .order('id', { ascending: false })
+                .range(scanned, scanned + SCAN_PAGE_SIZE - 1);
+
+            if (error) {
+                console.error('[Conversations] Erro Supabase ao buscar mensagens:', error);
+                return null;
+            }
+
+            for (const message of data || []) {
+                const contact = getMessageContact(message);
+                if (!contact) continue;
+
+                const conversation = conversationsByNumber.get(contact);
+                if (!conversation) {
+                    conversationsByNumber.set(contact, {
+                        number: contact,
+                        name: message.recipient_name || null,
+                        last_message: message,
+                        last_activity: message.created_at
+                    });
+                } else if (!conversation.name && message.recipient_name) {
+                    conversation.name = message.recipient_name;
+                }
+            }
+
+            scanned += (data || []).length;
+            if (!data || data.length < SCAN_PAGE_SIZE) {
+                exhausted = true;
+                break;
+            }
+        }
+
+        const allConversations = [...conversationsByNumber.values()];
+        const page = allConversations.slice(offset, wanted);
+        const lastReadTimes = await getLastReadTimes(supabase, sessionId, page.map(conversation => conversation.number));
+        await Promise.all(page.map(async (conversation) => {
+            conversation.unread_count = await countUnread(supabase, sessionId, conversation.number, lastReadTimes[conversation.number]);
+        }));
+
+        return { conversations: page, has_more: allConversations.length > wanted || !exhausted };
+    } catch (dbError) {
+        console.error('[Conversations] Erro ao listar conversas:', dbError);
+        return null;
+    }
+}
+
+// One contact's messages, newest first, paged with an opaque cursor.
+// filters: { messageType, status, from, to (Date) }
+// Returns { messages, next_cursor } (next_cursor null on the last page), or null on error.
+async function getConversationMessages(supabase, sessionId, contactNumber, { limit = 50, cursor = null, messageType = null, status = null, from = null, to = null } = {}) {
+    try {
+        let query = supabase
+            .from('messages')
+            .select('*')
+            .eq('session_id', sessionId)
+            .or(contactFilter(contactNumber))
+            .order('created_at', { ascending: false })
+            .order('id', { ascending: false })
+            .limit(limit + 1);
+
+        if (cursor) {
+            query = query.or(`created_at.lt."${cursor.createdAt}",and(created_at.eq."${cursor.createdAt}",id.lt.${cursor.id})`);
+        }
+        if (messageType) query = query.eq('message_type', messageType);
+        if (status) query = query.eq('status', status);
+        if (from) query = query.gte('created_at', from.toISOString());
+        if (to) query = query.lte('created_at', to.toISOString());
+
+        const { data, error } = await query;
+        if (error) {
+            console.error(`[Conversations] Erro Supabase ao buscar mensagens de ${contactNumber}:`, error);
+            return null;
+        }
+
+        const messages = (data || []).slice(0, limit);
+        const hasMore = (data || []).length > limit;
+        return { messages, next_cursor: hasMore ? encodeCursor(messages[messages.length - 1]) : null };
+    } catch (dbError) {
+        console.error(`[Conversations] Erro ao buscar mensagens de ${contactNumber}:`, dbError);
+        return null;
+    }
+}
+
+// Marks everything received from the contact up to now as read. Returns the row, or null on error.
+async function markConversationRead(supabase, sessionId, contactNumber) {
+    try {
+        const { data, error } = await supabase
+            .from('conversation_reads')
+            .upsert({ session_id: sessionId, contact_number: contactNumber, last_read_at: new Date() }, { onConflict: 'session_id,contact_number' })
+            .select()
+            .single();
+
+        if (error) {
+            console.error(`[Conversations] Erro Supabase ao marcar ${contactNumber} como lida:`, error);
+            return null;
+        }
+        return data;
+    } catch (dbError) {
+        console.error(`[Conversations] Erro ao marcar ${contactNumber} como lida:`, dbError);
+        return null;
+    }
+}
+
+module.exports = {
+    normalizeContactNumber,
+    decodeCursor,
+    listConversations,
+    getConversationMessages,
+    markConversationRead
+};
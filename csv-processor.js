@@ -1,39 +1,58 @@
 const { parse } = require('csv-parse');
-const { MessageMedia } = require('whatsapp-web.js'); // Need MessageMedia here
-const crypto = require('crypto'); // For bulk job ID
 
-// Import utils directly as they are needed here too
-const { formatWhatsappNumber, saveMessageToDb, updateMessageStatusAndId } = require('./utils');
-
-// processCsvAndSendBulk now accepts optional image details
-async function processCsvAndSendBulk(client, supabase, wss, csvBuffer, messageTemplate, imageBuffer = null, imageMimeType = null) {
-    // Wrap the main logic in a Promise to handle async operations within the parser events
+const { createBulkJob } = require('./bulk-jobs');
+const { normalizeFieldName, renderTemplate, buildRecipientVariables, analyzeTemplate } = require('./template-engine');
+const { csvRecords } = require('./metrics');
+const { getSettings, getSettingValue } = require('./settings');
+const { normalizePhoneNumber } = require('./phone-numbers');
+const { estimateSendDurationMs } = require('./rate-limiter');
+const { importContacts, findSegmentContacts, toMailingRecord } = require('./contacts');
+
+// Parses a mailing CSV ('Nome', 'Numero' and optional 'CPF' columns, case-insensitive, plus any
+// other columns for use as template placeholders) and resolves with { records, columns, invalid, duplicates }.
+// Each record is { line, name, number, cpf, fields } where fields holds every column by normalized name
+// and number is normalized to E.164 digits (see phone-numbers.js).
+// Rows that can't be sent end up in `invalid` as { line, nome, numero, code, reason }; rows repeating
+// the number of an earlier row are dropped into `duplicates` as { line, nome, numero, duplicate_of_line }.
+function parseMailingCsv(csvBuffer) {
     return new Promise((resolve, reject) => {
         const records = [];
+        const invalid = [];
+        const duplicates = [];
+        const firstLineByNumber = new Map();
+        let columns = [];
         const parser = parse({
-            columns: true,
+            columns: (header) => {
+                columns = header.map(normalizeFieldName);
+                return columns;
+            },
             skip_empty_lines: true,
             trim: true,
             on_record: (record, {lines}) => {
-                const normalizedRecord = {};
-                for (const key in record) {
-                     normalizedRecord[key.trim().toLowerCase()] = record[key];
-                }
-                const name = normalizedRecord['nome'];
-                const number = normalizedRecord['numero'];
-                const cpf = normalizedRecord['cpf']; // Optional
+                // Keys were already normalized by the columns callback ('Nome' -> 'nome')
+                const name = record['nome'];
+                const number = record['numero'];
+                const cpf = record['cpf']; // Optional
+
+                const skip = (code, reason) => {
+                    console.warn(`[Bulk CSV] Skipping record on line ${lines}: ${reason}`);
+                    invalid.push({ line: lines, nome: name || null, numero: number || null, code, reason });
+                    return null;
+                };
 
                 // Basic validation
-                if (!name || !number) {
-                     console.warn(`[Bulk CSV] Skipping record on line ${lines}: Missing 'Nome' or 'Numero'. Record:`, record);
-                     return null; // Skip invalid record
+                if (!name) return skip('MISSING_NAME', "Coluna 'Nome' vazia ou ausente.");
+                if (!number) return skip('MISSING_NUMBER', "Coluna 'Numero' vazia ou ausente.");
+                const normalized = normalizePhoneNumber(number, { defaultCountryCode: getSettingValue('default_country_code') });
+                if (!normalized) return skip('INVALID_NUMBER', `Número de telefone inválido: ${number}.`);
+
+                const firstLine = firstLineByNumber.get(normalized.digits);
+                if (firstLine !== undefined) {
+                    duplicates.push({ line: lines, nome: name, numero: normalized.digits, duplicate_of_line: firstLine });
+                    return null;
                 }
-                // Validate phone number format (adjust regex if needed)
-                if (!/^\+?[0-9]{10,}$/.test(number)) {
-                     console.warn(`[Bulk CSV] Skipping record on line ${lines}: Invalid phone number format for ${number}. Record:`, record);
-                     return null;
-                 }
-                 return { name: name, number: number, cpf: cpf || null }; // Return structured data
+                firstLineByNumber.set(normalized.digits, lines);
+                return { line: lines, name: name, number: normalized.digits, cpf: cpf || null, fields: record }; // Return structured data
             }
         });
 
@@ -48,141 +67,167 @@ async function processCsvAndSendBulk(client, supabase, wss, csvBuffer, messageTe
 
          parser.on('error', function(err){
              console.error("[Bulk CSV] Parsing Error:", err.message);
-             wss.broadcast({ type: 'error', payload: `CSV Parsing Error: ${err.message}` });
-             reject(new Error(`CSV Parsing Error: ${err.message}`)); // Reject the promise on parsing error
+             const parseError = new Error(`CSV Parsing Error: ${err.message}`);
+             parseError.code = 'CSV_PARSE_ERROR';
+             reject(parseError);
          });
 
-         // Process records when parsing is complete
-         parser.on('end', async function(){
-             console.log(`[Bulk CSV] Parsed. ${records.length} valid records found.`);
-             if (records.length === 0) {
-                 console.warn("[Bulk CSV] No valid records found to send messages.");
-                 wss.broadcast({ type: 'bulk_complete', payload: { total: 0, sent: 0, failed: 0 } }); // Notify frontend
-                 resolve(); // Resolve the promise even if no records found
-                 return;
-             }
+         parser.on('end', function(){
+             console.log(`[Bulk CSV] Parsed. ${records.length} valid records found, ${invalid.length} invalid, ${duplicates.length} duplicates.`);
+             resolve({ records, columns, invalid, duplicates });
+         });
 
-             let media = null;
-             if (imageBuffer && imageMimeType) {
-                 try {
-                     // Use originalname 'image' if not available, though filename isn't crucial here
-                     media = new MessageMedia(imageMimeType, imageBuffer.toString('base64'), 'image_bulk');
-                     console.log("[Bulk Send] Image prepared for bulk sending.");
-                 } catch (mediaError) {
-                     console.error("[Bulk Send] Error creating MessageMedia for bulk send:", mediaError);
-                     wss.broadcast({ type: 'error', payload: `Failed to process image for bulk send: ${mediaError.message}` });
-                     // Stop bulk send if image processing fails
-                     wss.broadcast({ type: 'bulk_complete', payload: { total: records.length, sent: 0, failed: records.length, error: 'Image processing failed' } });
-                     reject(new Error('Failed to process image for bulk send')); // Reject promise
-                     return;
-                 }
-             }
+         // Start parsing the buffer
+         parser.write(csvBuffer);
+         parser.end();
+    });
+}
 
-             // --- Start Bulk Sending Logic ---
-             let sentCount = 0;
-             let failCount = 0;
-             const totalCount = records.length;
-             const bulkJobId = crypto.randomUUID();
-             const senderInfo = client.info; // Get sender info once
-
-             console.log(`[Bulk Send] Starting job ${bulkJobId} for ${totalCount} messages...`);
-             wss.broadcast({ // Initial progress update
-                 type: 'bulk_progress',
-                 payload: { current: 0, total: totalCount, success: 0, failed: 0 }
-             });
-
-             // Process each record sequentially with delays
-             for (let i = 0; i < totalCount; i++) {
-                 const record = records[i];
-                 // Replace placeholder (case-insensitive)
-                 const personalizedMessage = messageTemplate.replace(/\{nome\}/gi, record.name);
-                 const recipientNumber = record.number;
-                 const recipientId = formatWhatsappNumber(recipientNumber); // Ensure formatting
-
-                 if (!recipientId) {
-                     console.error(`[Bulk Send] (${i+1}/${totalCount}) Invalid recipient number format after format: ${recipientNumber}. Skipping.`);
-                     failCount++;
-                     // Save error state? Optional, depends on requirements. For now, just count failure.
-                     wss.broadcast({
-                         type: 'bulk_progress',
-                         payload: { current: i + 1, total: totalCount, success: sentCount, failed: failCount }
-                     });
-                     continue; // Skip this record
-                 }
+// Validation report for a parsed mailing (POST /mailing/validate, and stored with the job as
+// bulk_jobs.validation_report without the `valid` rows, which are the job's bulk_queue).
+// The estimate assumes the current throttling settings and an otherwise idle number, and leaves out
+// time spent waiting for the send window.
+function buildValidationReport({ records, columns, invalid, duplicates }) {
+    const settings = getSettings();
+    return {
+        columns,
+        total_rows: records.length + invalid.length + duplicates.length,
+        valid_count: records.length,
+        invalid_count: invalid.length,
+        duplicate_count: duplicates.length,
+        estimated_duration_seconds: Math.round(estimateSendDurationMs(records.length, settings) / 1000),
+        send_window_enabled: settings.send_window_enabled,
+        valid: records.map(record => ({ line: record.line, nome: record.name, numero: record.number })),
+        invalid,
+        duplicates
+    };
+}
+
+// Parses the CSV and reports which rows would be sent, without persisting anything. Rejects on parse errors.
+async function validateMailing(csvBuffer) {
+    return buildValidationReport(await parseMailingCsv(csvBuffer));
+}
 
+// Persists the recipients as a bulk job (bulk_jobs + bulk_queue rows), then wakes the bulk worker which
+// does the actual sending. With options.scheduledAt the job is created as 'scheduled' instead and left for
+// the scheduler to release. Resolves with the job; rejects on DB errors.
+async function queueBulkJob(bulkWorker, supabase, records, messageTemplate, imageBuffer, imageMimeType, { validationReport = null, scheduledAt = null, mediaFilename = null, contentOptions = null, sessionId = null, segmentId = null } = {}) {
+    const job = await createBulkJob(supabase, {
+        messageTemplate: messageTemplate,
+        mediaBuffer: imageBuffer && imageMimeType ? imageBuffer : null,
+        mediaMimeType: imageMimeType,
+        mediaFilename: mediaFilename,
+        contentOptions: contentOptions,
+        records: records,
+        validationReport: validationReport,
+        scheduledAt: scheduledAt,
+        sessionId: sessionId,
+        segmentId: segmentId
+    });
+
+    if (!job) {
+        throw new Error('Failed to persist bulk job');
+    }
+
+    if (scheduledAt) {
+        console.log(`[Bulk] Job ${job.id} scheduled for ${scheduledAt.toISOString()} with ${records.length} recipients.`);
+    } else {
+        console.log(`[Bulk] Job ${job.id} queued with ${records.length} recipients.`);
+        bulkWorker.wake();
+    }
+    return job;
+}
 
-                  // Delay between messages (e.g., random 1-4 seconds)
-                  const delayMs = Math.random() * 3000 + 1000;
-                  await new Promise(resolve => setTimeout(resolve, delayMs));
-
-                  // 1. Save initial 'pending' record to DB
-                  const dbMessage = await saveMessageToDb(supabase, senderInfo, wss, {
-                      recipient_number: recipientNumber,
-                      recipient_name: record.name, // Save name from CSV
-                      body: personalizedMessage, // Caption or text message
-                      status: 'pending',
-                      is_outgoing: true,
-                      bulk_job_id: bulkJobId,
-                      has_media: !!media,
-                      media_mime_type: media ? imageMimeType : null,
-                      message_type: 'bulk' // Mark as bulk message
-                  });
-
-                  if (!dbMessage) {
-                      console.error(`[Bulk Send] (${i+1}/${totalCount}) Failed to save initial DB record for ${recipientNumber}. Skipping message.`);
-                      failCount++;
-                      wss.broadcast({
-                            type: 'bulk_progress',
-                            payload: { current: i + 1, total: totalCount, success: sentCount, failed: failCount }
-                       });
-                      continue; // Skip sending if DB save failed
-                  }
-
-                 try {
-                    let sentMessage;
-                    if (media) {
-                        // Send image with personalized caption
-                        // Note: whatsapp-web.js might have limitations sending the *same* media object repeatedly quickly.
-                        // If issues arise, creating a new MessageMedia object per send might be needed, but less efficient.
-                        sentMessage = await client.sendMessage(recipientId, media, { caption: personalizedMessage });
-                    } else {
-                        // Send text message only
-                        sentMessage = await client.sendMessage(recipientId, personalizedMessage);
-                    }
-                      console.log(`[Bulk Send] (${i+1}/${totalCount}) Message sent to ${record.name} (${recipientNumber}). WA ID: ${sentMessage.id.id}`);
-                      sentCount++;
-                      // 2. Update DB record with message ID and 'sent' status (ACK will update later)
-                      await updateMessageStatusAndId(supabase, wss, dbMessage.id, sentMessage.id.id, 'sent');
-                 } catch (error) {
-                      console.error(`[Bulk Send] (${i+1}/${totalCount}) Failed to send message to ${record.name} (${recipientNumber}):`, error.message);
-                      failCount++;
-                       // 3. Update DB record with 'error' status and error message
-                      await updateMessageStatusAndId(supabase, wss, dbMessage.id, null, 'error', error.message || 'Unknown sending error');
-                 }
+// Parses the CSV and persists it as a bulk job (see queueBulkJob). options.mediaFilename and
+// options.contentOptions (document/voice flags, location, vCard; see outbound-content.js) are kept on the job,
+// which belongs to options.sessionId.
+// Resolves with { job, report }; job is null when the CSV had no valid records. Rejects on parse or DB errors.
+async function processCsvAndSendBulk(bulkWorker, supabase, wss, csvBuffer, messageTemplate, imageBuffer = null, imageMimeType = null, { scheduledAt = null, mediaFilename = null, contentOptions = null, sessionId = null } = {}) {
+    let parsed;
+    try {
+        parsed = await parseMailingCsv(csvBuffer);
+        csvRecords.inc({ result: 'valid' }, parsed.records.length);
+        csvRecords.inc({ result: 'skipped' }, parsed.invalid.length);
+        csvRecords.inc({ result: 'duplicate' }, parsed.duplicates.length);
+    } catch (parseError) {
+        csvRecords.inc({ result: 'parse_error' });
+        wss.broadcast({ type: 'error', payload: parseError.message });
+        throw parseError;
+    }
+    const { records } = parsed;
+    const { valid, ...report } = buildValidationReport(parsed);
+
+    if (records.length === 0) {
+        console.warn("[Bulk CSV] No valid records found to send messages.");
+        wss.broadcast({ type: 'bulk_complete', payload: { total: 0, sent: 0, failed: 0 } }); // Notify frontend
+        return { job: null, report };
+    }
+
+    const job = await queueBulkJob(bulkWorker, supabase, records, messageTemplate, imageBuffer, imageMimeType, {
+        validationReport: report, scheduledAt, mediaFilename, contentOptions, sessionId
+    });
+    return { job, report };
+}
 
-                 // Broadcast progress update after each attempt
-                 wss.broadcast({
-                     type: 'bulk_progress',
-                     payload: { current: i + 1, total: totalCount, success: sentCount, failed: failCount }
-                 });
-             } // End of loop
-
-             console.log(`[Bulk Send] Finished job ${bulkJobId}. Total: ${totalCount}, Sent: ${sentCount}, Failed: ${failCount}`);
-              // Send final completion update
-              wss.broadcast({
-                  type: 'bulk_complete',
-                  payload: { total: totalCount, sent: sentCount, failed: failCount, jobId: bulkJobId }
-              });
-              resolve(); // Resolve the promise when done
-         }); // End of parser.on('end')
+// Same as processCsvAndSendBulk for the contacts of a segment (see contacts.js). The job keeps the segment
+// in segment_id and, as validation_report, { segment_id, segment_name, filters, valid_count, truncated,
+// estimated_duration_seconds, send_window_enabled }.
+// Resolves with { job, report }; job is null when the segment has no contacts. Rejects on DB errors.
+async function processSegmentAndSendBulk(bulkWorker, supabase, wss, segment, messageTemplate, imageBuffer = null, imageMimeType = null, { scheduledAt = null, mediaFilename = null, contentOptions = null, sessionId = null } = {}) {
+    const found = await findSegmentContacts(supabase, segment.filters);
+    if (!found) {
+        throw new Error('Failed to evaluate segment');
+    }
+    const records = found.contacts.map(toMailingRecord);
+    const settings = getSettings();
+    const report = {
+        segment_id: segment.id,
+        segment_name: segment.name,
+        filters: segment.filters,
+        valid_count: records.length,
+        truncated: found.truncated,
+        estimated_duration_seconds: Math.round(estimateSendDurationMs(records.length, settings) / 1000),
+        send_window_enabled: settings.send_window_enabled
+    };
+
+    if (records.length === 0) {
+        console.warn(`[Bulk] Segment ${segment.id} has no contacts to send messages to.`);
+        return { job: null, report };
+    }
+
+    const job = await queueBulkJob(bulkWorker, supabase, records, messageTemplate, imageBuffer, imageMimeType, {
+        validationReport: report, scheduledAt, mediaFilename, contentOptions, sessionId, segmentId: segment.id
+    });
+    return { job, report };
+}
 
-         // Start parsing the buffer
-         parser.write(csvBuffer);
-         parser.end();
-    }); // End of Promise wrapper
+// Imports a mailing CSV into contacts (same parsing and validation as a bulk send), adding `tags` to
+// every imported contact. Resolves with { created, updated, report } or null on DB errors; rejects on parse errors.
+async function importContactsCsv(supabase, csvBuffer, { tags = [] } = {}) {
+    const parsed = await parseMailingCsv(csvBuffer);
+    const { valid, ...report } = buildValidationReport(parsed);
+    const imported = await importContacts(supabase, parsed.records, { tags });
+    return imported ? { ...imported, report } : null;
 }
 
-// ** REMOVED formatWhatsappNumber, saveMessageToDb, updateMessageStatusAndId **
-// ** They are now imported from ./utils.js **
+// Dry run for a bulk send: renders the first `rowCount` valid rows without sending or persisting
+// anything, and reports placeholders that don't match any CSV column or lack a value in a row.
+async function previewMailing(csvBuffer, messageTemplate, rowCount = 5) {
+    const { records, columns } = await parseMailingCsv(csvBuffer);
+    const { placeholders, unknownColumns } = analyzeTemplate(messageTemplate, columns);
+
+    const rows = records.slice(0, rowCount).map(record => {
+        const { text, missing } = renderTemplate(messageTemplate, buildRecipientVariables(record));
+        return { line: record.line, nome: record.name, numero: record.number, message: text, missing_placeholders: missing };
+    });
+
+    return {
+        columns,
+        total_records: records.length,
+        placeholders,
+        unknown_placeholders: unknownColumns,
+        rows
+    };
+}
 
-module.exports = { processCsvAndSendBulk };
\ No newline at end of file
+module.exports = { parseMailingCsv, validateMailing, processCsvAndSendBulk, processSegmentAndSendBulk, importContactsCsv, previewMailing };
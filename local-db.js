@@ -0,0 +1,736 @@
+// Local embedded database (STORAGE_BACKEND=local): every table kept in memory and saved to one JSON
+// file, for running offline, in tests and on small deployments. Meant for thousands of messages, not millions.
+// Changed rows are appended to a journal next to the file (<file>.journal, at most every SAVE_DELAY_MS), which
+// is folded back into the file on start-up and after COMPACT_AFTER_ENTRIES changes.
+//
+// createLocalDatabase() returns an object with the part of the supabase-js query builder the DB helpers
+// use, so they work unchanged with either backend:
+//   from(table).select(columns, { count: 'exact', head }) / insert(rows) / upsert(rows, { onConflict }) / update(patch) / delete()
+//   filters:   eq, neq, gt, gte, lt, lte, in, is, like, ilike, or('col.op.value,and(...)'), filter(col, op, value)
+//   modifiers: order(col, { ascending, nullsFirst }), limit, range, single, maybeSingle
+// Queries resolve with { data, error, count }; errors carry the Postgres/PostgREST code supabase-js would
+// return (23505 unique violation, PGRST116 single() without exactly one row, 42P01/42703 unknown table/column).
+//
+// TABLES mirrors migrations/*.sql: columns with their defaults, keys, unique constraints (a list of columns, or
+// { columns, where, name } for a partial unique index) and ON DELETE actions (other foreign keys aren't enforced). Tables and columns added here show up in existing files on load.
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const NOW = Symbol('now');
+const SERIAL = Symbol('serial');
+const UUID = Symbol('uuid');
+
+const FILE_FORMAT_VERSION = 1;
+const SAVE_DELAY_MS = 200;
+const COMPACT_AFTER_ENTRIES = 5000;
+
+const TABLES = {
+    settings: {
+        primaryKey: ['key'],
+        columns: { key: null, value: null, updated_at: NOW }
+    },
+    whatsapp_sessions: {
+        primaryKey: ['id'],
+        columns: { id: null, name: null, auto_start: true, created_at: NOW, updated_at: NOW }
+    },
+    messages: {
+        primaryKey: ['id'],
+        references: {
+            related_message_id: { table: 'messages', onDelete: 'set null' },
+            reply_to_id: { table: 'messages', onDelete: 'set null' }
+        },
+        columns: {
+            id: SERIAL, session_id: null, message_id: null, sender_number: null, recipient_number: null, recipient_name: null,
+            body: null, is_outgoing: true, status: 'pending', bulk_job_id: null, error_message: null, timestamp: null,
+            has_media: false, media_mime_type: null, media_type: null, message_type: null, related_message_id: null,
+            quoted_message_id: null, reply_to_id: null, participant: null, edited_at: null, revoked_at: null,
+            created_at: NOW
+        }
+    },
+    message_edits: {
+        primaryKey: ['id'],
+        references: { message_db_id: { table: 'messages', onDelete: 'cascade' } },
+        columns: { id: SERIAL, message_db_id: null, previous_body: null, new_body: null, edited_at: NOW, created_at: NOW }
+    },
+    message_reactions: {
+        primaryKey: ['id'],
+        unique: [['message_db_id', 'reactor']],
+        references: { message_db_id: { table: 'messages', onDelete: 'cascade' } },
+        columns: { id: SERIAL, message_db_id: null, reactor: null, emoji: null, reacted_at: NOW, created_at: NOW, updated_at: NOW }
+    },
+    message_media: {
+        primaryKey: ['id'],
+        unique: [['message_db_id']],
+        references: { message_db_id: { table: 'messages', onDelete: 'cascade' } },
+        columns: {
+            id: SERIAL, message_db_id: null, storage_backend: null, storage_key: null, mime_type: null, filename: null,
+            size_bytes: null, sha256: null, created_at: NOW
+        }
+    },
+    bulk_jobs: {
+        primaryKey: ['id'],
+        references: {
+            session_id: { table: 'whatsapp_sessions', onDelete: 'set null' },
+            segment_id: { table: 'contact_segments', onDelete: 'set null' }
+        },
+        columns: {
+            id: UUID, session_id: null, state: 'queued', message_template: null, media_data: null, media_mime_type: null,
+            media_filename: null, content_options: null, total: 0, sent_count: 0, failed_count: 0, error_message: null,
+            scheduled_at: null, created_at: NOW, started_at: null, finished_at: null, validation_report: null,
+            segment_id: null
+        }
+    },
+    bulk_queue: {
+        primaryKey: ['id'],
+        references: {
+            bulk_job_id: { table: 'bulk_jobs', onDelete: 'cascade' },
+            message_db_id: { table: 'messages', onDelete: 'set null' }
+        },
+        columns: {
+            id: SERIAL, bulk_job_id: null, position: null, recipient_number: null, recipient_name: null, cpf: null,
+            variables: null, status: 'queued', message_db_id: null, message_id: null, error_message: null,
+            attempted_at: null, updated_at: null
+        }
+    },
+    scheduled_messages: {
+        primaryKey: ['id'],
+        references: {
+            session_id: { table: 'whatsapp_sessions', onDelete: 'set null' },
+            bulk_job_id: { table: 'bulk_jobs', onDelete: 'set null' },
+            message_db_id: { table: 'messages', onDelete: 'set null' }
+        },
+        columns: {
+            id: SERIAL, session_id: null, kind: null, send_at: null, status: 'pending', recipient_number: null,
+            recipient_name: null, body: null, media_data: null, media_mime_type: null, media_filename: null,
+            content_options: null, bulk_job_id: null, message_db_id: null, error_message: null, created_at: NOW, updated_at: NOW
+        }
+    },
+    contacts_blocklist: {
+        primaryKey: ['id'],
+        unique: [['number']],
+        columns: { id: SERIAL, number: null, reason: null, source: 'manual', created_at: NOW }
+    },
+    conversation_reads: {
+        primaryKey: ['session_id', 'contact_number'],
+        columns: { session_id: null, contact_number: null, last_read_at: NOW }
+    },
+    auto_reply_rules: {
+        primaryKey: ['id'],
+        columns: {
+            id: SERIAL, name: null, match_type: null, pattern: null, schedule: 'always', scope: 'private', response: null,
+            priority: 100, enabled: true, created_at: NOW, updated_at: NOW
+        }
+    },
+    api_keys: {
+        primaryKey: ['id'],
+        unique: [['key_hash']],
+        columns: {
+            id: SERIAL, name: null, role: null, key_prefix: null, key_hash: null, created_at: NOW,
+            last_used_at: null, revoked_at: null
+        }
+    },
+    contacts: {
+        primaryKey: ['id'],
+        unique: [['number']],
+        columns: {
+            id: SERIAL, number: null, name: null, cpf: null, tags: [], fields: {}, source: 'manual',
+            created_at: NOW, updated_at: NOW
+        }
+    },
+    contact_segments: {
+        primaryKey: ['id'],
+        unique: [['name']],
+        columns: { id: SERIAL, name: null, description: null, filters: {}, created_at: NOW, updated_at: NOW }
+    },
+    operators: {
+        primaryKey: ['id'],
+        unique: [['number']],
+        columns: { id: SERIAL, name: null, number: null, tags: [], available: true, created_at: NOW, updated_at: NOW }
+    },
+    conversation_assignments: {
+        primaryKey: ['id'],
+        // One open assignment per conversation (a partial unique index in Postgres)
+        unique: [{ columns: ['session_id', 'contact_number'], where: { status: 'open' }, name: 'conversation_assignments_open_idx' }],
+        references: { operator_id: { table: 'operators', onDelete: 'set null' } },
+        columns: {
+            id: SERIAL, session_id: null, contact_number: null, chat_id: null, operator_id: null, status: 'open', tag: null,
+            reason: null, assigned_at: null, resolved_at: null, created_at: NOW, updated_at: NOW
+        }
+    },
+    webhook_subscriptions: {
+        primaryKey: ['id'],
+        columns: {
+            id: SERIAL, url: null, events: ['*'], secret: null, description: null, enabled: true,
+            created_at: NOW, updated_at: NOW
+        }
+    },
+    webhook_deliveries: {
+        primaryKey: ['id'],
+        references: { subscription_id: { table: 'webhook_subscriptions', onDelete: 'set null' } },
+        columns: {
+            id: SERIAL, subscription_id: null, event_type: null, body: null, status: 'pending', attempts: 0,
+            next_attempt_at: NOW, last_status_code: null, last_error: null, created_at: NOW, delivered_at: null
+        }
+    }
+};
+
+const TIMESTAMP_PATTERN = /^\d{4}-\d{2}-\d{2}[T ]\d{2}:\d{2}/;
+
+function dbError(code, message) {
+    return { code, message, details: null, hint: null };
+}
+
+// Values are stored the way they come back from PostgREST: JSON (Dates become ISO strings)
+function toStoredValue(value) {
+    return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+function copyRow(row) {
+    return JSON.parse(JSON.stringify(row));
+}
+
+// Postgres-like comparison: numbers numerically, timestamps chronologically, everything else as text.
+// null when either side is null (SQL comparisons with NULL are never true).
+function compareValues(a, b) {
+    if (a === null || a === undefined || b === null || b === undefined) return null;
+    if (typeof a === 'number' || typeof b === 'number') {
+        const x = Number(a);
+        const y = Number(b);
+        if (!Number.isNaN(x) && !Number.isNaN(y)) return x - y;
+    }
+    if (typeof a === 'string' && typeof b === 'string' && TIMESTAMP_PATTERN.test(a) && TIMESTAMP_PATTERN.test(b)) {
+        const x = Date.parse(a);
+        const y = Date.parse(b);
+        if (!Number.isNaN(x) && !Number.isNaN(y)) return x - y;
+    }
+    const x = String(a);
+    const y = String(b);
+    return x < y ? -1 : (x > y ? 1 : 0);
+}
+
+function likeToRegExp(pattern, flags) {
+    const source = String(pattern)
+        .split('')
+        .map(char => (char === '%' ? '.*' : char === '_' ? '.' : char.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')))
+        .join('');
+    return new RegExp(`^${source}$`, flags);
+}
+
+const COMPARISONS = {
+    eq: difference => difference === 0,
+    neq: difference => difference !== 0,
+    gt: difference => difference > 0,
+    gte: difference => difference >= 0,
+    lt: difference => difference < 0,
+    lte: difference => difference <= 0
+};
+
+function matchesFilter(row, { column, operator, value }) {
+    const current = row[column];
+    if (COMPARISONS[operator]) {
+        const difference = compareValues(current, value);
+        return difference !== null && COMPARISONS[operator](difference);
+    }
+    switch (operator) {
+        case 'in': return value.some(option => compareValues(current, option) === 0);
+        case 'is': return value === null ? current === null || current === undefined : current === value;
+        case 'like': return current !== null && current !== undefined && likeToRegExp(value, '').test(String(current));
+        case 'ilike': return current !== null && current !== undefined && likeToRegExp(value, 'i').test(String(current));
+        default: throw new Error(`Operador '${operator}' não suportado pelo banco local.`);
+    }
+}
+
+function matchesCondition(row, condition) {
+    if (condition.and) return condition.and.every(inner => matchesCondition(row, inner));
+    if (condition.or) return condition.or.some(inner => matchesCondition(row, inner));
+    return matchesFilter(row, condition);
+}
+
+// Splits on commas that aren't inside parentheses or double quotes
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let quoted = false;
+    let current = '';
+    for (const char of text) {
+        if (char === '"') quoted = !quoted;
+        if (!quoted && char === '(') depth++;
+        if (!quoted && char === ')') depth--;
+        if (!quoted && depth === 0 && char === ',') {
+            parts.push(current);
+            current = '';
+            continue;
+        }
+        current += char;
+    }
+    if (current) parts.push(current);
+    return parts;
+}
+
+function parseFilterValue(operator, raw) {
+    const unquote = value => (/^".*"$/.test(value) ? value.slice(1, -1).replace(/\\"/g, '"') : value);
+    if (operator === 'in') return splitTopLevel(raw.replace(/^\(|\)$/g, '')).map(unquote);
+    if (operator === 'is') return { null: null, true: true, false: false }[raw] ?? raw;
+    return unquote(raw);
+}
+
+// PostgREST logic tree: 'a.eq.1,and(b.lt.2,c.is.null)' -> { or: [...] }
+function parseLogicTree(text) {
+    return splitTopLevel(text).map(part => {
+        const group = /^(and|or)\((.*)\)$/.exec(part);
+        if (group) return { [group[1]]: parseLogicTree(group[2]) };
+        const match = /^([^.]+)\.([a-z]+)\.(.*)$/.exec(part);
+        if (!match) throw new Error(`Filtro inválido: '${part}'.`);
+        return { column: match[1], operator: match[2], value: parseFilterValue(match[2], match[3]) };
+    });
+}
+
+function conditionColumns(condition) {
+    if (condition.and || condition.or) return (condition.and || condition.or).flatMap(conditionColumns);
+    return [condition.column];
+}
+
+class LocalQuery {
+    constructor(database, table) {
+        this.database = database;
+        this.table = table;
+        this.action = 'select';
+        this.columns = '*';
+        this.returning = false;
+        this.conditions = [];
+        this.orders = [];
+        this.rangeFrom = 0;
+        this.rangeTo = null;
+        this.countMode = null;
+        this.head = false;
+        this.singleMode = null;
+    }
+
+    select(columns = '*', { count = null, head = false } = {}) {
+        this.columns = columns;
+        this.returning = true;
+        this.countMode = count;
+        this.head = head;
+        return this;
+    }
+
+    insert(rows) {
+        this.action = 'insert';
+        this.rows = Array.isArray(rows) ? rows : [rows];
+        return this;
+    }
+
+    upsert(rows, { onConflict = null } = {}) {
+        this.action = 'upsert';
+        this.rows = Array.isArray(rows) ? rows : [rows];
+        this.onConflict = onConflict ? onConflict.split(',').map(column => column.trim()) : null;
+        return this;
+    }
+
+    update(patch) {
+        this.action = 'update';
+        this.patch = patch;
+        return this;
+    }
+
+    delete() {
+        this.action = 'delete';
+        return this;
+    }
+
+    filter(column, operator, value) {
+        this.conditions.push({ column, operator, value: operator === 'in' && !Array.isArray(value) ? parseFilterValue('in', String(value)) : toStoredValue(value) });
+        return this;
+    }
+
+    eq(column, value) { return this.filter(column, 'eq', value); }
+    neq(column, value) { return this.filter(column, 'neq', value); }
+    gt(column, value) { return this.filter(column, 'gt', value); }
+    gte(column, value) { return this.filter(column, 'gte', value); }
+    lt(column, value) { return this.filter(column, 'lt', value); }
+    lte(column, value) { return this.filter(column, 'lte', value); }
+    in(column, values) { return this.filter(column, 'in', values); }
+    is(column, value) { return this.filter(column, 'is', value); }
+    like(column, pattern) { return this.filter(column, 'like', pattern); }
+    ilike(column, pattern) { return this.filter(column, 'ilike', pattern); }
+
+    or(filters) {
+        this.conditions.push({ or: parseLogicTree(filters) });
+        return this;
+    }
+
+    order(column, { ascending = true, nullsFirst = !ascending } = {}) {
+        this.orders.push({ column, ascending, nullsFirst });
+        return this;
+    }
+
+    limit(count) {
+        this.rangeTo = this.rangeFrom + count - 1;
+        return this;
+    }
+
+    range(from, to) {
+        this.rangeFrom = from;
+        this.rangeTo = to;
+        return this;
+    }
+
+    single() {
+        this.singleMode = 'single';
+        return this;
+    }
+
+    maybeSingle() {
+        this.singleMode = 'maybe';
+        return this;
+    }
+
+    then(onFulfilled, onRejected) {
+        return Promise.resolve().then(() => this.database.execute(this)).then(onFulfilled, onRejected);
+    }
+}
+
+function createLocalDatabase({ filePath = process.env.LOCAL_DB_PATH || './data/local-db.json' } = {}) {
+    const resolvedPath = path.resolve(filePath);
+    let state = { version: FILE_FORMAT_VERSION, sequences: {}, tables: {} };
+    const journalPath = `${resolvedPath}.journal`;
+    let pendingEntries = []; // Journal lines not written yet
+    let journalEntries = 0; // Lines in the journal file
+    let saveTimer = null;
+    let saving = Promise.resolve();
+
+    function load() {
+        if (fs.existsSync(resolvedPath)) {
+            state = JSON.parse(fs.readFileSync(resolvedPath, 'utf8'));
+        } else {
+            fs.mkdirSync(path.dirname(resolvedPath), { recursive: true });
+        }
+        for (const table of Object.keys(TABLES)) {
+            state.tables[table] = state.tables[table] || [];
+            state.sequences[table] = state.sequences[table] || 0;
+        }
+
+        const replayed = replayJournal();
+        // Brings files written by older versions up to date: new columns (with their defaults)
+        for (const [table, definition] of Object.entries(TABLES)) {
+            for (const row of state.tables[table]) {
+                for (const [column, defaultValue] of Object.entries(definition.columns)) {
+                    if (!(column in row)) row[column] = typeof defaultValue === 'symbol' ? null : toStoredValue(defaultValue);
+                }
+            }
+        }
+        console.log(`[Storage] Banco local carregado de ${resolvedPath}${replayed > 0 ? ` (${replayed} alterações do diário)` : ''}.`);
+        if (replayed > 0) writeSnapshot();
+    }
+
+    // Applies the changes saved after the last full write. Returns how many there were.
+    function replayJournal() {
+        if (!fs.existsSync(journalPath)) return 0;
+        const lines = fs.readFileSync(journalPath, 'utf8').split('\n').filter(Boolean);
+        let replayed = 0;
+        for (const line of lines) {
+            let entry;
+            try {
+                entry = JSON.parse(line);
+            } catch (error) {
+                // Only the last line can be incomplete (the process stopped while appending it)
+                console.warn(`[Storage] Entrada incompleta no diário ${journalPath} ignorada.`);
+                break;
+            }
+            applyJournalEntry(entry);
+            replayed++;
+        }
+        return replayed;
+    }
+
+    // Journal entries: { table, row, sequence } writes the row (by primary key), { table, key } deletes it.
+    // Replaying an entry twice has no further effect.
+    function applyJournalEntry({ table, row, key, sequence }) {
+        const rows = state.tables[table];
+        if (!rows) return;
+        const index = rows.findIndex(existing => sameKey(existing, row || key, TABLES[table].primaryKey));
+        if (row) {
+            if (index === -1) rows.push(row);
+            else rows[index] = row;
+            state.sequences[table] = Math.max(state.sequences[table], sequence || 0);
+        } else if (index !== -1) {
+            rows.splice(index, 1);
+        }
+    }
+
+    function recordWrite(table, row) {
+        pendingEntries.push(JSON.stringify({ table, row, sequence: state.sequences[table] }));
+    }
+
+    function recordDelete(table, row) {
+        const key = Object.fromEntries(TABLES[table].primaryKey.map(column => [column, row[column]]));
+        pendingEntries.push(JSON.stringify({ table, key }));
+    }
+
+    // Rewrites the whole file (atomically) and starts a new journal
+    function writeSnapshot() {
+        const tempPath = `${resolvedPath}.tmp`;
+        const contents = JSON.stringify(state);
+        pendingEntries = [];
+        journalEntries = 0;
+        saving = saving
+            .then(async () => {
+                await fs.promises.writeFile(tempPath, contents);
+                await fs.promises.rename(tempPath, resolvedPath);
+                await fs.promises.rm(journalPath, { force: true });
+            })
+            .catch(error => console.error(`[Storage] Erro ao salvar o banco local em ${resolvedPath}:`, error));
+        return saving;
+    }
+
+    // Appends the pending changes to the journal, or folds everything into the file once the journal is long
+    function writeJournal() {
+        if (pendingEntries.length === 0) return saving;
+        if (journalEntries + pendingEntries.length > COMPACT_AFTER_ENTRIES) return writeSnapshot();
+        const lines = `${pendingEntries.join('\n')}\n`;
+        journalEntries += pendingEntries.length;
+        pendingEntries = [];
+        saving = saving
+            .then(() => fs.promises.appendFile(journalPath, lines))
+            .catch(error => console.error(`[Storage] Erro ao salvar o diário do banco local em ${journalPath}:`, error));
+        return saving;
+    }
+
+    function scheduleSave() {
+        if (saveTimer) return;
+        saveTimer = setTimeout(() => {
+            saveTimer = null;
+            writeJournal();
+        }, SAVE_DELAY_MS);
+    }
+
+    // Writes pending changes now (shutdown)
+    function flush() {
+        if (saveTimer) {
+            clearTimeout(saveTimer);
+            saveTimer = null;
+        }
+        return writeJournal();
+    }
+
+    function checkColumns(table, columns) {
+        const known = TABLES[table].columns;
+        const unknown = columns.find(column => !(column in known));
+        return unknown ? dbError('42703', `column ${table}.${unknown} does not exist`) : null;
+    }
+
+    function buildRow(table, values) {
+        const row = {};
+        for (const [column, defaultValue] of Object.entries(TABLES[table].columns)) {
+            if (values[column] !== undefined) {
+                row[column] = toStoredValue(values[column]);
+            } else if (defaultValue === SERIAL) {
+                row[column] = ++state.sequences[table];
+            } else if (defaultValue === UUID) {
+                row[column] = crypto.randomUUID();
+            } else if (defaultValue === NOW) {
+                row[column] = new Date().toISOString();
+            } else {
+                row[column] = toStoredValue(defaultValue);
+            }
+        }
+        // Keeps the sequence ahead of explicitly inserted ids
+        const serialColumn = Object.keys(row).find(column => TABLES[table].columns[column] === SERIAL);
+        if (serialColumn && Number(row[serialColumn]) > state.sequences[table]) {
+            state.sequences[table] = Number(row[serialColumn]);
+        }
+        return row;
+    }
+
+    function sameKey(a, b, columns) {
+        return columns.every(column => compareValues(a[column], b[column]) === 0);
+    }
+
+    // First unique constraint (primary key included) `row` violates, or null
+    function findUniqueViolation(table, row, ignoredRow = null) {
+        const definition = TABLES[table];
+        for (const constraint of [definition.primaryKey, ...(definition.unique || [])]) {
+            const { columns, where = null, name = `${table}_${columns.join('_')}_key` } = Array.isArray(constraint) ? { columns: constraint } : constraint;
+            const isIndexed = candidate => !where || Object.entries(where).every(([column, value]) => compareValues(candidate[column], value) === 0);
+            if (columns.some(column => row[column] === null) || !isIndexed(row)) continue;
+            const clash = state.tables[table].some(other => other !== ignoredRow && other !== row && isIndexed(other) && sameKey(other, row, columns));
+            if (clash) {
+                return dbError('23505', `duplicate key value violates unique constraint "${name}"`);
+            }
+        }
+        return null;
+    }
+
+    // ON DELETE CASCADE / SET NULL for rows removed from `table`
+    function applyDeleteActions(table, removedRows) {
+        const keyColumn = TABLES[table].primaryKey[0];
+        for (const [childTable, definition] of Object.entries(TABLES)) {
+            for (const [column, reference] of Object.entries(definition.references || {})) {
+                if (reference.table !== table) continue;
+                const isReferenced = row => removedRows.some(removed => compareValues(row[column], removed[keyColumn]) === 0);
+                if (reference.onDelete === 'cascade') {
+                    const cascaded = state.tables[childTable].filter(isReferenced);
+                    if (cascaded.length === 0) continue;
+                    state.tables[childTable] = state.tables[childTable].filter(row => !isReferenced(row));
+                    cascaded.forEach(row => recordDelete(childTable, row));
+                    applyDeleteActions(childTable, cascaded);
+                } else if (reference.onDelete === 'set null') {
+                    state.tables[childTable].filter(isReferenced).forEach(row => {
+                        row[column] = null;
+                        recordWrite(childTable, row);
+                    });
+                }
+            }
+        }
+    }
+
+    function project(rows, columns) {
+        if (columns.trim() === '*') return rows.map(copyRow);
+        const names = columns.split(',').map(column => column.trim()).filter(Boolean);
+        return rows.map(row => Object.fromEntries(names.map(name => [name, toStoredValue(row[name])])));
+    }
+
+    function sortRows(rows, orders) {
+        if (orders.length === 0) return rows;
+        return [...rows].sort((a, b) => {
+            for (const { column, ascending, nullsFirst } of orders) {
+                const aNull = a[column] === null || a[column] === undefined;
+                const bNull = b[column] === null || b[column] === undefined;
+                if (aNull || bNull) {
+                    if (aNull && bNull) continue;
+                    return (aNull ? -1 : 1) * (nullsFirst ? 1 : -1);
+                }
+                const difference = compareValues(a[column], b[column]);
+                if (difference !== 0) return ascending ? difference : -difference;
+            }
+            return 0;
+        });
+    }
+
+    function runMutation(query) {
+        const { table } = query;
+        const rows = state.tables[table];
+        const matches = row => query.conditions.every(condition => matchesCondition(row, condition));
+
+        if (query.action === 'insert' || query.action === 'upsert') {
+            const columnError = checkColumns(table, query.rows.flatMap(Object.keys));
+            if (columnError) return { error: columnError };
+
+            // All or nothing, like a single INSERT statement
+            const appendedFrom = rows.length;
+            const previousValues = new Map(); // upserted row -> its values before this statement
+            const rollback = (error) => {
+                rows.splice(appendedFrom);
+                previousValues.forEach((previous, row) => Object.assign(row, previous));
+                return { error };
+            };
+
+            const conflictColumns = query.onConflict || TABLES[table].primaryKey;
+            const written = [];
+            for (const values of query.rows) {
+                const existing = query.action === 'upsert'
+                    && conflictColumns.every(column => values[column] !== undefined && values[column] !== null)
+                    ? rows.find(row => sameKey(row, values, conflictColumns))
+                    : null;
+                if (existing) {
+                    const updated = { ...existing };
+                    for (const [column, value] of Object.entries(values)) updated[column] = toStoredValue(value);
+                    const violation = findUniqueViolation(table, updated, existing);
+                    if (violation) return rollback(violation);
+                    if (!previousValues.has(existing)) previousValues.set(existing, { ...existing });
+                    Object.assign(existing, updated);
+                    written.push(existing);
+                    continue;
+                }
+                const row = buildRow(table, values);
+                const violation = findUniqueViolation(table, row);
+                if (violation) return rollback(violation);
+                rows.push(row);
+                written.push(row);
+            }
+            written.forEach(row => recordWrite(table, row));
+            return { rows: written };
+        }
+
+        const selected = rows.filter(matches);
+        if (query.action === 'update') {
+            const columnError = checkColumns(table, Object.keys(query.patch));
+            if (columnError) return { error: columnError };
+            const updatedRows = selected.map(row => ({ ...row, ...Object.fromEntries(Object.entries(query.patch).map(([column, value]) => [column, toStoredValue(value)])) }));
+            for (let i = 0; i < selected.length; i++) {
+                const violation = findUniqueViolation(table, updatedRows[i], selected[i]);
+                if (violation) return { error: violation };
+            }
+            selected.forEach((row, i) => {
+                Object.assign(row, updatedRows[i]);
+                recordWrite(table, row);
+            });
+            return { rows: selected };
+        }
+
+        // delete
+        state.tables[table] = rows.filter(row => !matches(row));
+        selected.forEach(row => recordDelete(table, row));
+        applyDeleteActions(table, selected);
+        return { rows: selected };
+    }
+
+    function execute(query) {
+        const { table } = query;
+        if (!TABLES[table]) {
+            return { data: null, error: dbError('42P01', `relation "public.${table}" does not exist`), count: null };
+        }
+
+        const filterError = checkColumns(table, [
+            ...query.conditions.flatMap(conditionColumns),
+            ...query.orders.map(order => order.column),
+            ...(query.columns.trim() === '*' ? [] : query.columns.split(',').map(column => column.trim()).filter(Boolean))
+        ]);
+        if (filterError) return { data: null, error: filterError, count: null };
+
+        let rows;
+        if (query.action === 'select') {
+            rows = state.tables[table].filter(row => query.conditions.every(condition => matchesCondition(row, condition)));
+        } else {
+            const result = runMutation(query);
+            if (result.error) return { data: null, error: result.error, count: null };
+            rows = result.rows;
+            if (pendingEntries.length > 0) scheduleSave();
+        }
+
+        const count = query.countMode ? rows.length : null;
+        rows = sortRows(rows, query.orders);
+        rows = rows.slice(query.rangeFrom, query.rangeTo === null ? undefined : query.rangeTo + 1);
+
+        if (query.head || (query.action !== 'select' && !query.returning)) {
+            return { data: null, error: null, count };
+        }
+
+        const data = project(rows, query.columns);
+        if (query.singleMode) {
+            if (data.length > 1 || (data.length === 0 && query.singleMode === 'single')) {
+                return { data: null, error: dbError('PGRST116', 'JSON object requested, multiple (or no) rows returned'), count };
+            }
+            return { data: data[0] || null, error: null, count };
+        }
+        return { data, error: null, count };
+    }
+
+    load();
+
+    const database = {
+        execute,
+        flush,
+        from(table) {
+            return new LocalQuery(database, table);
+        }
+    };
+    return database;
+}
+
+module.exports = {
+    TABLES,
+    createLocalDatabase
+};
@@ -0,0 +1,170 @@
+// Persists message attachments (inbound and outbound) so they can be served back later.
+//
+// message_media: id bigserial PK, message_db_id FK messages.id UNIQUE, storage_backend text ('local' | 'supabase'),
+//                storage_key text, mime_type text, filename text, size_bytes integer, sha256 text, created_at timestamptz
+//
+// Files are content-addressed (<sha256>.<ext>), so an image sent to a whole mailing is stored once
+// while every message still gets its own message_media row.
+//
+// Backends (MEDIA_STORAGE env var):
+//   local    (default) files under MEDIA_STORAGE_DIR (default ./media)
+//   supabase Supabase Storage bucket MEDIA_STORAGE_BUCKET (default 'whatsapp-media'), which must already exist
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { Readable } = require('stream');
+
+const EXTENSIONS_BY_MIME = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/gif': 'gif',
+    'image/webp': 'webp',
+    'audio/ogg': 'ogg',
+    'audio/mpeg': 'mp3',
+    'audio/mp4': 'm4a',
+    'video/mp4': 'mp4',
+    'video/3gpp': '3gp',
+    'application/pdf': 'pdf',
+    'text/vcard': 'vcf'
+};
+
+function getExtension(mimeType, filename) {
+    const baseMime = String(mimeType || '').split(';')[0].trim().toLowerCase();
+    if (EXTENSIONS_BY_MIME[baseMime]) return EXTENSIONS_BY_MIME[baseMime];
+    const fromName = filename ? path.extname(filename).slice(1).toLowerCase() : '';
+    return /^[a-z0-9]{1,8}$/.test(fromName) ? fromName : 'bin';
+}
+
+function createLocalBackend(baseDir) {
+    const root = path.resolve(baseDir);
+
+    function resolveKey(key) {
+        const filePath = path.resolve(root, key);
+        if (!filePath.startsWith(root + path.sep)) {
+            throw new Error(`Chave de mídia inválida: ${key}`);
+        }
+        return filePath;
+    }
+
+    return {
+        name: 'local',
+        async put(key, buffer) {
+            const filePath = resolveKey(key);
+            await fs.promises.mkdir(path.dirname(filePath), { recursive: true });
+            try {
+                // Same key = same content, so an existing file can be kept as is
+                await fs.promises.writeFile(filePath, buffer, { flag: 'wx' });
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+            }
+        },
+        async get(key) {
+            const filePath = resolveKey(key);
+            await fs.promises.access(filePath);
+            return fs.createReadStream(filePath);
+        }
+    };
+}
+
+function createSupabaseBackend(supabase, bucket) {
+    return {
+        name: 'supabase',
+        async put(key, buffer, mimeType) {
+            const { error } = await supabase.storage
+                .from(bucket)
+                .upload(key, buffer, { contentType: mimeType, upsert: true });
+            if (error) throw new Error(`Supabase Storage: ${error.message}`);
+        },
+        async get(key) {
+            const { data, error } = await supabase.storage.from(bucket).download(key);
+            if (error) throw new Error(`Supabase Storage: ${error.message}`);
+            return Readable.from(Buffer.from(await data.arrayBuffer()));
+        }
+    };
+}
+
+// Creates the media store. `backend` defaults to process.env.MEDIA_STORAGE.
+function createMediaStorage({ supabase, backend = process.env.MEDIA_STORAGE || 'local', localDir = process.env.MEDIA_STORAGE_DIR || './media', bucket = process.env.MEDIA_STORAGE_BUCKET || 'whatsapp-media' }) {
+    let storage;
+    if (backend === 'supabase' && !supabase.storage) {
+        // STORAGE_BACKEND=local has no Supabase Storage to put files in
+        console.warn('[Media] MEDIA_STORAGE=supabase requer STORAGE_BACKEND=supabase. Usando armazenamento local.');
+        storage = createLocalBackend(localDir);
+    } else if (backend === 'supabase') {
+        storage = createSupabaseBackend(supabase, bucket);
+    } else {
+        if (backend !== 'local') {
+            console.warn(`[Media] MEDIA_STORAGE '${backend}' desconhecido. Usando armazenamento local.`);
+        }
+        storage = createLocalBackend(localDir);
+    }
+    console.log(`[Media] Armazenamento de mídia: ${storage.name}.`);
+
+    // Stores an attachment and links it to a messages row.
+    // media: a whatsapp-web.js MessageMedia (base64 `data`) or { buffer, mimetype, filename }.
+    // Returns the message_media row, or null on error (never throws, sending must not depend on it).
+    async function saveMessageMedia(dbMessageId, media) {
+        if (!dbMessageId || !media) return null;
+
+        try {
+            const buffer = media.buffer || Buffer.from(media.data || '', 'base64');
+            if (buffer.length === 0) return null;
+
+            const mimeType = media.mimetype || 'application/octet-stream';
+            const sha256 = crypto.createHash('sha256').update(buffer).digest('hex');
+            const storageKey = `${sha256.slice(0, 2)}/${sha256}.${getExtension(mimeType, media.filename)}`;
+
+            await storage.put(storageKey, buffer, mimeType);
+
+            const { data, error } = await supabase
+                .from('message_media')
+                .upsert({
+                    message_db_id: dbMessageId,
+                    storage_backend: storage.name,
+                    storage_key: storageKey,
+                    mime_type: mimeType,
+                    filename: media.filename || null,
+                    size_bytes: buffer.length,
+                    sha256: sha256,
+                    created_at: new Date()
+                }, { onConflict: 'message_db_id' })
+                .select()
+                .single();
+
+            if (error) {
+                console.error(`[Media] Erro Supabase ao registrar mídia da mensagem ${dbMessageId}:`, error);
+                return null;
+            }
+            return data;
+        } catch (error) {
+            console.error(`[Media] Erro ao armazenar mídia da mensagem ${dbMessageId}:`, error);
+            return null;
+        }
+    }
+
+    // Returns { media (message_media row), stream } or null if the message has no stored media.
+    // Throws if the row exists but the file can't be read.
+    async function getMessageMedia(dbMessageId) {
+        const { data: media, error } = await supabase
+            .from('message_media')
+            .select('*')
+            .eq('message_db_id', dbMessageId)
+            .maybeSingle();
+
+        if (error) {
+            console.error(`[Media] Erro Supabase ao buscar mídia da mensagem ${dbMessageId}:`, error);
+            throw new Error('Falha ao consultar mídia da mensagem.');
+        }
+        if (!media) return null;
+
+        if (media.storage_backend !== storage.name) {
+            throw new Error(`Mídia armazenada em '${media.storage_backend}', mas o armazenamento atual é '${storage.name}'.`);
+        }
+        return { media, stream: await storage.get(media.storage_key) };
+    }
+
+    return { saveMessageMedia, getMessageMedia };
+}
+
+module.exports = { createMediaStorage };
@@ -0,0 +1,210 @@
+// What happens to messages after they arrive: reactions, edits and deletions ("apagar para todos"),
+// plus the context of inbound messages (the message they quote, the group member who sent them).
+//
+// messages (columns added by migrations/005_message_events.sql):
+//   quoted_message_id text   WhatsApp ID of the message this one replies to
+//   reply_to_id bigint       our row of that message, when we have it (FK messages, on delete set null)
+//   participant text         group messages: WhatsApp ID of the member who sent it (sender_number is the group)
+//   edited_at timestamptz    last edit; previous versions are in message_edits
+//   revoked_at timestamptz   deleted for everyone; the row (and its body) is kept
+//
+// message_edits: id bigserial PK, message_db_id bigint FK messages (on delete cascade), previous_body text,
+//                new_body text, edited_at timestamptz, created_at timestamptz
+// message_reactions: id bigserial PK, message_db_id bigint FK messages (on delete cascade), reactor text,
+//                    emoji text, reacted_at timestamptz, created_at timestamptz, updated_at timestamptz,
+//                    unique (message_db_id, reactor)
+//
+// Each reactor has at most one reaction per message: a new one replaces it, an empty one removes it.
+// Events for messages we never stored (sent before the API was running, ignored groups) are dropped.
+
+const { findMessageByWhatsappId } = require('./utils');
+
+const GROUP_ID_SUFFIX = '@g.us';
+
+function isGroupChat(chatId) {
+    return typeof chatId === 'string' && chatId.endsWith(GROUP_ID_SUFFIX);
+}
+
+function broadcast(wss, event) {
+    if (wss && typeof wss.broadcast === 'function') {
+        wss.broadcast(event);
+    }
+}
+
+// Context of an inbound whatsapp-web.js message: { is_group, participant, quoted_message_id, reply_to_id }
+async function readMessageContext(supabase, message) {
+    const isGroup = isGroupChat(message.from);
+    let quotedMessageId = null;
+    if (message.hasQuotedMsg) {
+        quotedMessageId = message._data?.quotedStanzaID || null;
+        if (!quotedMessageId) {
+            try {
+                const quoted = await message.getQuotedMessage();
+                quotedMessageId = quoted ? quoted.id.id : null;
+            } catch (error) {
+                console.error(`[Messages] Erro ao buscar mensagem citada por ${message.id.id}:`, error.message);
+            }
+        }
+    }
+    const repliedTo = quotedMessageId ? await findMessageByWhatsappId(supabase, quotedMessageId) : null;
+    return {
+        is_group: isGroup,
+        participant: isGroup ? (message.author || null) : null,
+        quoted_message_id: quotedMessageId,
+        reply_to_id: repliedTo ? repliedTo.id : null
+    };
+}
+
+// Adds, replaces or (with an empty emoji) removes a reaction. Resolves with the saved reaction,
+// { removed: true } or null when the message isn't ours or the query fails.
+async function recordReaction(supabase, wss, { messageId, reactor, emoji, reactedAt = new Date() }) {
+    const message = await findMessageByWhatsappId(supabase, messageId);
+    if (!message) {
+        console.log(`[Messages] Reação a uma mensagem desconhecida (WA ID ${messageId}). Ignorando.`);
+        return null;
+    }
+
+    try {
+        if (!emoji) {
+            const { data, error } = await supabase
+                .from('message_reactions')
+                .delete()
+                .eq('message_db_id', message.id)
+                .eq('reactor', reactor)
+                .select();
+
+            if (error) {
+                console.error(`[Messages] Erro Supabase ao remover reação da mensagem ${message.id}:`, error);
+                return null;
+            }
+            if (data && data.length > 0) {
+                broadcast(wss, { type: 'message_reaction', payload: { action: 'removed', message_db_id: message.id, reaction: data[0] } });
+            }
+            return { removed: true };
+        }
+
+        const { data, error } = await supabase
+            .from('message_reactions')
+            .upsert({
+                message_db_id: message.id,
+                reactor,
+                emoji,
+                reacted_at: reactedAt,
+                updated_at: new Date()
+            }, { onConflict: 'message_db_id,reactor' })
+            .select()
+            .single();
+
+        if (error) {
+            console.error(`[Messages] Erro Supabase ao salvar reação da mensagem ${message.id}:`, error);
+            return null;
+        }
+        broadcast(wss, { type: 'message_reaction', payload: { action: 'added', message_db_id: message.id, reaction: data } });
+        return data;
+    } catch (dbError) {
+        console.error(`[Messages] Erro ao salvar reação da mensagem ${message.id}:`, dbError);
+        return null;
+    }
+}
+
+// Saves the new body and keeps the previous one in message_edits. Resolves with the updated message, or null.
+async function recordEdit(supabase, wss, { messageId, newBody, previousBody = null, editedAt = new Date() }) {
+    const message = await findMessageByWhatsappId(supabase, messageId);
+    if (!message) {
+        console.log(`[Messages] Edição de uma mensagem desconhecida (WA ID ${messageId}). Ignorando.`);
+        return null;
+    }
+
+    try {
+        const { data: edit, error: editError } = await supabase
+            .from('message_edits')
+            .insert({
+                message_db_id: message.id,
+                // prevBody may be missing; what we stored is the version the edit replaced
+                previous_body: message.body !== null && message.body !== undefined ? message.body : previousBody,
+                new_body: newBody,
+                edited_at: editedAt
+            })
+            .select()
+            .single();
+
+        if (editError) {
+            console.error(`[Messages] Erro Supabase ao salvar histórico de edição da mensagem ${message.id}:`, editError);
+            return null;
+        }
+
+        const { data, error } = await supabase
+            .from('messages')
+            .update({ body: newBody, edited_at: editedAt })
+            .eq('id', message.id)
+            .select()
+            .single();
+
+        if (error) {
+            console.error(`[Messages] Erro Supabase ao atualizar mensagem editada ${message.id}:`, error);
+            return null;
+        }
+        broadcast(wss, { type: 'message_edit', payload: { message: data, edit } });
+        return data;
+    } catch (dbError) {
+        console.error(`[Messages] Erro ao salvar edição da mensagem ${message.id}:`, dbError);
+        return null;
+    }
+}
+
+// Marks a message deleted for everyone. Resolves with the updated message, or null.
+async function recordRevoke(supabase, wss, { messageId, revokedAt = new Date() }) {
+    const message = await findMessageByWhatsappId(supabase, messageId);
+    if (!message) {
+        console.log(`[Messages] Mensagem desconhecida apagada (WA ID ${messageId}). Ignorando.`);
+        return null;
+    }
+    if (message.revoked_at) return message;
+
+    try {
+        const { data, error } = await supabase
+            .from('messages')
+            .update({ revoked_at: revokedAt })
+            .eq('id', message.id)
+            .select()
+            .single();
+
+        if (error) {
+            console.error(`[Messages] Erro Supabase ao marcar mensagem ${message.id} como apagada:`, error);
+            return null;
+        }
+        broadcast(wss, { type: 'message_revoke', payload: data });
+        return data;
+    } catch (dbError) {
+        console.error(`[Messages] Erro ao marcar mensagem ${message.id} como apagada:`, dbError);
+        return null;
+    }
+}
+
+// Reactions and edit history of a message: { reactions, edits } (oldest first), or null on error
+async function getMessageEvents(supabase, messageDbId) {
+    try {
+        const [reactions, edits] = await Promise.all([
+            supabase.from('message_reactions').select('*').eq('message_db_id', messageDbId).order('reacted_at', { ascending: true }),
+            supabase.from('message_edits').select('*').eq('message_db_id', messageDbId).order('edited_at', { ascending: true })
+        ]);
+        const error = reactions.error || edits.error;
+        if (error) {
+            console.error(`[Messages] Erro Supabase ao buscar reações/edições da mensagem ${messageDbId}:`, error);
+            return null;
+        }
+        return { reactions: reactions.data || [], edits: edits.data || [] };
+    } catch (dbError) {
+        console.error(`[Messages] Erro ao buscar reações/edições da mensagem ${messageDbId}:`, dbError);
+        return null;
+    }
+}
+
+module.exports = {
+    isGroupChat,
+    readMessageContext,
+    recordReaction,
+    recordEdit,
+    recordRevoke,
+    getMessageEvents
+};
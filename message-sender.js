@@ -0,0 +1,101 @@
+const { saveMessageToDb, updateMessageStatusAndId, getClientInfo } = require('./utils');
+const { isNumberBlocked } = require('./blocklist');
+const { getSettingValue } = require('./settings');
+const { normalizePhoneNumber, resolveWhatsappId } = require('./phone-numbers');
+const { getOutboundMediaType, buildOutboundMessage, describeContent } = require('./outbound-content');
+
+// Sends a single message (text, media with the text as caption, location or vCard) through the
+// rate limiter and records it in the messages table, the same way /send-message always has.
+//
+// context: { client, supabase, wss, rateLimiter, mediaStorage (optional), sessionId }
+// details: { number (any format, see phone-numbers.js), body, name, media (MessageMedia), mediaMimeType, contentOptions, messageType, kind, onSaved }
+//   contentOptions: document/voice flags, location or vCard (see outbound-content.js)
+//   kind:    rate limiter kind ('interactive' | 'bulk')
+//   onSaved: optional async (dbMessage) => {} called after the 'pending' row exists and before sending
+//
+// The rate limiter slot (for 'bulk', including the wait for the send window) is taken before the
+// 'pending' row is saved, so a restart during a long wait leaves nothing behind that looks half-sent.
+//
+// Resolves with { dbMessage, sentMessage } on success, or { error, code, dbMessage } where code is
+// 'INVALID_NUMBER', 'NOT_ON_WHATSAPP' (only with verify_numbers_before_send), 'OPTED_OUT' (recorded with
+// status 'skipped_optout'), 'DB_ERROR' or 'SEND_ERROR'. The number is recorded in E.164 digits.
+// Never rejects for send failures.
+async function sendSingleMessage({ client, supabase, wss, rateLimiter, mediaStorage = null, sessionId = null }, details) {
+    const { number: rawNumber, body = '', name = null, media = null, mediaMimeType = null, contentOptions = null, messageType = 'manual_single', kind = 'interactive', onSaved = null } = details;
+    const options = contentOptions || {};
+    const mediaType = getOutboundMediaType(media ? mediaMimeType : null, options);
+    const messageBody = body || describeContent(options);
+
+    const normalized = normalizePhoneNumber(rawNumber, { defaultCountryCode: getSettingValue('default_country_code') });
+    if (!normalized) {
+        return { error: 'Formato inválido de número do destinatário para envio.', code: 'INVALID_NUMBER' };
+    }
+    const number = normalized.digits;
+
+    const senderInfo = getClientInfo(client);
+
+    if (await isNumberBlocked(supabase, number)) {
+        console.warn(`Envio para ${number} bloqueado: contato descadastrado (opt-out).`);
+        const skippedMessage = await saveMessageToDb(supabase, senderInfo, wss, {
+            recipient_number: number,
+            recipient_name: name || null,
+            body: messageBody,
+            status: 'skipped_optout',
+            is_outgoing: true,
+            session_id: sessionId,
+            has_media: !!media,
+            media_mime_type: media ? mediaMimeType : null,
+            media_type: mediaType,
+            message_type: messageType,
+            error_message: 'Contato descadastrado (opt-out).'
+        });
+        return { error: 'O destinatário pediu para não receber mensagens (opt-out).', code: 'OPTED_OUT', dbMessage: skippedMessage };
+    }
+
+    const resolved = await resolveWhatsappId(client, number, { verify: getSettingValue('verify_numbers_before_send') });
+    if (resolved.error) {
+        console.warn(`Envio para ${number} cancelado: ${resolved.error}`);
+        return { error: resolved.error, code: resolved.code };
+    }
+    const recipientId = resolved.id;
+
+    await rateLimiter.acquire({ kind });
+
+    const dbMessage = await saveMessageToDb(supabase, senderInfo, wss, {
+        recipient_number: number,
+        recipient_name: name || null,
+        body: messageBody,
+        status: 'pending',
+        is_outgoing: true,
+        session_id: sessionId,
+        has_media: !!media,
+        media_mime_type: media ? mediaMimeType : null,
+        media_type: mediaType,
+        message_type: messageType
+    });
+
+    if (!dbMessage) {
+        return { error: 'Falha ao salvar estado inicial da mensagem no banco de dados.', code: 'DB_ERROR' };
+    }
+    if (media && mediaStorage) {
+        await mediaStorage.saveMessageMedia(dbMessage.id, media);
+    }
+    if (onSaved) {
+        await onSaved(dbMessage);
+    }
+
+    try {
+        const { content, sendOptions } = buildOutboundMessage(body, media, options);
+        const sentMessage = await rateLimiter.sendAcquired(client, recipientId, content, sendOptions, { kind });
+        console.log(`Mensagem enviada com sucesso para ${number}. WA ID: ${sentMessage.id.id}`);
+
+        await updateMessageStatusAndId(supabase, wss, dbMessage.id, sentMessage.id.id, 'sent');
+        return { dbMessage, sentMessage };
+    } catch (error) {
+        console.error(`Erro ao enviar mensagem para ${number}:`, error);
+        await updateMessageStatusAndId(supabase, wss, dbMessage.id, null, 'error', error.message || 'Erro desconhecido no envio');
+        return { error: `Falha ao enviar mensagem: ${error.message}`, code: 'SEND_ERROR', dbMessage };
+    }
+}
+
+module.exports = { sendSingleMessage };
@@ -0,0 +1,137 @@
+// Minimal Prometheus instrumentation (text exposition format 0.0.4) for GET /metrics.
+// Metrics are process-wide and reset on restart, as Prometheus expects from counters.
+//
+// Counters and histograms are updated where things happen (utils.js, rate-limiter.js,
+// csv-processor.js, client-lifecycle.js); gauges that describe current state (bulk jobs per state,
+// WebSocket clients, session status) are computed by collectors registered by server.js at scrape time.
+
+const metrics = [];
+
+function escapeLabelValue(value) {
+    return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+function formatLabels(labelNames, labels) {
+    if (labelNames.length === 0) return '';
+    return `{${labelNames.map(name => `${name}="${escapeLabelValue(labels[name] ?? '')}"`).join(',')}}`;
+}
+
+// Series are keyed by their label values in labelNames order
+function seriesKey(labelNames, labels) {
+    return JSON.stringify(labelNames.map(name => String(labels[name] ?? '')));
+}
+
+function register(metric) {
+    if (metrics.some(existing => existing.name === metric.name)) {
+        throw new Error(`Métrica '${metric.name}' já registrada.`);
+    }
+    metrics.push(metric);
+    return metric;
+}
+
+function createCounter(name, help, labelNames = []) {
+    const series = new Map(); // key -> { labels, value }
+    return register({
+        name,
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+            for (const { labels, value } of series.values()) {
+                lines.push(`${name}${formatLabels(labelNames, labels)} ${value}`);
+            }
+            return lines;
+        },
+        inc(labels = {}, amount = 1) {
+            const key = seriesKey(labelNames, labels);
+            const entry = series.get(key) || { labels, value: 0 };
+            entry.value += amount;
+            series.set(key, entry);
+        }
+    });
+}
+
+// collect: optional async () => [{ labels, value }] called at scrape time, replacing every series
+function createGauge(name, help, labelNames = [], collect = null) {
+    let series = new Map();
+    const gauge = register({
+        name,
+        async render() {
+            if (collect) {
+                const values = await collect();
+                series = new Map();
+                for (const { labels = {}, value } of values) gauge.set(labels, value);
+            }
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+            for (const { labels, value } of series.values()) {
+                lines.push(`${name}${formatLabels(labelNames, labels)} ${value}`);
+            }
+            return lines;
+        },
+        set(labels = {}, value) {
+            series.set(seriesKey(labelNames, labels), { labels, value });
+        }
+    });
+    return gauge;
+}
+
+function createHistogram(name, help, labelNames = [], buckets = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30]) {
+    const series = new Map(); // key -> { labels, counts (per bucket), sum, count }
+    return register({
+        name,
+        render() {
+            const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+            for (const { labels, counts, sum, count } of series.values()) {
+                buckets.forEach((bound, index) => {
+                    lines.push(`${name}_bucket${formatLabels([...labelNames, 'le'], { ...labels, le: bound })} ${counts[index]}`);
+                });
+                lines.push(`${name}_bucket${formatLabels([...labelNames, 'le'], { ...labels, le: '+Inf' })} ${count}`);
+                lines.push(`${name}_sum${formatLabels(labelNames, labels)} ${sum}`);
+                lines.push(`${name}_count${formatLabels(labelNames, labels)} ${count}`);
+            }
+            return lines;
+        },
+        observe(labels = {}, value) {
+            const key = seriesKey(labelNames, labels);
+            const entry = series.get(key) || { labels, counts: buckets.map(() => 0), sum: 0, count: 0 };
+            buckets.forEach((bound, index) => {
+                if (value <= bound) entry.counts[index]++;
+            });
+            entry.sum += value;
+            entry.count++;
+            series.set(key, entry);
+        }
+    });
+}
+
+// Body of GET /metrics. A failing collector only drops its own metric.
+async function renderMetrics() {
+    const sections = await Promise.all(metrics.map(async (metric) => {
+        try {
+            return (await metric.render()).join('\n');
+        } catch (error) {
+            console.error(`[Metrics] Erro ao coletar '${metric.name}':`, error);
+            return null;
+        }
+    }));
+    return `${sections.filter(Boolean).join('\n')}\n`;
+}
+
+// Metrics updated from the existing code paths
+const messagesSaved = createCounter('whatsapp_messages_total', 'Mensagens gravadas na tabela messages, por tipo e status inicial.', ['message_type', 'status']);
+const messageStatusUpdates = createCounter('whatsapp_message_status_updates_total', 'Atualizações de status de mensagens (ACKs e resultados de envio).', ['status']);
+const sendDuration = createHistogram('whatsapp_send_duration_seconds', 'Duração de client.sendMessage, sem contar a espera do limitador.', ['kind', 'outcome']);
+const sendWait = createHistogram('whatsapp_send_wait_seconds', 'Espera no limitador de envio antes de client.sendMessage.', ['kind'], [0.1, 1, 5, 15, 30, 60, 300, 900]);
+const csvRecords = createCounter('whatsapp_bulk_csv_records_total', 'Linhas dos CSVs enviados a /upload-mailing, por resultado (valid, skipped, duplicate; parse_error conta arquivos).', ['result']);
+const reconnectAttempts = createCounter('whatsapp_reconnect_attempts_total', 'Tentativas de reconexão do cliente WhatsApp.', ['session']);
+
+module.exports = {
+    createCounter,
+    createGauge,
+    createHistogram,
+    renderMetrics,
+    messagesSaved,
+    messageStatusUpdates,
+    sendDuration,
+    sendWait,
+    csvRecords,
+    reconnectAttempts
+};
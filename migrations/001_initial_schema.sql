@@ -0,0 +1,183 @@
+-- Initial schema for the Supabase (Postgres) backend.
+-- Run once in the Supabase SQL editor (or psql) before the first start with STORAGE_BACKEND=supabase.
+-- The local backend (STORAGE_BACKEND=local) keeps the same tables in local-db.js; keep both in sync.
+
+create table if not exists settings (
+    key text primary key,
+    value jsonb,
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists whatsapp_sessions (
+    id text primary key,
+    name text not null,
+    auto_start boolean not null default true,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists messages (
+    id bigserial primary key,
+    session_id text,
+    message_id text,
+    sender_number text,
+    recipient_number text,
+    recipient_name text,
+    body text,
+    is_outgoing boolean not null default true,
+    status text not null default 'pending',
+    bulk_job_id uuid,
+    error_message text,
+    timestamp timestamptz,
+    has_media boolean not null default false,
+    media_mime_type text,
+    media_type text,
+    message_type text,
+    created_at timestamptz not null default now()
+);
+
+create index if not exists messages_message_id_idx on messages (message_id);
+create index if not exists messages_session_created_at_idx on messages (session_id, created_at desc);
+create index if not exists messages_sender_number_idx on messages (sender_number);
+create index if not exists messages_recipient_number_idx on messages (recipient_number);
+create index if not exists messages_bulk_job_id_idx on messages (bulk_job_id);
+
+create table if not exists message_media (
+    id bigserial primary key,
+    message_db_id bigint not null unique references messages (id) on delete cascade,
+    storage_backend text not null,
+    storage_key text not null,
+    mime_type text,
+    filename text,
+    size_bytes integer,
+    sha256 text,
+    created_at timestamptz not null default now()
+);
+
+create table if not exists bulk_jobs (
+    id uuid primary key default gen_random_uuid(),
+    session_id text references whatsapp_sessions (id) on delete set null,
+    state text not null default 'queued',
+    message_template text,
+    media_data text,
+    media_mime_type text,
+    media_filename text,
+    content_options jsonb,
+    total integer not null default 0,
+    sent_count integer not null default 0,
+    failed_count integer not null default 0,
+    error_message text,
+    scheduled_at timestamptz,
+    created_at timestamptz not null default now(),
+    started_at timestamptz,
+    finished_at timestamptz
+);
+
+create index if not exists bulk_jobs_state_idx on bulk_jobs (state, created_at);
+
+create table if not exists bulk_queue (
+    id bigserial primary key,
+    bulk_job_id uuid not null references bulk_jobs (id) on delete cascade,
+    position integer not null,
+    recipient_number text,
+    recipient_name text,
+    cpf text,
+    variables jsonb,
+    status text not null default 'queued',
+    message_db_id bigint references messages (id) on delete set null,
+    message_id text,
+    error_message text,
+    attempted_at timestamptz,
+    updated_at timestamptz
+);
+
+create index if not exists bulk_queue_job_status_idx on bulk_queue (bulk_job_id, status, position);
+create index if not exists bulk_queue_recipient_idx on bulk_queue (bulk_job_id, recipient_number);
+
+create table if not exists scheduled_messages (
+    id bigserial primary key,
+    session_id text references whatsapp_sessions (id) on delete set null,
+    kind text not null,
+    send_at timestamptz not null,
+    status text not null default 'pending',
+    recipient_number text,
+    recipient_name text,
+    body text,
+    media_data text,
+    media_mime_type text,
+    media_filename text,
+    content_options jsonb,
+    bulk_job_id uuid references bulk_jobs (id) on delete set null,
+    message_db_id bigint references messages (id) on delete set null,
+    error_message text,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists scheduled_messages_due_idx on scheduled_messages (status, send_at);
+
+create table if not exists contacts_blocklist (
+    id bigserial primary key,
+    number text not null unique,
+    reason text,
+    source text not null default 'manual',
+    created_at timestamptz not null default now()
+);
+
+create table if not exists conversation_reads (
+    session_id text not null,
+    contact_number text not null,
+    last_read_at timestamptz not null default now(),
+    primary key (session_id, contact_number)
+);
+
+create table if not exists auto_reply_rules (
+    id bigserial primary key,
+    name text not null,
+    match_type text not null,
+    pattern text,
+    schedule text not null default 'always',
+    response text not null,
+    priority integer not null default 100,
+    enabled boolean not null default true,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists api_keys (
+    id bigserial primary key,
+    name text not null,
+    role text not null,
+    key_prefix text not null,
+    key_hash text not null unique,
+    created_at timestamptz not null default now(),
+    last_used_at timestamptz,
+    revoked_at timestamptz
+);
+
+create table if not exists webhook_subscriptions (
+    id bigserial primary key,
+    url text not null,
+    events text[] not null default '{*}',
+    secret text not null,
+    description text,
+    enabled boolean not null default true,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists webhook_deliveries (
+    id bigserial primary key,
+    subscription_id bigint references webhook_subscriptions (id) on delete set null,
+    event_type text not null,
+    body jsonb not null,
+    status text not null default 'pending',
+    attempts integer not null default 0,
+    next_attempt_at timestamptz not null default now(),
+    last_status_code integer,
+    last_error text,
+    created_at timestamptz not null default now(),
+    delivered_at timestamptz
+);
+
+create index if not exists webhook_deliveries_due_idx on webhook_deliveries (status, next_attempt_at);
@@ -0,0 +1,3 @@
+-- CSV validation report kept with each bulk job (invalid and duplicate rows, detected columns, estimate).
+
+alter table bulk_jobs add column if not exists validation_report jsonb;
@@ -0,0 +1,5 @@
+-- Links forwards to the operator and the operator's relayed replies to the customer message they belong to.
+
+alter table messages add column if not exists related_message_id bigint references messages (id) on delete set null;
+
+create index if not exists messages_related_message_id_idx on messages (related_message_id);
@@ -0,0 +1,31 @@
+-- Operators (attendants) and the assignment of inbound conversations to them, see operator-routing.js.
+
+create table if not exists operators (
+    id bigserial primary key,
+    name text not null,
+    number text not null unique,
+    tags text[] not null default '{}',
+    available boolean not null default true,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create table if not exists conversation_assignments (
+    id bigserial primary key,
+    session_id text not null,
+    contact_number text not null,
+    chat_id text,
+    operator_id bigint references operators (id) on delete set null,
+    status text not null default 'open',
+    tag text,
+    reason text,
+    assigned_at timestamptz,
+    resolved_at timestamptz,
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+-- At most one open conversation per customer and session
+create unique index if not exists conversation_assignments_open_idx on conversation_assignments (session_id, contact_number) where status = 'open';
+create index if not exists conversation_assignments_operator_idx on conversation_assignments (operator_id, status);
+create index if not exists conversation_assignments_session_created_at_idx on conversation_assignments (session_id, created_at desc);
@@ -0,0 +1,34 @@
+-- Replies, group participants, edits, deletions and reactions of messages (see message-events.js),
+-- and auto-reply rules for group chats (see auto-responder.js).
+
+alter table messages add column if not exists quoted_message_id text;
+alter table messages add column if not exists reply_to_id bigint references messages (id) on delete set null;
+alter table messages add column if not exists participant text;
+alter table messages add column if not exists edited_at timestamptz;
+alter table messages add column if not exists revoked_at timestamptz;
+
+create index if not exists messages_reply_to_id_idx on messages (reply_to_id);
+
+create table if not exists message_edits (
+    id bigserial primary key,
+    message_db_id bigint not null references messages (id) on delete cascade,
+    previous_body text,
+    new_body text,
+    edited_at timestamptz not null default now(),
+    created_at timestamptz not null default now()
+);
+
+create index if not exists message_edits_message_db_id_idx on message_edits (message_db_id, edited_at);
+
+create table if not exists message_reactions (
+    id bigserial primary key,
+    message_db_id bigint not null references messages (id) on delete cascade,
+    reactor text not null,
+    emoji text not null,
+    reacted_at timestamptz not null default now(),
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now(),
+    unique (message_db_id, reactor)
+);
+
+alter table auto_reply_rules add column if not exists scope text not null default 'private';
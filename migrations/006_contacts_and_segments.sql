@@ -0,0 +1,27 @@
+-- Contacts and saved segments for bulk sends, see contacts.js.
+
+create table if not exists contacts (
+    id bigserial primary key,
+    number text not null unique,
+    name text,
+    cpf text,
+    tags text[] not null default '{}',
+    fields jsonb not null default '{}',
+    source text not null default 'manual',
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+create index if not exists contacts_name_idx on contacts (name);
+create index if not exists contacts_tags_idx on contacts using gin (tags);
+
+create table if not exists contact_segments (
+    id bigserial primary key,
+    name text not null unique,
+    description text,
+    filters jsonb not null default '{}',
+    created_at timestamptz not null default now(),
+    updated_at timestamptz not null default now()
+);
+
+alter table bulk_jobs add column if not exists segment_id bigint references contact_segments (id) on delete set null;
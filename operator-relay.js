@@ -0,0 +1,230 @@
+// Human handoff: the operator answers customers from their own WhatsApp.
+//
+// Inbound messages are forwarded to operator_number (server.js) and saved as 'forwarded' with
+// related_message_id pointing at the customer's message. Messages from the operator are handled here:
+//   quoting a forwarded message     relays the text (or attachment) to that customer
+//   /r <numero> <texto>             relays the text to the number
+//   /fim [numero]                   hands the conversation back to the bot (quote a forward or give the number)
+//                                   and closes it (onConversationEnded, see operator-routing.js)
+// Relayed replies are saved as 'operator_reply', linked to the customer message they answer.
+//
+// While a human handles a conversation (until handoff_timeout_minutes after the operator's last reply,
+// or /fim) auto-replies to that customer are paused. Handoffs are kept in memory, so a restart hands
+// every conversation back to the bot.
+
+const { saveMessageToDb, getMessage, findMessageByWhatsappId, getClientInfo } = require('./utils');
+const { normalizePhoneNumber, resolveWhatsappId } = require('./phone-numbers');
+const { getOutboundMediaType } = require('./outbound-content');
+
+// The number is one token (no spaces), e.g. '/r 31999998888 Bom dia!' or '/r +55(31)99999-8888 Bom dia!'
+const REPLY_COMMAND = /^\/r\s+(\+?[\d().-]{8,})\s+([\s\S]+)$/i;
+const END_COMMAND = /^\/fim(?:\s+(\+?[\d().-]{8,}))?\s*$/i;
+const USAGE_MESSAGE = 'Para responder um cliente, responda (citando) a mensagem encaminhada ou envie */r <número sem espaços> <texto>*. ' +
+    'Para devolver a conversa ao atendimento automático, envie */fim <número>* ou responda a mensagem encaminhada com */fim*.';
+
+// Operator message -> { action: 'reply', number, text } | { action: 'end', number } | null (plain text).
+// number is null when the command didn't include one.
+function parseOperatorCommand(body) {
+    const text = String(body || '').trim();
+    const reply = REPLY_COMMAND.exec(text);
+    if (reply) return { action: 'reply', number: reply[1].trim(), text: reply[2].trim() };
+    const end = END_COMMAND.exec(text);
+    if (end) return { action: 'end', number: end[1] ? end[1].trim() : null };
+    return null;
+}
+
+// supabase: query builder, wss: WebSocket server (broadcast), getSettings: () => current settings,
+// mediaStorage: keeps attachments the operator relays (see media-storage.js),
+// onConversationEnded: optional (sessionId, contactNumber) => Promise, called on '/fim'
+function createOperatorRelay({ supabase, wss, getSettings, mediaStorage, onConversationEnded = null }) {
+    const handoffs = new Map(); // `${sessionId}:${contact digits}` -> handoff
+
+    const toContactDigits = (number) => normalizePhoneNumber(number, { defaultCountryCode: getSettings().default_country_code })?.digits || null;
+
+    function broadcastHandoff(action, handoff) {
+        if (wss && typeof wss.broadcast === 'function') {
+            wss.broadcast({ type: 'handoff_update', payload: { action, handoff } });
+        }
+    }
+
+    function getHandoff(sessionId, contact, now = Date.now()) {
+        const key = `${sessionId}:${contact}`;
+        const handoff = handoffs.get(key);
+        if (!handoff) return null;
+        if (handoff.expiresAt <= now) {
+            handoffs.delete(key);
+            broadcastHandoff('expired', handoff);
+            return null;
+        }
+        return handoff;
+    }
+
+    // True while a human is handling the conversation with `contact` (normalized digits)
+    function isHandedOff(sessionId, contact) {
+        return !!contact && !!getHandoff(sessionId, contact);
+    }
+
+    // Starts (or extends) the handoff after a relayed reply
+    function startHandoff(sessionId, contact, chatId, now = Date.now()) {
+        const existing = getHandoff(sessionId, contact, now);
+        const handoff = {
+            sessionId,
+            contact,
+            chatId,
+            startedAt: existing ? existing.startedAt : now,
+            lastReplyAt: now,
+            expiresAt: now + getSettings().handoff_timeout_minutes * 60 * 1000
+        };
+        handoffs.set(`${sessionId}:${contact}`, handoff);
+        if (!existing) {
+            console.log(`[Handoff] Conversa com +${contact} (sessão ${sessionId}) assumida pelo operador.`);
+        }
+        broadcastHandoff(existing ? 'extended' : 'started', handoff);
+        return handoff;
+    }
+
+    // Hands the conversation back to the bot. Returns the ended handoff, or null if there was none.
+    function endHandoff(sessionId, contact) {
+        const handoff = getHandoff(sessionId, contact);
+        if (!handoff) return null;
+        handoffs.delete(`${sessionId}:${contact}`);
+        console.log(`[Handoff] Conversa com +${contact} (sessão ${sessionId}) devolvida ao atendimento automático.`);
+        broadcastHandoff('ended', handoff);
+        return handoff;
+    }
+
+    // Active handoffs of a session, most recent reply first
+    function listHandoffs(sessionId) {
+        const now = Date.now();
+        return [...handoffs.values()]
+            .filter(handoff => handoff.sessionId === sessionId && getHandoff(sessionId, handoff.contact, now))
+            .sort((a, b) => b.lastReplyAt - a.lastReplyAt);
+    }
+
+    // Sends through the session's rate limiter and saves the outcome (also when sending fails).
+    // Resolves with { sentMessage, dbMessage }, or null on failure.
+    async function sendAndSave(session, chatId, content, sendOptions, details) {
+        const senderInfo = getClientInfo(session.client);
+        const base = {
+            sender_number: senderInfo?.number,
+            recipient_number: chatId,
+            is_outgoing: true,
+            session_id: session.id,
+            timestamp: new Date(),
+            ...details
+        };
+        try {
+            const sentMessage = await session.rateLimiter.send(session.client, chatId, content, sendOptions);
+            const dbMessage = await saveMessageToDb(supabase, senderInfo, session.wss, { ...base, message_id: sentMessage.id.id, status: 'pending' });
+            return { sentMessage, dbMessage };
+        } catch (error) {
+            console.error(`[Handoff] Erro ao enviar mensagem para ${chatId}:`, error.message);
+            await saveMessageToDb(supabase, senderInfo, session.wss, { ...base, message_id: null, status: 'error', error_message: `Falha ao enviar: ${error.message}` });
+            return null;
+        }
+    }
+
+    async function notifyOperator(session, operatorChatId, text) {
+        await sendAndSave(session, operatorChatId, text, {}, { recipient_name: 'Operador', body: text, has_media: false, message_type: 'operator_notice' });
+    }
+
+    // Customer a quoted forward belongs to: { chatId, name, relatedMessageId }, or null if the quoted
+    // message isn't a forward we know of
+    async function findQuotedCustomer(message) {
+        const quoted = await message.getQuotedMessage();
+        if (!quoted) return null;
+        const forwarded = await findMessageByWhatsappId(supabase, quoted.id.id);
+        if (!forwarded || forwarded.message_type !== 'forwarded' || !forwarded.related_message_id) return null;
+        const original = await getMessage(supabase, forwarded.related_message_id);
+        if (!original) return null;
+        // Inbound rows keep the customer's WhatsApp ID in sender_number and their name in recipient_name
+        return { chatId: original.sender_number, name: original.recipient_name, relatedMessageId: original.id };
+    }
+
+    // Customer a command's number refers to, reusing the chat of an active handoff
+    async function findNumberCustomer(session, number) {
+        const contact = toContactDigits(number);
+        if (!contact) return { error: `Número inválido: ${number}.` };
+        const handoff = getHandoff(session.id, contact);
+        if (handoff) return { chatId: handoff.chatId, name: null, relatedMessageId: null };
+        const resolved = await resolveWhatsappId(session.client, contact, { verify: getSettings().verify_numbers_before_send });
+        if (resolved.error) return { error: resolved.error };
+        return { chatId: resolved.id, name: null, relatedMessageId: null };
+    }
+
+    // Handles a message the operator sent to the session's number (see the header for the commands)
+    async function handleOperatorMessage(session, message) {
+        const operatorChatId = message.from;
+        const command = parseOperatorCommand(message.body);
+
+        let customer = null;
+        if (command && command.number) {
+            customer = await findNumberCustomer(session, command.number);
+        } else if (message.hasQuotedMsg) {
+            customer = await findQuotedCustomer(message);
+            if (!customer) {
+                await notifyOperator(session, operatorChatId, `A mensagem citada não é um encaminhamento de cliente. ${USAGE_MESSAGE}`);
+                return;
+            }
+        }
+
+        if (!customer) {
+            await notifyOperator(session, operatorChatId, USAGE_MESSAGE);
+            return;
+        }
+        if (customer.error) {
+            await notifyOperator(session, operatorChatId, customer.error);
+            return;
+        }
+
+        const contact = toContactDigits(customer.chatId);
+        if (command && command.action === 'end') {
+            const ended = contact ? endHandoff(session.id, contact) : null;
+            const resolved = contact && onConversationEnded ? await onConversationEnded(session.id, contact) : null;
+            await notifyOperator(session, operatorChatId, ended || (resolved && !resolved.error)
+                ? `Conversa com +${contact} encerrada e devolvida ao atendimento automático.`
+                : `Nenhum atendimento em andamento com ${contact ? `+${contact}` : customer.chatId}.`);
+            return;
+        }
+
+        const text = command ? command.text : (message.body || '');
+        let media = null;
+        if (!command && message.hasMedia) {
+            try {
+                media = await message.downloadMedia();
+            } catch (mediaError) {
+                console.error(`[Handoff] Erro ao baixar mídia do operador:`, mediaError);
+            }
+        }
+        if (!text && !media) {
+            await notifyOperator(session, operatorChatId, 'Nada para enviar: a mensagem está vazia ou a mídia não pôde ser baixada.');
+            return;
+        }
+
+        const sent = await sendAndSave(session, customer.chatId, media || text, media && text ? { caption: text } : {}, {
+            recipient_name: customer.name,
+            body: text,
+            has_media: !!media,
+            media_mime_type: media ? media.mimetype : null,
+            media_type: getOutboundMediaType(media ? media.mimetype : null),
+            message_type: 'operator_reply',
+            related_message_id: customer.relatedMessageId
+        });
+        if (!sent) {
+            await notifyOperator(session, operatorChatId, `Falha ao enviar sua resposta para ${contact ? `+${contact}` : customer.chatId}.`);
+            return;
+        }
+        if (media && sent.dbMessage) {
+            await mediaStorage.saveMessageMedia(sent.dbMessage.id, media);
+        }
+        console.log(`[Handoff] Resposta do operador enviada para ${customer.chatId}. WA ID: ${sent.sentMessage.id.id}`);
+        if (contact) startHandoff(session.id, contact, customer.chatId);
+    }
+
+    return { isHandedOff, startHandoff, endHandoff, listHandoffs, handleOperatorMessage };
+}
+
+module.exports = {
+    parseOperatorCommand,
+    createOperatorRelay
+};
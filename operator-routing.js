@@ -0,0 +1,559 @@
+// Routing of inbound conversations to operators (attendants).
+//
+// operators:                id bigserial PK, name text, number text unique (E.164 digits), tags text[],
+//                           available boolean, created_at timestamptz, updated_at timestamptz
+// conversation_assignments: id bigserial PK, session_id text, contact_number text (E.164 digits), chat_id text
+//                           (the customer's WhatsApp ID), operator_id FK operators.id ON DELETE SET NULL,
+//                           status text ('open' | 'resolved'), tag text, reason text, assigned_at timestamptz,
+//                           resolved_at timestamptz, created_at timestamptz, updated_at timestamptz
+//
+// A customer's first message opens an assignment, and every message is forwarded to its operator until it's
+// resolved (REST, or '/fim' from the operator, see operator-relay.js); the next message opens a new one.
+//
+// Picking an operator: operator tags are keywords (matched like auto-reply keywords). When the message that
+// opens the conversation contains one, only available operators with that tag are candidates (everyone
+// available if none of them is). Among the candidates the routing_strategy setting decides:
+//   round_robin  the operator after the one who got the latest assignment
+//   least_busy   the operator with the fewest open assignments
+// When an operator goes offline (available = false) or is removed, their open conversations move to someone
+// else (reason 'fallback'); conversations nobody could take stay unassigned until the next message.
+//
+// With no operators registered the operator_number setting is used as before and nothing is assigned.
+//
+// Operator changes and reassignments resolve with { operator } / { assignment } or { error, code, errors }
+// where code is 'VALIDATION_ERROR', 'NOT_FOUND', 'CONFLICT', 'INVALID_STATE', 'NO_OPERATOR' or 'DB_ERROR'.
+
+const { normalizeText } = require('./utils');
+const { normalizePhoneNumber } = require('./phone-numbers');
+
+const ROUTING_STRATEGIES = ['round_robin', 'least_busy'];
+const ASSIGNMENT_STATUSES = ['open', 'resolved'];
+const MAX_TAGS = 50;
+const MAX_TAG_LENGTH = 50;
+
+// Validates an operator body from POST/PUT /operators. With `partial`, missing fields are left alone.
+// Returns { values, errors } where errors maps field -> reason.
+function validateOperatorInput(input, { partial = false, defaultCountryCode } = {}) {
+    const values = {};
+    const errors = {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { values, errors: { _body: 'O corpo da requisição deve ser um objeto JSON.' } };
+    }
+    const has = (field) => input[field] !== undefined;
+
+    if (has('name') || !partial) {
+        if (typeof input.name !== 'string' || !input.name.trim()) errors.name = 'Informe o nome do operador.';
+        else values.name = input.name.trim().slice(0, 100);
+    }
+    if (has('number') || !partial) {
+        const normalized = typeof input.number === 'string' || typeof input.number === 'number'
+            ? normalizePhoneNumber(input.number, { defaultCountryCode })
+            : null;
+        if (!normalized) errors.number = 'Número de telefone inválido.';
+        else values.number = normalized.digits;
+    }
+    if (has('tags')) {
+        if (!Array.isArray(input.tags) || input.tags.some(tag => typeof tag !== 'string')) {
+            errors.tags = 'Deve ser uma lista de textos.';
+        } else {
+            const tags = [...new Set(input.tags.map(tag => tag.trim()).filter(Boolean))];
+            if (tags.length > MAX_TAGS) errors.tags = `Deve ter no máximo ${MAX_TAGS} itens.`;
+            else if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) errors.tags = `Cada item deve ter no máximo ${MAX_TAG_LENGTH} caracteres.`;
+            else values.tags = tags;
+        }
+    } else if (!partial) {
+        values.tags = [];
+    }
+    if (has('available')) {
+        if (typeof input.available !== 'boolean') errors.available = 'Deve ser true ou false.';
+        else values.available = input.available;
+    }
+
+    return { values, errors };
+}
+
+// Tag of `operator` contained in the message (ignoring case, accents and punctuation), or null
+function findMatchingTag(operator, normalizedBody) {
+    return (operator.tags || []).find(tag => {
+        const keyword = normalizeText(tag);
+        return keyword && normalizedBody.includes(` ${keyword} `);
+    }) || null;
+}
+
+// Returns every operator ordered by id, or null on error
+async function listOperators(supabase) {
+    try {
+        const { data, error } = await supabase
+            .from('operators')
+            .select('*')
+            .order('id', { ascending: true });
+
+        if (error) {
+            console.error('[Routing] Erro Supabase ao listar operadores:', error);
+            return null;
+        }
+        return data || [];
+    } catch (dbError) {
+        console.error('[Routing] Erro ao listar operadores:', dbError);
+        return null;
+    }
+}
+
+async function getAssignment(supabase, assignmentId) {
+    try {
+        const { data, error } = await supabase
+            .from('conversation_assignments')
+            .select('*')
+            .eq('id', assignmentId)
+            .maybeSingle();
+
+        if (error) {
+            console.error(`[Routing] Erro Supabase ao buscar atribuição ${assignmentId}:`, error);
+            return null;
+        }
+        return data;
+    } catch (dbError) {
+        console.error(`[Routing] Erro ao buscar atribuição ${assignmentId}:`, dbError);
+        return null;
+    }
+}
+
+// The open assignment of a customer in a session: { assignment } (null when there's none) or
+// { error, code: 'DB_ERROR' }, so a failed lookup is never taken for a customer without one
+async function getOpenAssignment(supabase, sessionId, contactNumber) {
+    try {
+        const { data, error } = await supabase
+            .from('conversation_assignments')
+            .select('*')
+            .eq('session_id', sessionId)
+            .eq('contact_number', contactNumber)
+            .eq('status', 'open')
+            .order('created_at', { ascending: false })
+            .limit(1)
+            .maybeSingle();
+
+        if (error) {
+            console.error(`[Routing] Erro Supabase ao buscar atribuição aberta de ${contactNumber}:`, error);
+            return { error: 'Falha ao buscar a atribuição da conversa.', code: 'DB_ERROR' };
+        }
+        return { assignment: data };
+    } catch (dbError) {
+        console.error(`[Routing] Erro ao buscar atribuição aberta de ${contactNumber}:`, dbError);
+        return { error: 'Falha ao buscar a atribuição da conversa.', code: 'DB_ERROR' };
+    }
+}
+
+// Lists assignments newest first. Returns { assignments, total } or null on error.
+async function listAssignments(supabase, { sessionId = null, status = null, operatorId = null, contactNumber = null, limit = 50, offset = 0 } = {}) {
+    try {
+        let query = supabase
+            .from('conversation_assignments')
+            .select('*', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (sessionId) query = query.eq('session_id', sessionId);
+        if (status) query = query.eq('status', status);
+        if (operatorId) query = query.eq('operator_id', operatorId);
+        if (contactNumber) query = query.eq('contact_number', contactNumber);
+
+        const { data, error, count } = await query;
+        if (error) {
+            console.error('[Routing] Erro Supabase ao listar atribuições:', error);
+            return null;
+        }
+        return { assignments: data || [], total: count || 0 };
+    } catch (dbError) {
+        console.error('[Routing] Erro ao listar atribuições:', dbError);
+        return null;
+    }
+}
+
+// Open assignments per operator, e.g. { 1: 3, 2: 0 }, or null on error
+async function countOpenAssignments(supabase, operatorIds) {
+    try {
+        const { data, error } = await supabase
+            .from('conversation_assignments')
+            .select('operator_id')
+            .eq('status', 'open')
+            .in('operator_id', operatorIds);
+
+        if (error) {
+            console.error('[Routing] Erro Supabase ao contar atribuições abertas:', error);
+            return null;
+        }
+        const counts = Object.fromEntries(operatorIds.map(id => [id, 0]));
+        for (const row of data || []) {
+            counts[row.operator_id]++;
+        }
+        return counts;
+    } catch (dbError) {
+        console.error('[Routing] Erro ao contar atribuições abertas:', dbError);
+        return null;
+    }
+}
+
+// Operator (among operatorIds) who got the most recent assignment, or null
+async function getLastAssignedOperatorId(supabase, operatorIds) {
+    try {
+        const { data, error } = await supabase
+            .from('conversation_assignments')
+            .select('operator_id')
+            .in('operator_id', operatorIds)
+            .order('assigned_at', { ascending: false, nullsFirst: false })
+            .limit(1);
+
+        if (error) {
+            console.error('[Routing] Erro Supabase ao buscar última atribuição:', error);
+            return null;
+        }
+        return data && data.length > 0 ? data[0].operator_id : null;
+    } catch (dbError) {
+        console.error('[Routing] Erro ao buscar última atribuição:', dbError);
+        return null;
+    }
+}
+
+// Creates the router. Operators are cached in memory and reloaded after every change made through it.
+// supabase: query builder, wss: WebSocket server (broadcast), getSettings: () => current settings
+function createOperatorRouter({ supabase, wss, getSettings }) {
+    let operators = [];
+    let queue = Promise.resolve(); // Routing decisions one at a time, so a customer never gets two open assignments
+
+    function broadcast(type, payload) {
+        if (wss && typeof wss.broadcast === 'function') {
+            wss.broadcast({ type, payload });
+        }
+    }
+
+    function serialize(task) {
+        const result = queue.then(task);
+        queue = result.catch(() => {});
+        return result;
+    }
+
+    async function reload() {
+        const loaded = await listOperators(supabase);
+        if (loaded) {
+            operators = loaded;
+            broadcast('operators', operators);
+        }
+        return operators;
+    }
+
+    function getOperators() {
+        return operators.slice();
+    }
+
+    function hasOperators() {
+        return operators.length > 0;
+    }
+
+    function findOperatorByNumber(digits) {
+        return operators.find(operator => operator.number === digits) || null;
+    }
+
+    // Available operators except `excludeId`, narrowed to those with `tag` when any of them is available.
+    // Returns { candidates, fallback } where fallback means nobody with the tag was available.
+    function findCandidates({ tag = null, excludeId = null } = {}) {
+        const available = operators.filter(operator => operator.available && operator.id !== excludeId);
+        if (!tag) return { candidates: available, fallback: false };
+        const tagged = available.filter(operator => (operator.tags || []).includes(tag));
+        return tagged.length > 0 ? { candidates: tagged, fallback: false } : { candidates: available, fallback: true };
+    }
+
+    // Applies routing_strategy to the candidates (ordered by id). Returns an operator or null.
+    async function pickOperator(candidates) {
+        if (candidates.length <= 1) return candidates[0] || null;
+        const ids = candidates.map(operator => operator.id);
+
+        if (getSettings().routing_strategy === 'least_busy') {
+            const counts = await countOpenAssignments(supabase, ids);
+            if (counts) {
+                return candidates.reduce((best, operator) => counts[operator.id] < counts[best.id] ? operator : best);
+            }
+        }
+        const lastId = await getLastAssignedOperatorId(supabase, ids);
+        if (lastId === null) return candidates[0];
+        return candidates.find(operator => operator.id > lastId) || candidates[0];
+    }
+
+    // Moves an open assignment to `operator` (null leaves it unassigned). Resolves with the updated row or null.
+    async function assignTo(assignment, operator, reason) {
+        const { data, error } = await supabase
+            .from('conversation_assignments')
+            .update({ operator_id: operator ? operator.id : null, reason, assigned_at: operator ? new Date() : null, updated_at: new Date() })
+            .eq('id', assignment.id)
+            .eq('status', 'open')
+            .select();
+
+        if (error) {
+            console.error(`[Routing] Erro Supabase ao reatribuir ${assignment.id}:`, error);
+            return null;
+        }
+        if (!data || data.length === 0) return null; // Resolved in the meantime
+        console.log(`[Routing] Conversa com +${assignment.contact_number} atribuída a ${operator ? `${operator.name} (+${operator.number})` : 'ninguém'} (${reason}).`);
+        broadcast('assignment_update', { action: 'reassigned', assignment: data[0] });
+        return data[0];
+    }
+
+    // Operator for an inbound message from `contactNumber` (E.164 digits, chatId its WhatsApp ID),
+    // opening or updating the customer's assignment. Resolves with { assignment, operator } where
+    // operator is null when nobody is available, null when no operators are registered, or
+    // { error, code } when the customer's open assignment couldn't be looked up (nothing is routed then,
+    // rather than opening a second assignment).
+    function routeConversation(sessionId, contactNumber, chatId, messageBody) {
+        return serialize(async () => {
+            if (!hasOperators()) return null;
+
+            const lookup = await getOpenAssignment(supabase, sessionId, contactNumber);
+            if (lookup.error) return lookup;
+            const existing = lookup.assignment;
+            if (existing) {
+                const current = operators.find(operator => operator.id === existing.operator_id);
+                if (current && current.available) return { assignment: existing, operator: current };
+
+                // Offline, removed or never assigned: someone else takes over
+                const { candidates } = findCandidates({ tag: existing.tag, excludeId: existing.operator_id });
+                const operator = await pickOperator(candidates);
+                if (!operator) return { assignment: existing, operator: null };
+                const reason = existing.operator_id ? 'fallback' : getSettings().routing_strategy;
+                const updated = await assignTo(existing, operator, reason);
+                return { assignment: updated || existing, operator: updated ? operator : null };
+            }
+
+            const normalizedBody = ` ${normalizeText(messageBody || '')} `;
+            const tag = operators.map(operator => findMatchingTag(operator, normalizedBody)).find(Boolean) || null;
+            const { candidates, fallback } = findCandidates({ tag });
+            const operator = await pickOperator(candidates);
+            const now = new Date();
+
+            const { data, error } = await supabase
+                .from('conversation_assignments')
+                .insert({
+                    session_id: sessionId,
+                    contact_number: contactNumber,
+                    chat_id: chatId,
+                    operator_id: operator ? operator.id : null,
+                    status: 'open',
+                    tag,
+                    reason: !operator ? 'unassigned' : (fallback ? 'fallback' : getSettings().routing_strategy),
+                    assigned_at: operator ? now : null,
+                    created_at: now,
+                    updated_at: now
+                })
+                .select()
+                .single();
+
+            if (error) {
+                console.error(`[Routing] Erro Supabase ao criar atribuição para ${contactNumber}:`, error);
+                return { assignment: null, operator };
+            }
+            console.log(`[Routing] Nova conversa com +${contactNumber} atribuída a ${operator ? `${operator.name} (+${operator.number})` : 'ninguém'} (${data.reason}${tag ? `, tag '${tag}'` : ''}).`);
+            broadcast('assignment_update', { action: 'assigned', assignment: data });
+            return { assignment: data, operator };
+        });
+    }
+
+    // Manual reassignment. Without operatorId the routing picks another available operator.
+    function reassign(assignmentId, operatorId = null) {
+        return serialize(async () => {
+            const assignment = await getAssignment(supabase, assignmentId);
+            if (!assignment) {
+                return { error: 'Atribuição não encontrada.', code: 'NOT_FOUND' };
+            }
+            if (assignment.status !== 'open') {
+                return { error: 'A conversa já foi encerrada.', code: 'INVALID_STATE' };
+            }
+
+            let operator;
+            if (operatorId !== null) {
+                operator = operators.find(candidate => String(candidate.id) === String(operatorId));
+                if (!operator) {
+                    return { error: 'Operador inválido.', code: 'VALIDATION_ERROR', errors: { operator_id: 'Operador não encontrado.' } };
+                }
+            } else {
+                operator = await pickOperator(findCandidates({ tag: assignment.tag, excludeId: assignment.operator_id }).candidates);
+                if (!operator) {
+                    return { error: 'Nenhum outro operador disponível.', code: 'NO_OPERATOR' };
+                }
+            }
+
+            const updated = await assignTo(assignment, operator, 'manual');
+            if (!updated) {
+                return { error: 'Falha ao reatribuir a conversa.', code: 'DB_ERROR' };
+            }
+            return { assignment: updated };
+        });
+    }
+
+    async function resolveAssignment(assignment) {
+        const { data, error } = await supabase
+            .from('conversation_assignments')
+            .update({ status: 'resolved', resolved_at: new Date(), updated_at: new Date() })
+            .eq('id', assignment.id)
+            .eq('status', 'open')
+            .select();
+
+        if (error) {
+            console.error(`[Routing] Erro Supabase ao encerrar atribuição ${assignment.id}:`, error);
+            return { error: 'Falha ao encerrar a conversa.', code: 'DB_ERROR' };
+        }
+        if (!data || data.length === 0) {
+            return { error: 'A conversa já foi encerrada.', code: 'INVALID_STATE' };
+        }
+        console.log(`[Routing] Conversa com +${assignment.contact_number} encerrada.`);
+        broadcast('assignment_update', { action: 'resolved', assignment: data[0] });
+        return { assignment: data[0] };
+    }
+
+    function resolve(assignmentId) {
+        return serialize(async () => {
+            const assignment = await getAssignment(supabase, assignmentId);
+            if (!assignment) {
+                return { error: 'Atribuição não encontrada.', code: 'NOT_FOUND' };
+            }
+            return resolveAssignment(assignment);
+        });
+    }
+
+    // Resolves the customer's open assignment, if any ('/fim' from the operator)
+    function resolveContact(sessionId, contactNumber) {
+        return serialize(async () => {
+            const lookup = await getOpenAssignment(supabase, sessionId, contactNumber);
+            if (lookup.error) return lookup;
+            if (!lookup.assignment) {
+                return { error: 'Nenhuma conversa aberta com este número.', code: 'NOT_FOUND' };
+            }
+            return resolveAssignment(lookup.assignment);
+        });
+    }
+
+    // Moves the given open assignments to other available operators (reason 'fallback')
+    async function reassignAway(assignments) {
+        for (const assignment of assignments) {
+            const operator = await pickOperator(findCandidates({ tag: assignment.tag, excludeId: assignment.operator_id }).candidates);
+            if (operator) {
+                await assignTo(assignment, operator, 'fallback');
+            } else {
+                console.warn(`[Routing] Nenhum operador disponível para assumir a conversa com +${assignment.contact_number}.`);
+            }
+        }
+    }
+
+    async function openAssignmentsOf(operatorId) {
+        const result = await listAssignments(supabase, { status: 'open', operatorId, limit: 10000 });
+        return result ? result.assignments : [];
+    }
+
+    async function createOperator(input) {
+        const { values, errors } = validateOperatorInput(input, { defaultCountryCode: getSettings().default_country_code });
+        if (Object.keys(errors).length > 0) {
+            return { error: 'Operador inválido.', code: 'VALIDATION_ERROR', errors };
+        }
+
+        const { data, error } = await supabase
+            .from('operators')
+            .insert({ ...values, created_at: new Date(), updated_at: new Date() })
+            .select()
+            .single();
+
+        if (error) {
+            if (error.code === '23505') {
+                return { error: 'Já existe um operador com este número.', code: 'CONFLICT' };
+            }
+            console.error('[Routing] Erro Supabase ao criar operador:', error);
+            return { error: 'Falha ao salvar o operador no banco de dados.', code: 'DB_ERROR' };
+        }
+        console.log(`[Routing] Operador ${data.id} ('${data.name}') criado.`);
+        await reload();
+        return { operator: data };
+    }
+
+    function updateOperator(operatorId, input) {
+        return serialize(async () => {
+            const existing = operators.find(operator => String(operator.id) === String(operatorId));
+            if (!existing) {
+                return { error: 'Operador não encontrado.', code: 'NOT_FOUND' };
+            }
+
+            const { values, errors } = validateOperatorInput(input, { partial: true, defaultCountryCode: getSettings().default_country_code });
+            if (Object.keys(errors).length > 0) {
+                return { error: 'Operador inválido.', code: 'VALIDATION_ERROR', errors };
+            }
+
+            const { data, error } = await supabase
+                .from('operators')
+                .update({ ...values, updated_at: new Date() })
+                .eq('id', existing.id)
+                .select()
+                .single();
+
+            if (error) {
+                if (error.code === '23505') {
+                    return { error: 'Já existe um operador com este número.', code: 'CONFLICT' };
+                }
+                console.error(`[Routing] Erro Supabase ao atualizar operador ${operatorId}:`, error);
+                return { error: 'Falha ao atualizar o operador no banco de dados.', code: 'DB_ERROR' };
+            }
+            await reload();
+            if (existing.available && !data.available) {
+                console.log(`[Routing] Operador ${data.id} ('${data.name}') indisponível. Redistribuindo suas conversas.`);
+                await reassignAway(await openAssignmentsOf(data.id));
+            }
+            return { operator: data };
+        });
+    }
+
+    function deleteOperator(operatorId) {
+        return serialize(async () => {
+            const existing = operators.find(operator => String(operator.id) === String(operatorId));
+            if (!existing) {
+                return { error: 'Operador não encontrado.', code: 'NOT_FOUND' };
+            }
+            const assignments = await openAssignmentsOf(existing.id);
+
+            const { data, error } = await supabase
+                .from('operators')
+                .delete()
+                .eq('id', existing.id)
+                .select();
+
+            if (error) {
+                console.error(`[Routing] Erro Supabase ao remover operador ${operatorId}:`, error);
+                return { error: 'Falha ao remover o operador do banco de dados.', code: 'DB_ERROR' };
+            }
+            if (!data || data.length === 0) {
+                return { error: 'Operador não encontrado.', code: 'NOT_FOUND' };
+            }
+            console.log(`[Routing] Operador ${existing.id} ('${existing.name}') removido.`);
+            await reload();
+            // ON DELETE SET NULL already unassigned them
+            await reassignAway(assignments.map(assignment => ({ ...assignment, operator_id: null })));
+            return { operator: data[0] };
+        });
+    }
+
+    return {
+        reload,
+        getOperators,
+        hasOperators,
+        findOperatorByNumber,
+        routeConversation,
+        reassign,
+        resolve,
+        resolveContact,
+        createOperator,
+        updateOperator,
+        deleteOperator
+    };
+}
+
+module.exports = {
+    ROUTING_STRATEGIES,
+    ASSIGNMENT_STATUSES,
+    getAssignment,
+    listAssignments,
+    createOperatorRouter
+};
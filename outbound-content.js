@@ -0,0 +1,230 @@
+// What an outgoing message carries besides its text: an attachment (image, audio, video, document),
+// a location or a contact card (vCard), plus the whatsapp-web.js send options that go with it.
+//
+// Content options, stored as jsonb (content_options) by scheduled sends and bulk jobs:
+//   { sendMediaAsDocument, sendAudioAsVoice, location: { latitude, longitude, name, address }, vcard }
+//
+// messages.media_type records what was sent or received:
+//   'text' | 'image' | 'audio' | 'voice' | 'video' | 'document' | 'location' | 'vcard' | 'sticker'
+
+const path = require('path');
+const { MessageMedia, Location } = require('whatsapp-web.js');
+
+const MB = 1024 * 1024;
+
+// Size limits per attachment type (WhatsApp's own limits, documents capped lower to keep uploads in memory)
+const ATTACHMENT_LIMITS = {
+    image: 5 * MB,
+    audio: 16 * MB,
+    video: 16 * MB,
+    document: 30 * MB,
+    vcard: 512 * 1024
+};
+const CSV_MAX_SIZE = 10 * MB;
+const MAX_UPLOAD_SIZE = Math.max(CSV_MAX_SIZE, ...Object.values(ATTACHMENT_LIMITS));
+
+const DOCUMENT_MIME_TYPES = [
+    'application/pdf',
+    'application/msword',
+    'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+    'application/vnd.ms-excel',
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    'application/vnd.ms-powerpoint',
+    'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+    'application/zip',
+    'application/x-zip-compressed',
+    'text/plain'
+];
+const VCARD_MIME_TYPES = ['text/vcard', 'text/x-vcard', 'text/directory'];
+
+// whatsapp-web.js Message.type -> media_type, for inbound messages
+const INBOUND_MEDIA_TYPES = {
+    chat: 'text',
+    image: 'image',
+    audio: 'audio',
+    ptt: 'voice',
+    video: 'video',
+    document: 'document',
+    location: 'location',
+    vcard: 'vcard',
+    multi_vcard: 'vcard',
+    sticker: 'sticker'
+};
+
+function isCsvFile(file) {
+    return file.mimetype === 'text/csv' || file.originalname.toLowerCase().endsWith('.csv');
+}
+
+// Attachment type of an uploaded file, or null if it isn't an accepted type
+function getAttachmentType(file) {
+    const mimeType = String(file.mimetype || '').toLowerCase();
+    const extension = path.extname(file.originalname || '').toLowerCase();
+
+    if (VCARD_MIME_TYPES.includes(mimeType) || extension === '.vcf') return 'vcard';
+    if (mimeType.startsWith('image/')) return 'image';
+    if (mimeType.startsWith('audio/')) return 'audio';
+    if (mimeType.startsWith('video/')) return 'video';
+    if (DOCUMENT_MIME_TYPES.includes(mimeType)) return 'document';
+    return null;
+}
+
+// multer fileFilter: CSV mailings plus every accepted attachment type (sizes are checked per type afterwards)
+function uploadFileFilter(req, file, cb) {
+    if (isCsvFile(file) || getAttachmentType(file)) {
+        cb(null, true);
+    } else {
+        cb(new Error('Tipo de arquivo inválido. São aceitos CSV, imagens, áudios, vídeos, documentos (PDF, Office, TXT, ZIP) e vCards.'), false);
+    }
+}
+
+function formatSize(bytes) {
+    return bytes >= MB ? `${Math.round(bytes / MB)} MB` : `${Math.round(bytes / 1024)} KB`;
+}
+
+// Checks an uploaded attachment against its type limit. Returns { type } or { error }.
+function validateAttachment(file) {
+    const type = getAttachmentType(file);
+    if (!type) {
+        return { error: `Tipo de arquivo não suportado: ${file.mimetype}.` };
+    }
+    if (file.size > ATTACHMENT_LIMITS[type]) {
+        return { error: `Arquivo '${file.originalname}' excede o limite de ${formatSize(ATTACHMENT_LIMITS[type])} para ${type}.` };
+    }
+    if (type === 'vcard' && !isValidVCard(file.buffer.toString('utf8'))) {
+        return { error: `Arquivo '${file.originalname}' não é um vCard válido.` };
+    }
+    return { type };
+}
+
+function isValidVCard(text) {
+    return /^\s*BEGIN:VCARD/i.test(text) && /END:VCARD\s*$/i.test(text);
+}
+
+function parseBooleanField(value) {
+    return value === true || value === 'true' || value === '1' || value === 'on';
+}
+
+// Reads the content options of /send-message and /upload-mailing from a (multipart or JSON) body:
+// sendMediaAsDocument, sendAudioAsVoice, latitude/longitude (+ location_name, location_address) and vcard.
+// Returns { options } or { error }.
+function parseContentOptions(body = {}) {
+    const options = {
+        sendMediaAsDocument: parseBooleanField(body.sendMediaAsDocument),
+        sendAudioAsVoice: parseBooleanField(body.sendAudioAsVoice),
+        location: null,
+        vcard: null
+    };
+
+    const hasLatitude = body.latitude !== undefined && body.latitude !== '';
+    const hasLongitude = body.longitude !== undefined && body.longitude !== '';
+    if (hasLatitude || hasLongitude) {
+        const latitude = Number(body.latitude);
+        const longitude = Number(body.longitude);
+        if (!hasLatitude || !hasLongitude || !Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+            Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+            return { error: 'Localização inválida. Informe latitude (-90 a 90) e longitude (-180 a 180).' };
+        }
+        options.location = {
+            latitude,
+            longitude,
+            name: body.location_name ? String(body.location_name).slice(0, 256) : null,
+            address: body.location_address ? String(body.location_address).slice(0, 256) : null
+        };
+    }
+
+    if (body.vcard) {
+        if (typeof body.vcard !== 'string' || !isValidVCard(body.vcard) || Buffer.byteLength(body.vcard) > ATTACHMENT_LIMITS.vcard) {
+            return { error: 'vCard inválido. Envie o texto completo, de BEGIN:VCARD a END:VCARD.' };
+        }
+        options.vcard = body.vcard.trim();
+    }
+    return { options };
+}
+
+// Combines text, attachment and options, rejecting what WhatsApp can't send together.
+// attachment: { type, buffer, mimetype, originalname } (validated upload) or null.
+// Returns { options } (vCard uploads are moved into options.vcard) or { error }.
+function resolveContentOptions(text, attachment, options) {
+    const resolved = { ...options };
+    if (attachment && attachment.type === 'vcard') {
+        resolved.vcard = attachment.buffer.toString('utf8').trim();
+        attachment = null;
+    }
+
+    const kinds = [attachment && 'attachment', resolved.location && 'location', resolved.vcard && 'vcard'].filter(Boolean);
+    if (kinds.length > 1) {
+        return { error: 'Envie apenas um entre arquivo, localização ou contato (vCard) por mensagem.' };
+    }
+    // Locations, contact cards and audio have no caption
+    const captionless = resolved.location || resolved.vcard || (attachment && attachment.type === 'audio' && !resolved.sendMediaAsDocument);
+    if (text && captionless) {
+        return { error: 'Áudios, localizações e contatos não aceitam texto junto. Envie a mensagem de texto separadamente.' };
+    }
+    return { options: resolved };
+}
+
+// media_type for the messages table
+function getOutboundMediaType(mimeType, options = {}) {
+    if (options.location) return 'location';
+    if (options.vcard) return 'vcard';
+    if (!mimeType) return 'text';
+    if (options.sendMediaAsDocument) return 'document';
+
+    const type = getAttachmentType({ mimetype: mimeType, originalname: '' }) || 'document';
+    if (type === 'audio' && options.sendAudioAsVoice) return 'voice';
+    return type;
+}
+
+function getInboundMediaType(message) {
+    return INBOUND_MEDIA_TYPES[message.type] || (message.hasMedia ? 'document' : 'text');
+}
+
+// Builds the arguments for client.sendMessage(chatId, content, sendOptions)
+// media: MessageMedia or null; options: content options (see top of file)
+function buildOutboundMessage(text, media, options = {}) {
+    if (options.location) {
+        const { latitude, longitude, name, address } = options.location;
+        return { content: new Location(latitude, longitude, { name: name || undefined, address: address || undefined }), sendOptions: {} };
+    }
+    if (options.vcard) {
+        return { content: options.vcard, sendOptions: { parseVCards: true } };
+    }
+    if (media) {
+        const sendOptions = { caption: text || '' };
+        if (options.sendMediaAsDocument) sendOptions.sendMediaAsDocument = true;
+        if (options.sendAudioAsVoice) sendOptions.sendAudioAsVoice = true;
+        return { content: media, sendOptions };
+    }
+    return { content: text, sendOptions: {} };
+}
+
+// Text shown for content without a body (messages.body is never empty for locations/vCards)
+function describeContent(options = {}) {
+    if (options.location) {
+        const { latitude, longitude, name } = options.location;
+        return `[Localização] ${name ? `${name} ` : ''}(${latitude}, ${longitude})`;
+    }
+    if (options.vcard) {
+        const fullName = /^FN[^:]*:(.*)$/im.exec(options.vcard);
+        return `[Contato] ${fullName ? fullName[1].trim() : 'sem nome'}`;
+    }
+    return '';
+}
+
+function toMessageMedia(file) {
+    return new MessageMedia(file.mimetype, file.buffer.toString('base64'), file.originalname);
+}
+
+module.exports = {
+    ATTACHMENT_LIMITS,
+    MAX_UPLOAD_SIZE,
+    uploadFileFilter,
+    validateAttachment,
+    parseContentOptions,
+    resolveContentOptions,
+    getOutboundMediaType,
+    getInboundMediaType,
+    buildOutboundMessage,
+    describeContent,
+    toMessageMedia
+};
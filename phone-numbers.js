@@ -0,0 +1,133 @@
+// Phone number normalization for every send path (/send-message, scheduled sends, bulk CSVs,
+// forwards to the operator) and for the numbers we compare (blocklist, conversations, operator).
+//
+// normalizePhoneNumber('(11) 99999-9999', { defaultCountryCode: '55' })
+//   -> { digits: '5511999999999', e164: '+5511999999999' }, or null when the number can't be valid
+//
+// Numbers starting with '+' or '00' are international, and so are WhatsApp IDs ('...@c.us',
+// '...@s.whatsapp.net'), which always carry the country code. Anything else is taken as national to the
+// default country (the default_country_code setting) unless it already starts with that code;
+// a leading trunk '0' is dropped.
+//
+// Brazil (55, the only country code starting with 55): DDD + 8 digits (landline, starts with 2-5)
+// or 9 digits (mobile, starts with 9). National numbers are 10/11 digits, with the country code 12/13;
+// '0xx' carrier codes are dropped.
+// Mobiles written without the ninth digit (8 digits starting with 6-9) get it back, so the
+// E.164 form is always the current Anatel numbering.
+//
+// WhatsApp IDs don't always follow it: accounts outside DDDs 11-28 are mostly registered without
+// the ninth digit. getWhatsappIdCandidates() lists the likely ID first and the alternative second;
+// resolveWhatsappId() can ask WhatsApp (client.getNumberId) which one exists.
+
+const BRAZIL_COUNTRY_CODE = '55';
+const MIN_E164_DIGITS = 8;
+const MAX_E164_DIGITS = 15;
+const RESOLVED_ID_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_RESOLVED_IDS = 5000;
+const WHATSAPP_ID_SUFFIX = /@(c\.us|s\.whatsapp\.net)$/;
+
+const resolvedIds = new Map(); // digits -> { id, expiresAt }
+
+// Brazilian national number (DDD + subscriber) -> normalized national number, or null if invalid
+function normalizeBrazilianNational(national) {
+    if (!/^[1-9][1-9]\d{8,9}$/.test(national)) return null;
+    const ddd = national.slice(0, 2);
+    const subscriber = national.slice(2);
+    if (subscriber.length === 9) {
+        return subscriber.startsWith('9') ? national : null;
+    }
+    // 8 digits: landline (2-5) as is, mobile (6-9) without the ninth digit
+    if (!/^[2-9]/.test(subscriber)) return null;
+    return /^[6-9]/.test(subscriber) ? `${ddd}9${subscriber}` : national;
+}
+
+function normalizePhoneNumber(input, { defaultCountryCode = BRAZIL_COUNTRY_CODE } = {}) {
+    if (input === null || input === undefined) return null;
+    const raw = String(input).trim();
+    const isWhatsappId = WHATSAPP_ID_SUFFIX.test(raw);
+    const text = raw.replace(WHATSAPP_ID_SUFFIX, '');
+    const international = isWhatsappId || /^(\+|00)/.test(text);
+    let digits = text.replace(/\D/g, '');
+    if (international) digits = digits.replace(/^00/, '');
+
+    if (!international && defaultCountryCode) {
+        if (digits.startsWith('0')) {
+            digits = digits.replace(/^0+/, '');
+            // Brazilian long-distance carrier code: 0 + carrier (2) + DDD (2) + number
+            if (defaultCountryCode === BRAZIL_COUNTRY_CODE && (digits.length === 12 || digits.length === 13)) {
+                digits = digits.slice(2);
+            }
+            digits = `${defaultCountryCode}${digits}`;
+        } else if (defaultCountryCode === BRAZIL_COUNTRY_CODE) {
+            // By length, since DDD 55 exists: 10/11 digits are national, 12/13 starting with 55 international
+            const hasCountryCode = (digits.length === 12 || digits.length === 13) && digits.startsWith(BRAZIL_COUNTRY_CODE);
+            if (!hasCountryCode && (digits.length === 10 || digits.length === 11)) {
+                digits = `${BRAZIL_COUNTRY_CODE}${digits}`;
+            }
+        } else if (!digits.startsWith(defaultCountryCode)) {
+            digits = `${defaultCountryCode}${digits}`;
+        }
+    }
+
+    if (digits.startsWith(BRAZIL_COUNTRY_CODE)) {
+        const national = normalizeBrazilianNational(digits.slice(2));
+        if (!national) return null;
+        digits = `${BRAZIL_COUNTRY_CODE}${national}`;
+    }
+
+    if (digits.length < MIN_E164_DIGITS || digits.length > MAX_E164_DIGITS || digits.startsWith('0')) return null;
+    return { digits, e164: `+${digits}` };
+}
+
+// Normalized digits of a Brazilian mobile with and without the ninth digit, e.g.
+// '5531999999999' -> ['5531999999999', '553199999999']. Other numbers -> [digits].
+function getNumberVariants(digits) {
+    const match = /^55([1-9][1-9])9(\d{8})$/.exec(digits || '');
+    return match ? [digits, `55${match[1]}${match[2]}`] : [digits];
+}
+
+// Likely WhatsApp IDs for normalized digits, most likely first
+function getWhatsappIdCandidates(digits) {
+    const variants = getNumberVariants(digits);
+    if (variants.length > 1 && Number(digits.slice(2, 4)) > 28) variants.reverse();
+    return variants.map(variant => `${variant}@c.us`);
+}
+
+function rememberResolvedId(digits, id) {
+    if (resolvedIds.size >= MAX_RESOLVED_IDS) {
+        resolvedIds.delete(resolvedIds.keys().next().value);
+    }
+    resolvedIds.set(digits, { id, expiresAt: Date.now() + RESOLVED_ID_TTL_MS });
+}
+
+// WhatsApp ID to send to. With `verify`, asks WhatsApp which candidate is registered (cached for a day)
+// and resolves with { error, code: 'NOT_ON_WHATSAPP' } when none is; without it (or if the lookup
+// itself fails) the most likely candidate is used.
+async function resolveWhatsappId(client, digits, { verify = false } = {}) {
+    const candidates = getWhatsappIdCandidates(digits);
+    if (!verify) return { id: candidates[0] };
+
+    const cached = resolvedIds.get(digits);
+    if (cached && cached.expiresAt > Date.now()) return { id: cached.id };
+
+    try {
+        for (const candidate of candidates) {
+            const numberId = await client.getNumberId(candidate);
+            if (numberId) {
+                rememberResolvedId(digits, numberId._serialized);
+                return { id: numberId._serialized };
+            }
+        }
+    } catch (error) {
+        console.warn(`[Phone] Falha ao verificar +${digits} no WhatsApp (${error.message}). Usando ${candidates[0]}.`);
+        return { id: candidates[0] };
+    }
+    return { error: `O número +${digits} não possui WhatsApp.`, code: 'NOT_ON_WHATSAPP' };
+}
+
+module.exports = {
+    normalizePhoneNumber,
+    getNumberVariants,
+    getWhatsappIdCandidates,
+    resolveWhatsappId
+};
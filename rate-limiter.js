@@ -0,0 +1,190 @@
+// Shared outbound rate limiter. Every client.sendMessage call goes through send() so the number
+// stays under the configured per-minute/per-hour caps no matter which feature is sending.
+//
+// kind 'interactive' (auto-replies, forwards, /send-message): caps and cool-downs only.
+// kind 'bulk' (bulk jobs, scheduled sends): also the jittered delay between messages and,
+// when enabled, the allowed send window.
+const { isWithinWindow, msUntilWindowOpens } = require('./time-windows');
+const { sendDuration, sendWait } = require('./metrics');
+
+const ONE_MINUTE_MS = 60 * 1000;
+const ONE_HOUR_MS = 60 * ONE_MINUTE_MS;
+const MAX_WINDOW_RECHECK_MS = 60 * 1000; // Re-read settings at least this often while waiting for the window
+
+// Rough time (ms) from the first to the last of `count` bulk sends under the given settings: replays the
+// caps, cool-downs and the average jitter the way computeWait() applies them, as if nothing else were sending.
+// Time outside the send window isn't included.
+function estimateSendDurationMs(count, settings) {
+    const averageJitterMs = (settings.send_delay_min_ms + Math.max(settings.send_delay_max_ms, settings.send_delay_min_ms)) / 2;
+    const sendTimes = [];
+    let sentSinceCooldown = 0;
+    let cooldownUntil = 0;
+
+    for (let index = 0; index < count; index++) {
+        const waits = [cooldownUntil];
+        if (index > 0) {
+            waits.push(sendTimes[index - 1] + averageJitterMs);
+        }
+        if (index >= settings.rate_limit_per_minute) {
+            waits.push(sendTimes[index - settings.rate_limit_per_minute] + ONE_MINUTE_MS);
+        }
+        if (index >= settings.rate_limit_per_hour) {
+            waits.push(sendTimes[index - settings.rate_limit_per_hour] + ONE_HOUR_MS);
+        }
+        const sentAt = Math.max(...waits);
+        sendTimes.push(sentAt);
+
+        sentSinceCooldown++;
+        if (settings.cooldown_every > 0 && sentSinceCooldown >= settings.cooldown_every) {
+            sentSinceCooldown = 0;
+            cooldownUntil = sentAt + settings.cooldown_ms;
+        }
+    }
+    return count > 0 ? Math.round(sendTimes[count - 1]) : 0;
+}
+
+// getSettings: () => current settings object (see settings.js)
+function createRateLimiter({ getSettings }) {
+    let queue = Promise.resolve(); // Serializes slot reservations so caps are never overshot
+    const sentTimestamps = []; // Send times within the last hour, oldest first
+    let lastSentAt = 0;
+    let sentSinceCooldown = 0;
+    let cooldownUntil = 0;
+
+    const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+    function getSendWindow(settings) {
+        return {
+            days: settings.send_window_days,
+            start: settings.send_window_start,
+            end: settings.send_window_end,
+            timezone: settings.send_window_timezone
+        };
+    }
+
+    // Milliseconds until bulk sending is allowed by the send window (0 if allowed now or disabled)
+    function msUntilSendWindow(now = new Date()) {
+        const settings = getSettings();
+        if (!settings.send_window_enabled) return 0;
+        const wait = msUntilWindowOpens(now, getSendWindow(settings));
+        // A window with no days never opens; wait a full recheck period instead of forever
+        return wait === null ? MAX_WINDOW_RECHECK_MS : wait;
+    }
+
+    function isSendWindowOpen(now = new Date()) {
+        const settings = getSettings();
+        return !settings.send_window_enabled || isWithinWindow(now, getSendWindow(settings));
+    }
+
+    // Waits (in steps, so settings changes are picked up) until the send window is open
+    async function waitForSendWindow() {
+        let wait = msUntilSendWindow();
+        while (wait > 0) {
+            await sleep(Math.min(wait, MAX_WINDOW_RECHECK_MS));
+            wait = msUntilSendWindow();
+        }
+    }
+
+    function pruneTimestamps(now) {
+        while (sentTimestamps.length > 0 && sentTimestamps[0] <= now - ONE_HOUR_MS) {
+            sentTimestamps.shift();
+        }
+    }
+
+    // How long the next send has to wait because of caps, cool-down and jitter (0 = may send now)
+    function computeWait(now, kind, jitterMs) {
+        const settings = getSettings();
+        pruneTimestamps(now);
+
+        const waits = [0];
+        if (cooldownUntil > now) {
+            waits.push(cooldownUntil - now);
+        }
+
+        const lastMinute = sentTimestamps.filter(timestamp => timestamp > now - ONE_MINUTE_MS);
+        if (lastMinute.length >= settings.rate_limit_per_minute) {
+            waits.push(lastMinute[lastMinute.length - settings.rate_limit_per_minute] + ONE_MINUTE_MS - now);
+        }
+        if (sentTimestamps.length >= settings.rate_limit_per_hour) {
+            waits.push(sentTimestamps[sentTimestamps.length - settings.rate_limit_per_hour] + ONE_HOUR_MS - now);
+        }
+        if (kind === 'bulk' && lastSentAt) {
+            waits.push(lastSentAt + jitterMs - now);
+        }
+        return Math.max(...waits);
+    }
+
+    function randomJitter() {
+        const { send_delay_min_ms: min, send_delay_max_ms: max } = getSettings();
+        return Math.round(min + Math.random() * Math.max(max - min, 0));
+    }
+
+    async function reserveSlot(kind) {
+        const jitterMs = randomJitter();
+        let wait = computeWait(Date.now(), kind, jitterMs);
+        while (wait > 0) {
+            await sleep(wait);
+            wait = computeWait(Date.now(), kind, jitterMs);
+        }
+
+        const now = Date.now();
+        sentTimestamps.push(now);
+        lastSentAt = now;
+        sentSinceCooldown++;
+
+        const { cooldown_every: cooldownEvery, cooldown_ms: cooldownMs } = getSettings();
+        if (cooldownEvery > 0 && sentSinceCooldown >= cooldownEvery) {
+            console.log(`[Rate Limit] ${sentSinceCooldown} mensagens enviadas, pausando por ${Math.round(cooldownMs / 1000)}s.`);
+            sentSinceCooldown = 0;
+            cooldownUntil = now + cooldownMs;
+        }
+    }
+
+    // Resolves when the caller may send one message. Bulk sends first wait for the send window
+    // outside the queue, so a campaign waiting for tomorrow morning doesn't block auto-replies.
+    async function acquire({ kind = 'interactive' } = {}) {
+        const queuedAt = Date.now();
+        if (kind === 'bulk') {
+            await waitForSendWindow();
+        }
+        const turn = queue.then(() => reserveSlot(kind));
+        queue = turn.catch(() => {});
+        await turn;
+        sendWait.observe({ kind }, (Date.now() - queuedAt) / 1000);
+    }
+
+    // Drop-in replacement for client.sendMessage(chatId, content, options) that respects the limits
+    async function send(client, chatId, content, options = {}, { kind = 'interactive' } = {}) {
+        await acquire({ kind });
+        return sendAcquired(client, chatId, content, options, { kind });
+    }
+
+    // client.sendMessage for callers that already hold a slot from acquire() (the bulk worker checks
+    // for pause/cancel between the two), timed like send()
+    async function sendAcquired(client, chatId, content, options = {}, { kind = 'interactive' } = {}) {
+        const startedAt = Date.now();
+        try {
+            const sentMessage = await client.sendMessage(chatId, content, options);
+            sendDuration.observe({ kind, outcome: 'success' }, (Date.now() - startedAt) / 1000);
+            return sentMessage;
+        } catch (error) {
+            sendDuration.observe({ kind, outcome: 'error' }, (Date.now() - startedAt) / 1000);
+            throw error;
+        }
+    }
+
+    function getState() {
+        const now = Date.now();
+        pruneTimestamps(now);
+        return {
+            sentLastMinute: sentTimestamps.filter(timestamp => timestamp > now - ONE_MINUTE_MS).length,
+            sentLastHour: sentTimestamps.length,
+            cooldownRemainingMs: Math.max(cooldownUntil - now, 0),
+            sendWindowOpen: isSendWindowOpen(new Date(now))
+        };
+    }
+
+    return { acquire, send, sendAcquired, getState, isSendWindowOpen, msUntilSendWindow };
+}
+
+module.exports = { createRateLimiter, estimateSendDurationMs };
@@ -0,0 +1,218 @@
+// DB helpers for scheduled sends.
+//
+// scheduled_messages: id bigserial PK, session_id text FK whatsapp_sessions.id, kind text ('message' | 'bulk'),
+//                     send_at timestamptz, status text,
+//                     recipient_number text, recipient_name text, body text, media_data text (base64),
+//                     media_mime_type text, media_filename text, content_options jsonb (see outbound-content.js),
+//                     bulk_job_id uuid FK bulk_jobs.id,
+//                     message_db_id FK messages.id, error_message text, created_at timestamptz, updated_at timestamptz
+//
+// Statuses: pending -> processing -> sent | failed, pending -> cancelled
+// A 'bulk' item only releases its bulk job (state 'scheduled' -> 'queued') when due; the bulk worker sends it.
+
+const SCHEDULE_STATUSES = ['pending', 'processing', 'sent', 'failed', 'cancelled'];
+const MAX_SCHEDULE_AHEAD_MS = 366 * 24 * 60 * 60 * 1000;
+// Every column except media_data, for listings
+const SCHEDULE_SUMMARY_COLUMNS = 'id, session_id, kind, send_at, status, recipient_number, recipient_name, body, media_mime_type, media_filename, content_options, bulk_job_id, message_db_id, error_message, created_at, updated_at';
+
+// Validates the send_at option of /send-message and /upload-mailing.
+// Returns { date } for a valid future ISO 8601 timestamp, { date: null } when absent, or { error }.
+function parseSendAt(value) {
+    if (value === undefined || value === null || value === '') {
+        return { date: null };
+    }
+    const date = new Date(value);
+    if (typeof value !== 'string' || isNaN(date.getTime())) {
+        return { error: 'send_at inválido. Use o formato ISO 8601, ex.: 2025-05-10T09:00:00-03:00.' };
+    }
+    const now = Date.now();
+    if (date.getTime() <= now) {
+        return { error: 'send_at deve estar no futuro.' };
+    }
+    if (date.getTime() - now > MAX_SCHEDULE_AHEAD_MS) {
+        return { error: 'send_at não pode estar a mais de um ano no futuro.' };
+    }
+    return { date };
+}
+
+// Returns the created row, or null on error
+async function createScheduledMessage(supabase, details) {
+    const scheduleData = {
+        session_id: details.session_id || null,
+        kind: details.kind,
+        send_at: details.send_at,
+        status: 'pending',
+        recipient_number: details.recipient_number || null,
+        recipient_name: details.recipient_name || null,
+        body: details.body || null,
+        media_data: details.media_data || null,
+        media_mime_type: details.media_mime_type || null,
+        media_filename: details.media_filename || null,
+        content_options: details.content_options || null,
+        bulk_job_id: details.bulk_job_id || null,
+        created_at: new Date(),
+        updated_at: new Date()
+    };
+
+    try {
+        const { data, error } = await supabase
+            .from('scheduled_messages')
+            .insert(scheduleData)
+            .select(SCHEDULE_SUMMARY_COLUMNS)
+            .single();
+
+        if (error) {
+            console.error('[Scheduler] Erro Supabase ao criar agendamento:', error);
+            return null;
+        }
+        return data;
+    } catch (dbError) {
+        console.error('[Scheduler] Erro ao criar agendamento:', dbError);
+        return null;
+    }
+}
+
+// Returns { items, total } (newest send_at last) or null on error
+async function listScheduledMessages(supabase, { status = 'pending', sessionId = null, limit = 50, offset = 0 } = {}) {
+    try {
+        let query = supabase
+            .from('scheduled_messages')
+            .select(SCHEDULE_SUMMARY_COLUMNS, { count: 'exact' })
+            .order('send_at', { ascending: true })
+            .range(offset, offset + limit - 1);
+
+        if (status) {
+            query = query.eq('status', status);
+        }
+        if (sessionId) {
+            query = query.eq('session_id', sessionId);
+        }
+
+        const { data, error, count } = await query;
+        if (error) {
+            console.error('[Scheduler] Erro Supabase ao listar agendamentos:', error);
+            return null;
+        }
+        return { items: data || [], total: count || 0 };
+    } catch (dbError) {
+        console.error('[Scheduler] Erro ao listar agendamentos:', dbError);
+        return null;
+    }
+}
+
+async function getScheduledMessage(supabase, scheduleId) {
+    try {
+        const { data, error } = await supabase
+            .from('scheduled_messages')
+            .select('*')
+            .eq('id', scheduleId)
+            .maybeSingle();
+
+        if (error) {
+            console.error(`[Scheduler] Erro Supabase ao buscar agendamento ${scheduleId}:`, error);
+            return null;
+        }
+        return data;
+    } catch (dbError) {
+        console.error(`[Scheduler] Erro ao buscar agendamento ${scheduleId}:`, dbError);
+        return null;
+    }
+}
+
+// A session's pending items whose send_at has passed, oldest first
+async function getDueScheduledMessages(supabase, sessionId, limit = 20) {
+    try {
+        const { data, error } = await supabase
+            .from('scheduled_messages')
+            .select('*')
+            .eq('session_id', sessionId)
+            .eq('status', 'pending')
+            .lte('send_at', new Date().toISOString())
+            .order('send_at', { ascending: true })
+            .limit(limit);
+
+        if (error) {
+            console.error('[Scheduler] Erro Supabase ao buscar agendamentos vencidos:', error);
+            return [];
+        }
+        return data || [];
+    } catch (dbError) {
+        console.error('[Scheduler] Erro ao buscar agendamentos vencidos:', dbError);
+        return [];
+    }
+}
+
+// Moves an item between statuses only if it's still in `fromStatus`.
+// Returns the updated row, or null if it was already taken/cancelled or the update failed.
+async function transitionScheduledMessage(supabase, scheduleId, fromStatus, updateData) {
+    try {
+        const { data, error } = await supabase
+            .from('scheduled_messages')
+            .update({ ...updateData, updated_at: new Date() })
+            .eq('id', scheduleId)
+            .eq('status', fromStatus)
+            .select(SCHEDULE_SUMMARY_COLUMNS);
+
+        if (error) {
+            console.error(`[Scheduler] Erro Supabase ao atualizar agendamento ${scheduleId}:`, error);
+            return null;
+        }
+        return Array.isArray(data) && data.length === 1 ? data[0] : null;
+    } catch (dbError) {
+        console.error(`[Scheduler] Erro ao atualizar agendamento ${scheduleId}:`, dbError);
+        return null;
+    }
+}
+
+// Items left in 'processing' by a crash: same rules as interrupted bulk recipients
+// (never sent -> back to pending, delivered -> sent, unknown -> failed to avoid duplicates).
+async function recoverInterruptedScheduledMessages(supabase, sessionId) {
+    try {
+        const { data: rows, error } = await supabase
+            .from('scheduled_messages')
+            .select('id, kind, message_db_id')
+            .eq('session_id', sessionId)
+            .eq('status', 'processing');
+
+        if (error) {
+            console.error('[Scheduler] Erro Supabase ao buscar agendamentos interrompidos:', error);
+            return;
+        }
+
+        for (const row of rows || []) {
+            if (row.kind === 'bulk' || !row.message_db_id) {
+                // Releasing a bulk job is idempotent, so it's safe to run again
+                await transitionScheduledMessage(supabase, row.id, 'processing', { status: 'pending' });
+                continue;
+            }
+
+            const { data: message } = await supabase
+                .from('messages')
+                .select('message_id')
+                .eq('id', row.message_db_id)
+                .maybeSingle();
+
+            if (message && message.message_id) {
+                await transitionScheduledMessage(supabase, row.id, 'processing', { status: 'sent' });
+            } else {
+                await transitionScheduledMessage(supabase, row.id, 'processing', {
+                    status: 'failed',
+                    error_message: 'Envio interrompido por reinício; não reenviado para evitar duplicidade.'
+                });
+            }
+        }
+    } catch (dbError) {
+        console.error('[Scheduler] Erro ao recuperar agendamentos interrompidos:', dbError);
+    }
+}
+
+module.exports = {
+    SCHEDULE_STATUSES,
+    parseSendAt,
+    createScheduledMessage,
+    listScheduledMessages,
+    getScheduledMessage,
+    getDueScheduledMessages,
+    transitionScheduledMessage,
+    recoverInterruptedScheduledMessages
+};
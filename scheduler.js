@@ -0,0 +1,137 @@
+const { MessageMedia } = require('whatsapp-web.js');
+
+const { sendSingleMessage } = require('./message-sender');
+const { transitionBulkJobState } = require('./bulk-jobs');
+const {
+    getScheduledMessage,
+    getDueScheduledMessages,
+    transitionScheduledMessage,
+    recoverInterruptedScheduledMessages
+} = require('./scheduled-messages');
+
+const POLL_INTERVAL_MS = 15000;
+
+// Fires due items from scheduled_messages while the client is READY.
+// 'message' items are sent like /send-message (message_type 'scheduled'); 'bulk' items release
+// their bulk job to the bulk worker. Only items of `sessionId` are handled.
+function createScheduler({ client, supabase, wss, getClientStatus, rateLimiter, mediaStorage = null, bulkWorker, sessionId }) {
+    let timer = null;
+    let ticking = false;
+    let recovered = false;
+
+    async function fireMessage(item) {
+        let media = null;
+        if (item.media_data && item.media_mime_type) {
+            media = new MessageMedia(item.media_mime_type, item.media_data, item.media_filename || undefined);
+        }
+
+        const result = await sendSingleMessage({ client, supabase, wss, rateLimiter, mediaStorage, sessionId }, {
+            number: item.recipient_number,
+            name: item.recipient_name,
+            body: item.body || '',
+            media,
+            mediaMimeType: item.media_mime_type,
+            contentOptions: item.content_options,
+            messageType: 'scheduled',
+            kind: 'bulk', // Scheduled sends respect the send window like campaigns do
+            // Link the message row before sending so a crash can't lead to a duplicate
+            onSaved: (dbMessage) => supabase
+                .from('scheduled_messages')
+                .update({ message_db_id: dbMessage.id, updated_at: new Date() })
+                .eq('id', item.id)
+        });
+
+        const updated = result.error
+            ? await transitionScheduledMessage(supabase, item.id, 'processing', { status: 'failed', error_message: result.error, message_db_id: result.dbMessage?.id || null })
+            : await transitionScheduledMessage(supabase, item.id, 'processing', { status: 'sent', message_db_id: result.dbMessage.id });
+        return updated;
+    }
+
+    async function fireBulk(item) {
+        const job = await transitionBulkJobState(supabase, item.bulk_job_id, ['scheduled'], { state: 'queued' });
+        if (!job) {
+            // Cancelled through /bulk-jobs/:id/cancel (or removed) in the meantime
+            return transitionScheduledMessage(supabase, item.id, 'processing', {
+                status: 'cancelled',
+                error_message: 'O envio em massa não estava mais agendado.'
+            });
+        }
+        console.log(`[Scheduler] Envio em massa ${job.id} liberado para envio.`);
+        bulkWorker.wake();
+        return transitionScheduledMessage(supabase, item.id, 'processing', { status: 'sent' });
+    }
+
+    async function fire(item) {
+        const claimed = await transitionScheduledMessage(supabase, item.id, 'pending', { status: 'processing' });
+        if (!claimed) return; // Cancelled or taken meanwhile
+
+        console.log(`[Scheduler] Disparando agendamento ${item.id} (${item.kind}) previsto para ${item.send_at}.`);
+        const updated = item.kind === 'bulk' ? await fireBulk(item) : await fireMessage(item);
+        if (updated) {
+            wss.broadcast({ type: 'scheduled_update', payload: updated });
+        }
+    }
+
+    async function tick() {
+        if (ticking || getClientStatus() !== 'READY') return;
+        ticking = true;
+        try {
+            if (!recovered) {
+                await recoverInterruptedScheduledMessages(supabase, sessionId);
+                recovered = true;
+            }
+            const dueItems = await getDueScheduledMessages(supabase, sessionId);
+            for (const item of dueItems) {
+                if (getClientStatus() !== 'READY') break;
+                await fire(item);
+            }
+        } catch (error) {
+            console.error('[Scheduler] Erro inesperado ao processar agendamentos:', error);
+        } finally {
+            ticking = false;
+        }
+    }
+
+    function start() {
+        if (timer) return;
+        timer = setInterval(tick, POLL_INTERVAL_MS);
+        console.log(`[Scheduler] Agendador da sessão '${sessionId}' iniciado.`);
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    // Cancels a pending item (and its bulk job, for campaigns). Cancelling a campaign needs canCancelBulk,
+    // the same admin permission the bulk job routes require.
+    // Returns { item } or { error, code } with code 'NOT_FOUND', 'FORBIDDEN' or 'INVALID_STATE'.
+    async function cancel(scheduleId, { canCancelBulk = false } = {}) {
+        const item = await getScheduledMessage(supabase, scheduleId);
+        if (!item || item.session_id !== sessionId) {
+            return { error: 'Agendamento não encontrado.', code: 'NOT_FOUND' };
+        }
+        if (item.bulk_job_id && !canCancelBulk) {
+            return { error: "Permissão insuficiente. Cancelar um envio em massa requer o papel 'admin'.", code: 'FORBIDDEN' };
+        }
+
+        const cancelled = await transitionScheduledMessage(supabase, scheduleId, 'pending', { status: 'cancelled' });
+        if (!cancelled) {
+            return { error: `Não é possível cancelar um agendamento com status '${item.status}'.`, code: 'INVALID_STATE' };
+        }
+
+        if (item.kind === 'bulk' && item.bulk_job_id) {
+            const result = await bulkWorker.cancelJob(item.bulk_job_id);
+            if (result.error) {
+                console.warn(`[Scheduler] Envio em massa ${item.bulk_job_id} do agendamento ${scheduleId} não foi cancelado: ${result.error}`);
+            }
+        }
+
+        wss.broadcast({ type: 'scheduled_update', payload: cancelled });
+        return { item: cancelled };
+    }
+
+    return { start, stop, tick, cancel };
+}
+
+module.exports = { createScheduler };
@@ -1,243 +1,388 @@
 const express = require('express');
 const multer = require('multer');
-const { Client, LocalAuth, MessageMedia } = require('whatsapp-web.js');
-const { createClient } = require('@supabase/supabase-js');
 const WebSocket = require('ws');
 const http = require('http');
 require('dotenv').config();
 const cors = require('cors');
 
-// Import all utils including new setting helpers
-const { formatWhatsappNumber, saveMessageToDb, updateMessageStatusAndId, getClientInfo, getSetting, setSetting } = require('./utils');
-const { processCsvAndSendBulk } = require('./csv-processor');
+const { saveMessageToDb, updateMessageStatusAndId, getMessage, findMessageByWhatsappId, listMessages, getClientInfo, parsePagination } = require('./utils');
+const { processCsvAndSendBulk, processSegmentAndSendBulk, importContactsCsv, previewMailing, validateMailing } = require('./csv-processor');
+const { sendSingleMessage } = require('./message-sender');
+const { SCHEDULE_STATUSES, parseSendAt, createScheduledMessage, listScheduledMessages } = require('./scheduled-messages');
+const { JOB_STATES, RECIPIENT_STATUSES, getBulkJob, countBulkJobsByState } = require('./bulk-jobs');
+const { getBulkJobSummaries, getBulkJobReport, getBulkJobRecipients, buildBulkJobCsv } = require('./bulk-reports');
+const { loadSettings, getSettings, getSettingValue, updateSettings, describeSettings } = require('./settings');
+const { createAutoResponder } = require('./auto-responder');
+const { createOperatorRelay } = require('./operator-relay');
+const { ASSIGNMENT_STATUSES, getAssignment, listAssignments, createOperatorRouter } = require('./operator-routing');
+const { createMediaStorage } = require('./media-storage');
+const { MAX_UPLOAD_SIZE, uploadFileFilter, validateAttachment, parseContentOptions, resolveContentOptions, getOutboundMediaType, getInboundMediaType, toMessageMedia } = require('./outbound-content');
+const { normalizeContactNumber, decodeCursor, listConversations, getConversationMessages, markConversationRead } = require('./conversations');
+const { normalizeBlocklistNumber, isOptOutMessage, getBlocklistEntry, addToBlocklist, removeFromBlocklist, listBlocklist } = require('./blocklist');
+const { DEFAULT_SESSION_ID, describeSession, createSessionManager } = require('./session-manager');
+const { hasRole, readApiKey, requireRole, createApiKeyAuth } = require('./api-keys');
+const { DELIVERY_STATUSES, createWebhookDispatcher } = require('./webhooks');
+const { createGauge, renderMetrics } = require('./metrics');
+const { createStorage } = require('./storage');
+const { createWebSocketHub } = require('./ws-hub');
+const { getContact, listContacts, createContact, updateContact, deleteContact, saveInboundContact, findSegmentContacts, listSegments, getSegment, createSegment, updateSegment, deleteSegment } = require('./contacts');
+const { isGroupChat, readMessageContext, recordReaction, recordEdit, recordRevoke, getMessageEvents } = require('./message-events');
+const { normalizePhoneNumber, resolveWhatsappId } = require('./phone-numbers');
 
 const app = express();
 const port = 3000;
 
-const supabaseUrl = process.env.SUPABASE_URL;
-const supabaseKey = process.env.SUPABASE_KEY;
-// OPERATOR_NUMBER is now handled via settings endpoint and DB, remove .env check/use here.
-// const operatorNumberRaw = process.env.OPERATOR_NUMBER; 
+// OPERATOR_NUMBER is handled via the settings table (GET/PUT /settings), not .env.
 
-if (!supabaseUrl || !supabaseKey) {
-    console.error("Erro: URL ou Chave do Supabase não encontradas no arquivo .env.");
+// Supabase or the local file database (STORAGE_BACKEND), see storage.js
+let db;
+try {
+    db = createStorage();
+} catch (error) {
+    console.error(`Erro: ${error.message}`);
     process.exit(1);
 }
-// Check for operator number is now deferred until needed in the message handler.
-// if (!operatorNumberRaw) {
-//     console.warn("Atenção: OPERATOR_NUMBER não definido no arquivo .env. Mensagens recebidas não serão encaminhadas.");
-// }
-
-const supabase = createClient(supabaseUrl, supabaseKey);
-// operatorNumberFormatted is now a variable updated via settings endpoint
-let currentOperatorNumber = null; 
+const { supabase } = db;
 
 const SESSION_FILE_PATH = './.wwebjs_auth';
 
-app.use(express.json());
-app.use(express.urlencoded({ extended: true }));
+// API keys with roles (viewer < agent < admin), see api-keys.js
+const apiKeyAuth = createApiKeyAuth({ supabase });
+
 // enable CORS for all routes (allows requests from http://localhost:5173 and others)
 app.use(cors());
 
+// Liveness and readiness probes don't need an API key (and reveal nothing beyond status)
+app.get('/health', (req, res) => {
+    res.status(200).json({ status: 'ok', uptimeSeconds: Math.round(process.uptime()) });
+});
+
+// 200 only when the session (?sessionId=, default 'default') is READY and the database answers
+app.get('/ready', async (req, res) => {
+    const sessionId = req.query.sessionId || DEFAULT_SESSION_ID;
+    const session = sessionManager.getSession(sessionId);
+    const database = await db.checkConnection();
+    const clientReady = !!session && session.status === 'READY';
+    const ready = clientReady && database.ok;
+
+    res.status(ready ? 200 : 503).json({
+        status: ready ? 'ready' : 'not_ready',
+        session: { id: sessionId, status: session ? session.status : 'NOT_FOUND' },
+        database: { backend: db.backend, ...database }
+    });
+});
+
+// Every other route needs a valid API key; preflight requests were already answered by cors()
+app.use(apiKeyAuth.authenticateRequest);
+app.use(express.json());
+app.use(express.urlencoded({ extended: true }));
+
 const storage = multer.memoryStorage(); 
 const upload = multer({
     storage: storage,
-    limits: { fileSize: 10 * 1024 * 1024 }, 
-    fileFilter: (req, file, cb) => {
-        if (file.mimetype === 'text/csv' || file.originalname.endsWith('.csv') || file.mimetype.startsWith('image/')) {
-            cb(null, true);
-        } else {
-            cb(new Error('Tipo de arquivo inválido. Apenas arquivos CSV e imagens são permitidos.'), false);
-        }
-    }
+    limits: { fileSize: MAX_UPLOAD_SIZE }, // Per-type limits are checked by validateAttachment
+    fileFilter: uploadFileFilter
 });
 
-const uploadSingle = upload.single('image');
+// 'image' and 'imageFile' are the original field names, kept for existing clients
+const uploadSingle = upload.fields([
+    { name: 'file', maxCount: 1 },
+    { name: 'image', maxCount: 1 }
+]);
 const uploadBulk = upload.fields([
     { name: 'csvFile', maxCount: 1 },
+    { name: 'mediaFile', maxCount: 1 },
     { name: 'imageFile', maxCount: 1 }
 ]);
+const uploadCsv = upload.single('csvFile');
 
-console.log('Inicializando cliente WhatsApp...');
-let qrCodeData = null;
-let clientStatus = 'INITIALIZING'; 
-let connectedClientNumber = null; 
-
-const client = new Client({
-    authStrategy: new LocalAuth({ dataPath: SESSION_FILE_PATH }),
-    puppeteer: {
-        args: [
-            '--no-sandbox',
-            '--disable-setuid-sandbox',
-            '--disable-dev-shm-usage',
-            '--disable-accelerated-2d-canvas',
-            '--no-first-run',
-            '--no-zygote',
-            '--disable-gpu'
-        ],
-        headless: true
-    },
-});
-
-function updateClientStatus(newStatus, wsServer, clientInstance = null) {
-    const oldStatus = clientStatus;
-    clientStatus = newStatus;
-    const clientInfo = getClientInfo(clientInstance); 
-    connectedClientNumber = clientInfo.number; 
-
-    console.log(`Status do Cliente alterado: ${oldStatus} -> ${newStatus}${connectedClientNumber ? ` (Número: ${connectedClientNumber})` : ''}`);
-
-    wsServer?.broadcast({ type: 'client_status', payload: { status: newStatus, clientNumber: connectedClientNumber } });
-}
-
-client.on('qr', (qr) => {
-    console.log('QR Code Recebido, por favor escaneie!');
-    qrCodeData = qr;
-    connectedClientNumber = null; 
-    updateClientStatus('WAITING_QR', wss); 
-    wss.broadcast({ type: 'qr', payload: qr });
-});
-
-client.on('authenticated', () => {
-    console.log('Cliente WhatsApp Autenticado!');
-    qrCodeData = null; 
-    updateClientStatus('AUTHENTICATED', wss, client); 
-});
-
-client.on('auth_failure', (msg) => {
-    console.error('Falha na Autenticação do WhatsApp:', msg);
-    qrCodeData = null;
-    connectedClientNumber = null; 
-    updateClientStatus('DISCONNECTED', wss); 
-    wss.broadcast({ type: 'auth_failure', payload: msg });
-});
-
-client.on('ready', () => {
-    console.log('Cliente WhatsApp Pronto!');
-    qrCodeData = null;
-    updateClientStatus('READY', wss, client); 
-    console.log("Informações do Cliente:", getClientInfo(client)); 
-    // Fetch operator number on ready state
-    getSetting(supabase, 'operator_number').then(number => {
-        currentOperatorNumber = number;
-        if (!currentOperatorNumber) {
-             console.warn("AVISO: Número do operador não configurado no DB. Encaminhamento desabilitado.");
-        } else {
-             console.log(`Mensagens recebidas serão encaminhadas para: ${currentOperatorNumber}`);
-        }
-         // Broadcast current settings state to new WS connections
-         wss.broadcast({ type: 'settings', payload: { operatorNumber: currentOperatorNumber } });
-    }).catch(err => console.error("Erro ao buscar número do operador na inicialização:", err));
-});
-
-client.on('message', async (message) => {
-    console.log(`Mensagem recebida de: ${message.from}, Corpo: ${message.body.substring(0, 50)}...`);
-
-    // Ignore status messages and messages sent by the bot itself
-    if (message.from === 'status@broadcast' || message.fromMe) {
-        console.log('Ignorando mensagem de status ou própria.');
-        return;
-    }
-
-    // Format the incoming number to match the operator number format for comparison
-    const incomingNumberFormatted = formatWhatsappNumber(message.from);
-
-    // Ignore messages from the currently configured operator number if set
-    const operatorFormatted = currentOperatorNumber ? formatWhatsappNumber(currentOperatorNumber) : null;
-    if (operatorFormatted && incomingNumberFormatted && incomingNumberFormatted === operatorFormatted) {
-         console.log('Ignorando mensagem do número do operador.');
-         return;
+// Load settings at startup so forwarding/auto-reply config is available before the client is ready
+loadSettings(supabase).then(settings => {
+    if (!settings.operator_number) {
+        console.warn("AVISO: Número do operador não configurado. Sem operadores cadastrados (/operators), o encaminhamento fica desabilitado até ser definido via PUT /settings.");
+    } else {
+        console.log(`Mensagens recebidas serão encaminhadas para: ${settings.operator_number}`);
     }
+}).catch(err => console.error("Erro ao carregar configurações na inicialização:", err));
 
+// Inbound and outbound attachments (local disk by default, see media-storage.js)
+const mediaStorage = createMediaStorage({ supabase });
 
-    const senderInfo = getClientInfo(client); 
-    const senderNumber = message.from; 
-    // Use notifyName if available, fallback to number part before @
-    const senderName = message._data.notifyName || (senderNumber ? senderNumber.split('@')[0] : 'Desconhecido'); 
-    const messageBody = message.body;
-    const messageTimestamp = new Date(message.timestamp * 1000);
-    const hasMedia = message.hasMedia || false;
-    const mediaMimeType = hasMedia ? message.type : null; 
-
-    try {
-        // Save the incoming message to the database
-        const incomingDbMessage = await saveMessageToDb(supabase, senderInfo, wss, {
-            message_id: message.id.id,
-            sender_number: senderNumber, // The external number
-            recipient_number: senderInfo?.number, // The bot's number
-            recipient_name: senderName, 
-            body: messageBody,
-            is_outgoing: false, 
-            status: 'received', 
-            timestamp: messageTimestamp,
-            has_media: hasMedia,
-            media_mime_type: mediaMimeType,
-            message_type: 'incoming' 
-        });
-        if (!incomingDbMessage) {
-            console.error(`Falha ao salvar mensagem recebida de ${senderNumber} no banco.`);
-        }
-         // Note: Supabase Realtime should handle broadcasting this new message to the frontend if enabled and configured.
-         // If not, the `saveMessageToDb` helper handles the broadcast via WSS.
-    } catch (dbError) {
-        console.error('Erro ao salvar mensagem recebida no DB:', dbError);
+// Adds the sender to the blocklist and sends the opt-out confirmation
+async function handleOptOut(session, senderNumber, senderName, senderInfo, messageBody) {
+    const entry = await addToBlocklist(supabase, senderNumber, { reason: `Palavra-chave: ${messageBody.trim()}`, source: 'keyword' });
+    if (!entry) {
+        console.error(`Falha ao registrar opt-out de ${senderNumber}. Confirmação não enviada.`);
+        return;
     }
+    console.log(`Opt-out registrado para ${senderNumber}.`);
+    wss.broadcast({ type: 'blocklist_update', payload: { action: 'added', entry } });
 
-    // Send Auto-Response
-    const autoResponseMessage = `Olá ${senderName}! Recebemos sua mensagem. Entraremos em contato em breve, aguarde um momento.`;
+    const confirmationMessage = getSettingValue('optout_confirmation_message').replace(/\{nome\}/gi, () => senderName);
 
     try {
-        const sentAutoResponse = await client.sendMessage(senderNumber, autoResponseMessage);
-        console.log(`Auto-resposta enviada para ${senderNumber}. WA ID: ${sentAutoResponse.id.id}`);
-
-        // Save the outgoing auto-response to the database
-        await saveMessageToDb(supabase, senderInfo, wss, {
-            message_id: sentAutoResponse.id.id, // WA message ID
-            sender_number: senderInfo?.number, // The bot's number
-            recipient_number: senderNumber, // The external number
+        const sentConfirmation = await session.rateLimiter.send(session.client, senderNumber, confirmationMessage);
+        await saveMessageToDb(supabase, senderInfo, session.wss, {
+            message_id: sentConfirmation.id.id,
+            sender_number: senderInfo?.number,
+            recipient_number: senderNumber,
             recipient_name: senderName,
-            body: autoResponseMessage,
-            is_outgoing: true, 
-            status: 'pending', // Will be updated by message_ack
-            timestamp: new Date(), // Use current time for outgoing auto-response
+            body: confirmationMessage,
+            is_outgoing: true,
+            session_id: session.id,
+            status: 'pending',
+            timestamp: new Date(),
             has_media: false,
-            message_type: 'auto_response' 
+            message_type: 'optout_confirmation'
         });
     } catch (error) {
-        console.error(`Erro ao enviar auto-resposta para ${senderNumber}:`, error.message);
-        // Save the auto-response with error status
-        await saveMessageToDb(supabase, senderInfo, wss, {
-            message_id: null, // No WA ID since sending failed
+        console.error(`Erro ao enviar confirmação de opt-out para ${senderNumber}:`, error.message);
+        await saveMessageToDb(supabase, senderInfo, session.wss, {
+            message_id: null,
             sender_number: senderInfo?.number,
             recipient_number: senderNumber,
             recipient_name: senderName,
-            body: autoResponseMessage, 
+            body: confirmationMessage,
             is_outgoing: true,
+            session_id: session.id,
             status: 'error',
             timestamp: new Date(),
             has_media: false,
-            message_type: 'auto_response',
+            message_type: 'optout_confirmation',
             error_message: `Falha ao enviar: ${error.message}`
         });
     }
+}
+
+// Registers the whatsapp-web.js event handlers of a session (called by the session manager)
+function attachClientHandlers(session) {
+    const { client } = session;
+
+    client.on('qr', (qr) => {
+        console.log('QR Code Recebido, por favor escaneie!');
+        session.qrCodeData = qr;
+        session.setStatus('WAITING_QR'); 
+        session.wss.broadcast({ type: 'qr', payload: qr });
+    });
 
-    // Forward message to Operator
-    if (currentOperatorNumber) { // Use the number fetched from settings
-        const operatorFormattedForSend = formatWhatsappNumber(currentOperatorNumber);
+    client.on('authenticated', () => {
+        console.log('Cliente WhatsApp Autenticado!');
+        session.setStatus('AUTHENTICATED'); 
+    });
+
+    client.on('auth_failure', (msg) => {
+        console.error('Falha na Autenticação do WhatsApp:', msg);
+        session.setStatus('DISCONNECTED'); 
+        session.wss.broadcast({ type: 'auth_failure', payload: msg });
+    });
 
-        if (!operatorFormattedForSend) {
-             console.error(`Número do operador configurado '${currentOperatorNumber}' inválido para encaminhar. Não formatável.`);
-             // Could potentially log this as an error message in the DB or send a WS error
-             return; // Stop forwarding if number is bad
+    client.on('ready', () => {
+        console.log('Cliente WhatsApp Pronto!');
+        session.setStatus('READY'); 
+        console.log("Informações do Cliente:", getClientInfo(client)); 
+        session.bulkWorker.wake(); // Resume pending bulk jobs right away
+        session.scheduler.tick(); // Fire anything that came due while disconnected
+    });
+
+    client.on('message', async (message) => {
+        console.log(`Mensagem recebida de: ${message.from}, Corpo: ${message.body.substring(0, 50)}...`);
+
+        // Ignore status messages and messages sent by the bot itself
+        if (message.from === 'status@broadcast' || message.fromMe) {
+            console.log('Ignorando mensagem de status ou própria.');
+            return;
+        }
+
+        // Group chats: message.from is the group and message.author the member who wrote (see the group_messages setting)
+        const isGroup = isGroupChat(message.from);
+        if (isGroup && getSettingValue('group_messages') === 'ignore') {
+            console.log(`Ignorando mensagem do grupo ${message.from} (group_messages = ignore).`);
+            return;
+        }
+
+        // Normalize the incoming number (WhatsApp IDs may lack the ninth digit) to compare it with the operator number.
+        // Groups have no number: no operator commands, opt-out, handoff or routing for them.
+        const incomingNumber = isGroup ? null : normalizePhoneNumber(message.from, { defaultCountryCode: getSettingValue('default_country_code') });
+
+        // Messages from an operator (registered in /operators, or the operator_number setting, stored as E.164 digits)
+        // are replies for customers, not customer messages
+        const currentOperatorNumber = getSettingValue('operator_number');
+        const fromOperator = !!incomingNumber &&
+            (!!operatorRouter.findOperatorByNumber(incomingNumber.digits) || incomingNumber.digits === currentOperatorNumber);
+        if (fromOperator) {
+            if (!getSettingValue('handoff_enabled')) {
+                console.log('Ignorando mensagem do número do operador.');
+                return;
+            }
+            try {
+                await operatorRelay.handleOperatorMessage(session, message);
+            } catch (error) {
+                console.error('Erro ao tratar mensagem do operador:', error);
+            }
+            return;
         }
 
-        const forwardHeader = `*Nova Mensagem Recebida*\n*De:* ${senderName} (${senderNumber.split('@')[0]})`;
-        let forwardedMessageContent = `${forwardHeader}\n*Mensagem:* ${messageBody}`;
-        let mediaToForward = null;
 
+        const senderInfo = getClientInfo(client); 
+        const senderNumber = message.from; 
+        // Use notifyName if available, fallback to number part before @
+        const senderName = message._data.notifyName || (senderNumber ? senderNumber.split('@')[0] : 'Desconhecido'); 
+        const messageBody = message.body;
+        const messageTimestamp = new Date(message.timestamp * 1000);
+        const hasMedia = message.hasMedia || false;
+
+        // Download attachments once: they're stored and reused when forwarding to the operator
+        let downloadedMedia = null;
         if (hasMedia) {
             try {
-                mediaToForward = await message.downloadMedia(); 
+                downloadedMedia = await message.downloadMedia();
+            } catch (mediaError) {
+                console.error(`Erro ao baixar mídia recebida de ${message.from}:`, mediaError);
+            }
+        }
+        // message.type ('image', 'ptt'...) is only a fallback when the download failed
+        const mediaMimeType = hasMedia ? (downloadedMedia?.mimetype || message.type) : null;
+
+        // Quoted message and group participant (message-events.js)
+        const context = await readMessageContext(supabase, message);
+
+        let incomingDbMessage = null;
+        try {
+            // Save the incoming message to the database
+            incomingDbMessage = await saveMessageToDb(supabase, senderInfo, session.wss, {
+                message_id: message.id.id,
+                sender_number: senderNumber, // The external number
+                recipient_number: senderInfo?.number, // The bot's number
+                recipient_name: senderName, 
+                body: messageBody,
+                is_outgoing: false, 
+                session_id: session.id,
+                status: 'received', 
+                timestamp: messageTimestamp,
+                has_media: hasMedia,
+                media_mime_type: mediaMimeType,
+                media_type: getInboundMediaType(message),
+                message_type: 'incoming',
+                quoted_message_id: context.quoted_message_id,
+                reply_to_id: context.reply_to_id,
+                participant: context.participant
+            });
+            if (!incomingDbMessage) {
+                console.error(`Falha ao salvar mensagem recebida de ${senderNumber} no banco.`);
+            } else if (downloadedMedia) {
+                await mediaStorage.saveMessageMedia(incomingDbMessage.id, downloadedMedia);
+            }
+             // Note: Supabase Realtime should handle broadcasting this new message to the frontend if enabled and configured.
+             // If not, the `saveMessageToDb` helper handles the broadcast via WSS.
+        } catch (dbError) {
+            console.error('Erro ao salvar mensagem recebida no DB:', dbError);
+        }
+
+        // Every sender becomes a contact (contacts.js), usable in segments for bulk sends
+        if (incomingNumber && getSettingValue('contacts_auto_create')) {
+            await saveInboundContact(supabase, incomingNumber.digits, message._data.notifyName || null);
+        }
+
+        // Opt-out: "SAIR", "PARAR", "STOP"... blocks the sender and confirms instead of auto-replying
+        const optedOut = !isGroup && getSettingValue('optout_enabled') && isOptOutMessage(messageBody, getSettingValue('optout_keywords'));
+        if (optedOut) {
+            try {
+                await handleOptOut(session, senderNumber, senderName, senderInfo, messageBody);
+            } catch (error) {
+                console.error(`Erro ao processar opt-out de ${senderNumber}:`, error);
+            }
+        }
+
+        // Send Auto-Response (rules, toggle and cooldown come from auto-responder.js / settings),
+        // unless the operator is handling this conversation
+        const handedOff = getSettingValue('handoff_enabled') && operatorRelay.isHandedOff(session.id, incomingNumber?.digits);
+        const autoReply = optedOut || handedOff ? null : autoResponder.findReply(messageBody, `${session.id}:${senderNumber}`, senderName, { isGroup });
+
+        if (optedOut) {
+            console.log(`Auto-resposta não enviada para ${senderNumber}: pedido de opt-out.`);
+        } else if (handedOff) {
+            console.log(`Auto-resposta pausada para ${senderNumber}: conversa em atendimento pelo operador.`);
+        } else if (!autoReply) {
+            console.log(`Nenhuma auto-resposta a enviar para ${senderNumber}.`);
+        } else {
+            try {
+                const sentAutoResponse = await session.rateLimiter.send(client, senderNumber, autoReply.text);
+                autoResponder.markReplied(autoReply);
+                console.log(`Auto-resposta '${autoReply.ruleName}' enviada para ${senderNumber}. WA ID: ${sentAutoResponse.id.id}`);
+
+                // Save the outgoing auto-response to the database
+                await saveMessageToDb(supabase, senderInfo, session.wss, {
+                    message_id: sentAutoResponse.id.id, // WA message ID
+                    sender_number: senderInfo?.number, // The bot's number
+                    recipient_number: senderNumber, // The external number
+                    recipient_name: senderName,
+                    body: autoReply.text,
+                    is_outgoing: true, 
+                    session_id: session.id,
+                    status: 'pending', // Will be updated by message_ack
+                    timestamp: new Date(), // Use current time for outgoing auto-response
+                    has_media: false,
+                    message_type: 'auto_response' 
+                });
+            } catch (error) {
+                console.error(`Erro ao enviar auto-resposta para ${senderNumber}:`, error.message);
+                // Save the auto-response with error status
+                await saveMessageToDb(supabase, senderInfo, session.wss, {
+                    message_id: null, // No WA ID since sending failed
+                    sender_number: senderInfo?.number,
+                    recipient_number: senderNumber,
+                    recipient_name: senderName,
+                    body: autoReply.text, 
+                    is_outgoing: true,
+                    session_id: session.id,
+                    status: 'error',
+                    timestamp: new Date(),
+                    has_media: false,
+                    message_type: 'auto_response',
+                    error_message: `Falha ao enviar: ${error.message}`
+                });
+            }
+        }
+
+        if (isGroup) {
+            console.log(`Mensagem do grupo ${senderNumber} não encaminhada ao operador.`);
+            return;
+        }
+
+        // Operator in charge of this customer (operator-routing.js); operator_number when none are registered or available
+        let forwardNumber = currentOperatorNumber;
+        if (incomingNumber) {
+            const routed = await operatorRouter.routeConversation(session.id, incomingNumber.digits, senderNumber, messageBody);
+            if (routed && routed.error) {
+                console.error(`Roteamento de ${senderNumber} ignorado: ${routed.error}${currentOperatorNumber ? ' Usando o número do operador das configurações.' : ''}`);
+            } else if (routed && routed.operator) {
+                forwardNumber = routed.operator.number;
+            } else if (routed) {
+                console.warn(`Nenhum operador disponível para ${senderNumber}.${currentOperatorNumber ? ' Usando o número do operador das configurações.' : ''}`);
+            }
+        }
+
+        // Forward message to Operator
+        if (!getSettingValue('forward_enabled')) {
+            console.log("Encaminhamento desativado nas configurações, mensagem não encaminhada.");
+        } else if (forwardNumber) {
+            const operatorId = await resolveWhatsappId(client, forwardNumber, { verify: getSettingValue('verify_numbers_before_send') });
+
+            if (operatorId.error) {
+                 console.error(`Número do operador '${forwardNumber}' inválido para encaminhar: ${operatorId.error}`);
+                 // Could potentially log this as an error message in the DB or send a WS error
+                 return; // Stop forwarding if number is bad
+            }
+            const operatorFormattedForSend = operatorId.id;
+
+            let forwardHeader = `*Nova Mensagem Recebida*\n*De:* ${senderName} (${senderNumber.split('@')[0]})`;
+            if (getSettingValue('handoff_enabled')) {
+                forwardHeader += '\n_Responda citando esta mensagem para falar com o cliente._';
+            }
+            let forwardedMessageContent = `${forwardHeader}\n*Mensagem:* ${messageBody}`;
+            const mediaToForward = downloadedMedia; // Already downloaded (and stored) above
+
+            if (hasMedia) {
                 if (mediaToForward) {
                     // If media is downloaded, the caption needs to be sent with the media.
                     // If there's no body (caption), just send the media.
@@ -250,315 +395,1264 @@ client.on('message', async (message) => {
                 } else {
                     forwardedMessageContent += '\n*(Falha ao encaminhar mídia)*';
                 }
-            } catch (mediaError) {
-                console.error("Erro ao baixar mídia para encaminhamento:", mediaError);
-                forwardedMessageContent += '\n*(Erro ao processar mídia para encaminhamento)*';
             }
+
+            try {
+                let sentForwardedMessage;
+                if (mediaToForward) {
+                    sentForwardedMessage = await session.rateLimiter.send(client, operatorFormattedForSend, mediaToForward, { caption: forwardedMessageContent });
+                    console.log(`Mídia encaminhada para o operador (${forwardNumber}). WA ID: ${sentForwardedMessage.id.id}`);
+                } else {
+                    sentForwardedMessage = await session.rateLimiter.send(client, operatorFormattedForSend, forwardedMessageContent);
+                    console.log(`Mensagem de texto encaminhada para o operador (${forwardNumber}). WA ID: ${sentForwardedMessage.id.id}`);
+                }
+
+                 // Save the outgoing forwarded message to the database
+                const forwardedDbMessage = await saveMessageToDb(supabase, senderInfo, session.wss, {
+                    message_id: sentForwardedMessage.id.id, // WA message ID
+                    sender_number: senderInfo?.number, // The bot's number
+                    recipient_number: operatorFormattedForSend, // The operator's formatted number
+                    // recipient_name: 'Operador', // Or fetch/store operator name?
+                    body: forwardedMessageContent, 
+                    is_outgoing: true, 
+                    session_id: session.id,
+                    status: 'pending', 
+                    timestamp: new Date(), // Use current time for outgoing forwarded message
+                    has_media: !!mediaToForward, 
+                    media_mime_type: mediaToForward ? mediaToForward.mimetype : null,
+                    media_type: getOutboundMediaType(mediaToForward ? mediaToForward.mimetype : null),
+                    message_type: 'forwarded', 
+                    related_message_id: incomingDbMessage?.id // Link to the original incoming message (operator replies quote the forward)
+                });
+                if (forwardedDbMessage && mediaToForward) {
+                    await mediaStorage.saveMessageMedia(forwardedDbMessage.id, mediaToForward);
+                }
+            } catch (error) {
+                console.error(`Erro ao encaminhar mensagem para o operador (${forwardNumber}):`, error.message);
+                 // Save the forwarded message attempt with error status
+                 await saveMessageToDb(supabase, senderInfo, session.wss, {
+                    message_id: null, // No WA ID since sending failed
+                    sender_number: senderInfo?.number,
+                    recipient_number: operatorFormattedForSend,
+                    body: forwardedMessageContent, 
+                    is_outgoing: true,
+                    session_id: session.id,
+                    status: 'error',
+                    timestamp: new Date(),
+                    has_media: !!mediaToForward,
+                    media_mime_type: mediaToForward ? mediaToForward.mimetype : null,
+                    media_type: getOutboundMediaType(mediaToForward ? mediaToForward.mimetype : null),
+                    message_type: 'forwarded',
+                    error_message: `Falha ao encaminhar: ${error.message}`,
+                    related_message_id: incomingDbMessage?.id
+                });
+            }
+        } else {
+            console.log("Número do operador não configurado, mensagem não encaminhada.");
+            // Could potentially send a WS message to frontend indicating forwarding is disabled
+        }
+    });
+
+    client.on('message_ack', async (message, ack) => {
+        const statusMap = {
+            '-1': 'error', 0: 'pending', 1: 'sent', 2: 'delivered', 3: 'read', 4: 'played' 
+        };
+        let newStatus = statusMap[ack] || 'unknown';
+        if (newStatus === 'played') newStatus = 'read'; 
+
+        // console.log(`Atualização ACK Mensagem: WA_ID=${message.id.id}, Status=${newStatus} (${ack})`);
+
+        // We only care about ACKs for messages sent *by this client*
+        if (!message.fromMe) {
+            // console.log("ACK for incoming message, ignoring.");
+            return;
         }
 
         try {
-            let sentForwardedMessage;
-            if (mediaToForward) {
-                sentForwardedMessage = await client.sendMessage(operatorFormattedForSend, mediaToForward, { caption: forwardedMessageContent });
-                console.log(`Mídia encaminhada para o operador (${currentOperatorNumber}). WA ID: ${sentForwardedMessage.id.id}`);
+            // Find the message in our DB by its WhatsApp ID
+            const existingMsg = await findMessageByWhatsappId(supabase, message.id.id);
+
+            if (existingMsg) {
+                const currentStatus = existingMsg.status;
+                 // Define a hierarchy for status updates. We only move forward or to error.
+                 // Order: pending -> sent -> delivered -> read. Error is a final state.
+                const statusHierarchy = ['pending', 'sent', 'delivered', 'read']; 
+                const currentIndex = statusHierarchy.indexOf(currentStatus);
+                const newIndex = statusHierarchy.indexOf(newStatus);
+
+                // Only update if the new status is further down the hierarchy or is 'error'
+                // And the current status is not already 'read' or 'error' (unless new is error)
+                if (newStatus === 'error' || (newIndex > currentIndex && !['read', 'error'].includes(currentStatus))) {
+                     // Special case: If current is 'sent' and new is 'delivered', allow.
+                     // If current is 'delivered' and new is 'read', allow.
+                     // If current is 'pending' and new is 'sent', allow.
+                     // If current is 'sent', 'delivered', or 'read' and new is 'pending', ignore.
+                     // If current is 'error', don't update unless the new status is also error with new info (less common).
+                     if (!['read', 'error'].includes(currentStatus) || newStatus === 'error') {
+                          // Ensure we don't downgrade status, except potentially to error
+                           const hierarchyAllowUpdate = ['pending', 'sent', 'delivered', 'read'];
+                           const currentHierarchyIndex = hierarchyAllowUpdate.indexOf(currentStatus);
+                           const newHierarchyIndex = hierarchyAllowUpdate.indexOf(newStatus);
+
+                           if (newStatus === 'error' || newHierarchyIndex >= currentHierarchyIndex) {
+                               await updateMessageStatusAndId(supabase, session.wss, existingMsg.id, message.id.id, newStatus);
+                           } else {
+                               // console.log(`Ignorando ACK ${newStatus} para WA ID ${message.id.id} porque o status atual (${currentStatus}) é hierarquicamente superior.`);
+                           }
+                     } else {
+                          // console.log(`Ignorando ACK ${newStatus} para WA ID ${message.id.id} porque o status atual (${currentStatus}) já é final (read/error).`);
+                     }
+                } else {
+                    // console.log(`Ignorando ACK ${newStatus} para WA ID ${message.id.id} porque não representa um avanço no status (${currentStatus}).`);
+                }
             } else {
-                sentForwardedMessage = await client.sendMessage(operatorFormattedForSend, forwardedMessageContent);
-                console.log(`Mensagem de texto encaminhada para o operador (${currentOperatorNumber}). WA ID: ${sentForwardedMessage.id.id}`);
+                // This might happen for old messages not in the DB, or if initial save failed silently.
+                // console.warn(`Mensagem com WA ID ${message.id.id} não encontrada no DB para atualização ACK. Pode ser uma mensagem antiga ou falha no salvamento inicial.`);
             }
+        } catch (dbError) {
+            console.error(`Erro ao processar atualização ACK para WA ID ${message.id.id}:`, dbError);
+        }
+    });
 
-             // Save the outgoing forwarded message to the database
-            await saveMessageToDb(supabase, senderInfo, wss, {
-                message_id: sentForwardedMessage.id.id, // WA message ID
-                sender_number: senderInfo?.number, // The bot's number
-                recipient_number: operatorFormattedForSend, // The operator's formatted number
-                // recipient_name: 'Operador', // Or fetch/store operator name?
-                body: forwardedMessageContent, 
-                is_outgoing: true, 
-                status: 'pending', 
-                timestamp: new Date(), // Use current time for outgoing forwarded message
-                has_media: !!mediaToForward, 
-                media_mime_type: mediaToForward ? mediaToForward.mimetype : null,
-                message_type: 'forwarded', 
-                // related_message_id: incomingDbMessage?.id // Link to the original incoming message
+    // Reactions, edits and "delete for everyone", on inbound and outbound messages (see message-events.js)
+    client.on('message_reaction', async (reaction) => {
+        try {
+            await recordReaction(supabase, session.wss, {
+                messageId: reaction.msgId.id,
+                reactor: reaction.senderId || getClientInfo(client).number,
+                emoji: reaction.reaction,
+                reactedAt: reaction.timestamp ? new Date(reaction.timestamp * 1000) : new Date()
             });
         } catch (error) {
-            console.error(`Erro ao encaminhar mensagem para o operador (${currentOperatorNumber}):`, error.message);
-             // Save the forwarded message attempt with error status
-             await saveMessageToDb(supabase, senderInfo, wss, {
-                message_id: null, // No WA ID since sending failed
-                sender_number: senderInfo?.number,
-                recipient_number: operatorFormattedForSend,
-                body: forwardedMessageContent, 
-                is_outgoing: true,
-                status: 'error',
-                timestamp: new Date(),
-                has_media: !!mediaToForward,
-                media_mime_type: mediaToForward ? mediaToForward.mimetype : null,
-                message_type: 'forwarded',
-                error_message: `Falha ao encaminhar: ${error.message}`,
-                // related_message_id: incomingDbMessage?.id
-            });
+            console.error('Erro ao processar reação:', error);
         }
-    } else {
-        console.log("Número do operador não configurado, mensagem não encaminhada.");
-        // Could potentially send a WS message to frontend indicating forwarding is disabled
-    }
-});
+    });
 
-client.on('message_ack', async (message, ack) => {
-    const statusMap = {
-        '-1': 'error', 0: 'pending', 1: 'sent', 2: 'delivered', 3: 'read', 4: 'played' 
-    };
-    let newStatus = statusMap[ack] || 'unknown';
-    if (newStatus === 'played') newStatus = 'read'; 
+    client.on('message_edit', async (message, newBody, prevBody) => {
+        try {
+            await recordEdit(supabase, session.wss, { messageId: message.id.id, newBody, previousBody: prevBody });
+        } catch (error) {
+            console.error(`Erro ao processar edição da mensagem ${message.id.id}:`, error);
+        }
+    });
 
-    // console.log(`Atualização ACK Mensagem: WA_ID=${message.id.id}, Status=${newStatus} (${ack})`);
+    client.on('message_revoke_everyone', async (message) => {
+        try {
+            // The revoked message keeps its ID
+            await recordRevoke(supabase, session.wss, { messageId: message.id.id });
+        } catch (error) {
+            console.error(`Erro ao processar exclusão da mensagem ${message.id.id}:`, error);
+        }
+    });
 
-    // We only care about ACKs for messages sent *by this client*
-    if (!message.fromMe) {
-        // console.log("ACK for incoming message, ignoring.");
-        return;
+    client.on('disconnected', (reason) => {
+        console.log('Cliente WhatsApp foi desconectado:', reason);
+        if (session.status === 'STOPPED') return; // Stopped through the session manager
+        session.setStatus('DISCONNECTED'); 
+        session.wss.broadcast({ type: 'disconnected', payload: reason });
+        // Reconnection (backoff, logout handling) is up to the session's lifecycle, see client-lifecycle.js
+    });
+}
+
+// Reads and validates the attachment and content options shared by /send-message and /upload-mailing.
+// Returns { mediaFile (multer file or null), options } or { error }.
+function readOutboundContent(text, file, body) {
+    let attachment = null;
+    if (file) {
+        const validation = validateAttachment(file);
+        if (validation.error) return { error: validation.error };
+        attachment = { ...file, type: validation.type };
     }
 
-    try {
-        // Find the message in our DB by its WhatsApp ID
-        const { data: existingMsg, error: findError } = await supabase
-            .from('messages')
-            .select('id, status') 
-            .eq('message_id', message.id.id)
-            .maybeSingle(); // Use maybeSingle in case it's not found
-
-        if (findError) {
-            console.error(`Erro Supabase ao encontrar mensagem pelo WA ID ${message.id.id} para atualização ACK:`, findError);
-        } else if (existingMsg) {
-            const currentStatus = existingMsg.status;
-             // Define a hierarchy for status updates. We only move forward or to error.
-             // Order: pending -> sent -> delivered -> read. Error is a final state.
-            const statusHierarchy = ['pending', 'sent', 'delivered', 'read']; 
-            const currentIndex = statusHierarchy.indexOf(currentStatus);
-            const newIndex = statusHierarchy.indexOf(newStatus);
-
-            // Only update if the new status is further down the hierarchy or is 'error'
-            // And the current status is not already 'read' or 'error' (unless new is error)
-            if (newStatus === 'error' || (newIndex > currentIndex && !['read', 'error'].includes(currentStatus))) {
-                 // Special case: If current is 'sent' and new is 'delivered', allow.
-                 // If current is 'delivered' and new is 'read', allow.
-                 // If current is 'pending' and new is 'sent', allow.
-                 // If current is 'sent', 'delivered', or 'read' and new is 'pending', ignore.
-                 // If current is 'error', don't update unless the new status is also error with new info (less common).
-                 if (!['read', 'error'].includes(currentStatus) || newStatus === 'error') {
-                      // Ensure we don't downgrade status, except potentially to error
-                       const hierarchyAllowUpdate = ['pending', 'sent', 'delivered', 'read'];
-                       const currentHierarchyIndex = hierarchyAllowUpdate.indexOf(currentStatus);
-                       const newHierarchyIndex = hierarchyAllowUpdate.indexOf(newStatus);
-
-                       if (newStatus === 'error' || newHierarchyIndex >= currentHierarchyIndex) {
-                           await updateMessageStatusAndId(supabase, wss, existingMsg.id, message.id.id, newStatus);
-                       } else {
-                           // console.log(`Ignorando ACK ${newStatus} para WA ID ${message.id.id} porque o status atual (${currentStatus}) é hierarquicamente superior.`);
-                       }
-                 } else {
-                      // console.log(`Ignorando ACK ${newStatus} para WA ID ${message.id.id} porque o status atual (${currentStatus}) já é final (read/error).`);
-                 }
-            } else {
-                // console.log(`Ignorando ACK ${newStatus} para WA ID ${message.id.id} porque não representa um avanço no status (${currentStatus}).`);
-            }
-        } else {
-            // This might happen for old messages not in the DB, or if initial save failed silently.
-            // console.warn(`Mensagem com WA ID ${message.id.id} não encontrada no DB para atualização ACK. Pode ser uma mensagem antiga ou falha no salvamento inicial.`);
-        }
-    } catch (dbError) {
-        console.error(`Erro ao processar atualização ACK para WA ID ${message.id.id}:`, dbError);
-    }
-});
-
-client.on('disconnected', (reason) => {
-    console.log('Cliente WhatsApp foi desconectado:', reason);
-    qrCodeData = null;
-    connectedClientNumber = null; 
-    updateClientStatus('DISCONNECTED', wss); 
-    wss.broadcast({ type: 'disconnected', payload: reason });
-    console.log('Tentando destruir e reinicializar o cliente...');
-    // Implement a more robust reconnection strategy if needed.
-    // This simple destroy/initialize might not always work depending on the reason.
-    // A delay is crucial here.
-    setTimeout(() => {
-        client.destroy().then(() => {
-            console.log('Cliente destruído. Reinicializando...');
-            return client.initialize(); 
-        }).catch(err => {
-            console.error('Falha ao destruir ou reinicializar cliente após desconexão:', err);
-        });
-    }, 5000); 
-});
+    const parsed = parseContentOptions(body);
+    if (parsed.error) return { error: parsed.error };
+    const resolved = resolveContentOptions(text, attachment, parsed.options);
+    if (resolved.error) return { error: resolved.error };
 
-client.initialize().catch(err => {
-    console.error("Falha fatal ao inicializar cliente WhatsApp:", err);
-    updateClientStatus('FATAL_ERROR', wss); 
+    // vCard uploads end up in options.vcard and aren't sent as a file
+    const mediaFile = attachment && attachment.type !== 'vcard' ? attachment : null;
+    return { mediaFile, options: resolved.options };
+}
+
+// Maps sessionManager error codes to HTTP statuses
+const SESSION_ERROR_STATUS = { INVALID_ID: 400, ALREADY_EXISTS: 409, NOT_FOUND: 404, INVALID_STATE: 409, DB_ERROR: 500 };
+
+// Routes that act on one WhatsApp session. They're served both under /sessions/:sessionId and at the
+// root, where the session comes from ?sessionId= or the X-Session-Id header ('default' if neither is given).
+const sessionRouter = express.Router({ mergeParams: true });
+
+sessionRouter.use((req, res, next) => {
+    const sessionId = req.params.sessionId || req.query.sessionId || req.get('X-Session-Id') || DEFAULT_SESSION_ID;
+    const session = sessionManager.getSession(sessionId);
+    if (!session) {
+        return res.status(404).json({ status: 'error', message: `Sessão '${sessionId}' não encontrada.` });
+    }
+    req.waSession = session;
+    next();
 });
 
-app.post('/send-message', uploadSingle, async (req, res) => {
-    if (clientStatus !== 'READY') {
-        return res.status(400).json({ status: 'error', message: `Cliente WhatsApp não está pronto. Status atual: ${clientStatus}` });
+// Loads a bulk job of the request's session; answers 404 (and returns null) if it belongs to another one
+async function findSessionJob(req, res) {
+    const job = await getBulkJob(supabase, req.params.id);
+    if (!job || job.session_id !== req.waSession.id) {
+        res.status(404).json({ status: 'error', message: 'Envio em massa não encontrado.' });
+        return null;
     }
+    return job;
+}
 
+sessionRouter.post('/send-message', requireRole('agent'), uploadSingle, async (req, res) => {
     const { number, message, name } = req.body; 
-    const imageFile = req.file; 
+    const uploadedFile = req.files?.file?.[0] || req.files?.image?.[0];
+
+    const sendAt = parseSendAt(req.body.send_at);
+    if (sendAt.error) {
+        return res.status(400).json({ status: 'error', message: sendAt.error });
+    }
+    const session = req.waSession;
+    // Scheduling doesn't need the client; immediate sends do
+    if (!sendAt.date && session.status !== 'READY') {
+        return res.status(400).json({ status: 'error', message: `Cliente WhatsApp não está pronto. Status atual: ${session.status}` });
+    }
 
-    if (!number || (!message && !imageFile)) { 
-        return res.status(400).json({ status: 'error', message: 'Número do destinatário e (mensagem ou imagem) são obrigatórios.' });
+    const outbound = readOutboundContent(message, uploadedFile, req.body);
+    if (outbound.error) {
+        return res.status(400).json({ status: 'error', message: outbound.error });
     }
+    const { mediaFile, options } = outbound;
 
-    const recipientId = formatWhatsappNumber(number);
+    if (!number || (!message && !mediaFile && !options.location && !options.vcard)) { 
+        return res.status(400).json({ status: 'error', message: 'Número do destinatário e (mensagem, arquivo, localização ou contato) são obrigatórios.' });
+    }
 
-    if (!/^\d+@c\.us$/.test(recipientId)) {
+    const recipient = normalizePhoneNumber(number, { defaultCountryCode: getSettingValue('default_country_code') });
+    if (!recipient) {
         return res.status(400).json({ status: 'error', message: 'Formato inválido de número do destinatário para envio.' });
     }
 
+    if (sendAt.date) {
+        const scheduled = await createScheduledMessage(supabase, {
+            kind: 'message',
+            session_id: session.id,
+            send_at: sendAt.date,
+            recipient_number: recipient.digits,
+            recipient_name: name || null,
+            body: message || '',
+            media_data: mediaFile ? mediaFile.buffer.toString('base64') : null,
+            media_mime_type: mediaFile ? mediaFile.mimetype : null,
+            media_filename: mediaFile ? mediaFile.originalname : null,
+            content_options: options
+        });
+        if (!scheduled) {
+            return res.status(500).json({ status: 'error', message: 'Falha ao salvar agendamento no banco de dados.' });
+        }
+        console.log(`Mensagem para ${recipient.e164} agendada para ${sendAt.date.toISOString()} (agendamento ${scheduled.id}).`);
+        session.wss.broadcast({ type: 'scheduled_update', payload: scheduled });
+        return res.status(202).json({ status: 'Mensagem agendada.', scheduledId: scheduled.id, sendAt: scheduled.send_at });
+    }
+
     let media = null;
     let mediaMimeType = null;
-    if (imageFile) {
+    if (mediaFile) {
         try {
-            media = new MessageMedia(imageFile.mimetype, imageFile.buffer.toString('base64'), imageFile.originalname);
-            mediaMimeType = imageFile.mimetype;
+            media = toMessageMedia(mediaFile);
+            mediaMimeType = mediaFile.mimetype;
         } catch (mediaError) {
             console.error("Erro ao criar MessageMedia:", mediaError);
-            return res.status(500).json({ status: 'error', message: 'Falha ao processar imagem enviada.' });
+            return res.status(500).json({ status: 'error', message: 'Falha ao processar arquivo enviado.' });
         }
     }
 
-    const senderInfo = getClientInfo(client);
-
-    const dbMessage = await saveMessageToDb(supabase, senderInfo, wss, {
-        recipient_number: number,
-        recipient_name: name || null, 
-        body: message || '', 
-        status: 'pending',
-        is_outgoing: true,
-        has_media: !!media,
-        media_mime_type: mediaMimeType,
-        message_type: 'manual_single' 
+    const result = await sendSingleMessage({ client: session.client, supabase, wss: session.wss, rateLimiter: session.rateLimiter, mediaStorage, sessionId: session.id }, {
+        number,
+        name,
+        body: message || '',
+        media,
+        mediaMimeType,
+        contentOptions: options,
+        messageType: 'manual_single'
     });
 
-    if (!dbMessage) {
-        return res.status(500).json({ status: 'error', message: 'Falha ao salvar estado inicial da mensagem no banco de dados.' });
+    if (result.error) {
+        if (result.code === 'OPTED_OUT') {
+            return res.status(422).json({ status: 'skipped_optout', message: result.error, dbId: result.dbMessage?.id || null });
+        }
+        const errorStatus = { INVALID_NUMBER: 400, NOT_ON_WHATSAPP: 422 }[result.code] || 500;
+        return res.status(errorStatus).json({ status: 'error', message: result.error });
+    }
+    res.status(200).json({ status: 'Envio da mensagem iniciado.', messageId: result.sentMessage.id.id, dbId: result.dbMessage.id, mediaType: result.dbMessage.media_type });
+});
+
+// Shared by /upload-mailing and /segments/:id/send: validates the schedule, the session and the content
+// (message template, mediaFile/imageFile, location/vCard options), then createJob(mediaBuffer, mediaMimeType, options)
+// persists the job and resolves with { job, report }. Answers 202 with queuedMessage, or 400 with emptyMessage
+// when the job has no recipients.
+async function startBulkSend(req, res, createJob, { emptyMessage, queuedMessage }) {
+    const sendAt = parseSendAt(req.body.send_at);
+    if (sendAt.error) {
+        return res.status(400).json({ status: 'error', message: sendAt.error });
+    }
+    const session = req.waSession;
+    if (!sendAt.date && session.status !== 'READY') {
+        return res.status(400).json({ status: 'error', message: `Cliente WhatsApp não está pronto. Status: ${session.status}` });
     }
 
+    const uploadedFile = req.files?.mediaFile?.[0] || req.files?.imageFile?.[0];
+    const messageTemplate = req.body.message; 
+
+    const outbound = readOutboundContent(messageTemplate, uploadedFile, req.body);
+    if (outbound.error) {
+        return res.status(400).json({ status: 'error', message: outbound.error });
+    }
+    const { mediaFile, options } = outbound;
+
+    if (!messageTemplate && !mediaFile && !options.location && !options.vcard) { 
+        return res.status(400).json({ status: 'error', message: 'Modelo de mensagem, arquivo, localização ou contato é obrigatório para envio em massa.' });
+    }
+
+    let mediaBuffer = null;
+    let mediaMimeType = null;
+    if (mediaFile) {
+        mediaBuffer = mediaFile.buffer;
+        mediaMimeType = mediaFile.mimetype;
+        console.log(`Envio em massa iniciado com arquivo: ${mediaFile.originalname} (${mediaMimeType}, ${getOutboundMediaType(mediaMimeType, options)})`);
+    } else {
+        console.log(`Envio em massa iniciado sem arquivo (${getOutboundMediaType(null, options)}).`);
+    }
+
+    // The job is persisted before answering; the bulk worker sends it in the background
+    // and resumes it after a restart.
     try {
-        let sentMessage;
-        if (media) {
-            sentMessage = await client.sendMessage(recipientId, media, { caption: message || '' });
-        } else {
-            sentMessage = await client.sendMessage(recipientId, message);
+        const { job, report } = await createJob(messageTemplate || '', mediaBuffer, mediaMimeType, {
+            scheduledAt: sendAt.date,
+            mediaFilename: mediaFile ? mediaFile.originalname : null,
+            contentOptions: options,
+            sessionId: session.id
+        });
+        if (!job) {
+            return res.status(400).json({ status: 'error', message: emptyMessage, validation: report });
         }
-        console.log(`Mensagem enviada com sucesso para ${number}. WA ID: ${sentMessage.id.id}`);
 
-        await updateMessageStatusAndId(supabase, wss, dbMessage.id, sentMessage.id.id, 'sent');
+        if (sendAt.date) {
+            const scheduled = await createScheduledMessage(supabase, { kind: 'bulk', session_id: session.id, send_at: sendAt.date, bulk_job_id: job.id });
+            if (!scheduled) {
+                await session.bulkWorker.cancelJob(job.id);
+                return res.status(500).json({ status: 'error', message: 'Falha ao salvar agendamento no banco de dados.' });
+            }
+            session.wss.broadcast({ type: 'scheduled_update', payload: scheduled });
+            return res.status(202).json({ status: 'Envio em massa agendado.', bulkJobId: job.id, total: job.total, scheduledId: scheduled.id, sendAt: scheduled.send_at, validation: report });
+        }
+        res.status(202).json({ status: queuedMessage, bulkJobId: job.id, total: job.total, validation: report });
+    } catch (error) {
+        console.error("Erro ao criar envio em massa:", error);
+        res.status(error.code === 'CSV_PARSE_ERROR' ? 400 : 500).json({ status: 'error', message: `Falha ao criar envio em massa: ${error.message}` });
+    }
+}
 
-        res.status(200).json({ status: 'Envio da mensagem iniciado.', messageId: sentMessage.id.id, dbId: dbMessage.id });
+sessionRouter.post('/upload-mailing', requireRole('admin'), uploadBulk, async (req, res) => {
+    const csvFile = req.files?.csvFile?.[0];
+    if (!csvFile) {
+        return res.status(400).json({ status: 'error', message: 'Nenhum arquivo CSV enviado.' });
+    }
+    const session = req.waSession;
+    await startBulkSend(req, res, (messageTemplate, mediaBuffer, mediaMimeType, options) =>
+        processCsvAndSendBulk(session.bulkWorker, supabase, session.wss, csvFile.buffer, messageTemplate, mediaBuffer, mediaMimeType, options),
+    { emptyMessage: 'Nenhum registro válido encontrado no CSV.', queuedMessage: 'CSV recebido. Mensagens enfileiradas para envio em segundo plano.' });
+});
 
-    } catch (error) {
-        console.error(`Erro ao enviar mensagem para ${number}:`, error);
-        await updateMessageStatusAndId(supabase, wss, dbMessage.id, null, 'error', error.message || 'Erro desconhecido no envio');
-        res.status(500).json({ status: 'error', message: `Falha ao enviar mensagem: ${error.message}` });
+// Bulk send to the contacts of a saved segment (see contacts.js); same fields as /upload-mailing, without the CSV
+sessionRouter.post('/segments/:id/send', requireRole('admin'), uploadBulk, async (req, res) => {
+    const segment = await getSegment(supabase, req.params.id);
+    if (!segment) {
+        return res.status(404).json({ status: 'error', message: 'Segmento não encontrado.' });
     }
+    const session = req.waSession;
+    await startBulkSend(req, res, (messageTemplate, mediaBuffer, mediaMimeType, options) =>
+        processSegmentAndSendBulk(session.bulkWorker, supabase, session.wss, segment, messageTemplate, mediaBuffer, mediaMimeType, options),
+    { emptyMessage: 'O segmento não tem contatos.', queuedMessage: 'Mensagens enfileiradas para envio em segundo plano.' });
 });
 
-app.post('/upload-mailing', uploadBulk, async (req, res) => {
-    if (clientStatus !== 'READY') {
-        return res.status(400).json({ status: 'error', message: `Cliente WhatsApp não está pronto. Status: ${clientStatus}` });
+// Pre-flight check of a mailing CSV: valid, invalid and duplicate rows with line numbers, the detected
+// columns and the estimated send duration. Nothing is sent or persisted.
+sessionRouter.post('/mailing/validate', requireRole('admin'), uploadCsv, async (req, res) => {
+    const csvFile = req.file;
+    if (!csvFile) {
+        return res.status(400).json({ status: 'error', message: 'Nenhum arquivo CSV enviado.' });
     }
 
-    const csvFile = req.files?.csvFile?.[0];
-    const imageFile = req.files?.imageFile?.[0]; 
-    const messageTemplate = req.body.message; 
+    try {
+        const report = await validateMailing(csvFile.buffer);
+        res.status(200).json(report);
+    } catch (error) {
+        console.error("Erro ao validar CSV do envio em massa:", error);
+        res.status(error.code === 'CSV_PARSE_ERROR' ? 400 : 500).json({ status: 'error', message: error.message });
+    }
+});
+
+// Dry run: renders the first rows of a mailing with the given template, nothing is sent
+sessionRouter.post('/mailing/preview', requireRole('admin'), uploadCsv, async (req, res) => {
+    const csvFile = req.file;
+    const messageTemplate = req.body.message;
 
     if (!csvFile) {
         return res.status(400).json({ status: 'error', message: 'Nenhum arquivo CSV enviado.' });
     }
-    if (!messageTemplate && !imageFile) { 
-        return res.status(400).json({ status: 'error', message: 'Modelo de mensagem ou imagem é obrigatório para envio em massa.' });
+    if (!messageTemplate) {
+        return res.status(400).json({ status: 'error', message: 'Modelo de mensagem é obrigatório.' });
     }
 
-    let imageBuffer = null;
-    let imageMimeType = null;
-    if (imageFile) {
-        imageBuffer = imageFile.buffer;
-        imageMimeType = imageFile.mimetype;
-        console.log(`Envio em massa iniciado com imagem: ${imageFile.originalname} (${imageMimeType})`);
-    } else {
-        console.log("Envio em massa iniciado sem imagem.");
+    const rowCount = Math.min(Math.max(parseInt(req.body.rows, 10) || 5, 1), 50);
+    try {
+        const preview = await previewMailing(csvFile.buffer, messageTemplate, rowCount);
+        res.status(200).json(preview);
+    } catch (error) {
+        console.error("Erro ao gerar pré-visualização do envio em massa:", error);
+        res.status(error.code === 'CSV_PARSE_ERROR' ? 400 : 500).json({ status: 'error', message: error.message });
     }
+});
 
-    res.status(202).json({ status: 'CSV recebido. Processando e enviando mensagens em segundo plano.' }); 
+sessionRouter.get('/scheduled', async (req, res) => {
+    const { limit, offset } = parsePagination(req.query, { defaultLimit: 50, maxLimit: 500 });
+    // ?status=all lists every item; default is only what's still pending
+    const status = req.query.status === 'all' ? null : (req.query.status || 'pending');
+    if (status && !SCHEDULE_STATUSES.includes(status)) {
+        return res.status(400).json({ status: 'error', message: `Status inválido. Use 'all' ou um de: ${SCHEDULE_STATUSES.join(', ')}.` });
+    }
 
-    processCsvAndSendBulk(client, supabase, wss, csvFile.buffer, messageTemplate || '', imageBuffer, imageMimeType)
-        .catch(error => {
-            console.error("Erro durante o processo de envio em massa:", error);
-            wss.broadcast({ type: 'error', payload: `Erro fatal no envio em massa: ${error.message}` });
-            wss.broadcast({ type: 'bulk_complete', payload: { total: '?', sent: 0, failed: 'Todos', error: error.message } });
-        });
+    const result = await listScheduledMessages(supabase, { status, sessionId: req.waSession.id, limit, offset });
+    if (!result) {
+        return res.status(500).json({ status: 'error', message: 'Falha ao buscar agendamentos.' });
+    }
+    res.status(200).json({ ...result, limit, offset });
+});
+
+// Agents can cancel single messages; campaigns (which also cancel their bulk job) need admin
+sessionRouter.delete('/scheduled/:id', requireRole('agent'), async (req, res) => {
+    const result = await req.waSession.scheduler.cancel(req.params.id, { canCancelBulk: hasRole(req.apiKey.role, 'admin') });
+    if (result.error) {
+        const errorStatus = { NOT_FOUND: 404, FORBIDDEN: 403 }[result.code] || 409;
+        return res.status(errorStatus).json({ status: 'error', message: result.error });
+    }
+    res.status(200).json({ status: 'Agendamento cancelado.', scheduled: result.item });
+});
+
+sessionRouter.get('/bulk-jobs', async (req, res) => {
+    const { limit, offset } = parsePagination(req.query, { defaultLimit: 20, maxLimit: 100 });
+    const state = req.query.state || null;
+    if (state && !JOB_STATES.includes(state)) {
+        return res.status(400).json({ status: 'error', message: `Estado inválido. Use um de: ${JOB_STATES.join(', ')}.` });
+    }
+
+    const result = await getBulkJobSummaries(supabase, { state, sessionId: req.waSession.id, limit, offset });
+    if (!result) {
+        return res.status(500).json({ status: 'error', message: 'Falha ao buscar envios em massa.' });
+    }
+    res.status(200).json(result);
 });
 
-app.get('/messages', async (req, res) => {
+sessionRouter.get('/bulk-jobs/:id', async (req, res) => {
     try {
-        const { data, error } = await supabase
-            .from('messages')
-            .select('*')
-            .order('created_at', { ascending: false }) 
-            .limit(100); 
-
-        if (error) {
-            console.error('Erro Supabase ao buscar mensagens:', error);
+        const report = await getBulkJobReport(supabase, req.params.id);
+        if (!report || report.session_id !== req.waSession.id) {
+            return res.status(404).json({ status: 'error', message: 'Envio em massa não encontrado.' });
+        }
+        res.status(200).json(report);
+    } catch (error) {
+        console.error(`Erro ao gerar relatório do envio ${req.params.id}:`, error);
+        res.status(500).json({ status: 'error', message: error.message });
+    }
+});
+
+sessionRouter.get('/bulk-jobs/:id/recipients', async (req, res) => {
+    const { limit, offset } = parsePagination(req.query, { defaultLimit: 100, maxLimit: 1000 });
+    const status = req.query.status || null;
+    if (status && !RECIPIENT_STATUSES.includes(status)) {
+        return res.status(400).json({ status: 'error', message: `Status inválido. Use um de: ${RECIPIENT_STATUSES.join(', ')}.` });
+    }
+
+    try {
+        if (!await findSessionJob(req, res)) return;
+        const recipients = await getBulkJobRecipients(supabase, req.params.id, { status, limit, offset });
+        res.status(200).json({ recipients, limit, offset });
+    } catch (error) {
+        console.error(`Erro ao buscar destinatários do envio ${req.params.id}:`, error);
+        res.status(500).json({ status: 'error', message: error.message });
+    }
+});
+
+sessionRouter.get('/bulk-jobs/:id/export.csv', async (req, res) => {
+    try {
+        if (!await findSessionJob(req, res)) return;
+        const csv = await buildBulkJobCsv(supabase, req.params.id);
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="envio-${req.params.id}.csv"`);
+        res.status(200).send(csv);
+    } catch (error) {
+        console.error(`Erro ao exportar envio ${req.params.id}:`, error);
+        res.status(500).json({ status: 'error', message: error.message });
+    }
+});
+
+// Maps bulkWorker.controlJob error codes to HTTP statuses (jobs of other sessions are NOT_FOUND)
+const BULK_CONTROL_ERROR_STATUS = { NOT_FOUND: 404, INVALID_STATE: 409, INVALID_ACTION: 400, DB_ERROR: 500 };
+
+async function handleBulkJobControl(action, req, res) {
+    const result = await req.waSession.bulkWorker[`${action}Job`](req.params.id);
+    if (result.error) {
+        return res.status(BULK_CONTROL_ERROR_STATUS[result.code] || 500).json({ status: 'error', message: result.error });
+    }
+    res.status(200).json({ status: 'ok', jobId: result.job.id, state: result.job.state });
+}
+
+sessionRouter.post('/bulk-jobs/:id/pause', requireRole('admin'), (req, res) => handleBulkJobControl('pause', req, res));
+sessionRouter.post('/bulk-jobs/:id/resume', requireRole('admin'), (req, res) => handleBulkJobControl('resume', req, res));
+sessionRouter.post('/bulk-jobs/:id/cancel', requireRole('admin'), (req, res) => handleBulkJobControl('cancel', req, res));
+
+// Restart/logout of the request's session (answer right away; progress comes as client_status events)
+async function handleClientLifecycleAction(action, req, res) {
+    const result = await sessionManager[`${action}Session`](req.waSession.id);
+    if (result.error) {
+        return res.status(SESSION_ERROR_STATUS[result.code] || 500).json({ status: 'error', message: result.error });
+    }
+    res.status(202).json(describeSession(result.session));
+}
+
+sessionRouter.post('/session/restart', requireRole('admin'), (req, res) => handleClientLifecycleAction('restart', req, res));
+sessionRouter.post('/session/logout', requireRole('admin'), (req, res) => handleClientLifecycleAction('logout', req, res));
+
+sessionRouter.get('/messages', async (req, res) => {
+    try {
+        const messages = await listMessages(supabase, { sessionId: req.waSession.id, limit: 100 });
+        if (!messages) {
             return res.status(500).json({ status: 'error', message: 'Falha ao buscar mensagens do banco de dados.' });
         }
 
-        res.status(200).json(data || []);
+        res.status(200).json(messages);
     } catch (error) {
         console.error('Erro ao buscar mensagens:', error);
         res.status(500).json({ status: 'error', message: 'Ocorreu um erro inesperado.' });
     }
 });
 
-const server = http.createServer(app);
-const wss = new WebSocket.Server({ server });
+// Maps contact and segment error codes (contacts.js) to HTTP statuses
+const CONTACT_ERROR_STATUS = { VALIDATION_ERROR: 400, NOT_FOUND: 404, CONFLICT: 409, DB_ERROR: 500 };
 
-wss.on('connection', (ws) => {
-    console.log('Cliente WebSocket Conectado');
-    const currentClientInfo = getClientInfo(client);
-    ws.send(JSON.stringify({ type: 'client_status', payload: { status: clientStatus, clientNumber: currentClientInfo.number } }));
+function sendContactResult(res, result, successStatus = 200) {
+    if (result.error) {
+        return res.status(CONTACT_ERROR_STATUS[result.code] || 500).json({ status: 'error', message: result.error, errors: result.errors });
+    }
+    res.status(successStatus).json(result.contact || result.segment);
+}
 
-    if (clientStatus === 'WAITING_QR' && qrCodeData) {
-        ws.send(JSON.stringify({ type: 'qr', payload: qrCodeData }));
+app.get('/contacts', async (req, res) => {
+    const { limit, offset } = parsePagination(req.query, { defaultLimit: 50, maxLimit: 500 });
+    const result = await listContacts(supabase, { search: req.query.search || null, limit, offset });
+    if (!result) {
+        return res.status(500).json({ status: 'error', message: 'Falha ao buscar contatos.' });
     }
+    res.status(200).json({ ...result, limit, offset });
+});
 
-    ws.on('message', (message) => {
-        console.log('Mensagem WS recebida:', message.toString());
-        try {
-            const parsedMessage = JSON.parse(message);
-            if (parsedMessage.type === 'getStatus') {
-                const currentInfo = getClientInfo(client);
-                ws.send(JSON.stringify({ type: 'client_status', payload: { status: clientStatus, clientNumber: currentInfo.number } }));
-            }
-        } catch (e) {
-            console.error("Falha ao parsear mensagem WS ou formato inválido:", message.toString());
+// Imports a mailing CSV (Nome, Numero, CPF and custom columns) into contacts. `tags` (list or comma separated)
+// are added to every imported contact.
+app.post('/contacts/import', requireRole('admin'), uploadCsv, async (req, res) => {
+    const csvFile = req.file;
+    if (!csvFile) {
+        return res.status(400).json({ status: 'error', message: 'Nenhum arquivo CSV enviado.' });
+    }
+    const rawTags = req.body.tags || [];
+    const tags = (Array.isArray(rawTags) ? rawTags : String(rawTags).split(','))
+        .map(tag => String(tag).trim())
+        .filter(Boolean);
+
+    try {
+        const result = await importContactsCsv(supabase, csvFile.buffer, { tags });
+        if (!result) {
+            return res.status(500).json({ status: 'error', message: 'Falha ao salvar contatos no banco de dados.' });
+        }
+        res.status(200).json({ created: result.created, updated: result.updated, validation: result.report });
+    } catch (error) {
+        console.error('Erro ao importar contatos:', error);
+        res.status(error.code === 'CSV_PARSE_ERROR' ? 400 : 500).json({ status: 'error', message: error.message });
+    }
+});
+
+app.get('/contacts/:id', async (req, res) => {
+    const contact = await getContact(supabase, req.params.id);
+    if (!contact) {
+        return res.status(404).json({ status: 'error', message: 'Contato não encontrado.' });
+    }
+    res.status(200).json(contact);
+});
+
+app.post('/contacts', requireRole('agent'), async (req, res) => {
+    sendContactResult(res, await createContact(supabase, req.body), 201);
+});
+
+app.put('/contacts/:id', requireRole('agent'), async (req, res) => {
+    sendContactResult(res, await updateContact(supabase, req.params.id, req.body));
+});
+
+app.delete('/contacts/:id', requireRole('admin'), async (req, res) => {
+    sendContactResult(res, await deleteContact(supabase, req.params.id));
+});
+
+app.get('/segments', async (req, res) => {
+    const segments = await listSegments(supabase);
+    if (!segments) {
+        return res.status(500).json({ status: 'error', message: 'Falha ao buscar segmentos.' });
+    }
+    res.status(200).json(segments);
+});
+
+// The segment with how many contacts it currently matches
+app.get('/segments/:id', async (req, res) => {
+    const segment = await getSegment(supabase, req.params.id);
+    if (!segment) {
+        return res.status(404).json({ status: 'error', message: 'Segmento não encontrado.' });
+    }
+    const found = await findSegmentContacts(supabase, segment.filters);
+    if (!found) {
+        return res.status(500).json({ status: 'error', message: 'Falha ao avaliar o segmento.' });
+    }
+    res.status(200).json({ ...segment, contact_count: found.contacts.length, truncated: found.truncated });
+});
+
+app.get('/segments/:id/contacts', async (req, res) => {
+    const segment = await getSegment(supabase, req.params.id);
+    if (!segment) {
+        return res.status(404).json({ status: 'error', message: 'Segmento não encontrado.' });
+    }
+    const found = await findSegmentContacts(supabase, segment.filters);
+    if (!found) {
+        return res.status(500).json({ status: 'error', message: 'Falha ao avaliar o segmento.' });
+    }
+    const { limit, offset } = parsePagination(req.query, { defaultLimit: 50, maxLimit: 500 });
+    res.status(200).json({ contacts: found.contacts.slice(offset, offset + limit), total: found.contacts.length, truncated: found.truncated, limit, offset });
+});
+
+app.post('/segments', requireRole('admin'), async (req, res) => {
+    sendContactResult(res, await createSegment(supabase, req.body), 201);
+});
+
+app.put('/segments/:id', requireRole('admin'), async (req, res) => {
+    sendContactResult(res, await updateSegment(supabase, req.params.id, req.body));
+});
+
+app.delete('/segments/:id', requireRole('admin'), async (req, res) => {
+    sendContactResult(res, await deleteSegment(supabase, req.params.id));
+});
+
+app.get('/blocklist', async (req, res) => {
+    const { limit, offset } = parsePagination(req.query, { defaultLimit: 50, maxLimit: 500 });
+    const result = await listBlocklist(supabase, { search: req.query.search || null, limit, offset });
+    if (!result) {
+        return res.status(500).json({ status: 'error', message: 'Falha ao buscar lista de bloqueio.' });
+    }
+    res.status(200).json({ ...result, limit, offset });
+});
+
+app.get('/blocklist/:number', async (req, res) => {
+    try {
+        const entry = await getBlocklistEntry(supabase, req.params.number);
+        if (!entry) {
+            return res.status(404).json({ status: 'error', message: 'Número não está na lista de bloqueio.' });
+        }
+        res.status(200).json(entry);
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: error.message });
+    }
+});
+
+app.post('/blocklist', requireRole('agent'), async (req, res) => {
+    const { number, reason } = req.body || {};
+    if (!normalizeBlocklistNumber(number)) {
+        return res.status(400).json({ status: 'error', message: 'Número inválido. Informe o número com DDI e DDD, ex.: 5511999999999.' });
+    }
+
+    const entry = await addToBlocklist(supabase, number, { reason: reason || null, source: 'manual' });
+    if (!entry) {
+        return res.status(500).json({ status: 'error', message: 'Falha ao adicionar número à lista de bloqueio.' });
+    }
+    wss.broadcast({ type: 'blocklist_update', payload: { action: 'added', entry } });
+    res.status(201).json(entry);
+});
+
+app.delete('/blocklist/:number', requireRole('agent'), async (req, res) => {
+    try {
+        const entry = await removeFromBlocklist(supabase, req.params.number);
+        if (!entry) {
+            return res.status(404).json({ status: 'error', message: 'Número não está na lista de bloqueio.' });
+        }
+        console.log(`Número ${entry.number} removido da lista de bloqueio.`);
+        wss.broadcast({ type: 'blocklist_update', payload: { action: 'removed', entry } });
+        res.status(200).json({ status: 'Número removido da lista de bloqueio.', entry });
+    } catch (error) {
+        res.status(500).json({ status: 'error', message: error.message });
+    }
+});
+
+// Maps autoResponder rule error codes to HTTP statuses
+const AUTO_REPLY_ERROR_STATUS = { VALIDATION_ERROR: 400, NOT_FOUND: 404, DB_ERROR: 500 };
+
+function sendAutoReplyRuleResult(res, result, successStatus = 200) {
+    if (result.error) {
+        return res.status(AUTO_REPLY_ERROR_STATUS[result.code] || 500).json({ status: 'error', message: result.error, errors: result.errors });
+    }
+    res.status(successStatus).json(result.rule);
+}
+
+app.get('/auto-reply/rules', (req, res) => {
+    res.status(200).json({ enabled: getSettingValue('auto_reply_enabled'), rules: autoResponder.getRules() });
+});
+
+app.get('/auto-reply/rules/:id', (req, res) => {
+    const rule = autoResponder.getRules().find(candidate => String(candidate.id) === req.params.id);
+    if (!rule) {
+        return res.status(404).json({ status: 'error', message: 'Regra não encontrada.' });
+    }
+    res.status(200).json(rule);
+});
+
+app.post('/auto-reply/rules', requireRole('admin'), async (req, res) => {
+    sendAutoReplyRuleResult(res, await autoResponder.createRule(req.body), 201);
+});
+
+app.put('/auto-reply/rules/:id', requireRole('admin'), async (req, res) => {
+    sendAutoReplyRuleResult(res, await autoResponder.updateRule(req.params.id, req.body));
+});
+
+app.delete('/auto-reply/rules/:id', requireRole('admin'), async (req, res) => {
+    sendAutoReplyRuleResult(res, await autoResponder.deleteRule(req.params.id));
+});
+
+// Maps operatorRouter error codes to HTTP statuses
+const ROUTING_ERROR_STATUS = { VALIDATION_ERROR: 400, NOT_FOUND: 404, CONFLICT: 409, INVALID_STATE: 409, NO_OPERATOR: 409, DB_ERROR: 500 };
+
+function sendRoutingResult(res, result, successStatus = 200) {
+    if (result.error) {
+        return res.status(ROUTING_ERROR_STATUS[result.code] || 500).json({ status: 'error', message: result.error, errors: result.errors });
+    }
+    res.status(successStatus).json(result.operator || result.assignment);
+}
+
+app.get('/operators', (req, res) => {
+    res.status(200).json({ strategy: getSettingValue('routing_strategy'), operators: operatorRouter.getOperators() });
+});
+
+app.post('/operators', requireRole('admin'), async (req, res) => {
+    sendRoutingResult(res, await operatorRouter.createOperator(req.body), 201);
+});
+
+// Also how an operator is marked offline ({ "available": false }); their open conversations move to someone else
+app.put('/operators/:id', requireRole('admin'), async (req, res) => {
+    sendRoutingResult(res, await operatorRouter.updateOperator(req.params.id, req.body));
+});
+
+app.delete('/operators/:id', requireRole('admin'), async (req, res) => {
+    sendRoutingResult(res, await operatorRouter.deleteOperator(req.params.id));
+});
+
+// The message with its reactions and edit history
+sessionRouter.get('/messages/:id', async (req, res) => {
+    const message = await getMessage(supabase, req.params.id);
+    if (!message || message.session_id !== req.waSession.id) {
+        return res.status(404).json({ status: 'error', message: 'Mensagem não encontrada.' });
+    }
+    const events = await getMessageEvents(supabase, message.id);
+    if (!events) {
+        return res.status(500).json({ status: 'error', message: 'Falha ao buscar reações e edições da mensagem.' });
+    }
+    res.status(200).json({ ...message, reactions: events.reactions, edits: events.edits });
+});
+
+sessionRouter.get('/messages/:id/media', async (req, res) => {
+    try {
+        const message = await getMessage(supabase, req.params.id);
+        const stored = message && message.session_id === req.waSession.id
+            ? await mediaStorage.getMessageMedia(req.params.id)
+            : null;
+        if (!stored) {
+            return res.status(404).json({ status: 'error', message: 'Mensagem sem mídia armazenada.' });
+        }
+        const { media, stream } = stored;
+        const filename = media.filename || media.sha256;
+        res.setHeader('Content-Type', media.mime_type);
+        res.setHeader('Content-Length', media.size_bytes);
+        res.setHeader('Content-Disposition', `inline; filename="${filename.replace(/["\\\r\n]/g, '_')}"`);
+        res.setHeader('Cache-Control', 'private, max-age=86400');
+        stream.on('error', (streamError) => {
+            console.error(`Erro ao transmitir mídia da mensagem ${req.params.id}:`, streamError);
+            res.destroy(streamError);
+        });
+        stream.pipe(res);
+    } catch (error) {
+        console.error(`Erro ao buscar mídia da mensagem ${req.params.id}:`, error);
+        res.status(500).json({ status: 'error', message: error.message });
+    }
+});
+
+sessionRouter.get('/conversations', async (req, res) => {
+    const { limit, offset } = parsePagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+    const result = await listConversations(supabase, req.waSession.id, { limit, offset });
+    if (!result) {
+        return res.status(500).json({ status: 'error', message: 'Falha ao buscar conversas.' });
+    }
+    res.status(200).json({ ...result, limit, offset });
+});
+
+sessionRouter.get('/conversations/:number/messages', async (req, res) => {
+    const contactNumber = normalizeContactNumber(req.params.number);
+    if (!contactNumber) {
+        return res.status(400).json({ status: 'error', message: 'Número inválido.' });
+    }
+    const { limit } = parsePagination(req.query, { defaultLimit: 50, maxLimit: 200 });
+
+    const cursor = req.query.cursor ? decodeCursor(req.query.cursor) : null;
+    if (req.query.cursor && !cursor) {
+        return res.status(400).json({ status: 'error', message: 'Cursor inválido.' });
+    }
+    const from = req.query.from ? new Date(req.query.from) : null;
+    const to = req.query.to ? new Date(req.query.to) : null;
+    if ((from && isNaN(from.getTime())) || (to && isNaN(to.getTime()))) {
+        return res.status(400).json({ status: 'error', message: 'Datas inválidas. Use o formato ISO 8601 em from/to.' });
+    }
+
+    const result = await getConversationMessages(supabase, req.waSession.id, contactNumber, {
+        limit,
+        cursor,
+        messageType: req.query.message_type || null,
+        status: req.query.status || null,
+        from,
+        to
+    });
+    if (!result) {
+        return res.status(500).json({ status: 'error', message: 'Falha ao buscar mensagens da conversa.' });
+    }
+    res.status(200).json({ number: contactNumber, ...result, limit });
+});
+
+sessionRouter.post('/conversations/:number/read', requireRole('agent'), async (req, res) => {
+    const contactNumber = normalizeContactNumber(req.params.number);
+    if (!contactNumber) {
+        return res.status(400).json({ status: 'error', message: 'Número inválido.' });
+    }
+    const read = await markConversationRead(supabase, req.waSession.id, contactNumber);
+    if (!read) {
+        return res.status(500).json({ status: 'error', message: 'Falha ao marcar conversa como lida.' });
+    }
+    req.waSession.wss.broadcast({ type: 'conversation_read', payload: read });
+    res.status(200).json(read);
+});
+
+// Conversations the operator is currently handling (auto-replies paused), see operator-relay.js
+sessionRouter.get('/handoffs', (req, res) => {
+    res.status(200).json({ enabled: getSettingValue('handoff_enabled'), handoffs: operatorRelay.listHandoffs(req.waSession.id) });
+});
+
+// Hands a conversation back to the bot, like '/fim <numero>' from the operator
+sessionRouter.delete('/handoffs/:number', requireRole('agent'), (req, res) => {
+    const contactNumber = normalizeContactNumber(req.params.number);
+    if (!contactNumber) {
+        return res.status(400).json({ status: 'error', message: 'Número inválido.' });
+    }
+    const handoff = operatorRelay.endHandoff(req.waSession.id, contactNumber);
+    if (!handoff) {
+        return res.status(404).json({ status: 'error', message: 'Nenhum atendimento em andamento com este número.' });
+    }
+    res.status(200).json({ status: 'Conversa devolvida ao atendimento automático.', handoff });
+});
+
+// Loads an assignment of the request's session; answers 404 (and returns null) if it belongs to another one
+async function findSessionAssignment(req, res) {
+    const assignment = await getAssignment(supabase, req.params.id);
+    if (!assignment || assignment.session_id !== req.waSession.id) {
+        res.status(404).json({ status: 'error', message: 'Atribuição não encontrada.' });
+        return null;
+    }
+    return assignment;
+}
+
+sessionRouter.get('/assignments', async (req, res) => {
+    const { limit, offset } = parsePagination(req.query, { defaultLimit: 50, maxLimit: 500 });
+    // ?status=all lists every assignment; default is only open conversations
+    const status = req.query.status === 'all' ? null : (req.query.status || 'open');
+    if (status && !ASSIGNMENT_STATUSES.includes(status)) {
+        return res.status(400).json({ status: 'error', message: `Status inválido. Use 'all' ou um de: ${ASSIGNMENT_STATUSES.join(', ')}.` });
+    }
+    const contactNumber = req.query.number ? normalizeContactNumber(req.query.number) : null;
+    if (req.query.number && !contactNumber) {
+        return res.status(400).json({ status: 'error', message: 'Número inválido.' });
+    }
+
+    const result = await listAssignments(supabase, {
+        sessionId: req.waSession.id,
+        status,
+        operatorId: req.query.operator_id || null,
+        contactNumber,
+        limit,
+        offset
+    });
+    if (!result) {
+        return res.status(500).json({ status: 'error', message: 'Falha ao buscar atribuições.' });
+    }
+    res.status(200).json({ ...result, limit, offset });
+});
+
+// Body: { operator_id } (optional; without it the routing picks another available operator)
+sessionRouter.post('/assignments/:id/reassign', requireRole('agent'), async (req, res) => {
+    const assignment = await findSessionAssignment(req, res);
+    if (!assignment) return;
+    sendRoutingResult(res, await operatorRouter.reassign(assignment.id, req.body?.operator_id ?? null));
+});
+
+// Closes the conversation (the customer's next message opens a new one) and hands it back to the bot
+sessionRouter.post('/assignments/:id/resolve', requireRole('agent'), async (req, res) => {
+    const assignment = await findSessionAssignment(req, res);
+    if (!assignment) return;
+    const result = await operatorRouter.resolve(assignment.id);
+    if (!result.error) {
+        operatorRelay.endHandoff(req.waSession.id, assignment.contact_number);
+    }
+    sendRoutingResult(res, result);
+});
+
+app.get('/sessions', (req, res) => {
+    res.status(200).json({ sessions: sessionManager.listSessions() });
+});
+
+app.post('/sessions', requireRole('admin'), async (req, res) => {
+    const { id, name } = req.body || {};
+    const result = await sessionManager.createSession(id, { name: name || null });
+    if (result.error) {
+        return res.status(SESSION_ERROR_STATUS[result.code] || 500).json({ status: 'error', message: result.error });
+    }
+    res.status(201).json(describeSession(result.session));
+});
+
+app.get('/sessions/:sessionId', (req, res) => {
+    const session = sessionManager.getSession(req.params.sessionId);
+    if (!session) {
+        return res.status(404).json({ status: 'error', message: 'Sessão não encontrada.' });
+    }
+    res.status(200).json(describeSession(session));
+});
+
+async function handleSessionAction(action, req, res) {
+    const result = await sessionManager[`${action}Session`](req.params.sessionId);
+    if (result.error) {
+        return res.status(SESSION_ERROR_STATUS[result.code] || 500).json({ status: 'error', message: result.error });
+    }
+    res.status(200).json(describeSession(result.session));
+}
+
+app.post('/sessions/:sessionId/start', requireRole('admin'), (req, res) => handleSessionAction('start', req, res));
+app.post('/sessions/:sessionId/stop', requireRole('admin'), (req, res) => handleSessionAction('stop', req, res));
+app.delete('/sessions/:sessionId', requireRole('admin'), (req, res) => handleSessionAction('delete', req, res));
+
+app.get('/settings', (req, res) => {
+    res.status(200).json({ settings: getSettings(), definitions: describeSettings() });
+});
+
+app.put('/settings', requireRole('admin'), async (req, res) => {
+    const result = await updateSettings(supabase, wss, req.body);
+
+    if (result.errors) {
+        return res.status(400).json({ status: 'error', message: 'Configurações inválidas.', errors: result.errors });
+    }
+    if (result.error) {
+        return res.status(500).json({ status: 'error', message: result.error, settings: result.settings });
+    }
+
+    console.log('Configurações atualizadas:', Object.keys(req.body).join(', '));
+    res.status(200).json({ settings: result.settings });
+});
+
+// Prometheus scrape (configure the job with an API key, e.g. authorization: { credentials: <key> })
+app.get('/metrics', async (req, res) => {
+    try {
+        res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+        res.status(200).send(await renderMetrics());
+    } catch (error) {
+        console.error('Erro ao gerar métricas:', error);
+        res.status(500).json({ status: 'error', message: error.message });
+    }
+});
+
+// Maps apiKeyAuth error codes to HTTP statuses
+const API_KEY_ERROR_STATUS = { VALIDATION_ERROR: 400, NOT_FOUND: 404, DB_ERROR: 500 };
+
+app.get('/api-keys', requireRole('admin'), async (req, res) => {
+    const apiKeys = await apiKeyAuth.listKeys();
+    if (!apiKeys) {
+        return res.status(500).json({ status: 'error', message: 'Falha ao buscar chaves de API.' });
+    }
+    res.status(200).json({ apiKeys });
+});
+
+app.post('/api-keys', requireRole('admin'), async (req, res) => {
+    const result = await apiKeyAuth.createKey(req.body);
+    if (result.error) {
+        return res.status(API_KEY_ERROR_STATUS[result.code] || 500).json({ status: 'error', message: result.error, errors: result.errors });
+    }
+    res.status(201).json(result.apiKey);
+});
+
+app.delete('/api-keys/:id', requireRole('admin'), async (req, res) => {
+    const result = await apiKeyAuth.revokeKey(req.params.id);
+    if (result.error) {
+        return res.status(API_KEY_ERROR_STATUS[result.code] || 500).json({ status: 'error', message: result.error });
+    }
+    res.status(200).json(result.apiKey);
+});
+
+// Maps webhookDispatcher error codes to HTTP statuses
+const WEBHOOK_ERROR_STATUS = { VALIDATION_ERROR: 400, NOT_FOUND: 404, INVALID_STATE: 409, DB_ERROR: 500 };
+
+function sendWebhookResult(res, result, successStatus = 200) {
+    if (result.error) {
+        return res.status(WEBHOOK_ERROR_STATUS[result.code] || 500).json({ status: 'error', message: result.error, errors: result.errors });
+    }
+    res.status(successStatus).json(result.subscription || result.delivery);
+}
+
+app.get('/webhooks', requireRole('admin'), async (req, res) => {
+    const subscriptions = await webhookDispatcher.listSubscriptions();
+    if (!subscriptions) {
+        return res.status(500).json({ status: 'error', message: 'Falha ao buscar webhooks.' });
+    }
+    res.status(200).json({ subscriptions });
+});
+
+// Every subscription's deliveries; ?status=dead is the dead-letter log
+app.get('/webhooks/deliveries', requireRole('admin'), (req, res) => listWebhookDeliveries(null, req, res));
+
+app.post('/webhooks/deliveries/:id/retry', requireRole('admin'), async (req, res) => {
+    sendWebhookResult(res, await webhookDispatcher.retryDelivery(req.params.id));
+});
+
+app.get('/webhooks/:id', requireRole('admin'), async (req, res) => {
+    const subscription = await webhookDispatcher.getSubscription(req.params.id);
+    if (!subscription) {
+        return res.status(404).json({ status: 'error', message: 'Assinatura não encontrada.' });
+    }
+    res.status(200).json(subscription);
+});
+
+app.post('/webhooks', requireRole('admin'), async (req, res) => {
+    sendWebhookResult(res, await webhookDispatcher.createSubscription(req.body), 201);
+});
+
+app.put('/webhooks/:id', requireRole('admin'), async (req, res) => {
+    sendWebhookResult(res, await webhookDispatcher.updateSubscription(req.params.id, req.body));
+});
+
+app.delete('/webhooks/:id', requireRole('admin'), async (req, res) => {
+    sendWebhookResult(res, await webhookDispatcher.deleteSubscription(req.params.id));
+});
+
+app.post('/webhooks/:id/test', requireRole('admin'), async (req, res) => {
+    sendWebhookResult(res, await webhookDispatcher.sendTestEvent(req.params.id), 202);
+});
+
+app.get('/webhooks/:id/deliveries', requireRole('admin'), (req, res) => listWebhookDeliveries(req.params.id, req, res));
+
+async function listWebhookDeliveries(subscriptionId, req, res) {
+    const { limit, offset } = parsePagination(req.query, { defaultLimit: 50, maxLimit: 500 });
+    const status = req.query.status || null;
+    if (status && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({ status: 'error', message: `Status inválido. Use um de: ${DELIVERY_STATUSES.join(', ')}.` });
+    }
+
+    const result = await webhookDispatcher.listDeliveries({ subscriptionId, status, limit, offset });
+    if (!result) {
+        return res.status(500).json({ status: 'error', message: 'Falha ao buscar entregas de webhook.' });
+    }
+    res.status(200).json({ ...result, limit, offset });
+}
+
+// Session-scoped routes go last: the router's session lookup runs for every path that reaches it
+app.use('/sessions/:sessionId', sessionRouter);
+app.use('/', sessionRouter);
+
+const server = http.createServer(app);
+
+// WebSocket commands that control bulk jobs, mapped to bulkWorker actions (admin only).
+// Commands act on payload.sessionId ('default' if omitted).
+const WS_BULK_CONTROL_COMMANDS = { pauseBulkJob: 'pause', resumeBulkJob: 'resume', cancelBulkJob: 'cancel' };
+
+// The upgrade is refused (401) without a valid API key, sent as a header or as ?api_key=
+function verifyWebSocketClient(info, done) {
+    const queryKey = new URL(info.req.url, 'http://localhost').searchParams.get('api_key');
+    apiKeyAuth.authenticate(readApiKey(info.req) || queryKey).then(apiKey => {
+        if (!apiKey) {
+            console.log('[WS] Conexão recusada: chave de API ausente ou inválida.');
+            return done(false, 401, 'Chave de API ausente ou inválida.');
         }
+        info.req.apiKey = apiKey;
+        done(true);
+    }).catch(error => {
+        console.error('[WS] Erro ao validar chave de API:', error);
+        done(false, 500);
     });
+}
+
+const wss = new WebSocket.Server({ server, verifyClient: verifyWebSocketClient });
+
+function describeClientStatus(session) {
+    return { status: session.status, clientNumber: session.clientNumber };
+}
+
+// Returns { job } or { error, code }
+async function controlBulkJobFromSocket(action, sessionId, jobId) {
+    const session = sessionManager.getSession(sessionId);
+    if (!session) return { error: `Sessão '${sessionId}' não encontrada.`, code: 'NOT_FOUND' };
+    if (!jobId) return { error: 'jobId é obrigatório.', code: 'INVALID_ACTION' };
+    return session.bulkWorker[`${action}Job`](jobId);
+}
+
+// Commands of the v2 protocol (ws-hub.js), with the role each requires
+const wsCommands = {
+    // { sessionId } -> that session's status; without it, every session
+    getStatus: { role: 'viewer', handler: (payload) => {
+        if (!payload.sessionId) return { sessions: sessionManager.listSessions() };
+        const session = sessionManager.getSession(payload.sessionId);
+        if (!session) return { error: `Sessão '${payload.sessionId}' não encontrada.`, code: 'NOT_FOUND' };
+        return { sessionId: session.id, ...describeClientStatus(session) };
+    } },
+    // { sessionId, number, message, name, plus the location/vCard fields of /send-message }; no attachments
+    sendMessage: { role: 'agent', handler: async (payload) => {
+        const session = sessionManager.getSession(payload.sessionId || DEFAULT_SESSION_ID);
+        if (!session) return { error: `Sessão '${payload.sessionId}' não encontrada.`, code: 'NOT_FOUND' };
+        if (session.status !== 'READY') {
+            return { error: `Cliente WhatsApp não está pronto. Status atual: ${session.status}`, code: 'NOT_READY' };
+        }
+        if (!payload.number) return { error: 'Número é obrigatório.', code: 'INVALID_PAYLOAD' };
+
+        const outbound = readOutboundContent(payload.message, null, payload);
+        if (outbound.error) return { error: outbound.error, code: 'INVALID_PAYLOAD' };
+        if (!payload.message && !outbound.options.location && !outbound.options.vcard) {
+            return { error: 'Mensagem, localização ou contato é obrigatório.', code: 'INVALID_PAYLOAD' };
+        }
+
+        const result = await sendSingleMessage({ client: session.client, supabase, wss: session.wss, rateLimiter: session.rateLimiter, mediaStorage, sessionId: session.id }, {
+            number: payload.number,
+            name: payload.name || null,
+            body: payload.message || '',
+            contentOptions: outbound.options,
+            messageType: 'manual_single'
+        });
+        if (result.error) return { error: result.error, code: result.code };
+        return { messageId: result.sentMessage.id.id, dbId: result.dbMessage.id, mediaType: result.dbMessage.media_type };
+    } }
+};
+for (const [type, action] of Object.entries(WS_BULK_CONTROL_COMMANDS)) {
+    // { sessionId, jobId }
+    wsCommands[type] = { role: 'admin', handler: async (payload) => {
+        const result = await controlBulkJobFromSocket(action, payload.sessionId || DEFAULT_SESSION_ID, payload.jobId);
+        return result.error ? result : { jobId: result.job.id, state: result.job.state };
+    } };
+}
+
+// v1 messages (connections that never sent hello), answered the way they always were
+async function handleLegacySocketMessage(ws, parsedMessage) {
+    const sessionId = parsedMessage.payload?.sessionId || DEFAULT_SESSION_ID;
+    const session = sessionManager.getSession(sessionId);
+
+    if (parsedMessage.type === 'getStatus') {
+        // Without a sessionId in the payload, answers for the default session (v2 clients can list them all)
+        if (session) {
+            ws.send(JSON.stringify({ type: 'client_status', sessionId, payload: describeClientStatus(session) }));
+        }
+    } else if (WS_BULK_CONTROL_COMMANDS[parsedMessage.type]) {
+        // { type: 'pauseBulkJob' | 'resumeBulkJob' | 'cancelBulkJob', payload: { jobId, sessionId } }
+        const action = WS_BULK_CONTROL_COMMANDS[parsedMessage.type];
+        const jobId = parsedMessage.payload?.jobId;
+        const result = hasRole(ws.apiKey.role, 'admin')
+            ? await controlBulkJobFromSocket(action, sessionId, jobId)
+            : { error: "Permissão insuficiente. Esta operação requer o papel 'admin'.", code: 'FORBIDDEN' };
+        ws.send(JSON.stringify({
+            type: 'bulk_control_result',
+            sessionId,
+            payload: result.error
+                ? { action, jobId: jobId || null, ok: false, error: result.error }
+                : { action, jobId: jobId, ok: true, state: result.job.state }
+        }));
+    }
+}
+
+// Topics, commands, replay and heartbeats (ws-hub.js)
+const wsHub = createWebSocketHub({ wss, commands: wsCommands, onLegacyMessage: handleLegacySocketMessage });
+wsHub.start();
+
+wss.on('connection', (ws, req) => {
+    ws.apiKey = req.apiKey;
+    console.log(`Cliente WebSocket Conectado (chave '${ws.apiKey.name}', ${ws.apiKey.role})`);
+    wsHub.attach(ws);
+
+    const isAdmin = hasRole(ws.apiKey.role, 'admin');
+    for (const { id: sessionId } of sessionManager.listSessions()) {
+        const session = sessionManager.getSession(sessionId);
+        ws.send(JSON.stringify({ type: 'client_status', sessionId, payload: describeClientStatus(session) }));
+        if (isAdmin && session.status === 'WAITING_QR' && session.qrCodeData) {
+            ws.send(JSON.stringify({ type: 'qr', sessionId, payload: session.qrCodeData }));
+        }
+    }
+    ws.send(JSON.stringify({ type: 'sessions', payload: sessionManager.listSessions() }));
+    ws.send(JSON.stringify({ type: 'settings', payload: getSettings() }));
+
     ws.on('close', () => console.log('Cliente WebSocket Desconectado'));
     ws.on('error', (error) => console.error('Erro WebSocket:', error));
 });
 
+// Server-to-server copies of the WebSocket events (webhooks.js)
+const webhookDispatcher = createWebhookDispatcher({ supabase });
+webhookDispatcher.start();
+
 wss.broadcast = (data) => {
-    const jsonData = JSON.stringify(data);
-    wss.clients.forEach((wsClient) => {
-        if (wsClient.readyState === WebSocket.OPEN) {
-            wsClient.send(jsonData, (err) => {
-                if (err) console.error('Erro ao enviar mensagem para cliente WebSocket:', err);
-            });
-        }
-    });
+    webhookDispatcher.publish(data);
+    wsHub.broadcast(data);
 };
 
+// Picks auto-replies for inbound messages from the rules in auto_reply_rules
+const autoResponder = createAutoResponder({ supabase, wss, getSettings });
+autoResponder.reload().then(rules => console.log(`[Auto-Reply] ${rules.length} regra(s) de auto-resposta carregada(s).`));
+
+// Relays the operator's WhatsApp replies to customers and tracks conversations handled by a human
+const operatorRelay = createOperatorRelay({
+    supabase,
+    wss,
+    getSettings,
+    mediaStorage,
+    // '/fim' from the operator also closes the customer's assignment
+    onConversationEnded: (sessionId, contactNumber) => operatorRouter.resolveContact(sessionId, contactNumber)
+});
+
+// Assigns inbound conversations to the operators in the operators table
+const operatorRouter = createOperatorRouter({ supabase, wss, getSettings });
+operatorRouter.reload().then(operators => console.log(`[Routing] ${operators.length} operador(es) carregado(s).`));
+
+// One WhatsApp client per session, each with its own rate limiter, bulk worker and scheduler
+const sessionManager = createSessionManager({ supabase, wss, getSettings, mediaStorage, attachClientHandlers, dataPath: SESSION_FILE_PATH });
+console.log('Inicializando sessões WhatsApp...');
+sessionManager.loadSessions().catch(err => console.error('Falha ao carregar sessões WhatsApp:', err));
+
+// Gauges computed at scrape time (counters and histograms live in metrics.js)
+createGauge('whatsapp_websocket_clients', 'Clientes WebSocket conectados.', [], () => [{ value: wss.clients.size }]);
+createGauge('whatsapp_client_ready', 'Sessão com o cliente WhatsApp pronto (1) ou não (0).', ['session'], () =>
+    sessionManager.listSessions().map(session => ({ labels: { session: session.id }, value: session.status === 'READY' ? 1 : 0 })));
+createGauge('whatsapp_client_status', 'Status atual do cliente de cada sessão (1 no status corrente).', ['session', 'status'], () =>
+    sessionManager.listSessions().map(session => ({ labels: { session: session.id, status: session.status }, value: 1 })));
+createGauge('whatsapp_client_reconnect_attempts', 'Tentativas de reconexão em sequência desde o último READY.', ['session'], () =>
+    sessionManager.listSessions().map(session => ({ labels: { session: session.id }, value: session.reconnectAttempts })));
+createGauge('whatsapp_bulk_jobs', 'Envios em massa por estado.', ['state'], async () => {
+    const counts = await countBulkJobsByState(supabase);
+    if (!counts) throw new Error('Falha ao contar envios em massa.');
+    return JOB_STATES.map(state => ({ labels: { state }, value: counts[state] }));
+});
+createGauge('process_resident_memory_bytes', 'Memória residente do processo.', [], () => [{ value: process.memoryUsage().rss }]);
+createGauge('process_uptime_seconds', 'Tempo desde o início do processo.', [], () => [{ value: Math.round(process.uptime()) }]);
+
 server.listen(port, () => {
     console.log(`Servidor backend rodando em http://localhost:${port}`);
     console.log(`Servidor WebSocket rodando em ws://localhost:${port}`);
@@ -572,15 +1666,12 @@ process.on('SIGINT', async () => {
     });
     wss.close(); 
 
-    if (client) {
-        console.log("Destruindo cliente WhatsApp...");
-        try {
-            await client.destroy();
-            console.log("Cliente WhatsApp destruído.");
-        } catch (e) {
-            console.error("Erro ao destruir cliente WhatsApp:", e);
-        }
-    }
+    console.log("Destruindo clientes WhatsApp...");
+    await sessionManager.stopAll();
+    webhookDispatcher.stop();
+    wsHub.stop();
+    console.log("Clientes WhatsApp destruídos.");
+    await db.close();
     console.log("Saindo do processo.");
     setTimeout(() => process.exit(0), 1000);
 });
\ No newline at end of file
@@ -0,0 +1,288 @@
+// Runs several WhatsApp numbers side by side. Each session has its own Client (LocalAuth clientId =
+// session id), status/QR state, lifecycle (reconnection, see client-lifecycle.js), rate limiter,
+// bulk worker and scheduler; messages, bulk jobs and scheduled sends are tagged with its id
+// (session_id column).
+//
+// whatsapp_sessions: id text PK, name text, auto_start boolean, created_at timestamptz, updated_at timestamptz
+//
+// The 'default' session always exists and keeps the original LocalAuth folder (.wwebjs_auth/session),
+// so servers upgraded from the single-number version don't need to scan the QR code again.
+// WebSocket events of a session carry a top-level sessionId.
+
+const fs = require('fs');
+const path = require('path');
+const { Client, LocalAuth } = require('whatsapp-web.js');
+
+const { getClientInfo } = require('./utils');
+const { createRateLimiter } = require('./rate-limiter');
+const { createBulkWorker } = require('./bulk-worker');
+const { createScheduler } = require('./scheduler');
+const { createClientLifecycle } = require('./client-lifecycle');
+
+const DEFAULT_SESSION_ID = 'default';
+const SESSION_ID_PATTERN = /^[a-z0-9_-]{1,32}$/;
+
+const PUPPETEER_OPTIONS = {
+    args: [
+        '--no-sandbox',
+        '--disable-setuid-sandbox',
+        '--disable-dev-shm-usage',
+        '--disable-accelerated-2d-canvas',
+        '--no-first-run',
+        '--no-zygote',
+        '--disable-gpu'
+    ],
+    headless: true
+};
+
+function isValidSessionId(sessionId) {
+    return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+}
+
+// What REST/WS clients get to see about a session
+function describeSession(session) {
+    return {
+        id: session.id,
+        name: session.name,
+        status: session.status,
+        clientNumber: session.clientNumber,
+        autoStart: session.autoStart,
+        waitingQr: session.status === 'WAITING_QR' && !!session.qrCodeData,
+        ...session.lifecycle.getInfo()
+    };
+}
+
+// attachClientHandlers: (session) => void, registers the whatsapp-web.js event handlers of a new session
+// dataPath: LocalAuth folder shared by every session
+//
+// Operations resolve with { session } or { error, code } where code is 'INVALID_ID', 'ALREADY_EXISTS',
+// 'NOT_FOUND', 'INVALID_STATE' or 'DB_ERROR'.
+function createSessionManager({ supabase, wss, getSettings, mediaStorage, attachClientHandlers, dataPath = './.wwebjs_auth' }) {
+    const sessions = new Map();
+
+    function buildSession(row) {
+        const sessionId = row.id;
+        const session = {
+            id: sessionId,
+            name: row.name || sessionId,
+            autoStart: row.auto_start !== false,
+            status: 'STOPPED',
+            qrCodeData: null,
+            clientNumber: null,
+            // Same interface as wss, but every event is tagged with this session's id
+            wss: { broadcast: (event) => wss.broadcast({ ...event, sessionId }) }
+        };
+
+        session.client = new Client({
+            // The default session keeps the pre-multi-session folder (no clientId)
+            authStrategy: new LocalAuth({ dataPath, clientId: sessionId === DEFAULT_SESSION_ID ? undefined : sessionId }),
+            puppeteer: PUPPETEER_OPTIONS
+        });
+
+        session.setStatus = (newStatus) => {
+            const oldStatus = session.status;
+            session.status = newStatus;
+            session.clientNumber = ['AUTHENTICATED', 'READY'].includes(newStatus) ? getClientInfo(session.client).number : null;
+            if (newStatus !== 'WAITING_QR') session.qrCodeData = null;
+
+            console.log(`[Session ${sessionId}] Status do Cliente alterado: ${oldStatus} -> ${newStatus}${session.clientNumber ? ` (Número: ${session.clientNumber})` : ''}`);
+            session.wss.broadcast({ type: 'client_status', payload: { status: newStatus, clientNumber: session.clientNumber } });
+        };
+
+        const services = { client: session.client, supabase, wss: session.wss, getClientStatus: () => session.status, mediaStorage, sessionId };
+        // Caps apply per number, so every session gets its own limiter
+        session.rateLimiter = createRateLimiter({ getSettings });
+        session.bulkWorker = createBulkWorker({ ...services, rateLimiter: session.rateLimiter });
+        session.scheduler = createScheduler({ ...services, rateLimiter: session.rateLimiter, bulkWorker: session.bulkWorker });
+
+        attachClientHandlers(session);
+        // Registered after the handlers above, so it sees the status they set
+        session.lifecycle = createClientLifecycle(session);
+        sessions.set(sessionId, session);
+        return session;
+    }
+
+    async function saveSessionRow(session) {
+        const { error } = await supabase
+            .from('whatsapp_sessions')
+            .upsert({ id: session.id, name: session.name, auto_start: session.autoStart, updated_at: new Date() }, { onConflict: 'id' });
+
+        if (error) {
+            console.error(`[Session ${session.id}] Erro Supabase ao salvar sessão:`, error);
+            return false;
+        }
+        return true;
+    }
+
+    async function runSession(session) {
+        session.bulkWorker.start();
+        session.scheduler.start();
+        await session.lifecycle.start();
+    }
+
+    async function haltSession(session) {
+        if (session.status === 'STOPPED') return;
+        session.bulkWorker.stop();
+        session.scheduler.stop();
+        await session.lifecycle.stop();
+    }
+
+    // Loads the saved sessions (creating 'default' on first run) and starts those marked auto_start
+    async function loadSessions() {
+        const { data, error } = await supabase
+            .from('whatsapp_sessions')
+            .select('*')
+            .order('created_at', { ascending: true });
+
+        if (error) {
+            console.error('[Sessions] Erro Supabase ao carregar sessões. Iniciando apenas a sessão padrão:', error);
+        }
+
+        const rows = data || [];
+        if (!rows.some(row => row.id === DEFAULT_SESSION_ID)) {
+            rows.unshift({ id: DEFAULT_SESSION_ID, name: 'Principal', auto_start: true });
+            await supabase
+                .from('whatsapp_sessions')
+                .upsert({ id: DEFAULT_SESSION_ID, name: 'Principal', auto_start: true, created_at: new Date(), updated_at: new Date() }, { onConflict: 'id' });
+        }
+
+        for (const row of rows) {
+            if (!isValidSessionId(row.id) || sessions.has(row.id)) continue;
+            const session = buildSession(row);
+            if (session.autoStart) {
+                runSession(session); // Sessions start in parallel; each reports its own status
+            }
+        }
+        console.log(`[Sessions] ${sessions.size} sessão(ões) carregada(s).`);
+        return listSessions();
+    }
+
+    function getSession(sessionId) {
+        return sessions.get(sessionId) || null;
+    }
+
+    function listSessions() {
+        return [...sessions.values()].map(describeSession);
+    }
+
+    async function createSession(sessionId, { name = null } = {}) {
+        if (!isValidSessionId(sessionId)) {
+            return { error: 'Id de sessão inválido. Use de 1 a 32 letras minúsculas, números, _ ou -.', code: 'INVALID_ID' };
+        }
+        if (sessions.has(sessionId)) {
+            return { error: `A sessão '${sessionId}' já existe.`, code: 'ALREADY_EXISTS' };
+        }
+
+        const { error } = await supabase
+            .from('whatsapp_sessions')
+            .insert({ id: sessionId, name: name || sessionId, auto_start: true, created_at: new Date(), updated_at: new Date() });
+        if (error) {
+            console.error(`[Session ${sessionId}] Erro Supabase ao criar sessão:`, error);
+            return { error: 'Falha ao salvar a sessão no banco de dados.', code: 'DB_ERROR' };
+        }
+
+        const session = buildSession({ id: sessionId, name, auto_start: true });
+        console.log(`[Session ${sessionId}] Sessão criada.`);
+        runSession(session);
+        return { session };
+    }
+
+    async function startSession(sessionId) {
+        const session = getSession(sessionId);
+        if (!session) {
+            return { error: 'Sessão não encontrada.', code: 'NOT_FOUND' };
+        }
+        if (session.status !== 'STOPPED') {
+            return { error: `A sessão já está em execução (status ${session.status}). Use POST /session/restart para reiniciá-la.`, code: 'INVALID_STATE' };
+        }
+
+        session.autoStart = true;
+        await saveSessionRow(session);
+        runSession(session);
+        return { session };
+    }
+
+    async function stopSession(sessionId) {
+        const session = getSession(sessionId);
+        if (!session) {
+            return { error: 'Sessão não encontrada.', code: 'NOT_FOUND' };
+        }
+        if (session.status === 'STOPPED') {
+            return { error: 'A sessão já está parada.', code: 'INVALID_STATE' };
+        }
+
+        // Stays stopped after a server restart until started again
+        session.autoStart = false;
+        await saveSessionRow(session);
+        await haltSession(session);
+        return { session };
+    }
+
+    // Closes and reopens the client of a running session (also recovers FATAL_ERROR)
+    async function restartSession(sessionId) {
+        const session = getSession(sessionId);
+        if (!session) {
+            return { error: 'Sessão não encontrada.', code: 'NOT_FOUND' };
+        }
+        if (session.status === 'STOPPED') {
+            return { error: 'A sessão está parada. Use POST /sessions/:id/start para iniciá-la.', code: 'INVALID_STATE' };
+        }
+        session.lifecycle.restart();
+        return { session };
+    }
+
+    // Logs the number out of WhatsApp and waits for a new QR code
+    async function logoutSession(sessionId) {
+        const session = getSession(sessionId);
+        if (!session) {
+            return { error: 'Sessão não encontrada.', code: 'NOT_FOUND' };
+        }
+        if (session.status === 'STOPPED') {
+            return { error: 'A sessão está parada. Use POST /sessions/:id/start para iniciá-la.', code: 'INVALID_STATE' };
+        }
+        session.lifecycle.logout();
+        return { session };
+    }
+
+    // Stops the session, forgets its WhatsApp login and removes it. Its messages stay in the DB.
+    async function deleteSession(sessionId) {
+        const session = getSession(sessionId);
+        if (!session) {
+            return { error: 'Sessão não encontrada.', code: 'NOT_FOUND' };
+        }
+        if (sessionId === DEFAULT_SESSION_ID) {
+            return { error: 'A sessão padrão não pode ser removida.', code: 'INVALID_STATE' };
+        }
+
+        const { error } = await supabase.from('whatsapp_sessions').delete().eq('id', sessionId);
+        if (error) {
+            console.error(`[Session ${sessionId}] Erro Supabase ao remover sessão:`, error);
+            return { error: 'Falha ao remover a sessão do banco de dados.', code: 'DB_ERROR' };
+        }
+
+        await haltSession(session);
+        sessions.delete(sessionId);
+        try {
+            await fs.promises.rm(path.resolve(dataPath, `session-${sessionId}`), { recursive: true, force: true });
+        } catch (rmError) {
+            console.error(`[Session ${sessionId}] Falha ao remover dados de autenticação:`, rmError);
+        }
+        console.log(`[Session ${sessionId}] Sessão removida.`);
+        wss.broadcast({ type: 'session_removed', payload: { sessionId } });
+        return { session };
+    }
+
+    // Shutdown: stops every session without touching auto_start
+    async function stopAll() {
+        await Promise.all([...sessions.values()].map(haltSession));
+    }
+
+    return { loadSessions, getSession, listSessions, createSession, startSession, stopSession, restartSession, logoutSession, deleteSession, stopAll };
+}
+
+module.exports = {
+    DEFAULT_SESSION_ID,
+    isValidSessionId,
+    describeSession,
+    createSessionManager
+};
@@ -0,0 +1,409 @@
+// Runtime settings backed by the 'settings' table (key text PK, value jsonb, updated_at timestamptz).
+// Values are cached in memory so hot paths (message handler, bulk sends) never hit the DB to read them.
+const { getSetting, setSetting } = require('./utils');
+const { isValidTimezone } = require('./time-windows');
+const { normalizePhoneNumber } = require('./phone-numbers');
+const { ROUTING_STRATEGIES } = require('./operator-routing');
+
+// Every setting the server understands. Keys not listed here are rejected by PUT /settings.
+const SETTINGS_DEFINITIONS = {
+    operator_number: {
+        type: 'phone',
+        default: null,
+        description: 'Número que recebe o encaminhamento das mensagens recebidas (null desativa). Com operadores cadastrados (/operators), só é usado quando nenhum deles está disponível.'
+    },
+    routing_strategy: {
+        type: 'enum',
+        values: ROUTING_STRATEGIES,
+        default: 'round_robin',
+        description: 'Como novas conversas são distribuídas entre os operadores disponíveis: round_robin (um de cada vez) ou least_busy (quem tem menos conversas abertas).'
+    },
+    forward_enabled: {
+        type: 'boolean',
+        default: true,
+        description: 'Encaminha mensagens recebidas para o número do operador.'
+    },
+    auto_reply_enabled: {
+        type: 'boolean',
+        default: true,
+        description: 'Envia resposta automática para mensagens recebidas.'
+    },
+    auto_reply_message: {
+        type: 'string',
+        default: 'Olá {nome}! Recebemos sua mensagem. Entraremos em contato em breve, aguarde um momento.',
+        minLength: 1,
+        maxLength: 4096,
+        description: 'Resposta automática usada quando nenhuma regra de auto-resposta se aplica. {nome} é substituído pelo nome do contato.'
+    },
+    auto_reply_cooldown_minutes: {
+        type: 'integer',
+        default: 720,
+        min: 0,
+        max: 10080,
+        description: 'Tempo (minutos) antes de a mesma resposta automática ser enviada de novo ao mesmo contato (0 responde toda mensagem).'
+    },
+    contacts_auto_create: {
+        type: 'boolean',
+        default: true,
+        description: 'Cria um contato (/contacts) para cada número que envia mensagem e ainda não está cadastrado.'
+    },
+    group_messages: {
+        type: 'enum',
+        values: ['ignore', 'store', 'auto_reply'],
+        default: 'store',
+        description: 'Mensagens de grupos: ignore (descartadas), store (salvas e transmitidas, sem auto-resposta nem encaminhamento) ou auto_reply (também respondidas pelas regras de auto-resposta com scope group ou all).'
+    },
+
+    // Human handoff: the operator replies to customers from WhatsApp (see operator-relay.js)
+    handoff_enabled: {
+        type: 'boolean',
+        default: true,
+        description: 'Repassa ao cliente as respostas do operador (citando a mensagem encaminhada ou com /r <número> <texto>) e pausa as auto-respostas enquanto ele atende.'
+    },
+    handoff_timeout_minutes: {
+        type: 'integer',
+        default: 30,
+        min: 1,
+        max: 10080,
+        description: 'Tempo (minutos) sem resposta do operador após o qual a conversa volta ao atendimento automático.'
+    },
+
+    // Phone numbers (see phone-numbers.js)
+    default_country_code: {
+        type: 'country_code',
+        default: '55',
+        description: 'DDI assumido para números sem código do país (ex.: 55 para o Brasil, que também corrige o nono dígito).'
+    },
+    verify_numbers_before_send: {
+        type: 'boolean',
+        default: false,
+        description: 'Consulta o WhatsApp antes de cada envio para obter o ID correto do número (com ou sem nono dígito) e não envia para números sem WhatsApp.'
+    },
+
+    // Business hours, used by auto-reply rules scheduled for 'business_hours' / 'after_hours'
+    business_hours_days: {
+        type: 'weekdays',
+        default: [1, 2, 3, 4, 5],
+        description: 'Dias de expediente (0 = domingo ... 6 = sábado).'
+    },
+    business_hours_start: {
+        type: 'time',
+        default: '08:00',
+        description: 'Início do expediente (HH:MM).'
+    },
+    business_hours_end: {
+        type: 'time',
+        default: '18:00',
+        description: 'Fim do expediente (HH:MM).'
+    },
+    business_hours_timezone: {
+        type: 'timezone',
+        default: 'America/Sao_Paulo',
+        description: 'Fuso horário do expediente (IANA).'
+    },
+
+    // Opt-out (LGPD): inbound messages matching a keyword add the sender to contacts_blocklist
+    optout_enabled: {
+        type: 'boolean',
+        default: true,
+        description: 'Detecta palavras-chave de descadastro nas mensagens recebidas.'
+    },
+    optout_keywords: {
+        type: 'string_list',
+        default: ['SAIR', 'PARAR', 'STOP', 'CANCELAR', 'DESCADASTRAR'],
+        maxItems: 50,
+        maxLength: 50,
+        description: 'Mensagens que, sozinhas, descadastram o contato (sem diferenciar maiúsculas/acentos).'
+    },
+    optout_confirmation_message: {
+        type: 'string',
+        default: 'Pronto, {nome}! Você não receberá mais mensagens nossas. Se mudar de ideia, é só nos chamar.',
+        minLength: 1,
+        maxLength: 4096,
+        description: 'Confirmação enviada após o descadastro. {nome} é substituído pelo nome do contato.'
+    },
+
+    // Outbound rate limiting (applies to every message the server sends)
+    rate_limit_per_minute: {
+        type: 'integer',
+        default: 20,
+        min: 1,
+        max: 1000,
+        description: 'Máximo de mensagens enviadas por minuto.'
+    },
+    rate_limit_per_hour: {
+        type: 'integer',
+        default: 400,
+        min: 1,
+        max: 50000,
+        description: 'Máximo de mensagens enviadas por hora.'
+    },
+    send_delay_min_ms: {
+        type: 'integer',
+        default: 1000,
+        min: 0,
+        max: 600000,
+        description: 'Intervalo mínimo (ms) entre mensagens de envios em massa/agendados.'
+    },
+    send_delay_max_ms: {
+        type: 'integer',
+        default: 4000,
+        min: 0,
+        max: 600000,
+        description: 'Intervalo máximo (ms) entre mensagens de envios em massa/agendados; o atraso é sorteado entre o mínimo e o máximo.'
+    },
+    cooldown_every: {
+        type: 'integer',
+        default: 0,
+        min: 0,
+        max: 100000,
+        description: 'Faz uma pausa a cada N mensagens enviadas (0 desativa).'
+    },
+    cooldown_ms: {
+        type: 'integer',
+        default: 60000,
+        min: 0,
+        max: 86400000,
+        description: 'Duração (ms) da pausa feita a cada cooldown_every mensagens.'
+    },
+
+    // Allowed window for bulk and scheduled sends
+    send_window_enabled: {
+        type: 'boolean',
+        default: false,
+        description: 'Restringe envios em massa/agendados à janela de envio configurada.'
+    },
+    send_window_days: {
+        type: 'weekdays',
+        default: [1, 2, 3, 4, 5],
+        description: 'Dias da semana permitidos (0 = domingo ... 6 = sábado).'
+    },
+    send_window_start: {
+        type: 'time',
+        default: '08:00',
+        description: 'Início da janela de envio (HH:MM).'
+    },
+    send_window_end: {
+        type: 'time',
+        default: '20:00',
+        description: 'Fim da janela de envio (HH:MM). Se for menor que o início, a janela atravessa a meia-noite.'
+    },
+    send_window_timezone: {
+        type: 'timezone',
+        default: 'America/Sao_Paulo',
+        description: 'Fuso horário da janela de envio (IANA).'
+    }
+};
+
+const currentSettings = {};
+for (const key in SETTINGS_DEFINITIONS) {
+    currentSettings[key] = SETTINGS_DEFINITIONS[key].default;
+}
+
+// Validates and normalizes a single value against its definition.
+// Returns { value } on success or { error } with a human readable reason.
+function coerceSettingValue(key, rawValue) {
+    const definition = SETTINGS_DEFINITIONS[key];
+    if (!definition) {
+        return { error: 'Configuração desconhecida.' };
+    }
+
+    if (rawValue === null || rawValue === undefined) {
+        if (definition.default === null) return { value: null };
+        return { error: 'Valor obrigatório.' };
+    }
+
+    switch (definition.type) {
+        case 'boolean':
+            if (typeof rawValue === 'boolean') return { value: rawValue };
+            if (rawValue === 'true' || rawValue === 'false') return { value: rawValue === 'true' };
+            return { error: 'Deve ser true ou false.' };
+
+        case 'integer': {
+            const number = typeof rawValue === 'string' && rawValue.trim() !== '' ? Number(rawValue) : rawValue;
+            if (!Number.isInteger(number)) return { error: 'Deve ser um número inteiro.' };
+            if (definition.min !== undefined && number < definition.min) return { error: `Deve ser maior ou igual a ${definition.min}.` };
+            if (definition.max !== undefined && number > definition.max) return { error: `Deve ser menor ou igual a ${definition.max}.` };
+            return { value: number };
+        }
+
+        case 'string': {
+            if (typeof rawValue !== 'string') return { error: 'Deve ser um texto.' };
+            const text = rawValue.trim();
+            if (definition.minLength !== undefined && text.length < definition.minLength) return { error: `Deve ter pelo menos ${definition.minLength} caractere(s).` };
+            if (definition.maxLength !== undefined && text.length > definition.maxLength) return { error: `Deve ter no máximo ${definition.maxLength} caracteres.` };
+            return { value: text };
+        }
+
+        case 'string_list': {
+            if (!Array.isArray(rawValue) || rawValue.some(item => typeof item !== 'string')) return { error: 'Deve ser uma lista de textos.' };
+            const items = [...new Set(rawValue.map(item => item.trim()).filter(Boolean))];
+            if (definition.maxItems !== undefined && items.length > definition.maxItems) return { error: `Deve ter no máximo ${definition.maxItems} itens.` };
+            if (definition.maxLength !== undefined && items.some(item => item.length > definition.maxLength)) return { error: `Cada item deve ter no máximo ${definition.maxLength} caracteres.` };
+            return { value: items };
+        }
+
+        case 'time':
+            if (typeof rawValue !== 'string' || !/^([01]\d|2[0-3]):[0-5]\d$/.test(rawValue.trim())) return { error: 'Deve estar no formato HH:MM.' };
+            return { value: rawValue.trim() };
+
+        case 'timezone':
+            if (typeof rawValue !== 'string' || !isValidTimezone(rawValue.trim())) return { error: 'Fuso horário inválido (ex.: America/Sao_Paulo).' };
+            return { value: rawValue.trim() };
+
+        case 'weekdays': {
+            if (!Array.isArray(rawValue)) return { error: 'Deve ser uma lista de dias da semana (0-6).' };
+            const days = rawValue.map(Number);
+            if (days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) return { error: 'Dias da semana devem estar entre 0 (domingo) e 6 (sábado).' };
+            return { value: [...new Set(days)].sort() };
+        }
+
+        case 'enum':
+            if (!definition.values.includes(rawValue)) return { error: `Deve ser um de: ${definition.values.join(', ')}.` };
+            return { value: rawValue };
+
+        case 'phone': {
+            if (typeof rawValue !== 'string' && typeof rawValue !== 'number') return { error: 'Deve ser um número de telefone.' };
+            // Accept '+55 (11) 99999-9999', '(11) 99999-9999' or '5511999999999@c.us', store E.164 digits
+            if (String(rawValue).replace(/\D/g, '') === '' && definition.default === null) return { value: null };
+            const normalized = normalizePhoneNumber(rawValue, { defaultCountryCode: currentSettings.default_country_code });
+            if (!normalized) return { error: 'Número de telefone inválido.' };
+            return { value: normalized.digits };
+        }
+
+        case 'country_code': {
+            const code = String(rawValue).trim().replace(/^\+/, '');
+            if (!/^[1-9]\d{0,2}$/.test(code)) return { error: 'Deve ser um código de país (DDI) de 1 a 3 dígitos, ex.: 55.' };
+            return { value: code };
+        }
+
+        default:
+            return { error: `Tipo de configuração não suportado: ${definition.type}` };
+    }
+}
+
+// Validates a partial settings object (as received by PUT /settings).
+// Returns { values, errors } where errors maps key -> reason.
+function validateSettingsPatch(patch) {
+    const values = {};
+    const errors = {};
+
+    if (!patch || typeof patch !== 'object' || Array.isArray(patch)) {
+        return { values, errors: { _body: 'O corpo da requisição deve ser um objeto JSON.' } };
+    }
+
+    for (const key of Object.keys(patch)) {
+        const result = coerceSettingValue(key, patch[key]);
+        if (result.error) {
+            errors[key] = result.error;
+        } else {
+            values[key] = result.value;
+        }
+    }
+    return { values, errors };
+}
+
+// Loads every known setting from the DB into the cache. Missing or invalid
+// values fall back to their defaults. Safe to call at startup before the WhatsApp client is ready.
+async function loadSettings(supabase) {
+    const keys = Object.keys(SETTINGS_DEFINITIONS);
+    const storedValues = await Promise.all(keys.map(key => getSetting(supabase, key)));
+
+    keys.forEach((key, index) => {
+        const stored = storedValues[index];
+        if (stored === null || stored === undefined) {
+            currentSettings[key] = SETTINGS_DEFINITIONS[key].default;
+            return;
+        }
+        const result = coerceSettingValue(key, stored);
+        if (result.error) {
+            console.warn(`[Settings] Valor inválido no DB para '${key}' (${result.error}). Usando padrão.`);
+            currentSettings[key] = SETTINGS_DEFINITIONS[key].default;
+        } else {
+            currentSettings[key] = result.value;
+        }
+    });
+
+    return getSettings();
+}
+
+// Returns a copy of the cached settings
+function getSettings() {
+    return { ...currentSettings };
+}
+
+function getSettingValue(key) {
+    return currentSettings[key];
+}
+
+// Rules that involve more than one setting, checked against the settings as they'd be after the update
+function validateCombinedSettings(settings) {
+    const errors = {};
+    if (settings.send_delay_min_ms > settings.send_delay_max_ms) {
+        errors.send_delay_min_ms = 'Não pode ser maior que send_delay_max_ms.';
+    }
+    if (settings.send_window_start === settings.send_window_end) {
+        errors.send_window_end = 'Deve ser diferente de send_window_start.';
+    }
+    if (settings.business_hours_start === settings.business_hours_end) {
+        errors.business_hours_end = 'Deve ser diferente de business_hours_start.';
+    }
+    return errors;
+}
+
+// Validates, persists and caches a partial update, then broadcasts the full settings object.
+// Returns { settings } on success, { errors } on validation failure, or { error } if persisting failed.
+async function updateSettings(supabase, wss, patch) {
+    const { values, errors } = validateSettingsPatch(patch);
+    if (Object.keys(errors).length > 0) {
+        return { errors };
+    }
+    const combinedErrors = validateCombinedSettings({ ...currentSettings, ...values });
+    if (Object.keys(combinedErrors).length > 0) {
+        return { errors: combinedErrors };
+    }
+
+    const failedKeys = [];
+    for (const key of Object.keys(values)) {
+        const saved = await setSetting(supabase, key, values[key]);
+        if (saved) {
+            currentSettings[key] = values[key];
+        } else {
+            failedKeys.push(key);
+        }
+    }
+
+    const settings = getSettings();
+    // Broadcast even on partial failure so clients see what was actually applied
+    if (wss && typeof wss.broadcast === 'function') {
+        wss.broadcast({ type: 'settings', payload: settings });
+    }
+
+    if (failedKeys.length > 0) {
+        return { error: `Falha ao salvar as configurações: ${failedKeys.join(', ')}`, settings };
+    }
+    return { settings };
+}
+
+// Describes the available settings (type, default, description) for GET /settings clients
+function describeSettings() {
+    const description = {};
+    for (const key in SETTINGS_DEFINITIONS) {
+        const { type, default: defaultValue, description: text, values, min, max } = SETTINGS_DEFINITIONS[key];
+        description[key] = { type, default: defaultValue, description: text };
+        if (values) description[key].values = values;
+        if (min !== undefined) description[key].min = min;
+        if (max !== undefined) description[key].max = max;
+    }
+    return description;
+}
+
+module.exports = {
+    SETTINGS_DEFINITIONS,
+    loadSettings,
+    getSettings,
+    getSettingValue,
+    validateSettingsPatch,
+    updateSettings,
+    describeSettings
+};
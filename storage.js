@@ -0,0 +1,63 @@
+// Picks the database backend (STORAGE_BACKEND env var):
+//   supabase (default) Supabase/Postgres; needs SUPABASE_URL and SUPABASE_KEY, and the tables from migrations/*.sql
+//   local    embedded JSON file at LOCAL_DB_PATH (default ./data/local-db.json), see local-db.js; needs nothing else
+//
+// Both backends expose the supabase-js query builder, which is what every DB helper receives as `supabase`
+// (utils.js for messages and settings, bulk-jobs.js, scheduled-messages.js, ...), so those modules are the
+// repositories for either backend and nothing else talks to the database directly.
+
+const { createClient } = require('@supabase/supabase-js');
+const { createLocalDatabase } = require('./local-db');
+
+const STORAGE_BACKENDS = ['supabase', 'local'];
+const CONNECTION_CHECK_TIMEOUT_MS = 5000;
+
+// Returns { backend, supabase (the query builder), checkConnection, close }.
+// Throws when the backend is unknown or its configuration is missing.
+function createStorage({ backend = process.env.STORAGE_BACKEND || 'supabase' } = {}) {
+    if (!STORAGE_BACKENDS.includes(backend)) {
+        throw new Error(`STORAGE_BACKEND '${backend}' desconhecido. Use um de: ${STORAGE_BACKENDS.join(', ')}.`);
+    }
+
+    let supabase;
+    if (backend === 'supabase') {
+        const supabaseUrl = process.env.SUPABASE_URL;
+        const supabaseKey = process.env.SUPABASE_KEY;
+        if (!supabaseUrl || !supabaseKey) {
+            throw new Error('URL ou Chave do Supabase não encontradas no arquivo .env (ou use STORAGE_BACKEND=local).');
+        }
+        supabase = createClient(supabaseUrl, supabaseKey);
+    } else {
+        supabase = createLocalDatabase();
+    }
+    console.log(`[Storage] Banco de dados: ${backend}.`);
+
+    // Cheap round trip for GET /ready. Resolves with { ok, error }.
+    async function checkConnection() {
+        let timer;
+        try {
+            const query = supabase.from('settings').select('key', { count: 'exact', head: true });
+            const timeout = new Promise((resolve, reject) => {
+                timer = setTimeout(() => reject(new Error(`Sem resposta em ${CONNECTION_CHECK_TIMEOUT_MS / 1000}s`)), CONNECTION_CHECK_TIMEOUT_MS);
+            });
+            const { error } = await Promise.race([query, timeout]);
+            return error ? { ok: false, error: error.message } : { ok: true, error: null };
+        } catch (error) {
+            return { ok: false, error: error.message };
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    // Shutdown: writes pending local changes (nothing to do for Supabase)
+    async function close() {
+        if (backend === 'local') await supabase.flush();
+    }
+
+    return { backend, supabase, checkConnection, close };
+}
+
+module.exports = {
+    STORAGE_BACKENDS,
+    createStorage
+};
@@ -0,0 +1,349 @@
+// Message templates for bulk sends. Every CSV column is available as a placeholder.
+//
+//   {nome}                    column value (column names are case-insensitive, spaces become '_')
+//   {empresa|cliente}         column value, or 'cliente' when the column is missing or empty
+//   {valor:moeda}             formatted value; formats: moeda, numero, data, data_extenso,
+//                             maiusculo, minusculo, primeiro_nome (combine with a default: {valor:moeda|R$ 0,00})
+//   {Olá|Oi|Bom dia}          spintax: one option picked at random per message (options may contain placeholders)
+//   {#if empresa}...{#else}...{/if}
+//                             conditional on a column being filled; also {#if !empresa}, {#if plano=ouro}, {#if plano!=ouro}
+//   {{ and }}                 literal braces
+//
+// '{a|b}' is a placeholder with a default when 'a' is a CSV column or a lowercase identifier;
+// anything else with '|' is spintax. Start spintax options with a capital letter (or use three or
+// more options) if the first option could be mistaken for a column name.
+
+const IDENTIFIER_PATTERN = /^[\p{L}_][\p{L}\p{N}_]*$/u;
+const LOWERCASE_IDENTIFIER_PATTERN = /^[\p{Ll}_][\p{Ll}\p{N}_]*$/u;
+const FORMATS = ['moeda', 'numero', 'data', 'data_extenso', 'maiusculo', 'minusculo', 'primeiro_nome'];
+
+// 'Data Vencimento ' -> 'data_vencimento'
+function normalizeFieldName(name) {
+    return String(name).trim().toLowerCase().replace(/\s+/g, '_');
+}
+
+// Finds the index of the '}' closing the '{' at `start`, honouring nested braces. -1 if unbalanced.
+function findClosingBrace(template, start) {
+    let depth = 0;
+    for (let i = start; i < template.length; i++) {
+        if (template[i] === '{') depth++;
+        else if (template[i] === '}') {
+            depth--;
+            if (depth === 0) return i;
+        }
+    }
+    return -1;
+}
+
+// Splits on '|' that aren't inside nested braces
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let current = '';
+    for (const char of text) {
+        if (char === '{') depth++;
+        if (char === '}') depth--;
+        if (char === '|' && depth === 0) {
+            parts.push(current);
+            current = '';
+        } else {
+            current += char;
+        }
+    }
+    parts.push(current);
+    return parts;
+}
+
+// Parses 'campo' or 'campo:formato' into { name, format }, or null if it isn't a field reference
+function parseFieldReference(text) {
+    const [rawName, rawFormat, ...rest] = text.trim().split(':');
+    if (rest.length > 0) return null;
+    const name = normalizeFieldName(rawName);
+    if (!IDENTIFIER_PATTERN.test(name)) return null;
+    const format = rawFormat !== undefined ? rawFormat.trim().toLowerCase() : null;
+    if (format !== null && !FORMATS.includes(format)) return null;
+    return { name, format, rawName: rawName.trim() };
+}
+
+// Parses '#if campo', '#if !campo', '#if campo=valor', '#if campo!=valor'
+function parseCondition(text) {
+    const match = /^#if\s+(!?)\s*([^=!]+?)\s*(?:(!?=)\s*(.*))?$/.exec(text.trim());
+    if (!match) return null;
+    const name = normalizeFieldName(match[2]);
+    if (!IDENTIFIER_PATTERN.test(name)) return null;
+    return {
+        name,
+        negate: match[1] === '!',
+        operator: match[3] || null,
+        value: match[4] !== undefined ? match[4].trim() : null
+    };
+}
+
+// Turns a template into a list of nodes:
+//   { type: 'text', value }
+//   { type: 'choice', rawParts, parts: [nodes...] }   placeholder, placeholder-with-default or spintax;
+//                                                     resolved at render time once the columns are known
+//   { type: 'if', condition, then: [nodes], otherwise: [nodes] }
+function parseTemplate(template) {
+    const root = { children: [] };
+    const stack = [root];
+    const current = () => stack[stack.length - 1];
+    let text = '';
+
+    const flushText = () => {
+        if (text) current().children.push({ type: 'text', value: text });
+        text = '';
+    };
+
+    for (let i = 0; i < template.length; i++) {
+        const char = template[i];
+
+        if (char === '{' && template[i + 1] === '{') {
+            text += '{';
+            i++;
+            continue;
+        }
+        if (char === '}' && template[i + 1] === '}') {
+            text += '}';
+            i++;
+            continue;
+        }
+        if (char !== '{') {
+            text += char;
+            continue;
+        }
+
+        const end = findClosingBrace(template, i);
+        if (end === -1) {
+            // Unbalanced brace: keep the rest as literal text
+            text += template.slice(i);
+            break;
+        }
+        const inner = template.slice(i + 1, end);
+        const trimmed = inner.trim();
+        i = end;
+
+        if (trimmed.startsWith('#if')) {
+            const condition = parseCondition(trimmed);
+            if (condition) {
+                flushText();
+                const node = { type: 'if', condition, then: [], otherwise: [] };
+                current().children.push(node);
+                stack.push({ node, children: node.then });
+                continue;
+            }
+        } else if (trimmed === '#else' && stack.length > 1) {
+            flushText();
+            const frame = current();
+            frame.children = frame.node.otherwise;
+            continue;
+        } else if (trimmed === '/if' && stack.length > 1) {
+            flushText();
+            stack.pop();
+            continue;
+        }
+
+        const rawParts = splitTopLevel(inner);
+        if (rawParts.length === 1 && !parseFieldReference(inner)) {
+            // '{Olá!}' and the like aren't placeholders: keep them verbatim
+            text += `{${inner}}`;
+            continue;
+        }
+
+        flushText();
+        current().children.push({
+            type: 'choice',
+            rawParts,
+            parts: rawParts.map(part => parseTemplate(part))
+        });
+    }
+
+    flushText();
+    return root.children;
+}
+
+// Decides how a '{...}' node behaves given the available columns.
+// Returns { kind: 'field', field, defaultNodes } or { kind: 'spintax' }.
+function classifyChoice(node, columns) {
+    const field = parseFieldReference(node.rawParts[0]);
+    if (node.rawParts.length === 1) {
+        return { kind: 'field', field, defaultNodes: null };
+    }
+    if (field && (columns.has(field.name) || (node.rawParts.length === 2 && LOWERCASE_IDENTIFIER_PATTERN.test(field.rawName)))) {
+        return { kind: 'field', field, defaultNodes: node.parts.slice(1).flat() };
+    }
+    return { kind: 'spintax' };
+}
+
+// Accepts '1234.5', '1.234,50', 'R$ 1.234,50', '1234,5'
+function parseLocaleNumber(value) {
+    let text = String(value).replace(/[^\d,.-]/g, '');
+    if (text === '' || text === '-') return null;
+    const lastComma = text.lastIndexOf(',');
+    const lastDot = text.lastIndexOf('.');
+    if (lastComma > -1 && lastDot > -1) {
+        text = lastComma > lastDot ? text.replace(/\./g, '').replace(',', '.') : text.replace(/,/g, '');
+    } else if (lastComma > -1) {
+        text = text.replace(/\./g, '').replace(',', '.');
+    } else if (/^-?\d{1,3}(\.\d{3})+$/.test(text)) {
+        text = text.replace(/\./g, ''); // '1.234' is a thousands separator in pt-BR
+    }
+    const number = Number(text);
+    return Number.isFinite(number) ? number : null;
+}
+
+// Accepts 'AAAA-MM-DD', 'DD/MM/AAAA', 'DD-MM-AAAA' and full ISO timestamps
+function parseLocaleDate(value) {
+    const text = String(value).trim();
+    let match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+    if (match) return new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+    match = /^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/.exec(text);
+    if (match) return new Date(Date.UTC(+match[3], +match[2] - 1, +match[1]));
+    const parsed = new Date(text);
+    return isNaN(parsed.getTime()) ? null : parsed;
+}
+
+// Applies a named format. Values that can't be parsed for the format are returned unchanged.
+function formatValue(value, format) {
+    switch (format) {
+        case 'moeda': {
+            const number = parseLocaleNumber(value);
+            return number === null ? value : new Intl.NumberFormat('pt-BR', { style: 'currency', currency: 'BRL' }).format(number);
+        }
+        case 'numero': {
+            const number = parseLocaleNumber(value);
+            return number === null ? value : new Intl.NumberFormat('pt-BR').format(number);
+        }
+        case 'data': {
+            const date = parseLocaleDate(value);
+            return date === null ? value : new Intl.DateTimeFormat('pt-BR', { timeZone: 'UTC' }).format(date);
+        }
+        case 'data_extenso': {
+            const date = parseLocaleDate(value);
+            return date === null ? value : new Intl.DateTimeFormat('pt-BR', { timeZone: 'UTC', day: 'numeric', month: 'long', year: 'numeric' }).format(date);
+        }
+        case 'maiusculo':
+            return value.toLocaleUpperCase('pt-BR');
+        case 'minusculo':
+            return value.toLocaleLowerCase('pt-BR');
+        case 'primeiro_nome':
+            return value.trim().split(/\s+/)[0];
+        default:
+            return value;
+    }
+}
+
+function lookup(variables, name) {
+    const value = variables[name];
+    if (value === null || value === undefined) return '';
+    return String(value).trim();
+}
+
+function evaluateCondition(condition, variables) {
+    const value = lookup(variables, condition.name);
+    let result;
+    if (condition.operator === '=') result = value.toLowerCase() === condition.value.toLowerCase();
+    else if (condition.operator === '!=') result = value.toLowerCase() !== condition.value.toLowerCase();
+    else result = value !== '';
+    return condition.negate ? !result : result;
+}
+
+function renderNodes(nodes, variables, columns, random, missing) {
+    let output = '';
+    for (const node of nodes) {
+        if (node.type === 'text') {
+            output += node.value;
+        } else if (node.type === 'if') {
+            const branch = evaluateCondition(node.condition, variables) ? node.then : node.otherwise;
+            output += renderNodes(branch, variables, columns, random, missing);
+        } else {
+            const choice = classifyChoice(node, columns);
+            if (choice.kind === 'spintax') {
+                const index = Math.min(Math.floor(random() * node.parts.length), node.parts.length - 1);
+                output += renderNodes(node.parts[index], variables, columns, random, missing);
+                continue;
+            }
+            const value = lookup(variables, choice.field.name);
+            if (value !== '') {
+                output += formatValue(value, choice.field.format);
+            } else if (choice.defaultNodes) {
+                output += renderNodes(choice.defaultNodes, variables, columns, random, missing);
+            } else {
+                missing.add(choice.field.name);
+            }
+        }
+    }
+    return output;
+}
+
+// Normalizes variable keys the same way CSV columns are normalized
+function normalizeVariables(variables) {
+    const normalized = {};
+    for (const key in variables || {}) {
+        normalized[normalizeFieldName(key)] = variables[key];
+    }
+    return normalized;
+}
+
+// Variables for one bulk recipient: every CSV column, with {nome}, {numero} and {cpf} taken from the
+// validated recipient (so {numero} is the normalized number that is actually messaged).
+// Shared by the bulk worker and the mailing preview so both render the same message.
+function buildRecipientVariables({ name, number, cpf, fields }) {
+    return {
+        ...(fields || {}),
+        nome: name || '',
+        numero: number,
+        cpf: cpf || ''
+    };
+}
+
+// Renders a template for one recipient.
+// Returns { text, missing } where missing lists placeholders that had no value and no default
+// (they render as empty text).
+function renderTemplate(template, variables, { random = Math.random } = {}) {
+    const normalized = normalizeVariables(variables);
+    const columns = new Set(Object.keys(normalized));
+    const missing = new Set();
+    const text = renderNodes(parseTemplate(template || ''), normalized, columns, random, missing);
+    return { text, missing: [...missing] };
+}
+
+function collectFields(nodes, columns, fields) {
+    for (const node of nodes) {
+        if (node.type === 'if') {
+            fields.push({ name: node.condition.name, hasDefault: true });
+            collectFields(node.then, columns, fields);
+            collectFields(node.otherwise, columns, fields);
+        } else if (node.type === 'choice') {
+            const choice = classifyChoice(node, columns);
+            if (choice.kind === 'field') {
+                fields.push({ name: choice.field.name, hasDefault: !!choice.defaultNodes });
+                if (choice.defaultNodes) collectFields(choice.defaultNodes, columns, fields);
+            } else {
+                node.parts.forEach(part => collectFields(part, columns, fields));
+            }
+        }
+    }
+}
+
+// Static analysis against the CSV header: which columns the template uses and which
+// placeholders refer to columns that don't exist (and have no default to fall back on).
+function analyzeTemplate(template, columnNames) {
+    const columns = new Set(columnNames.map(normalizeFieldName));
+    const fields = [];
+    collectFields(parseTemplate(template || ''), columns, fields);
+
+    const placeholders = [...new Set(fields.map(field => field.name))];
+    const unknownColumns = [...new Set(fields.filter(field => !columns.has(field.name) && !field.hasDefault).map(field => field.name))];
+    return { placeholders, unknownColumns };
+}
+
+module.exports = {
+    FORMATS,
+    normalizeFieldName,
+    parseTemplate,
+    renderTemplate,
+    buildRecipientVariables,
+    analyzeTemplate,
+    formatValue
+};
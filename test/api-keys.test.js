@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createLocalDatabase } = require('../local-db');
+const { hasRole, readApiKey, requireRole, createApiKeyAuth } = require('../api-keys');
+
+const ADMIN_KEY = 'chave-de-administrador-de-teste';
+
+let tempDir;
+let supabase;
+
+before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'api-keys-test-'));
+    supabase = createLocalDatabase({ filePath: path.join(tempDir, 'db.json') });
+});
+
+after(async () => {
+    await supabase.flush();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('roles are cumulative', () => {
+    assert.equal(hasRole('admin', 'viewer'), true);
+    assert.equal(hasRole('agent', 'agent'), true);
+    assert.equal(hasRole('viewer', 'agent'), false);
+    assert.equal(hasRole(undefined, 'viewer'), false);
+    assert.equal(hasRole('root', 'viewer'), false);
+});
+
+test('readApiKey accepts X-API-Key and Bearer', () => {
+    assert.equal(readApiKey({ headers: { 'x-api-key': ' abc ' } }), 'abc');
+    assert.equal(readApiKey({ headers: { authorization: 'bearer abc' } }), 'abc');
+    assert.equal(readApiKey({ headers: { authorization: 'Basic abc' } }), null);
+    assert.equal(readApiKey({ headers: {} }), null);
+});
+
+test('requireRole answers 403 below the role', () => {
+    const respond = (apiKey) => {
+        const outcome = {};
+        const res = { status(code) { outcome.status = code; return this; }, json() { return this; } };
+        requireRole('agent')({ apiKey }, res, () => { outcome.next = true; });
+        return outcome;
+    };
+    assert.deepEqual(respond({ role: 'admin' }), { next: true });
+    assert.deepEqual(respond({ role: 'viewer' }), { status: 403 });
+    assert.deepEqual(respond(undefined), { status: 403 });
+});
+
+test('created keys authenticate until revoked, and only their hash is stored', async () => {
+    const auth = createApiKeyAuth({ supabase, adminKey: ADMIN_KEY });
+    assert.deepEqual(await auth.authenticate(ADMIN_KEY), { id: null, name: 'API_ADMIN_KEY', role: 'admin' });
+    assert.equal((await auth.createKey({ name: ' ', role: 'dono' })).code, 'VALIDATION_ERROR');
+
+    const { apiKey } = await auth.createKey({ name: 'Painel', role: 'viewer' });
+    assert.match(apiKey.key, /^wpp_/);
+    assert.equal(apiKey.key_prefix, apiKey.key.slice(0, 10));
+    const { data: stored } = await supabase.from('api_keys').select('*').eq('id', apiKey.id).single();
+    assert.notEqual(stored.key_hash, apiKey.key);
+    assert.equal(JSON.stringify(stored).includes(apiKey.key), false);
+
+    assert.deepEqual(await auth.authenticate(apiKey.key), { id: apiKey.id, name: 'Painel', role: 'viewer' });
+    assert.equal(await auth.authenticate('wpp_outra'), null);
+
+    assert.equal((await auth.revokeKey(apiKey.id)).apiKey.id, apiKey.id);
+    assert.equal(await auth.authenticate(apiKey.key), null);
+    assert.equal((await auth.revokeKey(apiKey.id)).code, 'NOT_FOUND');
+});
@@ -0,0 +1,115 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createLocalDatabase } = require('../local-db');
+const { validateRuleInput, validateRulePattern, ruleMatchesMessage, createAutoResponder } = require('../auto-responder');
+
+const settings = {
+    auto_reply_enabled: true,
+    auto_reply_message: 'Olá {nome}! Já respondemos.',
+    auto_reply_cooldown_minutes: 0,
+    group_messages: 'auto_reply',
+    business_hours_days: [1, 2, 3, 4, 5],
+    business_hours_start: '09:00',
+    business_hours_end: '18:00',
+    business_hours_timezone: 'America/Sao_Paulo'
+};
+
+let tempDir;
+let supabase;
+let responder;
+
+before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-responder-test-'));
+    supabase = createLocalDatabase({ filePath: path.join(tempDir, 'db.json') });
+    responder = createAutoResponder({ supabase, wss: null, getSettings: () => settings });
+});
+
+after(async () => {
+    await supabase.flush();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('validateRuleInput fills defaults and reports invalid fields', () => {
+    const { values, errors } = validateRuleInput({ name: ' Preço ', match_type: 'keyword', pattern: 'preço', response: 'R$ 10' });
+    assert.deepEqual(errors, {});
+    assert.deepEqual(values, { name: 'Preço', match_type: 'keyword', schedule: 'always', scope: 'private', response: 'R$ 10', pattern: 'preço', priority: 100, enabled: true });
+
+    const invalid = validateRuleInput({ name: '', match_type: 'glob', scope: 'channel', response: '', priority: 1.5, enabled: 'yes' });
+    assert.deepEqual(Object.keys(invalid.errors).sort(), ['enabled', 'match_type', 'name', 'priority', 'response', 'scope']);
+
+    assert.deepEqual(validateRuleInput({ priority: 5 }, { partial: true }), { values: { priority: 5 }, errors: {} });
+    assert.ok(validateRuleInput([]).errors._body);
+});
+
+test('validateRulePattern checks keywords and regular expressions', () => {
+    assert.equal(validateRulePattern({ match_type: 'keyword', pattern: 'oi, olá' }), null);
+    assert.ok(validateRulePattern({ match_type: 'keyword', pattern: ' , ' }));
+    assert.equal(validateRulePattern({ match_type: 'regex', pattern: '^pedido \\d+$' }), null);
+    assert.ok(validateRulePattern({ match_type: 'regex', pattern: '(' }));
+    assert.ok(validateRulePattern({ match_type: 'regex', pattern: null }));
+});
+
+test('validateRulePattern refuses nested quantifiers', () => {
+    assert.ok(validateRulePattern({ match_type: 'regex', pattern: '(a+)+$' }));
+    assert.ok(validateRulePattern({ match_type: 'regex', pattern: '((\\w+\\s?))*x' }));
+    assert.ok(validateRulePattern({ match_type: 'regex', pattern: '(a{2,})*' }));
+    assert.equal(validateRulePattern({ match_type: 'regex', pattern: '(oi|olá)+' }), null);
+    assert.equal(validateRulePattern({ match_type: 'regex', pattern: '[(a+)]+' }), null);
+    assert.equal(validateRulePattern({ match_type: 'regex', pattern: '\\(a+\\)+' }), null);
+});
+
+test('keyword rules match whole words ignoring case and accents', () => {
+    const rule = { match_type: 'keyword', pattern: 'preco, horario de funcionamento' };
+    assert.equal(ruleMatchesMessage(rule, 'Qual o PREÇO?'), true);
+    assert.equal(ruleMatchesMessage(rule, 'Qual o horário de funcionamento'), true);
+    assert.equal(ruleMatchesMessage(rule, 'precos'), false);
+    assert.equal(ruleMatchesMessage(rule, ''), false);
+    assert.equal(ruleMatchesMessage({ match_type: 'any' }, ''), true);
+});
+
+test('regex rules only match with a compiled pattern', () => {
+    const rule = { match_type: 'regex', pattern: 'pedido \\d+' };
+    assert.equal(ruleMatchesMessage(rule, 'Meu PEDIDO 123', /pedido \d+/i), true);
+    assert.equal(ruleMatchesMessage(rule, 'Meu pedido 123'), false);
+});
+
+test('findReply picks rules by priority and scope and falls back to the default message', async () => {
+    assert.ok((await responder.createRule({ name: 'Grupo', match_type: 'any', scope: 'group', response: 'Oi, grupo', priority: 1 })).rule);
+    assert.ok((await responder.createRule({ name: 'Preço', match_type: 'keyword', pattern: 'preco', response: 'Custa R$ 10', priority: 10 })).rule);
+    assert.ok((await responder.createRule({ name: 'Pedido', match_type: 'regex', pattern: 'pedido \\d+', response: 'Vamos verificar o pedido, {nome}.', scope: 'all', priority: 20 })).rule);
+
+    assert.equal(responder.findReply('qual o preço?', 'a@c.us', 'Ana').ruleName, 'Preço');
+    assert.equal(responder.findReply('pedido 42', 'a@c.us', 'Ana').text, 'Vamos verificar o pedido, Ana.');
+    assert.equal(responder.findReply('bom dia', 'a@c.us', 'Ana').text, 'Olá Ana! Já respondemos.');
+
+    assert.equal(responder.findReply('qual o preço?', 'g@g.us', 'Ana', { isGroup: true }).ruleName, 'Grupo');
+    settings.group_messages = 'ignore';
+    assert.equal(responder.findReply('qual o preço?', 'g@g.us', 'Ana', { isGroup: true }), null);
+    settings.group_messages = 'auto_reply';
+});
+
+test('findReply keeps $ sequences of the contact name as typed', () => {
+    assert.equal(responder.findReply('bom dia', 'b@c.us', 'Zé $& $1').text, 'Olá Zé $& $1! Já respondemos.');
+});
+
+test('createRule refuses a catastrophic regular expression', async () => {
+    const result = await responder.createRule({ name: 'Lenta', match_type: 'regex', pattern: '(a+)+$', response: 'x' });
+    assert.equal(result.code, 'VALIDATION_ERROR');
+    assert.ok(result.errors.pattern);
+});
+
+test('findReply honors the per-contact cooldown', () => {
+    settings.auto_reply_cooldown_minutes = 10;
+    try {
+        const reply = responder.findReply('bom dia', 'c@c.us', 'Caio');
+        responder.markReplied(reply);
+        assert.equal(responder.findReply('bom dia', 'c@c.us', 'Caio'), null);
+        assert.ok(responder.findReply('bom dia', 'd@c.us', 'Duda'));
+    } finally {
+        settings.auto_reply_cooldown_minutes = 0;
+    }
+});
@@ -0,0 +1,58 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createLocalDatabase } = require('../local-db');
+const { normalizeBlocklistNumber, isOptOutMessage, isNumberBlocked, addToBlocklist } = require('../blocklist');
+
+const KEYWORDS = ['SAIR', 'PARAR', 'Não quero'];
+
+let tempDir;
+let supabase;
+
+before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'blocklist-test-'));
+    supabase = createLocalDatabase({ filePath: path.join(tempDir, 'db.json') });
+});
+
+after(async () => {
+    await supabase.flush();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('isOptOutMessage matches whole messages ignoring case, accents and punctuation', () => {
+    assert.equal(isOptOutMessage('sair', KEYWORDS), true);
+    assert.equal(isOptOutMessage('  Parar!! ', KEYWORDS), true);
+    assert.equal(isOptOutMessage('NAO QUERO', KEYWORDS), true);
+    assert.equal(isOptOutMessage('não quero parar de receber', KEYWORDS), false);
+    assert.equal(isOptOutMessage('sair?', []), false);
+    assert.equal(isOptOutMessage('', KEYWORDS), false);
+    assert.equal(isOptOutMessage('!!!', KEYWORDS), false);
+});
+
+test('normalizeBlocklistNumber accepts phone numbers and WhatsApp IDs', () => {
+    assert.equal(normalizeBlocklistNumber('+55 (11) 99999-9999'), '5511999999999');
+    assert.equal(normalizeBlocklistNumber('551199999999@c.us'), '5511999999999');
+    assert.equal(normalizeBlocklistNumber('14155551234@c.us'), '14155551234');
+    assert.equal(normalizeBlocklistNumber('abc'), null);
+});
+
+test('isNumberBlocked matches with and without the ninth digit', async () => {
+    assert.ok(await addToBlocklist(supabase, '553199991111@c.us', { reason: 'Palavra-chave: SAIR', source: 'keyword' }));
+    assert.equal(await isNumberBlocked(supabase, '(31) 99999-1111'), true);
+    assert.equal(await isNumberBlocked(supabase, '553199991111'), true);
+    assert.equal(await isNumberBlocked(supabase, '(31) 99999-2222'), false);
+});
+
+test('isNumberBlocked fails closed on DB errors', async () => {
+    const failing = {
+        from: () => ({
+            select() { return this; },
+            in() { return this; },
+            limit: async () => ({ data: null, error: { message: 'connection refused' } })
+        })
+    };
+    assert.equal(await isNumberBlocked(failing, '11988887777'), true);
+});
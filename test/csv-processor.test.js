@@ -0,0 +1,57 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseMailingCsv } = require('../csv-processor');
+
+const csv = (...lines) => Buffer.from(lines.join('\n'));
+
+test('parseMailingCsv normalizes the columns and numbers', async () => {
+    const { records, columns, invalid, duplicates } = await parseMailingCsv(csv(
+        'Nome,Numero,CPF,Data Vencimento',
+        'Ana,(11) 98888-7777,123.456.789-00,05/03/2026',
+        'Beto,+55 31 3333-4444,,'
+    ));
+    assert.deepEqual(columns, ['nome', 'numero', 'cpf', 'data_vencimento']);
+    assert.deepEqual(records, [
+        { line: 2, name: 'Ana', number: '5511988887777', cpf: '123.456.789-00', fields: { nome: 'Ana', numero: '(11) 98888-7777', cpf: '123.456.789-00', data_vencimento: '05/03/2026' } },
+        { line: 3, name: 'Beto', number: '553133334444', cpf: null, fields: { nome: 'Beto', numero: '+55 31 3333-4444', cpf: '', data_vencimento: '' } }
+    ]);
+    assert.deepEqual(invalid, []);
+    assert.deepEqual(duplicates, []);
+});
+
+test('parseMailingCsv reports rows that cannot be sent with their line', async () => {
+    const { records, invalid } = await parseMailingCsv(csv(
+        'nome,numero',
+        ',11988887777',
+        'Carla,',
+        'Davi,123',
+        'Eva,11977776666'
+    ));
+    assert.deepEqual(records.map(record => record.line), [5]);
+    assert.deepEqual(invalid.map(({ line, nome, numero, code }) => ({ line, nome, numero, code })), [
+        { line: 2, nome: null, numero: '11988887777', code: 'MISSING_NAME' },
+        { line: 3, nome: 'Carla', numero: null, code: 'MISSING_NUMBER' },
+        { line: 4, nome: 'Davi', numero: '123', code: 'INVALID_NUMBER' }
+    ]);
+});
+
+test('parseMailingCsv keeps the first row of a repeated number', async () => {
+    const { records, duplicates } = await parseMailingCsv(csv(
+        'Nome,Numero',
+        'Ana,11988887777',
+        'Beto,11977776666',
+        // The same number written another way, and without the ninth digit
+        'Ana de novo,+55 (11) 98888-7777',
+        'Ana sem nove,1188887777'
+    ));
+    assert.deepEqual(records.map(record => record.name), ['Ana', 'Beto']);
+    assert.deepEqual(duplicates, [
+        { line: 4, nome: 'Ana de novo', numero: '5511988887777', duplicate_of_line: 2 },
+        { line: 5, nome: 'Ana sem nove', numero: '5511988887777', duplicate_of_line: 2 }
+    ]);
+});
+
+test('parseMailingCsv rejects malformed CSV', async () => {
+    await assert.rejects(parseMailingCsv(csv('Nome,Numero', 'Ana,11988887777,extra')), { code: 'CSV_PARSE_ERROR' });
+});
@@ -0,0 +1,191 @@
+// The local JSON backend against the query shapes the DB helpers send to supabase-js.
+// Run with `npm test`.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createLocalDatabase } = require('../local-db');
+
+let tempDir;
+let supabase;
+
+before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'local-db-test-'));
+    supabase = createLocalDatabase({ filePath: path.join(tempDir, 'db.json') });
+});
+
+after(async () => {
+    await supabase.flush();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('insert fills in defaults and returns the row', async () => {
+    const { data, error } = await supabase
+        .from('messages')
+        .insert({ sender_number: '5511988887777@c.us', body: 'oi', timestamp: new Date('2026-10-19T12:00:00Z') })
+        .select()
+        .single();
+    assert.equal(error, null);
+    assert.equal(typeof data.id, 'number');
+    assert.equal(data.status, 'pending');
+    assert.equal(data.is_outgoing, true);
+    assert.equal(data.timestamp, '2026-10-19T12:00:00.000Z');
+    assert.match(data.created_at, /^\d{4}-\d{2}-\d{2}T/);
+
+    const { data: job } = await supabase.from('bulk_jobs').insert({ message_template: 'Oi {nome}' }).select('id, state, total').single();
+    assert.match(job.id, /^[0-9a-f-]{36}$/);
+    assert.deepEqual({ state: job.state, total: job.total }, { state: 'queued', total: 0 });
+});
+
+test('filters, or() trees, order and range', async () => {
+    const { data: job } = await supabase.from('bulk_jobs').insert({}).select().single();
+    await supabase.from('bulk_queue').insert([
+        { bulk_job_id: job.id, position: 1, recipient_number: '5511900000001', recipient_name: 'Ana', status: 'sent', attempted_at: '2026-10-19T10:00:00Z' },
+        { bulk_job_id: job.id, position: 2, recipient_number: '5511900000002', recipient_name: 'beto', status: 'failed', attempted_at: '2026-10-19T09:00:00Z' },
+        { bulk_job_id: job.id, position: 3, recipient_number: '5511900000003', recipient_name: 'Carla', status: 'queued' },
+        { bulk_job_id: job.id, position: 10, recipient_number: '5511900000010', recipient_name: 'Davi', status: 'queued' }
+    ]);
+    const queue = () => supabase.from('bulk_queue').select('position').eq('bulk_job_id', job.id);
+    const positions = async (query) => {
+        const { data, error } = await query;
+        assert.equal(error, null);
+        return data.map(row => row.position);
+    };
+
+    assert.deepEqual(await positions(queue().eq('status', 'queued').order('position').limit(1)), [3]);
+    // Numbers compare numerically, not as text
+    assert.deepEqual(await positions(queue().gt('position', 2).order('position')), [3, 10]);
+    assert.deepEqual(await positions(queue().in('status', ['sent', 'failed']).order('position', { ascending: false })), [2, 1]);
+    assert.deepEqual(await positions(queue().is('attempted_at', null).neq('position', 3)), [10]);
+    assert.deepEqual(await positions(queue().ilike('recipient_name', '%B%')), [2]);
+    assert.deepEqual(await positions(queue().lt('attempted_at', new Date('2026-10-19T09:30:00Z'))), [2]);
+    // Rows without a value go last unless nullsFirst
+    assert.deepEqual(await positions(queue().order('attempted_at', { ascending: false, nullsFirst: false }).order('position')), [1, 2, 3, 10]);
+    assert.deepEqual(await positions(queue().order('attempted_at', { ascending: false }).order('position')), [3, 10, 1, 2]);
+    assert.deepEqual(await positions(queue().order('position').range(1, 2)), [2, 3]);
+
+    // The shapes conversations.js and contacts.js send
+    assert.deepEqual(await positions(queue().or('recipient_number.in.("5511900000001","5511900000003"),recipient_name.ilike.%davi%').order('position')), [1, 3, 10]);
+    assert.deepEqual(await positions(queue().or('attempted_at.lt."2026-10-19T10:00:00Z",and(attempted_at.eq."2026-10-19T10:00:00Z",position.lt.5)').order('position')), [1, 2]);
+
+    const { data, count } = await supabase.from('bulk_queue').select('id', { count: 'exact', head: true }).eq('bulk_job_id', job.id).eq('status', 'queued');
+    assert.equal(data, null);
+    assert.equal(count, 2);
+    const paged = await supabase.from('bulk_queue').select('*', { count: 'exact' }).eq('bulk_job_id', job.id).order('position').range(0, 0);
+    assert.equal(paged.data.length, 1);
+    assert.equal(paged.count, 4);
+});
+
+test('single() and maybeSingle() need one row', async () => {
+    await supabase.from('settings').insert({ key: 'single_test', value: 1 });
+    const one = await supabase.from('settings').select('value').eq('key', 'single_test').single();
+    assert.deepEqual(one.data, { value: 1 });
+
+    const none = await supabase.from('settings').select('value').eq('key', 'nope').single();
+    assert.equal(none.data, null);
+    assert.equal(none.error.code, 'PGRST116');
+    assert.deepEqual(await supabase.from('settings').select('value').eq('key', 'nope').maybeSingle(), { data: null, error: null, count: null });
+
+    await supabase.from('settings').insert({ key: 'single_test_2', value: 2 });
+    const many = await supabase.from('settings').select('value').like('key', 'single_test%').maybeSingle();
+    assert.equal(many.error.code, 'PGRST116');
+});
+
+test('upsert updates the row that has the same onConflict columns', async () => {
+    const first = await supabase.from('conversation_reads').upsert({ session_id: 'default', contact_number: '5511988887777', last_read_at: new Date('2026-10-19T10:00:00Z') }, { onConflict: 'session_id,contact_number' });
+    assert.equal(first.error, null);
+    await supabase.from('conversation_reads').upsert({ session_id: 'default', contact_number: '5511988887777', last_read_at: new Date('2026-10-19T11:00:00Z') }, { onConflict: 'session_id,contact_number' });
+    const { data } = await supabase.from('conversation_reads').select('*').eq('contact_number', '5511988887777');
+    assert.deepEqual(data, [{ session_id: 'default', contact_number: '5511988887777', last_read_at: '2026-10-19T11:00:00.000Z' }]);
+
+    await supabase.from('contacts_blocklist').upsert({ number: '5511911112222', reason: 'a' }, { onConflict: 'number' });
+    const { data: blocked } = await supabase.from('contacts_blocklist').upsert({ number: '5511911112222', reason: 'b' }, { onConflict: 'number' }).select();
+    assert.equal(blocked.length, 1);
+    assert.equal(blocked[0].reason, 'b');
+});
+
+test('unique constraints reject the whole statement', async () => {
+    await supabase.from('operators').insert({ name: 'Ana', number: '5531999990001' });
+    const { error } = await supabase.from('operators').insert([
+        { name: 'Beto', number: '5531999990002' },
+        { name: 'Ana de novo', number: '5531999990001' }
+    ]);
+    assert.equal(error.code, '23505');
+    const { count } = await supabase.from('operators').select('id', { count: 'exact', head: true }).like('number', '553199999000%');
+    assert.equal(count, 1);
+
+    const { data: beto } = await supabase.from('operators').insert({ name: 'Beto', number: '5531999990002' }).select().single();
+    const update = await supabase.from('operators').update({ number: '5531999990001' }).eq('id', beto.id);
+    assert.equal(update.error.code, '23505');
+});
+
+test('only one open assignment per conversation', async () => {
+    const assignment = { session_id: 'default', contact_number: '5511977776666', chat_id: '5511977776666@c.us', status: 'open' };
+    const { data: open } = await supabase.from('conversation_assignments').insert(assignment).select().single();
+
+    const second = await supabase.from('conversation_assignments').insert(assignment);
+    assert.equal(second.error.code, '23505');
+    assert.match(second.error.message, /conversation_assignments_open_idx/);
+    // Another session, or resolved assignments, don't count
+    assert.equal((await supabase.from('conversation_assignments').insert({ ...assignment, session_id: 'vendas' })).error, null);
+    assert.equal((await supabase.from('conversation_assignments').insert({ ...assignment, status: 'resolved' })).error, null);
+
+    await supabase.from('conversation_assignments').update({ status: 'resolved' }).eq('id', open.id);
+    assert.equal((await supabase.from('conversation_assignments').insert(assignment)).error, null);
+    const reopened = await supabase.from('conversation_assignments').update({ status: 'open' }).eq('id', open.id);
+    assert.equal(reopened.error.code, '23505');
+});
+
+test('unknown tables and columns are errors', async () => {
+    assert.equal((await supabase.from('nope').select('*')).error.code, '42P01');
+    assert.equal((await supabase.from('messages').select('nope')).error.code, '42703');
+    assert.equal((await supabase.from('messages').select('*').eq('nope', 1)).error.code, '42703');
+    assert.equal((await supabase.from('messages').select('*').or('body.eq.x,nope.eq.y')).error.code, '42703');
+    assert.equal((await supabase.from('messages').insert({ nope: 1 })).error.code, '42703');
+    assert.equal((await supabase.from('messages').update({ nope: 1 }).eq('id', 1)).error.code, '42703');
+});
+
+test('deletes cascade or set references to null', async () => {
+    const { data: message } = await supabase.from('messages').insert({ body: 'com anexo' }).select().single();
+    const { data: forward } = await supabase.from('messages').insert({ body: 'encaminhada', related_message_id: message.id }).select().single();
+    await supabase.from('message_media').insert({ message_db_id: message.id, storage_key: 'a.jpg' });
+    await supabase.from('message_media').upsert({ message_db_id: message.id, storage_key: 'b.jpg' }, { onConflict: 'message_db_id' });
+
+    const removed = await supabase.from('messages').delete().eq('id', message.id).select('id');
+    assert.deepEqual(removed.data, [{ id: message.id }]);
+    assert.deepEqual((await supabase.from('message_media').select('*').eq('message_db_id', message.id)).data, []);
+    assert.equal((await supabase.from('messages').select('related_message_id').eq('id', forward.id).single()).data.related_message_id, null);
+});
+
+test('changes survive a restart through the journal', async () => {
+    const filePath = path.join(tempDir, 'restart.json');
+    const first = createLocalDatabase({ filePath });
+    const { data: kept } = await first.from('contacts').insert({ number: '5511955554444', name: 'Ana', tags: ['vip'] }).select().single();
+    const { data: removed } = await first.from('contacts').insert({ number: '5511955553333', name: 'Beto' }).select().single();
+    await first.from('contacts').update({ name: 'Ana Maria' }).eq('id', kept.id);
+    await first.from('contacts').delete().eq('id', removed.id);
+    await first.flush();
+    // Only the changes were written
+    assert.equal(fs.existsSync(filePath), false);
+    assert.equal(fs.readFileSync(`${filePath}.journal`, 'utf8').trim().split('\n').length, 4);
+
+    // A line cut short by a crash is left out
+    fs.appendFileSync(`${filePath}.journal`, '{"table":"contacts","row":{"id":9');
+    const second = createLocalDatabase({ filePath });
+    const { data } = await second.from('contacts').select('id, name, tags');
+    assert.deepEqual(data, [{ id: kept.id, name: 'Ana Maria', tags: ['vip'] }]);
+    // Ids aren't reused
+    const { data: next } = await second.from('contacts').insert({ number: '5511955552222', name: 'Carla' }).select('id').single();
+    assert.equal(next.id, removed.id + 1);
+    await second.flush();
+
+    // The journal was folded into the file on start-up
+    assert.equal(fs.existsSync(filePath), true);
+    assert.equal(fs.readFileSync(`${filePath}.journal`, 'utf8').trim().split('\n').length, 1);
+    const third = createLocalDatabase({ filePath });
+    assert.equal((await third.from('contacts').select('id', { count: 'exact', head: true })).count, 2);
+    await third.flush();
+});
@@ -0,0 +1,49 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { parseOperatorCommand, createOperatorRelay } = require('../operator-relay');
+
+test('parseOperatorCommand reads /r with a number and text', () => {
+    assert.deepEqual(parseOperatorCommand('/r 31999998888 Bom dia!'), { action: 'reply', number: '31999998888', text: 'Bom dia!' });
+    assert.deepEqual(parseOperatorCommand('  /R +55(31)99999-8888   Linha 1\nLinha 2 '), { action: 'reply', number: '+55(31)99999-8888', text: 'Linha 1\nLinha 2' });
+    // The number is a single token, and the text is required
+    assert.equal(parseOperatorCommand('/r 31 99999-8888 Bom dia'), null);
+    assert.equal(parseOperatorCommand('/r 31999998888'), null);
+    assert.equal(parseOperatorCommand('/r 1234 oi'), null);
+});
+
+test('parseOperatorCommand reads /fim with or without a number', () => {
+    assert.deepEqual(parseOperatorCommand('/fim'), { action: 'end', number: null });
+    assert.deepEqual(parseOperatorCommand('/FIM 31999998888 '), { action: 'end', number: '31999998888' });
+    assert.equal(parseOperatorCommand('/fim obrigado'), null);
+    assert.equal(parseOperatorCommand('/fimm'), null);
+});
+
+test('parseOperatorCommand leaves plain text alone', () => {
+    assert.equal(parseOperatorCommand('Bom dia, tudo bem?'), null);
+    assert.equal(parseOperatorCommand(''), null);
+    assert.equal(parseOperatorCommand(null), null);
+});
+
+test('handoffs pause a conversation until they expire or end', () => {
+    const events = [];
+    const relay = createOperatorRelay({
+        supabase: null,
+        wss: { broadcast: event => events.push(event.payload.action) },
+        getSettings: () => ({ handoff_timeout_minutes: 30, default_country_code: '55' })
+    });
+
+    relay.startHandoff('default', '5531999998888', '5531999998888@c.us');
+    assert.equal(relay.isHandedOff('default', '5531999998888'), true);
+    assert.equal(relay.isHandedOff('outra', '5531999998888'), false);
+    assert.deepEqual(relay.listHandoffs('default').map(handoff => handoff.contact), ['5531999998888']);
+
+    assert.equal(relay.endHandoff('default', '5531999998888').contact, '5531999998888');
+    assert.equal(relay.isHandedOff('default', '5531999998888'), false);
+    assert.equal(relay.endHandoff('default', '5531999998888'), null);
+
+    // Last reply 31 minutes ago
+    relay.startHandoff('default', '5511988887777', '5511988887777@c.us', Date.now() - 31 * 60 * 1000);
+    assert.equal(relay.isHandedOff('default', '5511988887777'), false);
+    assert.deepEqual(events, ['started', 'ended', 'started', 'expired']);
+});
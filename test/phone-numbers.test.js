@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizePhoneNumber, getNumberVariants, getWhatsappIdCandidates, resolveWhatsappId } = require('../phone-numbers');
+
+const digitsOf = (input, options) => normalizePhoneNumber(input, options)?.digits || null;
+
+test('normalizes Brazilian national numbers to E.164', () => {
+    assert.deepEqual(normalizePhoneNumber('(11) 99999-9999'), { digits: '5511999999999', e164: '+5511999999999' });
+    assert.equal(digitsOf('31 3333-4444'), '553133334444');
+    assert.equal(digitsOf('+55 31 99999-1111'), '5531999991111');
+    assert.equal(digitsOf('5531999991111'), '5531999991111');
+});
+
+test('adds the ninth digit to mobiles written without it', () => {
+    assert.equal(digitsOf('31 9999-1111'), '5531999991111');
+    assert.equal(digitsOf('553199991111'), '5531999991111');
+});
+
+test('drops the trunk zero and the carrier code', () => {
+    assert.equal(digitsOf('011 98888-7777'), '5511988887777');
+    assert.equal(digitsOf('0 21 11 98888-7777'), '5511988887777');
+});
+
+test('keeps DDD 55 numbers national', () => {
+    assert.equal(digitsOf('55 99999-8888'), '5555999998888');
+});
+
+test('rejects numbers that cannot be valid', () => {
+    assert.equal(normalizePhoneNumber(null), null);
+    assert.equal(normalizePhoneNumber('abc'), null);
+    assert.equal(normalizePhoneNumber('11 1234-5678'), null); // Landlines don't start with 1
+    assert.equal(normalizePhoneNumber('11 89999-8888'), null); // 9-digit subscribers are mobiles
+    assert.equal(normalizePhoneNumber('+1234567890123456'), null);
+});
+
+test('applies another default country code', () => {
+    assert.equal(digitsOf('(415) 555-1234', { defaultCountryCode: '1' }), '14155551234');
+    assert.equal(digitsOf('14155551234', { defaultCountryCode: '1' }), '14155551234');
+    assert.equal(digitsOf('+44 20 7946 0958', { defaultCountryCode: '1' }), '442079460958');
+});
+
+test('reads WhatsApp IDs as international', () => {
+    assert.equal(digitsOf('14155551234@c.us', { defaultCountryCode: '55' }), '14155551234');
+    assert.equal(digitsOf('4915112345678@c.us', { defaultCountryCode: '55' }), '4915112345678');
+    assert.equal(digitsOf('14155551234@s.whatsapp.net', { defaultCountryCode: '55' }), '14155551234');
+    assert.equal(digitsOf('553199991111@c.us', { defaultCountryCode: '55' }), '5531999991111');
+});
+
+test('lists both forms of a Brazilian mobile', () => {
+    assert.deepEqual(getNumberVariants('5531999991111'), ['5531999991111', '553199991111']);
+    assert.deepEqual(getNumberVariants('553133334444'), ['553133334444']);
+    assert.deepEqual(getNumberVariants('14155551234'), ['14155551234']);
+});
+
+test('puts the likely WhatsApp ID first by DDD', () => {
+    assert.deepEqual(getWhatsappIdCandidates('5511988887777'), ['5511988887777@c.us', '551188887777@c.us']);
+    assert.deepEqual(getWhatsappIdCandidates('5531999991111'), ['553199991111@c.us', '5531999991111@c.us']);
+});
+
+test('resolves the registered WhatsApp ID', async () => {
+    const asked = [];
+    const client = {
+        async getNumberId(id) {
+            asked.push(id);
+            return id === '5531999991111@c.us' ? { _serialized: id } : null;
+        }
+    };
+    assert.deepEqual(await resolveWhatsappId(client, '5531999991111', { verify: true }), { id: '5531999991111@c.us' });
+    assert.deepEqual(asked, ['553199991111@c.us', '5531999991111@c.us']);
+    assert.deepEqual(await resolveWhatsappId(client, '5531999991111'), { id: '553199991111@c.us' });
+
+    const missing = await resolveWhatsappId(client, '14155551234', { verify: true });
+    assert.equal(missing.code, 'NOT_ON_WHATSAPP');
+});
@@ -0,0 +1,75 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { createRateLimiter, estimateSendDurationMs } = require('../rate-limiter');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const baseSettings = {
+    send_delay_min_ms: 1000,
+    send_delay_max_ms: 3000,
+    rate_limit_per_minute: 1000,
+    rate_limit_per_hour: 100000,
+    cooldown_every: 0,
+    cooldown_ms: 0,
+    send_window_enabled: false,
+    send_window_days: [1, 2, 3, 4, 5],
+    send_window_start: '08:00',
+    send_window_end: '20:00',
+    send_window_timezone: 'America/Sao_Paulo'
+};
+
+test('estimateSendDurationMs spaces sends by the average jitter', () => {
+    assert.equal(estimateSendDurationMs(0, baseSettings), 0);
+    assert.equal(estimateSendDurationMs(1, baseSettings), 0);
+    assert.equal(estimateSendDurationMs(11, baseSettings), 10 * 2000);
+    // A max below the min counts as the min
+    assert.equal(estimateSendDurationMs(3, { ...baseSettings, send_delay_max_ms: 0 }), 2 * 1000);
+});
+
+test('estimateSendDurationMs applies the per-minute and per-hour caps', () => {
+    const perMinute = { ...baseSettings, send_delay_min_ms: 0, send_delay_max_ms: 0, rate_limit_per_minute: 10 };
+    // 10 at once, the next 10 a minute later, the last one a minute after that
+    assert.equal(estimateSendDurationMs(21, perMinute), 2 * MINUTE);
+
+    const perHour = { ...perMinute, rate_limit_per_minute: 100, rate_limit_per_hour: 150 };
+    assert.equal(estimateSendDurationMs(151, perHour), HOUR);
+});
+
+test('estimateSendDurationMs adds the cool-downs', () => {
+    const settings = { ...baseSettings, cooldown_every: 5, cooldown_ms: 5 * MINUTE };
+    // 5 sends 2s apart, a 5 minute pause, then 5 more
+    assert.equal(estimateSendDurationMs(10, settings), 4 * 2000 + 5 * MINUTE + 4 * 2000);
+});
+
+test('the send window only applies when enabled', () => {
+    const settings = { ...baseSettings };
+    const limiter = createRateLimiter({ getSettings: () => settings });
+    const saturday = new Date('2026-10-24T15:00:00Z');
+
+    assert.equal(limiter.isSendWindowOpen(saturday), true);
+    assert.equal(limiter.msUntilSendWindow(saturday), 0);
+
+    settings.send_window_enabled = true;
+    assert.equal(limiter.isSendWindowOpen(saturday), false);
+    // Saturday 12:00 in São Paulo -> Monday 08:00
+    assert.equal(limiter.msUntilSendWindow(saturday), 44 * HOUR);
+
+    settings.send_window_days = [];
+    assert.equal(limiter.msUntilSendWindow(saturday), MINUTE);
+});
+
+test('send() counts toward the per-minute cap', async () => {
+    const settings = { ...baseSettings, rate_limit_per_minute: 2 };
+    const limiter = createRateLimiter({ getSettings: () => settings });
+    const sent = [];
+    const client = { sendMessage: async (chatId, content) => { sent.push(content); return { id: { id: `WA${sent.length}` } }; } };
+
+    assert.equal((await limiter.send(client, 'a@c.us', 'um')).id.id, 'WA1');
+    await limiter.send(client, 'a@c.us', 'dois');
+    assert.deepEqual(sent, ['um', 'dois']);
+    assert.equal(limiter.getState().sentLastMinute, 2);
+
+    await assert.rejects(limiter.sendAcquired({ sendMessage: async () => { throw new Error('falhou'); } }, 'a@c.us', 'x'), /falhou/);
+});
@@ -0,0 +1,74 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const { createLocalDatabase } = require('../local-db');
+const { SETTINGS_DEFINITIONS, loadSettings, getSettings, validateSettingsPatch, updateSettings } = require('../settings');
+
+let tempDir;
+let supabase;
+
+before(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'settings-test-'));
+    supabase = createLocalDatabase({ filePath: path.join(tempDir, 'db.json') });
+});
+
+after(async () => {
+    await supabase.flush();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+test('validateSettingsPatch coerces values and reports each invalid key', () => {
+    const { values, errors } = validateSettingsPatch({
+        operator_number: '+55 (31) 99999-8888',
+        forward_enabled: false,
+        rate_limit_per_minute: '30',
+        optout_keywords: [' sair ', 'SAIR', 'parar', ''],
+        send_window_days: [5, '1', 1],
+        default_country_code: '+1',
+        send_window_start: '25:00',
+        send_window_timezone: 'Lua/Base',
+        routing_strategy: 'aleatorio',
+        rate_limit_per_hour: 0,
+        unknown_key: 1
+    });
+    assert.deepEqual(values, {
+        operator_number: '5531999998888',
+        forward_enabled: false,
+        rate_limit_per_minute: 30,
+        optout_keywords: ['sair', 'SAIR', 'parar'],
+        send_window_days: [1, 5],
+        default_country_code: '1'
+    });
+    assert.deepEqual(Object.keys(errors).sort(), ['rate_limit_per_hour', 'routing_strategy', 'send_window_start', 'send_window_timezone', 'unknown_key']);
+    assert.deepEqual(validateSettingsPatch([]).errors, { _body: 'O corpo da requisição deve ser um objeto JSON.' });
+});
+
+test('settings fall back to their defaults and persist updates', async () => {
+    await supabase.from('settings').insert([
+        { key: 'rate_limit_per_minute', value: 5 },
+        { key: 'auto_reply_cooldown_minutes', value: -1 }
+    ]);
+    const loaded = await loadSettings(supabase);
+    assert.equal(loaded.rate_limit_per_minute, 5);
+    // Invalid stored values are replaced by the default
+    assert.equal(loaded.auto_reply_cooldown_minutes, SETTINGS_DEFINITIONS.auto_reply_cooldown_minutes.default);
+    assert.equal(loaded.operator_number, null);
+
+    const broadcasts = [];
+    const wss = { broadcast: event => broadcasts.push(event.type) };
+    const updated = await updateSettings(supabase, wss, { operator_number: '31999998888', send_delay_max_ms: 2000 });
+    assert.equal(updated.settings.operator_number, '5531999998888');
+    assert.deepEqual(broadcasts, ['settings']);
+
+    // Checked against the other settings as they'd be after the update
+    const combined = await updateSettings(supabase, wss, { send_delay_min_ms: 3000 });
+    assert.deepEqual(Object.keys(combined.errors), ['send_delay_min_ms']);
+    assert.equal(getSettings().send_delay_min_ms, SETTINGS_DEFINITIONS.send_delay_min_ms.default);
+
+    const reloaded = await loadSettings(supabase);
+    assert.equal(reloaded.operator_number, '5531999998888');
+    assert.equal(reloaded.send_delay_max_ms, 2000);
+});
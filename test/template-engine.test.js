@@ -0,0 +1,86 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { normalizeFieldName, renderTemplate, buildRecipientVariables, analyzeTemplate, formatValue } = require('../template-engine');
+
+const render = (template, variables, random = () => 0) => renderTemplate(template, variables, { random }).text;
+const NBSP = '\u00a0'; // Intl puts a non-breaking space after R$
+
+test('normalizeFieldName lowercases and joins words', () => {
+    assert.equal(normalizeFieldName(' Data Vencimento '), 'data_vencimento');
+    assert.equal(normalizeFieldName('CPF'), 'cpf');
+});
+
+test('placeholders read columns regardless of case and report missing ones', () => {
+    assert.deepEqual(renderTemplate('Oi {nome}, seu pedido {Pedido Numero}. {cidade}', { Nome: 'Ana', 'pedido numero': '42' }),
+        { text: 'Oi Ana, seu pedido 42. ', missing: ['cidade'] });
+});
+
+test('placeholders fall back to their default', () => {
+    assert.equal(render('Olá {empresa|cliente}!', { empresa: '' }), 'Olá cliente!');
+    assert.equal(render('Olá {empresa|cliente}!', { empresa: 'ACME' }), 'Olá ACME!');
+    assert.equal(render('Olá {empresa|cliente}!', {}), 'Olá cliente!');
+    assert.equal(render('{apelido|{nome}}', { nome: 'Ana' }), 'Ana');
+});
+
+test('spintax picks one option per message', () => {
+    assert.equal(render('{Olá|Oi|Bom dia}, {nome}', { nome: 'Ana' }, () => 0), 'Olá, Ana');
+    assert.equal(render('{Olá|Oi|Bom dia}, {nome}', { nome: 'Ana' }, () => 0.5), 'Oi, Ana');
+    assert.equal(render('{Olá|Oi|Bom dia}, {nome}', { nome: 'Ana' }, () => 0.999), 'Bom dia, Ana');
+    // Options may hold placeholders
+    assert.equal(render('{Oi {nome}|Olá {nome}}', { nome: 'Ana' }, () => 0.9), 'Olá Ana');
+    // A capitalized first option is spintax even with two options
+    assert.equal(render('{Oi|Olá}', {}, () => 0.9), 'Olá');
+});
+
+test('a column named like the first option is a placeholder, not spintax', () => {
+    assert.equal(render('{oi|tchau}', { oi: 'valor' }, () => 0.9), 'valor');
+});
+
+test('#if / #else render by column presence and value', () => {
+    const template = '{#if empresa}Empresa {empresa}{#else}Pessoa física{/if}';
+    assert.equal(render(template, { empresa: 'ACME' }), 'Empresa ACME');
+    assert.equal(render(template, { empresa: ' ' }), 'Pessoa física');
+    assert.equal(render('{#if !empresa}sem empresa{/if}', {}), 'sem empresa');
+    assert.equal(render('{#if plano=ouro}VIP{#else}comum{/if}', { plano: 'OURO' }), 'VIP');
+    assert.equal(render('{#if plano!=ouro}comum{/if}', { plano: 'prata' }), 'comum');
+    assert.equal(render('{#if a}A{#if b}B{/if}{/if}', { a: '1', b: '' }), 'A');
+});
+
+test('formats', () => {
+    assert.equal(formatValue('1234,5', 'moeda'), `R$${NBSP}1.234,50`);
+    assert.equal(formatValue('R$ 1.234,50', 'moeda'), `R$${NBSP}1.234,50`);
+    assert.equal(formatValue('1234.5', 'numero'), '1.234,5');
+    assert.equal(formatValue('1.234', 'numero'), '1.234');
+    assert.equal(formatValue('2026-03-05', 'data'), '05/03/2026');
+    assert.equal(formatValue('5/3/2026', 'data'), '05/03/2026');
+    assert.equal(formatValue('05/03/2026', 'data_extenso'), '5 de março de 2026');
+    assert.equal(formatValue('joão', 'maiusculo'), 'JOÃO');
+    assert.equal(formatValue('ÁGUA', 'minusculo'), 'água');
+    assert.equal(formatValue(' Ana Maria ', 'primeiro_nome'), 'Ana');
+    // Values that don't parse are left as they are
+    assert.equal(formatValue('a combinar', 'moeda'), 'a combinar');
+    assert.equal(formatValue('amanhã', 'data'), 'amanhã');
+});
+
+test('formats combine with defaults', () => {
+    assert.equal(render('{valor:moeda|R$ 0,00}', { valor: '' }), 'R$ 0,00');
+    assert.equal(render('{valor:moeda|R$ 0,00}', { valor: '10' }), `R$${NBSP}10,00`);
+});
+
+test('braces that are not placeholders stay literal', () => {
+    assert.equal(render('{{nome}} {Olá!} {aberto', { nome: 'Ana' }), '{nome} {Olá!} {aberto');
+});
+
+test('buildRecipientVariables takes nome, numero and cpf from the recipient', () => {
+    const variables = buildRecipientVariables({ name: 'Beto', number: '5511988887777', cpf: null, fields: { nome: 'Beto', numero: '(11) 98888-7777', cidade: 'SP' } });
+    assert.deepEqual(variables, { nome: 'Beto', numero: '5511988887777', cpf: '', cidade: 'SP' });
+    assert.equal(render('{numero} {cpf|sem CPF} {cidade}', variables), '5511988887777 sem CPF SP');
+});
+
+test('analyzeTemplate lists placeholders and the unknown ones', () => {
+    assert.deepEqual(analyzeTemplate('Oi {nome}, {empresa|cliente} {cidade} {#if uf}{uf}{/if} {Olá|Oi}', ['Nome', 'UF']), {
+        placeholders: ['nome', 'empresa', 'cidade', 'uf'],
+        unknownColumns: ['cidade']
+    });
+});
@@ -0,0 +1,88 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { isValidTimezone, isWithinWindow, msUntilWindowOpens } = require('../time-windows');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+const weekdays = { days: [1, 2, 3, 4, 5], start: '08:00', end: '20:00', timezone: 'America/Sao_Paulo' };
+const overnight = { days: [5], start: '22:00', end: '06:00', timezone: 'America/Sao_Paulo' };
+
+// First minute at or after `date` inside the window, found the slow way
+function bruteForceMsUntilOpen(date, window) {
+    if (isWithinWindow(date, window)) return 0;
+    const nextMinute = Math.floor(date.getTime() / MINUTE) * MINUTE + MINUTE;
+    for (let i = 0; i < 8 * 24 * 60; i++) {
+        const candidate = new Date(nextMinute + i * MINUTE);
+        if (isWithinWindow(candidate, window)) return candidate.getTime() - date.getTime();
+    }
+    return null;
+}
+
+test('isValidTimezone', () => {
+    assert.equal(isValidTimezone('America/Sao_Paulo'), true);
+    assert.equal(isValidTimezone('Mars/Olympus_Mons'), false);
+});
+
+test('isWithinWindow uses the window timezone', () => {
+    // Monday 2026-10-19 10:59 UTC is 07:59 in São Paulo
+    assert.equal(isWithinWindow(new Date('2026-10-19T10:59:00Z'), weekdays), false);
+    assert.equal(isWithinWindow(new Date('2026-10-19T11:00:00Z'), weekdays), true);
+    assert.equal(isWithinWindow(new Date('2026-10-19T22:59:00Z'), weekdays), true);
+    assert.equal(isWithinWindow(new Date('2026-10-19T23:00:00Z'), weekdays), false);
+    // Saturday
+    assert.equal(isWithinWindow(new Date('2026-10-24T15:00:00Z'), weekdays), false);
+    // The same instant is Tuesday 00:00 in Tokyo
+    assert.equal(isWithinWindow(new Date('2026-10-19T15:00:00Z'), { ...weekdays, start: '00:00', end: '01:00', days: [2], timezone: 'Asia/Tokyo' }), true);
+});
+
+test('isWithinWindow gives the early hours of an overnight window to the day it starts on', () => {
+    // Friday 23:00 and Saturday 05:59 in São Paulo are inside, Saturday 06:00 and Friday 05:00 aren't
+    assert.equal(isWithinWindow(new Date('2026-10-24T02:00:00Z'), overnight), true);
+    assert.equal(isWithinWindow(new Date('2026-10-24T08:59:00Z'), overnight), true);
+    assert.equal(isWithinWindow(new Date('2026-10-24T09:00:00Z'), overnight), false);
+    assert.equal(isWithinWindow(new Date('2026-10-23T08:00:00Z'), overnight), false);
+});
+
+test('msUntilWindowOpens is 0 inside the window and null when it never opens', () => {
+    assert.equal(msUntilWindowOpens(new Date('2026-10-19T15:00:00Z'), weekdays), 0);
+    assert.equal(msUntilWindowOpens(new Date('2026-10-19T15:00:00Z'), { ...weekdays, days: [] }), null);
+});
+
+test('msUntilWindowOpens finds the next opening', () => {
+    // Monday 07:30 -> 08:00 the same day
+    assert.equal(msUntilWindowOpens(new Date('2026-10-19T10:30:00Z'), weekdays), 30 * MINUTE);
+    // Friday 20:00 -> Monday 08:00
+    assert.equal(msUntilWindowOpens(new Date('2026-10-23T23:00:00Z'), weekdays), 60 * HOUR);
+    // Friday 06:00, after the window closed -> Friday 22:00
+    assert.equal(msUntilWindowOpens(new Date('2026-10-23T09:00:00Z'), overnight), 16 * HOUR);
+    // Saturday 06:00 -> next Friday 22:00
+    assert.equal(msUntilWindowOpens(new Date('2026-10-24T09:00:00Z'), overnight), 6 * 24 * HOUR + 16 * HOUR);
+    // Seconds are counted down to the opening minute
+    assert.equal(msUntilWindowOpens(new Date('2026-10-19T10:59:30Z'), weekdays), 30 * 1000);
+});
+
+test('msUntilWindowOpens accounts for daylight saving changes', () => {
+    const newYork = { days: [0, 1], start: '09:00', end: '17:00', timezone: 'America/New_York' };
+    // Saturday 2026-03-07 12:00 EST -> Sunday 09:00 EDT, 20 hours later (clocks go forward that night)
+    assert.equal(msUntilWindowOpens(new Date('2026-03-07T17:00:00Z'), newYork), 20 * HOUR);
+    // Saturday 2026-10-31 12:00 EDT -> Sunday 09:00 EST, 22 hours later (clocks go back that night)
+    assert.equal(msUntilWindowOpens(new Date('2026-10-31T16:00:00Z'), newYork), 22 * HOUR);
+});
+
+test('msUntilWindowOpens agrees with a minute by minute scan', () => {
+    const windows = [
+        weekdays,
+        overnight,
+        { days: [0, 3], start: '23:30', end: '00:15', timezone: 'Asia/Kolkata' },
+        { days: [6], start: '01:30', end: '03:00', timezone: 'America/New_York' }
+    ];
+    const from = new Date('2026-10-28T00:00:00Z').getTime();
+    for (const window of windows) {
+        for (let i = 0; i < 6; i++) {
+            const date = new Date(from + i * 29 * HOUR + i * 7 * MINUTE + 13 * 1000);
+            assert.equal(msUntilWindowOpens(date, window), bruteForceMsUntilOpen(date, window), `${window.timezone} ${window.start} at ${date.toISOString()}`);
+        }
+    }
+});
@@ -0,0 +1,164 @@
+// Webhook delivery against a local HTTP stand-in for the subscriber, on the local DB backend.
+// Run with `npm test`.
+
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const { createLocalDatabase } = require('../local-db');
+const { MAX_ATTEMPTS, createWebhookDispatcher } = require('../webhooks');
+
+const SECRET = 'test-secret-0123456789abcdef';
+
+let tempDir;
+let supabase;
+let dispatcher;
+let server;
+let baseUrl;
+const requests = []; // { path, headers, rawBody } in arrival order
+
+before(async () => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-test-'));
+    supabase = createLocalDatabase({ filePath: path.join(tempDir, 'db.json') });
+    dispatcher = createWebhookDispatcher({ supabase });
+
+    // /ok (with any query string) answers 204, /fail always answers 500
+    server = http.createServer((req, res) => {
+        const chunks = [];
+        req.on('data', chunk => chunks.push(chunk));
+        req.on('end', () => {
+            requests.push({ path: req.url, headers: req.headers, rawBody: Buffer.concat(chunks).toString('utf8') });
+            res.writeHead(req.url.split('?')[0] === '/ok' ? 204 : 500);
+            res.end();
+        });
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+    dispatcher.stop();
+    await new Promise(resolve => server.close(resolve));
+    await supabase.flush();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+async function waitFor(check, timeoutMs = 5000) {
+    const deadline = Date.now() + timeoutMs;
+    while (Date.now() < deadline) {
+        const value = await check();
+        if (value) return value;
+        await new Promise(resolve => setTimeout(resolve, 20));
+    }
+    throw new Error('Timed out waiting for condition');
+}
+
+async function getDeliveries(subscriptionId) {
+    const result = await dispatcher.listDeliveries({ subscriptionId });
+    return result.deliveries;
+}
+
+test('signs each delivery with the subscription secret', async () => {
+    const { subscription } = await dispatcher.createSubscription({ url: `${baseUrl}/ok`, events: ['new_message'], secret: SECRET });
+    await dispatcher.publish({ type: 'new_message', sessionId: 'default', payload: { body: 'oi' } });
+
+    const request = await waitFor(() => requests.find(r => r.path === '/ok'));
+    const timestamp = request.headers['x-webhook-timestamp'];
+    const expected = crypto.createHmac('sha256', SECRET).update(`${timestamp}.${request.rawBody}`).digest('hex');
+    assert.equal(request.headers['x-webhook-signature'], `sha256=${expected}`);
+    assert.equal(request.headers['x-webhook-event'], 'new_message');
+
+    const body = JSON.parse(request.rawBody);
+    assert.equal(body.event, 'new_message');
+    assert.deepEqual(body.payload, { body: 'oi' });
+    assert.equal(request.headers['x-webhook-delivery'], String(body.id));
+
+    const [delivery] = await waitFor(async () => {
+        const deliveries = await getDeliveries(subscription.id);
+        return deliveries.length === 1 && deliveries[0].status === 'delivered' && deliveries;
+    });
+    assert.equal(delivery.attempts, 1);
+    assert.equal(delivery.last_status_code, 204);
+});
+
+test('moves a delivery that keeps failing to the dead-letter log', async () => {
+    const { subscription } = await dispatcher.createSubscription({ url: `${baseUrl}/fail`, events: ['bulk_complete'], secret: SECRET });
+    await dispatcher.publish({ type: 'bulk_complete', payload: { total: 1 } });
+
+    // Each retry is scheduled minutes ahead; bring it forward instead of waiting for the backoff
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        await supabase
+            .from('webhook_deliveries')
+            .update({ next_attempt_at: new Date(0) })
+            .eq('subscription_id', subscription.id)
+            .eq('status', 'pending');
+        await dispatcher.tick();
+        await waitFor(async () => (await getDeliveries(subscription.id))[0].attempts === attempt);
+    }
+
+    const dead = await dispatcher.listDeliveries({ status: 'dead' });
+    assert.equal(dead.total, 1);
+    assert.equal(dead.deliveries[0].subscription_id, subscription.id);
+    assert.equal(dead.deliveries[0].event_type, 'bulk_complete');
+    assert.equal(dead.deliveries[0].attempts, MAX_ATTEMPTS);
+    assert.equal(dead.deliveries[0].last_status_code, 500);
+    assert.equal(dead.deliveries[0].last_error, 'HTTP 500');
+    assert.equal(requests.filter(r => r.path === '/fail').length, MAX_ATTEMPTS);
+});
+
+test('keeps deliveries of a disabled subscription waiting until it is enabled again', async () => {
+    const { subscription } = await dispatcher.createSubscription({ url: `${baseUrl}/ok?paused`, events: ['handoff_update'], secret: SECRET });
+    await dispatcher.updateSubscription(subscription.id, { enabled: false });
+    assert.equal((await dispatcher.sendTestEvent(subscription.id)).code, 'INVALID_STATE');
+
+    // Queued while it was enabled, then disabled before the attempt
+    await dispatcher.updateSubscription(subscription.id, { enabled: true });
+    await supabase.from('webhook_deliveries').insert({
+        subscription_id: subscription.id,
+        event_type: 'handoff_update',
+        body: { event: 'handoff_update', sessionId: null, created_at: new Date().toISOString(), payload: null },
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date(0)
+    });
+    await dispatcher.updateSubscription(subscription.id, { enabled: false });
+    await dispatcher.tick();
+
+    let [pending] = await getDeliveries(subscription.id);
+    assert.equal(pending.status, 'pending');
+    assert.equal(pending.attempts, 0);
+    assert.equal(requests.filter(r => r.path === '/ok?paused').length, 0);
+
+    await dispatcher.updateSubscription(subscription.id, { enabled: true });
+    [pending] = await waitFor(async () => {
+        const deliveries = await getDeliveries(subscription.id);
+        return deliveries[0].status === 'delivered' && deliveries;
+    });
+    assert.equal(pending.attempts, 1);
+    assert.equal(requests.filter(r => r.path === '/ok?paused').length, 1);
+});
+
+test('moves deliveries of a removed subscription to the dead-letter log', async () => {
+    const { subscription } = await dispatcher.createSubscription({ url: `${baseUrl}/ok?removed`, events: ['qr'], secret: SECRET });
+    await dispatcher.updateSubscription(subscription.id, { enabled: false });
+    await supabase.from('webhook_deliveries').insert({
+        subscription_id: subscription.id,
+        event_type: 'qr',
+        body: { event: 'qr', sessionId: null, created_at: new Date().toISOString(), payload: null },
+        status: 'pending',
+        attempts: 0,
+        next_attempt_at: new Date(0)
+    });
+    await dispatcher.deleteSubscription(subscription.id);
+    await dispatcher.tick();
+
+    const dead = await dispatcher.listDeliveries({ status: 'dead' });
+    const orphan = dead.deliveries.find(delivery => delivery.event_type === 'qr');
+    assert.equal(orphan.subscription_id, null);
+    assert.equal(orphan.last_error, 'Assinatura removida.');
+    assert.equal(requests.filter(r => r.path === '/ok?removed').length, 0);
+});
@@ -0,0 +1,119 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const EventEmitter = require('events');
+const WebSocket = require('ws');
+
+const { WS_PROTOCOL_VERSION, getEventTopics, createWebSocketHub } = require('../ws-hub');
+
+// Stands in for a ws connection: keeps what the hub sends it
+function fakeConnection(role = 'viewer') {
+    const ws = new EventEmitter();
+    ws.readyState = WebSocket.OPEN;
+    ws.apiKey = { name: 'teste', role };
+    ws.received = [];
+    ws.send = (data, callback) => {
+        ws.received.push(JSON.parse(data));
+        if (callback) callback();
+    };
+    return ws;
+}
+
+function createHub(options = {}) {
+    const wss = { clients: new Set() };
+    const hub = createWebSocketHub({ wss, ...options });
+    const connect = (role) => {
+        const ws = fakeConnection(role);
+        hub.attach(ws);
+        wss.clients.add(ws);
+        return ws;
+    };
+    return { hub, connect };
+}
+
+async function sendCommand(ws, message) {
+    ws.received = [];
+    ws.emit('message', Buffer.from(JSON.stringify(message)));
+    await new Promise(setImmediate);
+    return ws.received;
+}
+
+test('getEventTopics maps events to their topic', () => {
+    assert.deepEqual(getEventTopics({ type: 'new_message' }), ['messages']);
+    assert.deepEqual(getEventTopics({ type: 'qr' }), ['session']);
+    assert.deepEqual(getEventTopics({ type: 'bulk_progress', payload: { jobId: 'abc' } }), ['bulk', 'bulk:abc']);
+    assert.deepEqual(getEventTopics({ type: 'bulk_complete' }), ['bulk']);
+    assert.deepEqual(getEventTopics({ type: 'settings' }), ['config']);
+    assert.deepEqual(getEventTopics({ type: 'error' }), ['system']);
+});
+
+test('v2 connections only receive the topics they subscribed to', async () => {
+    const { hub, connect } = createHub();
+    const legacy = connect();
+    const ws = connect();
+
+    const [hello] = await sendCommand(ws, { id: 1, type: 'hello', payload: { version: WS_PROTOCOL_VERSION, topics: ['bulk:job1'] } });
+    assert.equal(hello.ok, true);
+    assert.deepEqual(hello.result.topics, ['bulk:job1']);
+
+    ws.received = [];
+    hub.broadcast({ type: 'bulk_progress', payload: { jobId: 'job1' } });
+    hub.broadcast({ type: 'bulk_progress', payload: { jobId: 'job2' } });
+    hub.broadcast({ type: 'new_message', payload: {} });
+    assert.deepEqual(ws.received.map(event => event.payload.jobId), ['job1']);
+    assert.equal(legacy.received.length, 3);
+
+    const [invalid] = await sendCommand(ws, { id: 2, type: 'subscribe', payload: { topics: ['bulk:', 'todos'] } });
+    assert.equal(invalid.ok, false);
+    assert.equal(invalid.error.code, 'INVALID_PAYLOAD');
+
+    const [unknown] = await sendCommand(ws, { id: 3, type: 'naoExiste' });
+    assert.equal(unknown.error.code, 'UNKNOWN_COMMAND');
+});
+
+test('the QR code only goes to admin connections', () => {
+    const { hub, connect } = createHub();
+    const viewer = connect('viewer');
+    const admin = connect('admin');
+    hub.broadcast({ type: 'qr', payload: { qr: 'x' } });
+    assert.equal(viewer.received.length, 0);
+    assert.equal(admin.received.length, 1);
+});
+
+test('replay sends the missed events the connection may receive, before the response', async () => {
+    const { hub, connect } = createHub();
+    const ws = connect();
+    await sendCommand(ws, { id: 1, type: 'hello', payload: { version: WS_PROTOCOL_VERSION, topics: ['messages'] } });
+
+    hub.broadcast({ type: 'new_message', payload: { n: 1 } });
+    hub.broadcast({ type: 'settings', payload: {} });
+    hub.broadcast({ type: 'new_message', payload: { n: 2 } });
+    hub.broadcast({ type: 'new_message', payload: { n: 3 } });
+
+    const received = await sendCommand(ws, { id: 2, type: 'replay', payload: { since: 1, serverId: hub.serverId } });
+    assert.deepEqual(received.map(event => event.seq), [3, 4, undefined]);
+    assert.ok(received.slice(0, 2).every(event => event.replayed));
+    assert.deepEqual(received[2].result, { serverId: hub.serverId, since: 1, seq: 4, replayed: 2, complete: true });
+
+    // Nothing new
+    assert.deepEqual(hub.replay(ws, 4, hub.serverId), { serverId: hub.serverId, since: 4, seq: 4, replayed: 0, complete: true });
+});
+
+test('replay reports events lost to the buffer or a restart as incomplete', () => {
+    const { hub, connect } = createHub({ replayBufferSize: 3 });
+    const ws = connect();
+    assert.equal(hub.replay(ws, 0).complete, true);
+
+    for (let i = 1; i <= 5; i++) hub.broadcast({ type: 'new_message', payload: { n: i } });
+    // Events 1 and 2 fell out of the buffer
+    assert.equal(hub.replay(ws, 2).complete, true);
+    assert.deepEqual(hub.replay(ws, 1), { serverId: hub.serverId, since: 1, seq: 5, replayed: 3, complete: false });
+    assert.equal(hub.replay(ws, 0).complete, false);
+
+    // Another server (or this one before a restart) numbered the events
+    ws.received = [];
+    const restarted = hub.replay(ws, 4, 'outro-servidor');
+    assert.equal(restarted.complete, false);
+    assert.deepEqual(ws.received.map(event => event.seq), [3, 4, 5]);
+    // A `since` ahead of the server also means the sequence started over
+    assert.equal(hub.replay(ws, 50).complete, false);
+});
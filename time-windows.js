@@ -0,0 +1,93 @@
+// Weekly time windows in a given timezone, e.g. weekdays 08:00-20:00 America/Sao_Paulo.
+// A window is { days: [0-6] (0 = Sunday), start: 'HH:MM', end: 'HH:MM', timezone }.
+// When end <= start the window crosses midnight (22:00-06:00) and belongs to the day it starts on.
+
+const WEEKDAY_INDEX = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const MINUTES_PER_DAY = 24 * 60;
+const MS_PER_MINUTE = 60 * 1000;
+
+const formatterCache = {};
+function getFormatter(timezone) {
+    if (!formatterCache[timezone]) {
+        formatterCache[timezone] = new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone,
+            weekday: 'short',
+            hour: '2-digit',
+            minute: '2-digit',
+            hourCycle: 'h23'
+        });
+    }
+    return formatterCache[timezone];
+}
+
+function isValidTimezone(timezone) {
+    try {
+        getFormatter(timezone);
+        return true;
+    } catch (e) {
+        return false;
+    }
+}
+
+function parseTimeOfDay(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+// Weekday (0-6) and minute of day of `date` in the window's timezone
+function getLocalTime(date, timezone) {
+    const parts = {};
+    for (const part of getFormatter(timezone).formatToParts(date)) {
+        parts[part.type] = part.value;
+    }
+    return { weekday: WEEKDAY_INDEX[parts.weekday], minuteOfDay: Number(parts.hour) * 60 + Number(parts.minute) };
+}
+
+function isWithinWindow(date, window) {
+    const { weekday, minuteOfDay } = getLocalTime(date, window.timezone);
+    const start = parseTimeOfDay(window.start);
+    const end = parseTimeOfDay(window.end);
+
+    if (start < end) {
+        return window.days.includes(weekday) && minuteOfDay >= start && minuteOfDay < end;
+    }
+    // Overnight window: the late part belongs to today, the early part to yesterday's window
+    const yesterday = (weekday + 6) % 7;
+    return (window.days.includes(weekday) && minuteOfDay >= start) ||
+        (window.days.includes(yesterday) && minuteOfDay < end);
+}
+
+// Minutes between the local time of `date` and weekday/minuteOfDay, within a day either way
+function localDriftMinutes(date, timezone, weekday, minuteOfDay) {
+    const local = getLocalTime(date, timezone);
+    const dayDiff = local.weekday === weekday ? 0 : (local.weekday === (weekday + 1) % 7 ? 1 : -1);
+    return dayDiff * MINUTES_PER_DAY + local.minuteOfDay - minuteOfDay;
+}
+
+// Milliseconds until the window next opens (0 if it's open now). Minute resolution.
+// Returns null if the window never opens (e.g. no days selected).
+// The next opening is the start time on the first selected day (today included, if it's still ahead);
+// the wall-clock distance is then corrected for a DST change in between.
+function msUntilWindowOpens(date, window) {
+    if (isWithinWindow(date, window)) return 0;
+
+    const { weekday, minuteOfDay } = getLocalTime(date, window.timezone);
+    const start = parseTimeOfDay(window.start);
+    const msIntoMinute = date.getTime() % MS_PER_MINUTE;
+
+    for (let daysAhead = 0; daysAhead <= 7; daysAhead++) {
+        const day = (weekday + daysAhead) % 7;
+        const minutesAhead = daysAhead * MINUTES_PER_DAY + start - minuteOfDay;
+        if (!window.days.includes(day) || minutesAhead <= 0) continue;
+
+        const opening = date.getTime() + minutesAhead * MS_PER_MINUTE - msIntoMinute;
+        const drift = localDriftMinutes(new Date(opening), window.timezone, day, start);
+        const corrected = opening - drift * MS_PER_MINUTE;
+        // A start time skipped by the clocks moving forward has no exact instant; the uncorrected one is in the window
+        const next = drift !== 0 && isWithinWindow(new Date(corrected), window) ? corrected : opening;
+        return next - date.getTime();
+    }
+    return null;
+}
+
+module.exports = { isValidTimezone, isWithinWindow, msUntilWindowOpens };
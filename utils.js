@@ -1,4 +1,4 @@
-const { createClient } = require('@supabase/supabase-js');
+const { messagesSaved, messageStatusUpdates } = require('./metrics');
 
 // Helper function to safely get client info
 function getClientInfo(clientInstance) {
@@ -12,23 +12,6 @@ function getClientInfo(clientInstance) {
     return { number: null, pushname: null }; // Return nulls if info not available
 }
 
-function formatWhatsappNumber(number) {
-    if (!number || typeof number !== 'string') return null;
-    // Remove non-digit characters except '+' at the start
-    let cleanedNumber = number.replace(/[^\d+]/g, '');
-    // Remove leading '+' if present for suffix logic
-    cleanedNumber = cleanedNumber.startsWith('+') ? cleanedNumber.substring(1) : cleanedNumber;
-
-    // Basic length check (adjust as needed for different countries)
-    if (cleanedNumber.length < 10) {
-        console.warn(`Número formatado '${cleanedNumber}' parece curto demais.`);
-        // return null; // Or handle as needed
-    }
-
-    // Add WhatsApp suffix
-    return `${cleanedNumber}@c.us`;
-}
-
 // Updated to accept clientInfo object and message_type
 async function saveMessageToDb(supabase, senderInfo, wss, details) {
      const messageData = {
@@ -39,14 +22,18 @@ async function saveMessageToDb(supabase, senderInfo, wss, details) {
          body: details.body,
          is_outgoing: details.is_outgoing !== undefined ? details.is_outgoing : true, // Default to true if not specified
          status: details.status || 'pending', // Initial status
+         session_id: details.session_id || null, // WhatsApp session (see session-manager.js)
          bulk_job_id: details.bulk_job_id || null,
          error_message: details.error_message || null,
          timestamp: details.timestamp || new Date(), // Use WhatsApp timestamp if available, else now
          has_media: details.has_media || false,
          media_mime_type: details.media_mime_type || null,
-         message_type: details.message_type || null // Add message type (incoming, auto_response, forwarded, manual_single, bulk)
-         // Consider adding 'related_message_id' column in Supabase to link auto-responses/forwards to originals
-         // related_message_id: details.related_message_id || null
+         media_type: details.media_type || (details.has_media ? null : 'text'), // See outbound-content.js
+         message_type: details.message_type || null, // Add message type (incoming, auto_response, forwarded, operator_reply, manual_single, bulk)
+         related_message_id: details.related_message_id || null, // Inbound message a forward or operator reply belongs to
+         quoted_message_id: details.quoted_message_id || null, // Message it replies to, see message-events.js
+         reply_to_id: details.reply_to_id || null,
+         participant: details.participant || null // Group member who sent it (sender_number is the group)
      };
      try {
          const { data, error } = await supabase
@@ -62,6 +49,7 @@ async function saveMessageToDb(supabase, senderInfo, wss, details) {
              return null;
          }
          // console.log('Mensagem salva no DB (ID:', data.id, 'Status:', messageData.status, ')');
+         messagesSaved.inc({ message_type: data.message_type || 'unknown', status: data.status });
          if (wss && typeof wss.broadcast === 'function') {
              // Ensure sensitive data isn't broadcast if not needed
              // For example, don't broadcast the full body of forwarded messages unless necessary
@@ -106,6 +94,7 @@ async function updateMessageStatusAndId(supabase, wss, dbMessageId, messageId, s
         if (error) {
             console.error(`Erro Supabase ao atualizar ID/status da mensagem para DB ID ${dbMessageId}:`, error);
         } else if (data) {
+            messageStatusUpdates.inc({ status: status });
             // console.log(`Mensagem atualizada no DB (ID: ${dbMessageId}, WA ID: ${messageId || data.message_id || 'N/A'}, Status: ${status})`);
             if (wss && typeof wss.broadcast === 'function') {
                 wss.broadcast({ type: 'message_update', payload: data }); // Notify frontend
@@ -120,9 +109,136 @@ async function updateMessageStatusAndId(supabase, wss, dbMessageId, messageId, s
     }
 }
 
+// Helper to fetch a message by its DB id. Returns the row, or null if it doesn't exist or the query fails.
+async function getMessage(supabase, dbMessageId) {
+    try {
+        const { data, error } = await supabase
+            .from('messages')
+            .select('*')
+            .eq('id', dbMessageId)
+            .maybeSingle();
+
+        if (error) {
+            console.error(`Erro Supabase ao buscar mensagem ${dbMessageId}:`, error);
+            return null;
+        }
+        return data;
+    } catch (dbError) {
+        console.error(`Erro ao buscar mensagem ${dbMessageId}:`, dbError);
+        return null;
+    }
+}
+
+// Helper to find a message by its WhatsApp message ID (message.id.id). Returns the row, or null.
+async function findMessageByWhatsappId(supabase, messageId) {
+    try {
+        const { data, error } = await supabase
+            .from('messages')
+            .select('*')
+            .eq('message_id', messageId)
+            .maybeSingle();
+
+        if (error) {
+            console.error(`Erro Supabase ao buscar mensagem pelo WA ID ${messageId}:`, error);
+            return null;
+        }
+        return data;
+    } catch (dbError) {
+        console.error(`Erro ao buscar mensagem pelo WA ID ${messageId}:`, dbError);
+        return null;
+    }
+}
+
+// Helper to list a session's most recent messages, newest first. Returns an array, or null on error.
+async function listMessages(supabase, { sessionId, limit = 100 }) {
+    try {
+        const { data, error } = await supabase
+            .from('messages')
+            .select('*')
+            .eq('session_id', sessionId)
+            .order('created_at', { ascending: false })
+            .limit(limit);
+
+        if (error) {
+            console.error('Erro Supabase ao buscar mensagens:', error);
+            return null;
+        }
+        return data || [];
+    } catch (dbError) {
+        console.error('Erro ao buscar mensagens:', dbError);
+        return null;
+    }
+}
+
+// Helper to read a single setting value from the 'settings' table (key text PK, value jsonb, updated_at)
+// Returns the stored value, or null if the key doesn't exist or the query fails.
+async function getSetting(supabase, key) {
+    try {
+        const { data, error } = await supabase
+            .from('settings')
+            .select('value')
+            .eq('key', key)
+            .maybeSingle();
+
+        if (error) {
+            console.error(`Erro Supabase ao buscar configuração '${key}':`, error);
+            return null;
+        }
+        return data ? data.value : null;
+    } catch (dbError) {
+        console.error(`Erro ao buscar configuração '${key}' no Supabase:`, dbError);
+        return null;
+    }
+}
+
+// Helper to upsert a single setting value. Returns true on success, false otherwise.
+async function setSetting(supabase, key, value) {
+    try {
+        const { error } = await supabase
+            .from('settings')
+            .upsert({ key: key, value: value, updated_at: new Date() }, { onConflict: 'key' });
+
+        if (error) {
+            console.error(`Erro Supabase ao salvar configuração '${key}':`, error);
+            return false;
+        }
+        return true;
+    } catch (dbError) {
+        console.error(`Erro ao salvar configuração '${key}' no Supabase:`, dbError);
+        return false;
+    }
+}
+
+// Reads ?limit=&offset= from a request query, clamping to sane bounds
+function parsePagination(query, { defaultLimit = 50, maxLimit = 500 } = {}) {
+    const limit = parseInt(query?.limit, 10);
+    const offset = parseInt(query?.offset, 10);
+    return {
+        limit: Number.isInteger(limit) && limit > 0 ? Math.min(limit, maxLimit) : defaultLimit,
+        offset: Number.isInteger(offset) && offset > 0 ? offset : 0
+    };
+}
+
+// Normalizes free text for keyword comparisons: 'Parar!' -> 'PARAR', 'não' -> 'NAO'
+function normalizeText(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .replace(/[^\p{L}\p{N}\s]/gu, '')
+        .trim()
+        .replace(/\s+/g, ' ')
+        .toUpperCase();
+}
+
 module.exports = {
     getClientInfo, // Export the new helper
-    formatWhatsappNumber,
     saveMessageToDb,
-    updateMessageStatusAndId
+    updateMessageStatusAndId,
+    getMessage,
+    findMessageByWhatsappId,
+    listMessages,
+    getSetting,
+    setSetting,
+    parsePagination,
+    normalizeText
 };
\ No newline at end of file
@@ -0,0 +1,503 @@
+// Outbound webhooks: every event broadcast to WebSocket clients (new_message, message_update,
+// client_status, qr, bulk_progress, bulk_complete...) is also POSTed to the subscribed URLs.
+//
+// webhook_subscriptions: id bigserial PK, url text, events text[] ('*' = every event), secret text,
+//                        description text, enabled boolean, created_at timestamptz, updated_at timestamptz
+// webhook_deliveries:    id bigserial PK, subscription_id FK webhook_subscriptions.id ON DELETE SET NULL, event_type text,
+//                        body jsonb, status text ('pending' | 'delivered' | 'dead'), attempts integer,
+//                        next_attempt_at timestamptz, last_status_code integer, last_error text,
+//                        created_at timestamptz, delivered_at timestamptz
+//
+// Deliveries are persisted before the first attempt, so retries survive a restart. A failed attempt
+// (network error, timeout or non-2xx answer) is retried with exponential backoff; after MAX_ATTEMPTS
+// the delivery is marked 'dead' (the dead-letter log) and can be requeued through the API.
+// Deliveries of a disabled subscription wait (without using up attempts) until it's enabled again;
+// those of a removed subscription go straight to the dead-letter log.
+//
+// Request body: { id (delivery id), event, sessionId, created_at, payload }
+// Headers: X-Webhook-Event, X-Webhook-Delivery, X-Webhook-Timestamp and
+//          X-Webhook-Signature: sha256=<hex HMAC-SHA256 of `${timestamp}.${raw body}` with the subscription secret>
+
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = [
+    'new_message',
+    'message_update',
+    'message_reaction',
+    'message_edit',
+    'message_revoke',
+    'client_status',
+    'qr',
+    'auth_failure',
+    'disconnected',
+    'reconnecting',
+    'bulk_progress',
+    'bulk_complete',
+    'scheduled_update',
+    'blocklist_update',
+    'conversation_read',
+    'handoff_update',
+    'assignment_update',
+    'operators',
+    'session_removed',
+    'auto_reply_rules',
+    'settings'
+];
+const DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+const SUBSCRIPTION_COLUMNS = 'id, url, events, description, enabled, created_at, updated_at';
+
+const MAX_ATTEMPTS = 8;
+const BASE_RETRY_DELAY_MS = 10 * 1000;
+const MAX_RETRY_DELAY_MS = 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const POLL_INTERVAL_MS = 5000;
+const BATCH_SIZE = 20;
+
+// Delay before attempt number `attempts + 1`: 10s, 20s, 40s... capped at one hour
+function getRetryDelay(attempts) {
+    return Math.min(BASE_RETRY_DELAY_MS * 2 ** (attempts - 1), MAX_RETRY_DELAY_MS);
+}
+
+function signPayload(secret, timestamp, rawBody) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${rawBody}`).digest('hex');
+}
+
+function isValidWebhookUrl(url) {
+    try {
+        const parsed = new URL(url);
+        return parsed.protocol === 'http:' || parsed.protocol === 'https:';
+    } catch (e) {
+        return false;
+    }
+}
+
+// Validates a subscription body from POST/PUT /webhooks. With `partial`, missing fields are left alone.
+// Returns { values, errors } where errors maps field -> reason.
+function validateSubscriptionInput(input, { partial = false } = {}) {
+    const values = {};
+    const errors = {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { values, errors: { _body: 'O corpo da requisição deve ser um objeto JSON.' } };
+    }
+    const has = (field) => input[field] !== undefined;
+
+    if (has('url') || !partial) {
+        if (typeof input.url !== 'string' || !isValidWebhookUrl(input.url)) errors.url = 'Informe uma URL http(s) válida.';
+        else values.url = input.url;
+    }
+    if (has('events')) {
+        const events = Array.isArray(input.events) ? input.events : null;
+        const unknown = events ? events.filter(event => event !== '*' && !WEBHOOK_EVENTS.includes(event)) : [];
+        if (!events || events.length === 0) errors.events = "Informe uma lista de eventos (ou ['*'] para todos).";
+        else if (unknown.length > 0) errors.events = `Eventos desconhecidos: ${unknown.join(', ')}. Use '*' ou: ${WEBHOOK_EVENTS.join(', ')}.`;
+        else values.events = [...new Set(events)];
+    } else if (!partial) {
+        values.events = ['*'];
+    }
+    if (has('secret')) {
+        if (typeof input.secret !== 'string' || input.secret.length < 16) errors.secret = 'Deve ter ao menos 16 caracteres.';
+        else values.secret = input.secret;
+    }
+    if (has('description')) {
+        if (input.description !== null && typeof input.description !== 'string') errors.description = 'Deve ser um texto.';
+        else values.description = input.description ? input.description.trim().slice(0, 200) : null;
+    }
+    if (has('enabled')) {
+        if (typeof input.enabled !== 'boolean') errors.enabled = 'Deve ser true ou false.';
+        else values.enabled = input.enabled;
+    } else if (!partial) {
+        values.enabled = true;
+    }
+
+    return { values, errors };
+}
+
+function subscriptionWants(subscription, eventType) {
+    return subscription.enabled && (subscription.events.includes('*') || subscription.events.includes(eventType));
+}
+
+// Creates the dispatcher. Subscriptions are cached in memory and reloaded after every change made
+// through it; publish() only touches the DB when some subscription wants the event.
+//
+// Subscription changes resolve with { subscription } or { error, code, errors } where code is
+// 'VALIDATION_ERROR', 'NOT_FOUND', 'INVALID_STATE' or 'DB_ERROR'.
+function createWebhookDispatcher({ supabase }) {
+    let subscriptions = []; // Enabled subscriptions, with their secrets
+    let timer = null;
+    let ticking = false;
+    let tickRequested = false;
+
+    async function reload() {
+        const { data, error } = await supabase
+            .from('webhook_subscriptions')
+            .select('*')
+            .eq('enabled', true);
+
+        if (error) {
+            console.error('[Webhooks] Erro Supabase ao carregar assinaturas:', error);
+            return subscriptions;
+        }
+        subscriptions = data || [];
+        return subscriptions;
+    }
+
+    // Queues `event` (a WebSocket event: { type, sessionId?, payload }) for every subscription that
+    // wants it. Never throws: webhooks must not break whatever produced the event.
+    async function publish(event) {
+        const targets = subscriptions.filter(subscription => subscriptionWants(subscription, event.type));
+        if (targets.length === 0) return;
+
+        const now = new Date();
+        const body = {
+            event: event.type,
+            sessionId: event.sessionId || null,
+            created_at: now.toISOString(),
+            payload: event.payload === undefined ? null : event.payload
+        };
+
+        try {
+            const { error } = await supabase
+                .from('webhook_deliveries')
+                .insert(targets.map(subscription => ({
+                    subscription_id: subscription.id,
+                    event_type: event.type,
+                    body,
+                    status: 'pending',
+                    attempts: 0,
+                    next_attempt_at: now,
+                    created_at: now
+                })));
+
+            if (error) {
+                console.error(`[Webhooks] Erro Supabase ao enfileirar evento '${event.type}':`, error);
+                return;
+            }
+            wake();
+        } catch (dbError) {
+            console.error(`[Webhooks] Erro ao enfileirar evento '${event.type}':`, dbError);
+        }
+    }
+
+    // One POST. Resolves with { ok, statusCode, error }.
+    async function send(subscription, delivery) {
+        const rawBody = JSON.stringify({ id: delivery.id, ...delivery.body });
+        const timestamp = Math.floor(Date.now() / 1000).toString();
+        try {
+            const response = await fetch(subscription.url, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'User-Agent': 'whatsapp-api-backend-webhooks',
+                    'X-Webhook-Event': delivery.event_type,
+                    'X-Webhook-Delivery': String(delivery.id),
+                    'X-Webhook-Timestamp': timestamp,
+                    'X-Webhook-Signature': `sha256=${signPayload(subscription.secret, timestamp, rawBody)}`
+                },
+                body: rawBody,
+                signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+            });
+            // The answer body isn't used; drain it so the connection can be reused
+            await response.arrayBuffer().catch(() => null);
+            return response.ok
+                ? { ok: true, statusCode: response.status }
+                : { ok: false, statusCode: response.status, error: `HTTP ${response.status}` };
+        } catch (error) {
+            const reason = error.name === 'TimeoutError' ? `Tempo esgotado após ${REQUEST_TIMEOUT_MS / 1000}s` : error.message;
+            return { ok: false, statusCode: null, error: reason };
+        }
+    }
+
+    async function attempt(delivery, subscription) {
+        const attempts = delivery.attempts + 1;
+        const result = subscription
+            ? await send(subscription, delivery)
+            : { ok: false, statusCode: null, error: 'Assinatura removida.' };
+
+        let changes;
+        if (result.ok) {
+            changes = { status: 'delivered', attempts, last_status_code: result.statusCode, last_error: null, delivered_at: new Date() };
+        } else if (!subscription || attempts >= MAX_ATTEMPTS) {
+            changes = { status: 'dead', attempts, last_status_code: result.statusCode, last_error: result.error };
+            console.warn(`[Webhooks] Entrega ${delivery.id} ('${delivery.event_type}') desistida após ${attempts} tentativa(s): ${result.error}`);
+        } else {
+            const delay = getRetryDelay(attempts);
+            changes = { attempts, next_attempt_at: new Date(Date.now() + delay), last_status_code: result.statusCode, last_error: result.error };
+            console.log(`[Webhooks] Entrega ${delivery.id} ('${delivery.event_type}') falhou (${result.error}). Nova tentativa em ${Math.round(delay / 1000)}s.`);
+        }
+
+        const { error } = await supabase
+            .from('webhook_deliveries')
+            .update(changes)
+            .eq('id', delivery.id)
+            .eq('status', 'pending');
+        if (error) {
+            console.error(`[Webhooks] Erro Supabase ao atualizar entrega ${delivery.id}:`, error);
+        }
+    }
+
+    // Due deliveries of the enabled subscriptions and of removed ones (subscription_id set to null).
+    // Resolves with { deliveries, more } (more: a batch was full), or null on error.
+    async function getDueDeliveries() {
+        const now = new Date().toISOString();
+        const dueQuery = () => supabase
+            .from('webhook_deliveries')
+            .select('*')
+            .eq('status', 'pending')
+            .lte('next_attempt_at', now)
+            .order('next_attempt_at', { ascending: true })
+            .limit(BATCH_SIZE);
+
+        const queries = [dueQuery().is('subscription_id', null)];
+        if (subscriptions.length > 0) {
+            queries.push(dueQuery().in('subscription_id', subscriptions.map(subscription => subscription.id)));
+        }
+        const results = await Promise.all(queries);
+        const failed = results.find(result => result.error);
+        if (failed) {
+            console.error('[Webhooks] Erro Supabase ao buscar entregas pendentes:', failed.error);
+            return null;
+        }
+        return {
+            deliveries: results.flatMap(result => result.data || []),
+            more: results.some(result => (result.data || []).length === BATCH_SIZE)
+        };
+    }
+
+    async function tick() {
+        if (ticking) {
+            tickRequested = true;
+            return;
+        }
+        ticking = true;
+        try {
+            do {
+                tickRequested = false;
+                const due = await getDueDeliveries();
+                if (!due) break;
+
+                // Subscriptions are attempted in parallel so a slow endpoint doesn't hold up the others
+                await Promise.all(due.deliveries.map(delivery => {
+                    const subscription = subscriptions.find(s => s.id === delivery.subscription_id);
+                    // Disabled since the query: leave it waiting
+                    if (!subscription && delivery.subscription_id !== null) return null;
+                    return attempt(delivery, subscription);
+                }));
+                if (due.more) tickRequested = true;
+            } while (tickRequested);
+        } catch (error) {
+            console.error('[Webhooks] Erro inesperado ao processar entregas:', error);
+        } finally {
+            ticking = false;
+        }
+    }
+
+    function wake() {
+        setImmediate(tick);
+    }
+
+    async function start() {
+        if (timer) return;
+        await reload();
+        timer = setInterval(tick, POLL_INTERVAL_MS);
+        console.log(`[Webhooks] ${subscriptions.length} assinatura(s) ativa(s).`);
+        wake();
+    }
+
+    function stop() {
+        clearInterval(timer);
+        timer = null;
+    }
+
+    async function getSubscription(subscriptionId) {
+        const { data, error } = await supabase
+            .from('webhook_subscriptions')
+            .select(SUBSCRIPTION_COLUMNS)
+            .eq('id', subscriptionId)
+            .maybeSingle();
+
+        if (error) {
+            console.error(`[Webhooks] Erro Supabase ao buscar assinatura ${subscriptionId}:`, error);
+            return null;
+        }
+        return data;
+    }
+
+    // Returns every subscription (without secrets), or null on error
+    async function listSubscriptions() {
+        const { data, error } = await supabase
+            .from('webhook_subscriptions')
+            .select(SUBSCRIPTION_COLUMNS)
+            .order('id', { ascending: true });
+
+        if (error) {
+            console.error('[Webhooks] Erro Supabase ao listar assinaturas:', error);
+            return null;
+        }
+        return data || [];
+    }
+
+    async function createSubscription(input) {
+        const { values, errors } = validateSubscriptionInput(input);
+        if (Object.keys(errors).length > 0) {
+            return { error: 'Assinatura inválida.', code: 'VALIDATION_ERROR', errors };
+        }
+
+        const secret = values.secret || crypto.randomBytes(32).toString('hex');
+        const { data, error } = await supabase
+            .from('webhook_subscriptions')
+            .insert({ ...values, secret, description: values.description || null, created_at: new Date(), updated_at: new Date() })
+            .select(SUBSCRIPTION_COLUMNS)
+            .single();
+
+        if (error) {
+            console.error('[Webhooks] Erro Supabase ao criar assinatura:', error);
+            return { error: 'Falha ao salvar a assinatura no banco de dados.', code: 'DB_ERROR' };
+        }
+        console.log(`[Webhooks] Assinatura ${data.id} criada para ${data.url} (${data.events.join(', ')}).`);
+        await reload();
+        // The secret is only returned here (and when it's changed through updateSubscription)
+        return { subscription: { ...data, secret } };
+    }
+
+    async function updateSubscription(subscriptionId, input) {
+        const { values, errors } = validateSubscriptionInput(input, { partial: true });
+        if (Object.keys(errors).length > 0) {
+            return { error: 'Assinatura inválida.', code: 'VALIDATION_ERROR', errors };
+        }
+
+        const { data, error } = await supabase
+            .from('webhook_subscriptions')
+            .update({ ...values, updated_at: new Date() })
+            .eq('id', subscriptionId)
+            .select(SUBSCRIPTION_COLUMNS);
+
+        if (error) {
+            console.error(`[Webhooks] Erro Supabase ao atualizar assinatura ${subscriptionId}:`, error);
+            return { error: 'Falha ao atualizar a assinatura no banco de dados.', code: 'DB_ERROR' };
+        }
+        if (!data || data.length === 0) {
+            return { error: 'Assinatura não encontrada.', code: 'NOT_FOUND' };
+        }
+        await reload();
+        wake(); // Re-enabled: deliveries that waited go out now
+        return { subscription: values.secret ? { ...data[0], secret: values.secret } : data[0] };
+    }
+
+    // Removes the subscription; its pending deliveries end up in the dead-letter log
+    async function deleteSubscription(subscriptionId) {
+        const { data, error } = await supabase
+            .from('webhook_subscriptions')
+            .delete()
+            .eq('id', subscriptionId)
+            .select(SUBSCRIPTION_COLUMNS);
+
+        if (error) {
+            console.error(`[Webhooks] Erro Supabase ao remover assinatura ${subscriptionId}:`, error);
+            return { error: 'Falha ao remover a assinatura do banco de dados.', code: 'DB_ERROR' };
+        }
+        if (!data || data.length === 0) {
+            return { error: 'Assinatura não encontrada.', code: 'NOT_FOUND' };
+        }
+        console.log(`[Webhooks] Assinatura ${subscriptionId} removida.`);
+        await reload();
+        return { subscription: data[0] };
+    }
+
+    // Queues a 'ping' event for one subscription (even if it doesn't list 'ping')
+    async function sendTestEvent(subscriptionId) {
+        const subscription = await getSubscription(subscriptionId);
+        if (!subscription) {
+            return { error: 'Assinatura não encontrada.', code: 'NOT_FOUND' };
+        }
+        if (!subscription.enabled) {
+            return { error: 'A assinatura está desativada.', code: 'INVALID_STATE' };
+        }
+
+        const now = new Date();
+        const { data, error } = await supabase
+            .from('webhook_deliveries')
+            .insert({
+                subscription_id: subscription.id,
+                event_type: 'ping',
+                body: { event: 'ping', sessionId: null, created_at: now.toISOString(), payload: { subscriptionId: subscription.id } },
+                status: 'pending',
+                attempts: 0,
+                next_attempt_at: now,
+                created_at: now
+            })
+            .select()
+            .single();
+
+        if (error) {
+            console.error(`[Webhooks] Erro Supabase ao enfileirar teste da assinatura ${subscriptionId}:`, error);
+            return { error: 'Falha ao enfileirar o evento de teste.', code: 'DB_ERROR' };
+        }
+        wake();
+        return { delivery: data };
+    }
+
+    // Deliveries of a subscription, newest first. Returns { deliveries, total } or null on error.
+    // Without subscriptionId lists every subscription's deliveries (e.g. status 'dead' = dead-letter log).
+    async function listDeliveries({ subscriptionId = null, status = null, limit = 50, offset = 0 } = {}) {
+        let query = supabase
+            .from('webhook_deliveries')
+            .select('*', { count: 'exact' })
+            .order('created_at', { ascending: false })
+            .range(offset, offset + limit - 1);
+
+        if (subscriptionId) query = query.eq('subscription_id', subscriptionId);
+        if (status) query = query.eq('status', status);
+
+        const { data, error, count } = await query;
+        if (error) {
+            console.error('[Webhooks] Erro Supabase ao listar entregas:', error);
+            return null;
+        }
+        return { deliveries: data || [], total: count || 0 };
+    }
+
+    // Puts a dead delivery back in the queue with a fresh set of attempts
+    async function retryDelivery(deliveryId) {
+        const { data, error } = await supabase
+            .from('webhook_deliveries')
+            .update({ status: 'pending', attempts: 0, next_attempt_at: new Date(), last_error: null })
+            .eq('id', deliveryId)
+            .eq('status', 'dead')
+            .select();
+
+        if (error) {
+            console.error(`[Webhooks] Erro Supabase ao reenfileirar entrega ${deliveryId}:`, error);
+            return { error: 'Falha ao reenfileirar a entrega.', code: 'DB_ERROR' };
+        }
+        if (!data || data.length === 0) {
+            return { error: "Entrega não encontrada ou não está em 'dead'.", code: 'NOT_FOUND' };
+        }
+        console.log(`[Webhooks] Entrega ${deliveryId} reenfileirada.`);
+        wake();
+        return { delivery: data[0] };
+    }
+
+    return {
+        start,
+        stop,
+        publish,
+        tick,
+        listSubscriptions,
+        getSubscription,
+        createSubscription,
+        updateSubscription,
+        deleteSubscription,
+        sendTestEvent,
+        listDeliveries,
+        retryDelivery
+    };
+}
+
+module.exports = {
+    WEBHOOK_EVENTS,
+    DELIVERY_STATUSES,
+    MAX_ATTEMPTS,
+    signPayload,
+    createWebhookDispatcher
+};
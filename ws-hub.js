@@ -0,0 +1,261 @@
+// WebSocket protocol: topics, commands with correlation IDs, event replay and heartbeats.
+//
+// Every event gets a sequence number: { type, sessionId, seq, ts, payload }.
+//
+// v1 (what a connection speaks until it says hello): receives every event it may see and can send the
+// plain { type: 'getStatus' } / bulk control messages handled by server.js (onLegacyMessage).
+//
+// v2: the client sends { id, type: 'hello', payload: { version: 2, topics } } and gets a response with
+// { version, serverId, seq, heartbeatIntervalMs, topics, availableTopics }. From then on it only receives
+// events of the topics it subscribed to.
+//   request:  { id, type: <command>, payload }
+//   response: { type: 'response', id, command, ok: true, result } | { ..., ok: false, error: { code, message } }
+// Built-in commands: hello, subscribe / unsubscribe { topics }, replay { since, serverId }, ping. Other
+// commands (sendMessage, pauseBulkJob, ...) are registered by server.js with the role they require.
+//
+// Topics: messages, session, bulk (every job) or bulk:<jobId>, scheduled, config and system (errors and
+// anything else), see EVENT_TOPICS.
+//
+// Replay: the last REPLAY_BUFFER_SIZE events are kept in memory. replay sends the ones after `since` that the
+// connection may receive (marked replayed: true, before the response); complete: false means some were lost
+// (older than the buffer, or the server restarted and serverId changed), so the client should reload its
+// state through the REST API. Live events may arrive twice around a replay; clients dedupe by seq.
+//
+// Heartbeat: the server pings every connection every HEARTBEAT_INTERVAL_MS and terminates the ones that
+// didn't answer the previous ping.
+
+const crypto = require('crypto');
+const WebSocket = require('ws');
+const { hasRole } = require('./api-keys');
+
+const WS_PROTOCOL_VERSION = 2;
+const REPLAY_BUFFER_SIZE = parseInt(process.env.WS_REPLAY_BUFFER_SIZE, 10) || 1000;
+const HEARTBEAT_INTERVAL_MS = 30 * 1000;
+const MAX_TOPICS_PER_CONNECTION = 100;
+
+const WS_TOPICS = ['messages', 'session', 'bulk', 'scheduled', 'config', 'system'];
+const EVENT_TOPICS = {
+    new_message: 'messages',
+    message_update: 'messages',
+    conversation_read: 'messages',
+    handoff_update: 'messages',
+    assignment_update: 'messages',
+    message_reaction: 'messages',
+    message_edit: 'messages',
+    message_revoke: 'messages',
+    blocklist_update: 'messages',
+    client_status: 'session',
+    qr: 'session',
+    auth_failure: 'session',
+    disconnected: 'session',
+    reconnecting: 'session',
+    sessions: 'session',
+    session_removed: 'session',
+    bulk_progress: 'bulk',
+    bulk_complete: 'bulk',
+    scheduled_update: 'scheduled',
+    settings: 'config',
+    auto_reply_rules: 'config',
+    operators: 'config'
+};
+// Events only admin connections receive: whoever scans the QR code takes over the session
+const WS_ADMIN_ONLY_EVENTS = ['qr'];
+
+// Topics an event belongs to, e.g. ['bulk', 'bulk:<jobId>'] for bulk_progress
+function getEventTopics(event) {
+    const topic = EVENT_TOPICS[event.type] || 'system';
+    if (topic === 'bulk' && event.payload?.jobId) {
+        return [topic, `bulk:${event.payload.jobId}`];
+    }
+    return [topic];
+}
+
+function isValidTopic(topic) {
+    return typeof topic === 'string' && (WS_TOPICS.includes(topic) || /^bulk:[\w-]{1,64}$/.test(topic));
+}
+
+// wss: WebSocket.Server, commands: { [type]: { role, handler: async (payload, ws) => result | { error, code } } },
+// onLegacyMessage: (ws, message) => void for v1 connections
+function createWebSocketHub({ wss, commands = {}, onLegacyMessage = null, replayBufferSize = REPLAY_BUFFER_SIZE, heartbeatIntervalMs = HEARTBEAT_INTERVAL_MS }) {
+    const serverId = crypto.randomUUID(); // Changes on restart, when sequence numbers start over
+    const history = []; // Last events, oldest first
+    let seq = 0;
+    let heartbeatTimer = null;
+
+    function send(ws, data) {
+        if (ws.readyState !== WebSocket.OPEN) return;
+        ws.send(JSON.stringify(data), (err) => {
+            if (err) console.error('Erro ao enviar mensagem para cliente WebSocket:', err);
+        });
+    }
+
+    function canReceive(ws, event) {
+        if (WS_ADMIN_ONLY_EVENTS.includes(event.type) && !hasRole(ws.apiKey?.role, 'admin')) return false;
+        if (ws.protocolVersion !== WS_PROTOCOL_VERSION) return true;
+        return getEventTopics(event).some(topic => ws.topics.has(topic));
+    }
+
+    // Numbers the event, keeps it for replay and sends it to every connection that may receive it
+    function broadcast(event) {
+        const sequenced = { ...event, seq: ++seq, ts: new Date().toISOString() };
+        history.push(sequenced);
+        if (history.length > replayBufferSize) history.shift();
+        wss.clients.forEach((ws) => {
+            if (canReceive(ws, sequenced)) send(ws, sequenced);
+        });
+        return sequenced;
+    }
+
+    // Sends the buffered events after `since` the connection may receive. Returns the replay summary.
+    function replay(ws, since, clientServerId = null) {
+        const from = Number.isInteger(since) && since >= 0 ? since : 0;
+        // A `since` ahead of us also means the sequence started over
+        const restarted = (!!clientServerId && clientServerId !== serverId) || from > seq;
+        const events = restarted ? history : history.filter(event => event.seq > from);
+        const oldestSeq = history.length > 0 ? history[0].seq : seq + 1;
+        const complete = !restarted && from + 1 >= oldestSeq;
+
+        let replayed = 0;
+        for (const event of events) {
+            if (!canReceive(ws, event)) continue;
+            send(ws, { ...event, replayed: true });
+            replayed++;
+        }
+        return { serverId, since: from, seq, replayed, complete };
+    }
+
+    // Validates a topic list. Returns { topics } or { error }.
+    function readTopics(payload) {
+        const topics = payload?.topics;
+        if (!Array.isArray(topics) || topics.length === 0) {
+            return { error: 'Informe topics (lista).' };
+        }
+        const invalid = topics.filter(topic => !isValidTopic(topic));
+        if (invalid.length > 0) {
+            return { error: `Tópico(s) inválido(s): ${invalid.join(', ')}. Use ${WS_TOPICS.join(', ')} ou bulk:<jobId>.` };
+        }
+        return { topics };
+    }
+
+    function subscribe(ws, topics) {
+        for (const topic of topics) {
+            if (ws.topics.size >= MAX_TOPICS_PER_CONNECTION) {
+                return { error: `Limite de ${MAX_TOPICS_PER_CONNECTION} tópicos por conexão atingido.`, code: 'INVALID_PAYLOAD' };
+            }
+            ws.topics.add(topic);
+        }
+        return { topics: [...ws.topics] };
+    }
+
+    const builtInCommands = {
+        hello: { role: 'viewer', handler: (payload, ws) => {
+            if (payload?.version !== WS_PROTOCOL_VERSION) {
+                return { error: `Versão de protocolo não suportada. Use ${WS_PROTOCOL_VERSION}.`, code: 'UNSUPPORTED_VERSION' };
+            }
+            if (Array.isArray(payload.topics) && payload.topics.length > 0) {
+                const parsed = readTopics(payload);
+                if (parsed.error) return { error: parsed.error, code: 'INVALID_PAYLOAD' };
+                const subscribed = subscribe(ws, parsed.topics);
+                if (subscribed.error) return subscribed;
+            }
+            ws.protocolVersion = WS_PROTOCOL_VERSION;
+            return { version: WS_PROTOCOL_VERSION, serverId, seq, heartbeatIntervalMs, topics: [...ws.topics], availableTopics: WS_TOPICS };
+        } },
+        subscribe: { role: 'viewer', handler: (payload, ws) => {
+            const parsed = readTopics(payload);
+            return parsed.error ? { error: parsed.error, code: 'INVALID_PAYLOAD' } : subscribe(ws, parsed.topics);
+        } },
+        unsubscribe: { role: 'viewer', handler: (payload, ws) => {
+            const parsed = readTopics(payload);
+            if (parsed.error) return { error: parsed.error, code: 'INVALID_PAYLOAD' };
+            parsed.topics.forEach(topic => ws.topics.delete(topic));
+            return { topics: [...ws.topics] };
+        } },
+        replay: { role: 'viewer', handler: (payload, ws) => replay(ws, payload?.since, payload?.serverId) },
+        ping: { role: 'viewer', handler: () => ({ serverId, seq, time: new Date().toISOString() }) }
+    };
+
+    async function handleCommand(ws, message) {
+        const id = message.id !== undefined ? message.id : null;
+        const command = builtInCommands[message.type] || commands[message.type];
+        const respond = (result) => {
+            if (result && result.error) {
+                send(ws, { type: 'response', id, command: message.type, ok: false, error: { code: result.code || 'ERROR', message: result.error } });
+            } else {
+                send(ws, { type: 'response', id, command: message.type, ok: true, result: result || null });
+            }
+        };
+
+        if (!command) {
+            return respond({ error: `Comando desconhecido: ${message.type}.`, code: 'UNKNOWN_COMMAND' });
+        }
+        if (!hasRole(ws.apiKey?.role, command.role)) {
+            return respond({ error: `Permissão insuficiente. Esta operação requer o papel '${command.role}'.`, code: 'FORBIDDEN' });
+        }
+        try {
+            // Synchronous commands (hello, replay, ...) are answered right away, keeping their order
+            const result = command.handler(message.payload || {}, ws);
+            respond(result instanceof Promise ? await result : result);
+        } catch (error) {
+            console.error(`[WS] Erro no comando '${message.type}':`, error);
+            respond({ error: 'Erro interno ao executar o comando.', code: 'INTERNAL_ERROR' });
+        }
+    }
+
+    // Sets up a new connection (v1 until it sends hello)
+    function attach(ws) {
+        ws.protocolVersion = 1;
+        ws.topics = new Set();
+        ws.isAlive = true;
+        ws.on('pong', () => { ws.isAlive = true; });
+
+        ws.on('message', async (raw) => {
+            let message;
+            try {
+                message = JSON.parse(raw);
+            } catch (e) {
+                console.error('[WS] Mensagem inválida (JSON):', raw.toString().slice(0, 200));
+                if (ws.protocolVersion === WS_PROTOCOL_VERSION) {
+                    send(ws, { type: 'response', id: null, command: null, ok: false, error: { code: 'INVALID_JSON', message: 'Mensagem não é um JSON válido.' } });
+                }
+                return;
+            }
+            if (!message || typeof message !== 'object' || typeof message.type !== 'string') return;
+
+            if (ws.protocolVersion === WS_PROTOCOL_VERSION || message.type === 'hello') {
+                await handleCommand(ws, message);
+            } else if (onLegacyMessage) {
+                await onLegacyMessage(ws, message);
+            }
+        });
+    }
+
+    function start() {
+        if (heartbeatTimer) return;
+        heartbeatTimer = setInterval(() => {
+            wss.clients.forEach((ws) => {
+                if (!ws.isAlive) {
+                    console.log(`[WS] Cliente sem resposta ao heartbeat (chave '${ws.apiKey?.name}'). Encerrando conexão.`);
+                    return ws.terminate();
+                }
+                ws.isAlive = false;
+                ws.ping();
+            });
+        }, heartbeatIntervalMs);
+        heartbeatTimer.unref();
+    }
+
+    function stop() {
+        clearInterval(heartbeatTimer);
+        heartbeatTimer = null;
+    }
+
+    return { serverId, broadcast, replay, attach, start, stop };
+}
+
+module.exports = {
+    WS_PROTOCOL_VERSION,
+    WS_TOPICS,
+    getEventTopics,
+    createWebSocketHub
+};